@@ -0,0 +1,196 @@
+// app.js
+
+// Builds the Express application: middleware, routes and error handling.
+// server.js runs it; tests create their own, with a fake provider (see
+// providers/mock.js), and send it requests without a port or a real API key.
+
+import express from "express"; // Fast, unopinionated, minimalist web framework for Node.js
+import cors from "cors"; // Middleware for enabling Cross-Origin Resource Sharing
+import helmet from "helmet"; // Helps secure Express apps by setting various HTTP headers
+import crypto from "crypto"; // Constant-time comparison of the metrics token
+import chatRouter from "./routes/chat.js"; // Chat completions, comparisons and the model catalog
+import conversationsRouter from "./routes/conversations.js"; // Persistent conversation store
+import toolsRouter from "./routes/tools.js"; // Summarize and follow-up helpers
+import presetsRouter from "./routes/presets.js"; // Saved system prompt presets
+import templatesRouter from "./routes/templates.js"; // Prompt templates and slash commands
+import authRouter from "./routes/auth.js"; // Login, logout and account settings
+import adminRouter from "./routes/admin.js"; // User and token management
+import usageRouter from "./routes/usage.js"; // Usage and cost reports
+import openaiRouter, { openAIErrorFormat } from "./routes/openai.js"; // OpenAI-compatible /v1 gateway
+import collectionsRouter from "./routes/collections.js"; // Knowledge base documents
+import { requireAdmin, requireAuth } from "./middleware/auth.js"; // Session / bearer token checks
+import { limitRequests } from "./middleware/rateLimit.js"; // Configurable rate limits and quotas
+import { requestLog } from "./middleware/requestLog.js"; // Request IDs, access logs and HTTP metrics
+import { errorEnvelope, handleErrors } from "./middleware/errorEnvelope.js"; // The shared error model
+import { getProvider, useProvider } from "./providers/index.js"; // OpenRouter, Gemini, local and mock providers
+import { getCatalogStatus } from "./services/modelCatalog.js"; // Cached model catalog lookups
+import { renderMetrics } from "./services/metrics.js"; // Prometheus metrics
+
+/**
+ * Creates the Express application.
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - A provider (see providers/index.js) to
+ *   register and use as the default one, e.g. a mock provider in tests.
+ * @returns {import("express").Express} The application, not yet listening.
+ */
+export const createApp = ({ provider } = {}) => {
+  if (provider) {
+    useProvider(provider);
+  }
+
+  // Initialize Express application
+  const app = express();
+
+  // ==========================================
+  // Middleware for Security and Common Tasks
+  // ==========================================
+
+  // Request IDs (X-Request-Id), one JSON log line per request, and the HTTP
+  // metrics. First, so that even rejected requests are logged and counted.
+  app.use(requestLog);
+
+  // Every error response gets a code, a retryable flag and the request ID
+  // (see utils/errors.js)
+  app.use(errorEnvelope);
+
+  // Helmet helps secure your app by setting various HTTP headers.
+  // It mitigates common web vulnerabilities.
+  app.use(helmet());
+
+  // CORS (Cross-Origin Resource Sharing) configuration
+  // This middleware allows your frontend application (running on a different origin/port)
+  // to make requests to this backend server.
+  app.use(
+    cors({
+      // `origin` specifies the allowed origins. It's crucial for security.
+      // Replace process.env.FRONTEND_URL with your actual frontend URL (e.g., http://localhost:3000 or http://localhost:5173).
+      // If not set, requests from other origins will be blocked by the browser's security policy.
+      origin: process.env.FRONTEND_URL,
+      // `credentials` allows cookies and authorization headers to be sent
+      // in cross-origin requests. Set to true if your frontend sends credentials.
+      credentials: true,
+      // Lets the frontend read how long to wait after being rate limited
+      exposedHeaders: [
+        "X-Request-Id",
+        "Retry-After",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+      ],
+    })
+  );
+
+  // The OpenAI-compatible gateway answers errors (including the rate limiting
+  // and authentication below) in OpenAI's format instead of the /api envelope
+  app.use("/v1", openAIErrorFormat);
+
+  /**
+   * GET /api/health
+   * Liveness check: answers as long as the server is running.
+   * With `?ready=true` it checks readiness instead, answering 503 until the
+   * default provider has an API key and its model catalog is cached and fresh.
+   * Probes never wait on the provider: an expired catalog is refreshed in the
+   * background and the probe reports the cached copy.
+   * Mounted before rate limiting and authentication: load balancer probes
+   * come from a few addresses, and must not be turned away (taking the
+   * instance out of rotation) because the traffic they share them with is busy.
+   */
+  app.get("/api/health", (req, res) => {
+    const timestamp = new Date().toISOString();
+    if (req.query.ready !== "true") {
+      return res.json({ status: "OK", timestamp });
+    }
+
+    const provider = getProvider();
+    const catalog = provider && getCatalogStatus(provider);
+    const checks = {
+      provider: {
+        ok: Boolean(provider?.isConfigured()),
+        name: provider?.name || process.env.LLM_PROVIDER,
+      },
+      catalog: { ok: Boolean(catalog?.fresh), ...catalog },
+    };
+    const ready = Object.values(checks).every((check) => check.ok);
+    res
+      .status(ready ? 200 : 503)
+      .json({ status: ready ? "ready" : "not ready", timestamp, checks });
+  });
+
+  // Rate limiting to protect against brute-force attacks and abuse. The rules
+  // (per route, per IP / user / API token) are in services/rateLimits.js and
+  // can be replaced through RATE_LIMITS. Limits by IP apply first, before the
+  // body is even parsed; those by user and token once the caller is known.
+  app.use(["/api", "/v1"], limitRequests({ identities: ["ip"] }));
+
+  // Body parser middleware: parses incoming JSON requests and puts the parsed data
+  // in req.body. Limiting to 10mb to prevent very large payloads.
+  app.use(express.json({ limit: "10mb" }));
+
+  // Authentication: every /api route needs a signed-in user (session cookie or
+  // bearer token), except the login endpoint itself (and the health check above).
+  app.use("/api", requireAuth({ publicPaths: ["/auth/login"] }));
+  app.use("/api", limitRequests({ identities: ["user", "token"] }));
+
+  // Chat completions, comparisons and the model catalog: /api/chat/* and /api/models
+  app.use("/api", chatRouter);
+
+  // Conversation history: /api/conversations and /api/conversations/:id/messages
+  app.use("/api/conversations", conversationsRouter);
+
+  // Conversation helpers: /api/tools/summarize and /api/tools/follow-ups
+  app.use("/api/tools", toolsRouter);
+
+  // System prompt presets: /api/presets and /api/presets/:id
+  app.use("/api/presets", presetsRouter);
+
+  // Prompt template library: /api/templates and /api/templates/:id
+  app.use("/api/templates", templatesRouter);
+
+  // Usage and cost reports: /api/usage
+  app.use("/api/usage", usageRouter);
+
+  // Knowledge base: /api/collections, their documents and search
+  app.use("/api/collections", collectionsRouter);
+
+  // Accounts: /api/auth/* for everyone signed in, /api/admin/* for admins only
+  app.use("/api/auth", authRouter);
+  app.use("/api/admin", requireAdmin, adminRouter);
+
+  // OpenAI-compatible gateway for scripts and SDKs: /v1/chat/completions and
+  // /v1/models (its error format is set up at the top)
+  app.use(
+    "/v1",
+    requireAuth(),
+    limitRequests({ identities: ["user", "token"] }),
+    openaiRouter
+  );
+
+  /**
+   * GET /metrics
+   * Prometheus metrics (see services/metrics.js). Open to any client that can
+   * reach the server, unless METRICS_TOKEN is set: then scrapers must send it
+   * as `Authorization: Bearer <METRICS_TOKEN>`.
+   */
+  app.get("/metrics", (req, res) => {
+    const expected = process.env.METRICS_TOKEN;
+    if (expected) {
+      const sent = crypto
+        .createHash("sha256")
+        .update(req.get("Authorization") || "")
+        .digest();
+      const wanted = crypto
+        .createHash("sha256")
+        .update(`Bearer ${expected}`)
+        .digest();
+      if (!crypto.timingSafeEqual(sent, wanted)) {
+        return res.status(401).json({ error: "Authentication required." });
+      }
+    }
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+
+  // Errors no route answered (e.g., a malformed JSON body), in the same format
+  app.use(handleErrors);
+
+  return app;
+};
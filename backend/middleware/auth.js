@@ -0,0 +1,85 @@
+// middleware/auth.js
+
+// Express middleware that identifies the caller from a session cookie or an
+// `Authorization: Bearer <token>` header (see services/auth.js).
+// Cookies are HttpOnly and SameSite=Lax, and the API only parses JSON bodies,
+// so other sites can't make a signed-in browser send state-changing requests.
+
+import { resolveToken } from "../services/auth.js";
+import { logger } from "../utils/logger.js";
+
+// Name of the cookie that carries the session token
+export const SESSION_COOKIE = "session";
+
+/**
+ * Reads one cookie from the request's Cookie header.
+ * @param {import("express").Request} req - The Express request.
+ * @param {string} name - The cookie name.
+ * @returns {string|null} The cookie value, or null if absent or malformed.
+ */
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = pair.trim().split("=");
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join("="));
+      } catch {
+        // A broken escape (e.g. `%E0`) can't be a token we issued
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Extracts the token a request presents: the bearer header wins over the cookie.
+ * @param {import("express").Request} req - The Express request.
+ * @returns {string|null} The token, or null if none was sent.
+ */
+export const readToken = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  return readCookie(req, SESSION_COOKIE);
+};
+
+/**
+ * Creates middleware that rejects requests without a valid token with a 401.
+ * On success it sets `req.user` (the stored user) and `req.token` (the token record).
+ * @param {Object} [options]
+ * @param {Array<string>} [options.publicPaths] - Paths (relative to the mount point) open to everyone.
+ * @returns {Function} The Express middleware.
+ */
+export const requireAuth =
+  ({ publicPaths = [] } = {}) =>
+  async (req, res, next) => {
+    if (publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const token = readToken(req);
+    try {
+      const session = token && (await resolveToken(token));
+      if (!session) {
+        return res.status(401).json({ error: "Authentication required." });
+      }
+      req.user = session.user;
+      req.token = session.token;
+      next();
+    } catch (error) {
+      logger.error("Could not check authentication", { error });
+      res.status(500).json({ error: "Failed to check authentication." });
+    }
+  };
+
+/**
+ * Middleware that only lets admins through (use after requireAuth).
+ */
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    return res.status(403).json({ error: "Admin access required." });
+  }
+  next();
+};
@@ -0,0 +1,43 @@
+// middleware/errorEnvelope.js
+
+// Makes every error response follow the shared error model (utils/errors.js):
+// routes answer { error: "..." } with a status, and this adds the `code`,
+// `retryable`, `upstream_status` and `request_id` they didn't set. Errors
+// that escape the routes (e.g., a malformed JSON body) are answered here too.
+
+import { toErrorEnvelope } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Middleware completing `{ error }` bodies sent with an error status; mount
+ * it after middleware/requestLog.js, which sets the request ID.
+ */
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(
+      res.statusCode >= 400 && typeof body?.error === "string"
+        ? toErrorEnvelope(res.statusCode, body, req.id)
+        : body
+    );
+  next();
+};
+
+/**
+ * Express error handler, mounted last: answers errors thrown by middleware
+ * or routes. Errors marked `expose` (e.g., body-parser's 400 and 413) keep
+ * their message; anything else is logged and answered with a generic 500.
+ * It must declare all four parameters: that's how Express recognizes error handlers.
+ */
+export const handleErrors = (error, req, res, next) => {
+  const status = error.expose && error.status >= 400 ? error.status : 500;
+  if (status === 500) {
+    logger.error("Unhandled error", { error });
+  }
+  if (res.headersSent) {
+    return res.end();
+  }
+  res.status(status).json({
+    error: status === 500 ? "Internal server error." : error.message,
+  });
+};
@@ -0,0 +1,62 @@
+// middleware/rateLimit.js
+
+// Express middleware enforcing the rate limits of services/rateLimits.js.
+// Limits by IP run before authentication, so floods of unauthenticated
+// requests are cut off too; limits by user and token run after it, once the
+// caller is known. Responses carry the standard headers of the request window
+// closest to its limit:
+//   RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds)
+// and rejections are 429s with Retry-After (seconds) and
+// { error, retry_after }.
+
+import { acquireLimits } from "../services/rateLimits.js";
+
+/**
+ * Creates middleware applying the rules whose `by` is one of `identities`.
+ * It sets `req.rateLimit.tokenKeys`, which recordTokens charges model usage to.
+ * @param {Object} options
+ * @param {Array<string>} options.identities - e.g. ['ip'], or ['user', 'token'] after requireAuth.
+ * @returns {Function} The Express middleware.
+ */
+export const limitRequests =
+  ({ identities }) =>
+  (req, res, next) => {
+    const { rejection, quota, tokenKeys, release } = acquireLimits(
+      req,
+      identities
+    );
+
+    if (rejection) {
+      res.set({
+        "RateLimit-Limit": String(rejection.limit),
+        "RateLimit-Remaining": "0",
+        "RateLimit-Reset": String(rejection.retryAfter),
+        "Retry-After": String(rejection.retryAfter),
+      });
+      return res
+        .status(429)
+        .json({ error: rejection.message, retry_after: rejection.retryAfter });
+    }
+
+    // Both stages may report a window; the one closer to its limit wins
+    const previous = req.rateLimit?.quota;
+    const shown =
+      quota && (!previous || quota.remaining < previous.remaining)
+        ? quota
+        : previous;
+    req.rateLimit = {
+      quota: shown,
+      tokenKeys: [...(req.rateLimit?.tokenKeys || []), ...tokenKeys],
+    };
+    if (shown) {
+      res.set({
+        "RateLimit-Limit": String(shown.limit),
+        "RateLimit-Remaining": String(shown.remaining),
+        "RateLimit-Reset": String(shown.resetAfter),
+      });
+    }
+
+    // Concurrency slots are freed when the response ends or the client leaves
+    res.once("close", release);
+    next();
+  };
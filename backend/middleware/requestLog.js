@@ -0,0 +1,69 @@
+// middleware/requestLog.js
+
+// Gives every request an ID and, once it's over, logs it and counts it in the
+// HTTP metrics. The ID comes from the caller's X-Request-Id header when it
+// sends a sensible one (e.g., set by a proxy), is otherwise generated, and is
+// returned in the X-Request-Id response header; every line logged while
+// handling the request carries it.
+
+import crypto from "crypto";
+import { logger, withLogContext } from "../utils/logger.js";
+import {
+  HTTP_DURATION,
+  HTTP_REQUESTS,
+  increment,
+  observe,
+} from "../services/metrics.js";
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes that would drown out everything else at the info level
+const QUIET_PATHS = ["/metrics", "/api/health"];
+
+/**
+ * Express middleware; mount it before everything else.
+ */
+export const requestLog = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+  const startedAt = process.hrtime.bigint();
+
+  // 'close' also fires when the client goes away before the response is done
+  res.once("close", () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The route pattern, not the path, so IDs don't each get their own series
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    increment(HTTP_REQUESTS, {
+      method: req.method,
+      route,
+      status: res.statusCode,
+    });
+    observe(HTTP_DURATION, { method: req.method, route }, seconds);
+
+    const path = req.originalUrl.split("?")[0]; // Queries may hold search terms
+    const level =
+      res.statusCode >= 500
+        ? "warn"
+        : QUIET_PATHS.includes(path)
+        ? "debug"
+        : "info";
+    logger[level]("request", {
+      requestId,
+      method: req.method,
+      path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ...(!res.writableFinished && { aborted: true }),
+      userId: req.user?.id,
+      ip: req.ip,
+    });
+  });
+
+  withLogContext({ requestId }, next);
+};
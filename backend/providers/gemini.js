@@ -0,0 +1,346 @@
+// providers/gemini.js
+
+// Provider for Google's native Gemini API (generativelanguage.googleapis.com).
+// Requests and responses are translated to and from the OpenAI chat format so
+// routes can treat every provider the same way, tool calls included (OpenAI
+// `tools` become Gemini function declarations).
+
+import crypto from "crypto";
+import { ProviderError } from "./providerError.js";
+import { messageText } from "../utils/messages.js";
+
+const GEMINI_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+// Gemini finish reasons mapped to their OpenAI equivalents
+const FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+};
+
+/**
+ * Converts OpenAI-style message content (a string or content parts) into Gemini parts.
+ * Attachments must be data URLs: Gemini's inlineData carries the bytes directly.
+ */
+const toGeminiParts = (content) => {
+  if (typeof content === "string") {
+    return [{ text: content }];
+  }
+  return content.map((part) => {
+    if (part.type === "text") {
+      return { text: part.text };
+    }
+    const url =
+      part.type === "image_url" ? part.image_url.url : part.file.file_data;
+    const match = /^data:([\w.+/-]+);base64,(.*)$/s.exec(url);
+    if (!match) {
+      throw new ProviderError(
+        400,
+        "Gemini only accepts attachments sent as base64 data URLs."
+      );
+    }
+    return { inlineData: { mimeType: match[1], data: match[2] } };
+  });
+};
+
+/**
+ * Parses a JSON string, falling back to `fallback` when it isn't valid JSON.
+ */
+const parseJson = (text, fallback) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Converts OpenAI-style messages into Gemini contents. Tool calls become
+ * `functionCall` parts of the model's turn, and tool results become
+ * `functionResponse` parts (Gemini matches them by function name, not ID).
+ */
+const toGeminiContents = (messages) => {
+  const toolNames = new Map(
+    messages
+      .flatMap((msg) => msg.tool_calls || [])
+      .map((call) => [call.id, call.function.name])
+  );
+
+  const contents = [];
+  for (const msg of messages) {
+    if (msg.role === "system") continue;
+
+    if (msg.role === "tool") {
+      const result = parseJson(msg.content, msg.content);
+      const part = {
+        functionResponse: {
+          name: toolNames.get(msg.tool_call_id) || "tool",
+          // The response must be an object
+          response:
+            result && typeof result === "object" && !Array.isArray(result)
+              ? result
+              : { result },
+        },
+      };
+      // Results of parallel calls go together in one turn
+      const previous = contents.at(-1);
+      if (previous?.parts.every((p) => p.functionResponse)) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: "user", parts: [part] });
+      }
+      continue;
+    }
+
+    contents.push({
+      role: msg.role === "assistant" ? "model" : "user",
+      parts: [
+        ...(msg.content ? toGeminiParts(msg.content) : []),
+        ...(msg.tool_calls || []).map((call) => ({
+          functionCall: {
+            name: call.function.name,
+            args: parseJson(call.function.arguments, {}),
+          },
+        })),
+      ],
+    });
+  }
+  return contents;
+};
+
+/**
+ * Converts OpenAI-style params into a Gemini generateContent request body.
+ * System messages become the `systemInstruction`; assistant turns use the 'model' role.
+ */
+const toGeminiRequest = ({
+  messages,
+  tools,
+  tool_choice,
+  max_tokens,
+  temperature,
+  top_p,
+  stop,
+  seed,
+  presence_penalty,
+  frequency_penalty,
+  response_format,
+}) => {
+  const systemText = messages
+    .filter((msg) => msg.role === "system")
+    .map((msg) => messageText(msg.content))
+    .join("\n\n");
+
+  return {
+    contents: toGeminiContents(messages),
+    ...(systemText && { systemInstruction: { parts: [{ text: systemText }] } }),
+    ...(tools?.length && {
+      tools: [{ functionDeclarations: tools.map((tool) => tool.function) }],
+      toolConfig: {
+        functionCallingConfig: {
+          mode: tool_choice === "none" ? "NONE" : "AUTO",
+        },
+      },
+    }),
+    generationConfig: {
+      maxOutputTokens: max_tokens,
+      temperature,
+      topP: top_p,
+      stopSequences: stop ? [].concat(stop) : undefined,
+      seed,
+      presencePenalty: presence_penalty,
+      frequencyPenalty: frequency_penalty,
+      // Gemini's JSON mode; a json_schema format also passes its schema along
+      ...(response_format &&
+        response_format.type !== "text" && {
+          responseMimeType: "application/json",
+        }),
+      ...(response_format?.type === "json_schema" && {
+        responseSchema: response_format.json_schema.schema,
+      }),
+    },
+  };
+};
+
+/**
+ * Converts Gemini usage metadata into OpenAI-style usage numbers.
+ */
+const toUsage = (usageMetadata) =>
+  usageMetadata && {
+    prompt_tokens: usageMetadata.promptTokenCount || 0,
+    completion_tokens: usageMetadata.candidatesTokenCount || 0,
+    total_tokens: usageMetadata.totalTokenCount || 0,
+  };
+
+/**
+ * Extracts the text, tool calls and finish reason from one Gemini response
+ * (or stream chunk). Gemini doesn't give calls IDs, so they get fresh ones.
+ */
+const readCandidate = (result) => {
+  const candidate = result.candidates?.[0];
+  const parts = candidate?.content?.parts || [];
+  return {
+    text: parts.map((part) => part.text || "").join(""),
+    tool_calls: parts
+      .filter((part) => part.functionCall)
+      .map((part) => ({
+        id: `call_${crypto.randomUUID()}`,
+        type: "function",
+        function: {
+          name: part.functionCall.name,
+          arguments: JSON.stringify(part.functionCall.args || {}),
+        },
+      })),
+    finish_reason: candidate?.finishReason
+      ? FINISH_REASONS[candidate.finishReason] ||
+        candidate.finishReason.toLowerCase()
+      : null,
+  };
+};
+
+/**
+ * Creates the Gemini provider.
+ * @param {Object} config
+ * @param {string} [config.apiKey] - Gemini API key.
+ * @param {string} config.defaultModel - Model used when a request does not name one.
+ * @returns {Object} The provider.
+ */
+export const createGeminiProvider = ({ apiKey, defaultModel }) => {
+  /**
+   * Calls a Gemini endpoint and throws a ProviderError for non-2xx responses.
+   */
+  const callGemini = async (
+    path,
+    { body, signal, apiKey: requestApiKey } = {}
+  ) => {
+    const response = await fetch(`${GEMINI_BASE_URL}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: {
+        "Content-Type": "application/json",
+        // A caller's own key takes precedence over the configured one
+        "x-goog-api-key": requestApiKey || apiKey || "",
+      },
+      body: body && JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new ProviderError(
+        response.status,
+        errorData.error?.message || "Gemini API request failed.",
+        response.headers
+      );
+    }
+    return response;
+  };
+
+  // Accept OpenRouter-style IDs (e.g., 'google/gemini-2.0-flash') as well
+  const toModelName = (model) => model.replace(/^google\//, "");
+
+  return {
+    name: "gemini",
+    label: "Gemini",
+    defaultModel,
+    requiresApiKey: true,
+    isConfigured: () => Boolean(apiKey),
+
+    /**
+     * Runs a chat completion and returns it in OpenAI shape.
+     * @param {Object} params - OpenAI chat completion params ({ model, messages, ... }).
+     * @param {Object} [options] - { signal } to cancel the upstream request, and an
+     *   optional { apiKey } to use instead of the configured one.
+     * @returns {Promise<Object>} { model, message, finish_reason, usage }.
+     */
+    chatCompletion: async (params, { signal, apiKey: requestApiKey } = {}) => {
+      const model = toModelName(params.model);
+      const response = await callGemini(`/models/${model}:generateContent`, {
+        body: toGeminiRequest(params),
+        signal,
+        apiKey: requestApiKey,
+      });
+      const result = await response.json();
+      const { text, tool_calls, finish_reason } = readCandidate(result);
+      return {
+        model,
+        message: {
+          role: "assistant",
+          content: text,
+          ...(tool_calls.length && { tool_calls }),
+        },
+        // Gemini reports STOP after function calls; OpenAI says 'tool_calls'
+        finish_reason: tool_calls.length ? "tool_calls" : finish_reason,
+        usage: toUsage(result.usageMetadata),
+      };
+    },
+
+    /**
+     * Starts a streaming chat completion using Gemini's SSE mode.
+     * @param {Object} params - OpenAI chat completion params ({ model, messages, ... }).
+     * @param {Object} [options] - { signal } to cancel the upstream request, and an
+     *   optional { apiKey } to use instead of the configured one.
+     * @returns {Promise<AsyncIterable<Object>>} Chunks of { role, content, tool_calls,
+     *   finish_reason, usage }; each tool call arrives whole, with its own `index`.
+     */
+    streamChatCompletion: async (
+      params,
+      { signal, apiKey: requestApiKey } = {}
+    ) => {
+      const model = toModelName(params.model);
+      const response = await callGemini(
+        `/models/${model}:streamGenerateContent?alt=sse`,
+        { body: toGeminiRequest(params), signal, apiKey: requestApiKey }
+      );
+
+      return (async function* () {
+        const decoder = new TextDecoder();
+        let buffer = "";
+        let toolCallCount = 0;
+        for await (const bytes of response.body) {
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            if (!line.startsWith("data:")) continue;
+            const result = JSON.parse(line.slice(5));
+            const { text, tool_calls, finish_reason } = readCandidate(result);
+            yield {
+              role: "assistant",
+              content: text,
+              tool_calls: tool_calls.length
+                ? tool_calls.map((call) => ({
+                    index: toolCallCount++,
+                    ...call,
+                  }))
+                : undefined,
+              finish_reason:
+                finish_reason && toolCallCount ? "tool_calls" : finish_reason,
+              usage: toUsage(result.usageMetadata),
+            };
+          }
+        }
+      })();
+    },
+
+    /**
+     * Lists Gemini models that support text generation, in catalog shape.
+     * @returns {Promise<Array<Object>>} Model objects.
+     */
+    listModels: async () => {
+      const response = await callGemini("/models?pageSize=1000");
+      const { models = [] } = await response.json();
+      return models
+        .filter((model) =>
+          model.supportedGenerationMethods?.includes("generateContent")
+        )
+        .map((model) => ({
+          id: toModelName(model.name.replace(/^models\//, "")),
+          name: model.displayName,
+          description: model.description,
+          context_length: model.inputTokenLimit,
+          top_provider: { max_completion_tokens: model.outputTokenLimit },
+        }));
+    },
+  };
+};
@@ -0,0 +1,121 @@
+// providers/index.js
+
+// Registry of the LLM providers the server can route requests to. Every
+// provider exposes the same interface:
+//   chatCompletion(params, { signal, apiKey })       -> { model, message, finish_reason, usage }
+//   streamChatCompletion(params, { signal, apiKey }) -> async iterable of { role, content, tool_calls, finish_reason, usage }
+//   listModels()                                     -> array of model objects
+//   createEmbeddings(inputs, { model, signal })      -> { vectors, usage } (optional)
+// Tool calling follows the OpenAI format throughout: `tools` in params,
+// `tool_calls` on assistant messages (streamed as deltas merged by `index`)
+// and `tool` role messages carrying results.
+// `apiKey` optionally overrides the server's key for one call (users' own keys).
+// Requests may pick a provider by name; otherwise LLM_PROVIDER (or OpenRouter) is used.
+// LLM_PROVIDER=mock runs the app offline, against canned replies (see providers/mock.js);
+// the mock is only registered then, so it can't be picked on a real deployment.
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createMockProvider } from "./mock.js";
+import { instrumentProvider } from "./instrument.js";
+import { ProviderError } from "./providerError.js";
+
+const OPENROUTER_BASE_URL = "https://openrouter.ai/api/v1";
+
+const providers = {
+  // OpenRouter: one key for models from many vendors
+  openrouter: createOpenAICompatibleProvider({
+    name: "openrouter",
+    label: "OpenRouter",
+    baseURL: OPENROUTER_BASE_URL,
+    apiKey: process.env.OPENROUTER_API_KEY, // Your OpenRouter API Key from .env
+    // Optional: Headers for tracking and ranking on openrouter.ai
+    defaultHeaders: {
+      "HTTP-Referer": process.env.YOUR_SITE_URL, // e.g., 'https://yoursite.com'
+      "X-Title": process.env.YOUR_SITE_NAME, // e.g., 'Your App Name'
+    },
+    defaultModel: "openai/gpt-4o",
+    // OpenRouter's models endpoint carries pricing, context length and
+    // modality details that the SDK's typed list call would drop.
+    listModels: async () => {
+      const response = await fetch(`${OPENROUTER_BASE_URL}/models`, {
+        headers: {
+          Authorization: `Bearer ${process.env.OPENROUTER_API_KEY}`, // Authenticate with your API key
+        },
+      });
+
+      // Check if the response was successful. Error bodies aren't always
+      // JSON (e.g. a gateway's HTML 502 page), so read them as text first.
+      if (!response.ok) {
+        const text = await response.text().catch(() => "");
+        let errorData = {};
+        try {
+          errorData = JSON.parse(text);
+        } catch {
+          // Not JSON: fall back to the generic message
+        }
+        throw new ProviderError(
+          response.status,
+          errorData.error?.message ||
+            errorData.message ||
+            "Failed to fetch models from OpenRouter.",
+          response.headers
+        );
+      }
+
+      // OpenRouter's models endpoint returns an object with a 'data' array
+      const data = await response.json();
+      return data.data;
+    },
+  }),
+
+  // Google Gemini, called natively rather than through OpenRouter
+  gemini: createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    defaultModel: process.env.GEMINI_DEFAULT_MODEL || "gemini-2.0-flash",
+  }),
+
+  // A local OpenAI-compatible server (Ollama by default)
+  local: createOpenAICompatibleProvider({
+    name: "local",
+    label: "Local LLM",
+    baseURL: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    requiresApiKey: false,
+    defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1",
+  }),
+
+  // Offline echo replies and injected errors, for development without a key
+  ...(process.env.LLM_PROVIDER === "mock" && { mock: createMockProvider() }),
+};
+
+// Every upstream call is measured for GET /metrics
+for (const [name, provider] of Object.entries(providers)) {
+  providers[name] = instrumentProvider(provider);
+}
+
+// Names accepted in the `provider` field of API requests
+export const PROVIDER_NAMES = Object.keys(providers);
+
+// Provider used when a request does not choose one
+let defaultProvider = process.env.LLM_PROVIDER || "openrouter";
+
+/**
+ * Looks up a provider by name.
+ * @param {string} [name] - Provider name; defaults to the default provider.
+ * @returns {Object|null} The provider, or null if the name is unknown.
+ */
+export const getProvider = (name = defaultProvider) => providers[name] || null;
+
+/**
+ * Registers a provider (replacing any of the same name) and makes it the
+ * default one, e.g. a scripted mock provider in tests (see app.js).
+ * @param {Object} provider - A provider with the interface described above.
+ */
+export const useProvider = (provider) => {
+  if (!providers[provider.name]) {
+    PROVIDER_NAMES.push(provider.name);
+  }
+  providers[provider.name] = instrumentProvider(provider);
+  defaultProvider = provider.name;
+};
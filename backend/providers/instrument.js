@@ -0,0 +1,115 @@
+// providers/instrument.js
+
+// Wraps a provider so every upstream call is measured (see services/metrics.js):
+// its outcome, its duration and, for streams, the time to the first chunk.
+// Calls cancelled by the client count as 'aborted' rather than 'error'.
+
+import {
+  increment,
+  LLM_DURATION,
+  LLM_FIRST_TOKEN,
+  LLM_REQUESTS,
+  observe,
+} from "../services/metrics.js";
+
+/**
+ * Records the end of one upstream call.
+ */
+const finish = (labels, startedAt, error, signal) => {
+  const outcome =
+    signal?.aborted || error?.name === "AbortError"
+      ? "aborted"
+      : error
+      ? "error"
+      : "success";
+  increment(LLM_REQUESTS, { ...labels, outcome });
+  observe(LLM_DURATION, labels, (Date.now() - startedAt) / 1000);
+};
+
+/**
+ * Returns a measured copy of a provider, with the same interface.
+ * @param {Object} provider - A provider (see providers/index.js).
+ * @returns {Object} The instrumented provider.
+ */
+export const instrumentProvider = (provider) => {
+  const instrumented = {
+    ...provider,
+
+    chatCompletion: async (params, options = {}) => {
+      const labels = {
+        provider: provider.name,
+        model: params.model,
+        operation: "chat",
+      };
+      const startedAt = Date.now();
+      try {
+        const result = await provider.chatCompletion(params, options);
+        finish(labels, startedAt, null, options.signal);
+        return result;
+      } catch (error) {
+        finish(labels, startedAt, error, options.signal);
+        throw error;
+      }
+    },
+
+    // Measured until the stream ends, since that's when the reply is complete
+    streamChatCompletion: async (params, options = {}) => {
+      const labels = {
+        provider: provider.name,
+        model: params.model,
+        operation: "stream",
+      };
+      const startedAt = Date.now();
+      let stream;
+      try {
+        stream = await provider.streamChatCompletion(params, options);
+      } catch (error) {
+        finish(labels, startedAt, error, options.signal);
+        throw error;
+      }
+      return (async function* () {
+        let first = true;
+        let failure = null;
+        try {
+          for await (const part of stream) {
+            if (first) {
+              first = false;
+              observe(
+                LLM_FIRST_TOKEN,
+                { provider: provider.name, model: params.model },
+                (Date.now() - startedAt) / 1000
+              );
+            }
+            yield part;
+          }
+        } catch (error) {
+          failure = error;
+          throw error;
+        } finally {
+          // Also reached when the consumer stops reading early
+          finish(labels, startedAt, failure, options.signal);
+        }
+      })();
+    },
+  };
+
+  if (provider.createEmbeddings) {
+    instrumented.createEmbeddings = async (inputs, options) => {
+      const labels = {
+        provider: provider.name,
+        model: options.model,
+        operation: "embeddings",
+      };
+      const startedAt = Date.now();
+      try {
+        const result = await provider.createEmbeddings(inputs, options);
+        finish(labels, startedAt, null);
+        return result;
+      } catch (error) {
+        finish(labels, startedAt, error, options.signal);
+        throw error;
+      }
+    };
+  }
+  return instrumented;
+};
@@ -0,0 +1,254 @@
+// providers/mock.js
+
+// An offline provider that answers instantly and deterministically, for tests
+// and for working on the app without an API key (LLM_PROVIDER=mock).
+// Unless a reply is scripted, it echoes the latest user message. The model
+// picks a failure instead: 'mock/error-<status>' (e.g. mock/error-429) fails
+// every call with that upstream status, as a real provider would.
+// Tests script the replies (see createMockProvider): each call takes the next
+// one, and may get text, tool calls or an error.
+
+import { setTimeout as sleep } from "timers/promises";
+import { ProviderError } from "./providerError.js";
+import { messageText } from "../utils/messages.js";
+
+const ERROR_MODEL_PATTERN = /^mock\/error-(\d{3})$/;
+
+// Messages of the injected errors, worded like the real providers' ones
+const ERROR_MESSAGES = {
+  400: "Invalid request.",
+  401: "Invalid API key.",
+  402: "Insufficient credits.",
+  404: "Model not found.",
+  429: "Rate limit exceeded.",
+  500: "Internal server error.",
+  503: "Service unavailable.",
+};
+
+// Seconds clients are asked to wait after an injected 429
+const RETRY_AFTER_SECONDS = 1;
+
+// The catalog served by listModels, in the OpenRouter format
+const DEFAULT_MODELS = [
+  {
+    id: "mock/echo",
+    name: "Mock: Echo",
+    context_length: 8192,
+    pricing: { prompt: "0", completion: "0" },
+    architecture: { input_modalities: ["text", "image", "file"] },
+    supported_parameters: [
+      "temperature",
+      "top_p",
+      "max_tokens",
+      "stop",
+      "seed",
+      "tools",
+      "tool_choice",
+      "response_format",
+    ],
+  },
+  {
+    id: "mock/small",
+    name: "Mock: Small context",
+    context_length: 256,
+    pricing: { prompt: "0.000001", completion: "0.000002" },
+    architecture: { input_modalities: ["text"] },
+    supported_parameters: ["temperature", "max_tokens"],
+  },
+];
+
+/**
+ * A rough token count, so usage and cost are deterministic.
+ */
+const countTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Turns a scripted reply into a completion result.
+ * @param {Object} reply - { content, tool_calls, finish_reason, usage, model }.
+ * @param {Object} params - The call's params.
+ * @returns {Object} { model, message, finish_reason, usage }.
+ */
+const toCompletion = (reply, params) => {
+  const content = reply.content ?? null;
+  // Tool calls may be scripted as { name, arguments } for brevity
+  const toolCalls = reply.tool_calls?.map((call, index) => ({
+    id: call.id || `call_${index + 1}`,
+    type: "function",
+    function: call.function || {
+      name: call.name,
+      arguments:
+        typeof call.arguments === "string"
+          ? call.arguments
+          : JSON.stringify(call.arguments ?? {}),
+    },
+  }));
+  const promptTokens = countTokens(
+    params.messages.map((message) => messageText(message.content)).join("\n")
+  );
+  const completionTokens = countTokens(content || "");
+  return {
+    model: reply.model || params.model,
+    message: {
+      role: "assistant",
+      content,
+      ...(toolCalls?.length && { tool_calls: toolCalls }),
+    },
+    finish_reason:
+      reply.finish_reason || (toolCalls?.length ? "tool_calls" : "stop"),
+    usage: reply.usage || {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+    },
+  };
+};
+
+/**
+ * Builds the error thrown when a call is cancelled, like fetch's.
+ */
+const abortError = () =>
+  Object.assign(new Error("Request was aborted."), { name: "AbortError" });
+
+/**
+ * Builds the error a provider would throw for an upstream status.
+ */
+const toProviderError = ({ status, message, retryAfter }) =>
+  new ProviderError(
+    status,
+    message || ERROR_MESSAGES[status] || `Mock error ${status}.`,
+    status === 429
+      ? { "retry-after": String(retryAfter ?? RETRY_AFTER_SECONDS) }
+      : {}
+  );
+
+/**
+ * Creates a mock provider.
+ * @param {Object} [config]
+ * @param {string} [config.name='mock'] - Provider name used in requests.
+ * @param {string} [config.label='Mock LLM'] - Display name used in logs and error messages.
+ * @param {Array<Object|Function>} [config.replies] - Scripted replies, used
+ *   one per call in order; then it goes back to echoing. Each is
+ *   { content, tool_calls, finish_reason, usage, model, delayMs } or
+ *   { error: { status, message, retryAfter } }, or a function of the call's
+ *   params returning one. `delayMs` paces streamed replies, a word at a time.
+ * @param {Array<Object>} [config.models] - The catalog returned by listModels.
+ * @returns {Object} The provider, with `calls` (the params of every call, in
+ *   order) and `script(...replies)` to queue more replies.
+ */
+export const createMockProvider = ({
+  name = "mock",
+  label = "Mock LLM",
+  replies = [],
+  models = DEFAULT_MODELS,
+} = {}) => {
+  const queue = [...replies];
+  const calls = [];
+
+  /**
+   * Records a call and works out its reply, throwing scripted errors.
+   * @returns {{completion: Object, delayMs: number}} The reply, and how long
+   *   to wait between streamed words.
+   */
+  const answer = (params, signal) => {
+    calls.push(params);
+    if (signal?.aborted) {
+      throw abortError();
+    }
+    const failure = ERROR_MODEL_PATTERN.exec(params.model || "");
+    if (failure) {
+      throw toProviderError({ status: Number(failure[1]) });
+    }
+    let reply = queue.shift();
+    if (typeof reply === "function") {
+      reply = reply(params);
+    }
+    if (reply?.error) {
+      throw toProviderError(reply.error);
+    }
+    if (!reply) {
+      const lastUser = params.messages.findLast(
+        (message) => message.role === "user"
+      );
+      reply = { content: `Echo: ${messageText(lastUser?.content ?? "")}` };
+    }
+    return { completion: toCompletion(reply, params), delayMs: reply.delayMs };
+  };
+
+  return {
+    name,
+    label,
+    defaultModel: models[0]?.id,
+    requiresApiKey: false,
+    isConfigured: () => true,
+    calls,
+    script: (...more) => queue.push(...more),
+
+    chatCompletion: async (params, { signal } = {}) =>
+      answer(params, signal).completion,
+
+    // Text is streamed a word at a time, tool calls in two argument halves.
+    // Usage comes last, so a cancelled stream never reports it.
+    streamChatCompletion: async (params, { signal } = {}) => {
+      const {
+        completion: { message, finish_reason, usage },
+        delayMs,
+      } = answer(params, signal);
+      return (async function* () {
+        const words = (message.content || "").match(/\S+\s*|\s+/g) || [];
+        yield { role: "assistant", content: words.shift() ?? "" };
+        for (const word of words) {
+          if (delayMs) await sleep(delayMs);
+          if (signal?.aborted) throw abortError();
+          yield { content: word };
+        }
+        for (const [index, call] of (message.tool_calls || []).entries()) {
+          const half = Math.ceil(call.function.arguments.length / 2);
+          yield {
+            tool_calls: [
+              {
+                index,
+                id: call.id,
+                type: "function",
+                function: {
+                  name: call.function.name,
+                  arguments: call.function.arguments.slice(0, half),
+                },
+              },
+            ],
+          };
+          yield {
+            tool_calls: [
+              {
+                index,
+                function: { arguments: call.function.arguments.slice(half) },
+              },
+            ],
+          };
+        }
+        yield { finish_reason };
+        yield { usage };
+      })();
+    },
+
+    listModels: async () => models,
+
+    /**
+     * Embeds texts as small vectors of letter counts, so texts sharing
+     * words come out similar.
+     */
+    createEmbeddings: async (inputs) => ({
+      vectors: inputs.map((text) => {
+        const vector = new Array(26).fill(0);
+        for (const char of text.toLowerCase()) {
+          const index = char.charCodeAt(0) - 97;
+          if (index >= 0 && index < 26) vector[index] += 1;
+        }
+        return vector;
+      }),
+      usage: {
+        prompt_tokens: countTokens(inputs.join("")),
+        total_tokens: countTokens(inputs.join("")),
+      },
+    }),
+  };
+};
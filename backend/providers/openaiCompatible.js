@@ -0,0 +1,160 @@
+// providers/openaiCompatible.js
+
+// Provider for any API that speaks the OpenAI chat completions protocol:
+// OpenRouter, and local servers such as Ollama, LM Studio, llama.cpp or vLLM.
+
+import OpenAI from "openai";
+
+/**
+ * Creates a provider backed by an OpenAI-compatible endpoint.
+ * @param {Object} config
+ * @param {string} config.name - Provider name used in requests.
+ * @param {string} config.label - Display name used in logs and error messages.
+ * @param {string} config.baseURL - Base URL of the API (e.g., 'https://openrouter.ai/api/v1').
+ * @param {string} [config.apiKey] - API key; optional for local servers.
+ * @param {boolean} [config.requiresApiKey=true] - Whether calls fail without a key.
+ * @param {Object} [config.defaultHeaders] - Extra headers sent with every request.
+ * @param {string} config.defaultModel - Model used when a request does not name one.
+ * @param {Function} [config.listModels] - Custom model listing; defaults to GET /models.
+ * @returns {Object} The provider.
+ */
+export const createOpenAICompatibleProvider = ({
+  name,
+  label,
+  baseURL,
+  apiKey,
+  requiresApiKey = true,
+  defaultHeaders,
+  defaultModel,
+  listModels,
+}) => {
+  // The client is created on first use so a missing key only fails the calls
+  // that need it instead of crashing the server at startup.
+  let client = null;
+  const getClient = (requestApiKey) => {
+    // A caller's own key (e.g., a user's stored OpenRouter key) gets its own client
+    if (requestApiKey) {
+      return new OpenAI({
+        baseURL,
+        apiKey: requestApiKey,
+        defaultHeaders,
+        maxRetries: 0,
+      });
+    }
+    if (!client) {
+      client = new OpenAI({
+        baseURL,
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: apiKey || "not-needed",
+        defaultHeaders,
+        // Retries are handled by the routes (utils/retry.js), with fallbacks
+        maxRetries: 0,
+      });
+    }
+    return client;
+  };
+
+  return {
+    name,
+    label,
+    defaultModel,
+    requiresApiKey,
+    isConfigured: () => !requiresApiKey || Boolean(apiKey),
+
+    /**
+     * Runs a chat completion and returns the first choice.
+     * @param {Object} params - OpenAI chat completion params ({ model, messages, ... }).
+     * @param {Object} [options] - { signal } to cancel the upstream request, and an
+     *   optional { apiKey } to use instead of the configured one.
+     * @returns {Promise<Object>} { model, message, finish_reason, usage }.
+     */
+    chatCompletion: async (params, { signal, apiKey: requestApiKey } = {}) => {
+      const completion = await getClient(requestApiKey).chat.completions.create(
+        params,
+        {
+          signal,
+        }
+      );
+      const choice = completion.choices[0];
+      return {
+        model: completion.model || params.model,
+        message: choice.message,
+        finish_reason: choice.finish_reason,
+        usage: completion.usage,
+      };
+    },
+
+    /**
+     * Starts a streaming chat completion. Resolves once the upstream request
+     * has been accepted, so HTTP errors surface before any chunk is relayed.
+     * @param {Object} params - OpenAI chat completion params ({ model, messages, ... }).
+     * @param {Object} [options] - { signal } to cancel the upstream request, and an
+     *   optional { apiKey } to use instead of the configured one.
+     * @returns {Promise<AsyncIterable<Object>>} Chunks of { role, content, tool_calls,
+     *   finish_reason, usage }; `tool_calls` are OpenAI deltas, merged by `index`.
+     */
+    streamChatCompletion: async (
+      params,
+      { signal, apiKey: requestApiKey } = {}
+    ) => {
+      const stream = await getClient(requestApiKey).chat.completions.create(
+        {
+          ...params,
+          stream: true,
+          stream_options: { include_usage: true }, // Ask for usage in the final chunk
+        },
+        { signal }
+      );
+
+      return (async function* () {
+        for await (const chunk of stream) {
+          const choice = chunk.choices?.[0];
+          yield {
+            role: choice?.delta?.role,
+            content: choice?.delta?.content,
+            tool_calls: choice?.delta?.tool_calls,
+            finish_reason: choice?.finish_reason,
+            usage: chunk.usage,
+          };
+        }
+      })();
+    },
+
+    /**
+     * Embeds texts with an embedding model (used by the knowledge base).
+     * @param {Array<string>} inputs - The texts to embed.
+     * @param {Object} options - { model }, plus an optional { signal } and { apiKey }.
+     * @returns {Promise<{vectors: Array<Array<number>>, usage: Object}>} One
+     *   vector per input, in order, and the tokens used.
+     */
+    createEmbeddings: async (
+      inputs,
+      { model, signal, apiKey: requestApiKey }
+    ) => {
+      const response = await getClient(requestApiKey).embeddings.create(
+        { model, input: inputs },
+        { signal }
+      );
+      return {
+        vectors: [...response.data]
+          .sort((a, b) => a.index - b.index)
+          .map((item) => item.embedding),
+        usage: response.usage,
+      };
+    },
+
+    /**
+     * Lists the models this provider offers.
+     * @returns {Promise<Array<Object>>} Model objects with at least an `id`.
+     */
+    listModels:
+      listModels ||
+      (async () => {
+        const page = await getClient().models.list();
+        return page.data.map((model) => ({
+          ...model,
+          name: model.name || model.id,
+        }));
+      }),
+  };
+};
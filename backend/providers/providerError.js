@@ -0,0 +1,21 @@
+// providers/providerError.js
+
+/**
+ * Error thrown by providers that talk to their API without the OpenAI SDK.
+ * It carries the upstream HTTP `status` and response `headers` in the same
+ * properties the SDK uses, so routes can map and retry errors the same way
+ * regardless of provider.
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {number} status - The upstream HTTP status code.
+   * @param {string} message - A human-readable description of the failure.
+   * @param {Headers} [headers] - The upstream response headers (e.g., Retry-After).
+   */
+  constructor(status, message, headers) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.headers = headers;
+  }
+}
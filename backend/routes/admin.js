@@ -0,0 +1,174 @@
+// routes/admin.js
+
+// User and token management for admins (mounted behind requireAdmin):
+//   GET    /api/admin/users            - list users
+//   POST   /api/admin/users            - create a user
+//   PATCH  /api/admin/users/:id        - reset password and/or change role
+//   DELETE /api/admin/users/:id        - delete a user (and their tokens)
+//   DELETE /api/admin/users/:id/tokens - sign a user out everywhere
+//   GET    /api/admin/tokens           - list tokens (?userId= to filter)
+//   DELETE /api/admin/tokens/:id       - revoke a token
+
+import express from "express";
+import {
+  createUser,
+  deleteUser,
+  getUser,
+  listTokens,
+  listUsers,
+  revokeToken,
+  revokeUserTokens,
+  toPublicToken,
+  toPublicUser,
+  updateUser,
+  USER_ROLES,
+  validatePassword,
+} from "../services/auth.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * Logs an account store failure and sends a generic 500 response.
+ */
+const sendStoreError = (res, error, action) => {
+  logger.error("Account store error", { action, error });
+  res.status(500).json({ error: `Failed to ${action}.` });
+};
+
+/**
+ * GET /api/admin/users
+ * Lists all users, oldest first.
+ */
+router.get("/users", async (req, res) => {
+  try {
+    const all = await listUsers();
+    all.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ success: true, data: all.map(toPublicUser) });
+  } catch (error) {
+    sendStoreError(res, error, "list users");
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Body: { username, password, role? ('user' or 'admin') }.
+ */
+router.post("/users", async (req, res) => {
+  try {
+    const { user, error } = await createUser(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json({ success: true, data: toPublicUser(user) });
+  } catch (error) {
+    sendStoreError(res, error, "create user");
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:id
+ * Body: { password?, role? }. A new password signs the user out everywhere.
+ */
+router.patch("/users/:id", async (req, res) => {
+  const { password, role } = req.body || {};
+  if (password === undefined && role === undefined) {
+    return res.status(400).json({ error: "Nothing to update." });
+  }
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+  }
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ error: `'role' must be one of: ${USER_ROLES.join(", ")}.` });
+  }
+  // Keep at least one admin able to manage the server
+  if (req.params.id === req.user.id && role && role !== "admin") {
+    return res
+      .status(400)
+      .json({ error: "You cannot remove your own admin role." });
+  }
+
+  try {
+    const user = await updateUser(req.params.id, { password, role });
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    res.json({ success: true, data: toPublicUser(user) });
+  } catch (error) {
+    sendStoreError(res, error, "update user");
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id
+ * Deletes a user and revokes their tokens. Their conversations are kept.
+ */
+router.delete("/users/:id", async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res
+      .status(400)
+      .json({ error: "You cannot delete your own account." });
+  }
+
+  try {
+    const deleted = await deleteUser(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "delete user");
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/tokens
+ * Revokes every session and API token of a user.
+ */
+router.delete("/users/:id/tokens", async (req, res) => {
+  try {
+    if (!(await getUser(req.params.id))) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    const revoked = await revokeUserTokens(req.params.id);
+    res.json({ success: true, data: { revoked } });
+  } catch (error) {
+    sendStoreError(res, error, "revoke tokens");
+  }
+});
+
+/**
+ * GET /api/admin/tokens
+ * Lists tokens (never the secrets), newest first; `?userId=` filters by user.
+ */
+router.get("/tokens", async (req, res) => {
+  try {
+    const records = await listTokens(req.query.userId);
+    res.json({ success: true, data: records.map(toPublicToken) });
+  } catch (error) {
+    sendStoreError(res, error, "list tokens");
+  }
+});
+
+/**
+ * DELETE /api/admin/tokens/:id
+ * Revokes a single token.
+ */
+router.delete("/tokens/:id", async (req, res) => {
+  try {
+    const revoked = await revokeToken(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: "Token not found." });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "revoke token");
+  }
+});
+
+export default router;
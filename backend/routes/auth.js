@@ -0,0 +1,267 @@
+// routes/auth.js
+
+// Sign-in and account self-service:
+//   POST   /api/auth/login                  - sign in (public)
+//   POST   /api/auth/logout                 - end the current session
+//   GET    /api/auth/me                     - the signed-in user
+//   PUT    /api/auth/me/password            - change password
+//   PUT    /api/auth/me/api-keys/:provider  - store your own provider API key
+//   DELETE /api/auth/me/api-keys/:provider  - remove it (falls back to the server key)
+//   GET    /api/auth/tokens                 - list your sessions and API tokens
+//   POST   /api/auth/tokens                 - create an API token for scripts
+//   DELETE /api/auth/tokens/:id             - revoke one of your tokens
+
+import express from "express";
+import {
+  authenticate,
+  canStoreApiKeys,
+  encryptSecret,
+  getToken,
+  issueToken,
+  listTokens,
+  revokeToken,
+  SESSION_TTL_MS,
+  toPublicToken,
+  toPublicUser,
+  updateUser,
+  validatePassword,
+} from "../services/auth.js";
+import { SESSION_COOKIE } from "../middleware/auth.js";
+import { getProvider } from "../providers/index.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+const sessionCookieOptions = {
+  httpOnly: true, // Not readable from page scripts
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production", // HTTPS only in production
+  path: "/",
+};
+
+/**
+ * Logs an account store failure and sends a generic 500 response.
+ */
+const sendStoreError = (res, error, action) => {
+  logger.error("Account store error", { action, error });
+  res.status(500).json({ error: `Failed to ${action}.` });
+};
+
+/**
+ * The signed-in user as returned to themselves: the public fields plus
+ * whether the server can store personal API keys.
+ */
+const toAccount = (user) => ({
+  ...toPublicUser(user),
+  canStoreApiKeys: canStoreApiKeys(),
+});
+
+/**
+ * POST /api/auth/login
+ * Body: { username, password, mode? }. By default the session is set as an
+ * HttpOnly cookie; `mode: "token"` returns it in the body instead, for
+ * clients that send `Authorization: Bearer` headers.
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const { username, password, mode = "cookie" } = req.body || {};
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid username or password." });
+    }
+
+    const { token, record } = await issueToken(user.id, { type: "session" });
+    if (mode === "token") {
+      return res.json({
+        success: true,
+        data: { user: toAccount(user), token, expiresAt: record.expiresAt },
+      });
+    }
+
+    res.cookie(SESSION_COOKIE, token, {
+      ...sessionCookieOptions,
+      maxAge: SESSION_TTL_MS,
+    });
+    res.json({ success: true, data: { user: toAccount(user) } });
+  } catch (error) {
+    sendStoreError(res, error, "sign in");
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the token used for this request and clears the session cookie.
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeToken(req.token.id);
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "sign out");
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Returns the signed-in user, plus whether personal API keys can be stored.
+ */
+router.get("/me", (req, res) => {
+  res.json({ success: true, data: toAccount(req.user) });
+});
+
+/**
+ * PUT /api/auth/me/password
+ * Body: { currentPassword, newPassword }. Signs out all other sessions.
+ */
+router.put("/me/password", async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!(await authenticate(req.user.username, currentPassword))) {
+      return res.status(403).json({ error: "Current password is incorrect." });
+    }
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await updateUser(req.user.id, { password: newPassword });
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions);
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "change password");
+  }
+});
+
+/**
+ * Resolves the :provider parameter to a provider that takes API keys,
+ * sending a 400 otherwise.
+ * @returns {Object|null} The provider, or null if a response was sent.
+ */
+const resolveKeyProvider = (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider || !provider.requiresApiKey) {
+    res.status(400).json({
+      error: `'${req.params.provider}' is not a provider that uses API keys.`,
+    });
+    return null;
+  }
+  return provider;
+};
+
+/**
+ * PUT /api/auth/me/api-keys/:provider
+ * Body: { apiKey }. Stores the key encrypted; it is used instead of the
+ * server's key for this user's requests and is never sent back.
+ */
+router.put("/me/api-keys/:provider", async (req, res) => {
+  const provider = resolveKeyProvider(req, res);
+  if (!provider) return;
+
+  if (!canStoreApiKeys()) {
+    return res.status(501).json({
+      error:
+        "This server is not configured to store API keys (API_KEY_ENCRYPTION_KEY is not set).",
+    });
+  }
+  const { apiKey } = req.body || {};
+  if (typeof apiKey !== "string" || !apiKey.trim()) {
+    return res
+      .status(400)
+      .json({ error: "'apiKey' must be a non-empty string." });
+  }
+
+  try {
+    const user = await updateUser(req.user.id, {
+      apiKeys: {
+        ...req.user.apiKeys,
+        [provider.name]: encryptSecret(apiKey.trim()),
+      },
+    });
+    res.json({ success: true, data: toPublicUser(user) });
+  } catch (error) {
+    sendStoreError(res, error, "save API key");
+  }
+});
+
+/**
+ * DELETE /api/auth/me/api-keys/:provider
+ * Removes the user's key for a provider.
+ */
+router.delete("/me/api-keys/:provider", async (req, res) => {
+  const provider = resolveKeyProvider(req, res);
+  if (!provider) return;
+
+  try {
+    const apiKeys = { ...req.user.apiKeys };
+    delete apiKeys[provider.name];
+    const user = await updateUser(req.user.id, { apiKeys });
+    res.json({ success: true, data: toPublicUser(user) });
+  } catch (error) {
+    sendStoreError(res, error, "remove API key");
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * Lists the signed-in user's sessions and API tokens (never the secrets).
+ */
+router.get("/tokens", async (req, res) => {
+  try {
+    const records = await listTokens(req.user.id);
+    res.json({
+      success: true,
+      data: records.map((record) => ({
+        ...toPublicToken(record),
+        current: record.id === req.token.id,
+      })),
+    });
+  } catch (error) {
+    sendStoreError(res, error, "list tokens");
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Body: { name }. Creates a long-lived API token. The token is only shown in
+ * this response.
+ */
+router.post("/tokens", async (req, res) => {
+  const { name } = req.body || {};
+  if (typeof name !== "string" || !name.trim()) {
+    return res
+      .status(400)
+      .json({ error: "'name' must be a non-empty string." });
+  }
+
+  try {
+    const { token, record } = await issueToken(req.user.id, {
+      type: "api",
+      name: name.trim().slice(0, 60),
+    });
+    res
+      .status(201)
+      .json({ success: true, data: { ...toPublicToken(record), token } });
+  } catch (error) {
+    sendStoreError(res, error, "create token");
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revokes one of the signed-in user's tokens.
+ */
+router.delete("/tokens/:id", async (req, res) => {
+  try {
+    const record = await getToken(req.params.id);
+    if (!record || record.userId !== req.user.id) {
+      return res.status(404).json({ error: "Token not found." });
+    }
+    await revokeToken(record.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "revoke token");
+  }
+});
+
+export default router;
@@ -0,0 +1,858 @@
+// routes/chat.js
+
+// The app's own chat routes, mounted under /api:
+//   POST /api/chat/completion - chat completions, streamed or not, with tools,
+//                               structured output and knowledge base sources
+//   GET  /api/chat/tools      - the server-side tools models may call
+//   POST /api/chat/compare    - the same prompt sent to several models
+//   GET  /api/models          - the provider's model catalog, filtered
+
+import express from "express";
+import crypto from "crypto";
+import {
+  filterModels,
+  getCatalog,
+  getModelInfo,
+  parseCatalogFilters,
+} from "../services/modelCatalog.js";
+import { estimateUsage, recordUsage } from "../services/usage.js";
+import {
+  getCollection,
+  searchCollection,
+  toCitations,
+  withSources,
+} from "../services/knowledgeBase.js";
+import {
+  findUnsupportedModality,
+  messageText,
+  validateMessages,
+} from "../utils/messages.js";
+import {
+  clampToModelLimits,
+  validateGenerationParams,
+} from "../utils/generationParams.js";
+import { fitToContext, parseContextStrategy } from "../utils/contextWindow.js";
+import {
+  parseFallbackModels,
+  withFallback,
+  withRetry,
+} from "../utils/retry.js";
+import {
+  listTools,
+  parseToolRequest,
+  runToolCall,
+  toToolDefinitions,
+  toToolMessage,
+} from "../tools/index.js";
+import {
+  checkStructuredReply,
+  compileResponseSchema,
+  parseSchemaRetries,
+  supportsJsonSchema,
+  toPromptedSchema,
+  toRepairMessages,
+} from "../utils/structuredOutput.js";
+import {
+  abortOnClose,
+  createRequestError,
+  describeFailures,
+  describeProviderError,
+  ensureWithinBudget,
+  resolveCredentials,
+  resolveProvider,
+  sendProviderError,
+} from "../utils/http.js";
+import { logger } from "../utils/logger.js";
+import { toErrorEnvelope } from "../utils/errors.js";
+
+const router = express.Router();
+
+// ==========================================
+// Server-Sent Events Helpers
+// ==========================================
+
+/**
+ * Writes a single named Server-Sent Event to the response.
+ * @param {import("express").Response} res - The Express response to write to.
+ * @param {string} event - The event name (e.g., 'delta', 'done', 'error').
+ * @param {Object} data - The payload, serialized as JSON on the `data:` line.
+ */
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Starts a Server-Sent Events response. Once called, the HTTP status is sent,
+ * so later failures can only be reported as an `error` event.
+ * @param {import("express").Response} res - The Express response to stream into.
+ */
+const openEventStream = (res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (e.g., nginx) so tokens arrive immediately
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Relays an upstream streaming completion to the client, emitting a `delta`
+ * event for every content token, and collects the whole reply into `reply`.
+ * If the stream fails or is cancelled, `reply` still holds what arrived
+ * before, so the tokens already generated can be accounted for.
+ * @param {import("express").Response} res - The event stream to write to.
+ * @param {AsyncIterable<Object>} completionStream - The provider's normalized chunk stream.
+ * @param {Object} reply - Filled in the same shape as a non-streaming
+ *   completion: { message: { role, content, tool_calls? }, finish_reason, usage }.
+ * @returns {Promise<Object>} The reply.
+ */
+const relayCompletionStream = async (res, completionStream, reply) => {
+  const { message } = reply;
+  const toolCalls = [];
+
+  try {
+    for await (const chunk of completionStream) {
+      if (chunk.role) {
+        message.role = chunk.role;
+      }
+      if (chunk.content) {
+        message.content += chunk.content;
+        sendEvent(res, "delta", { content: chunk.content });
+      }
+      // Tool calls arrive in pieces: the first delta of each has its ID and
+      // name, and the arguments JSON is spread over the following ones
+      for (const delta of chunk.tool_calls || []) {
+        const call = (toolCalls[delta.index] ??= {
+          id: "",
+          type: "function",
+          function: { name: "", arguments: "" },
+        });
+        call.id += delta.id || "";
+        call.function.name += delta.function?.name || "";
+        call.function.arguments += delta.function?.arguments || "";
+      }
+      if (chunk.finish_reason) {
+        reply.finish_reason = chunk.finish_reason;
+      }
+      // Usage typically arrives on the last chunk
+      if (chunk.usage) {
+        reply.usage = chunk.usage;
+      }
+    }
+  } finally {
+    if (toolCalls.length) {
+      message.tool_calls = toolCalls.filter(Boolean);
+    }
+  }
+  return reply;
+};
+
+/**
+ * Ends an event stream with an `error` event; the HTTP status has already
+ * been sent, so this is the only way left to report a failure.
+ * The event carries the same error envelope as a JSON error response.
+ * @param {import("express").Response} res - The event stream.
+ * @param {Error} error - What went wrong.
+ * @param {Object} provider - The provider that was being called.
+ */
+const failEventStream = (res, error, provider) => {
+  logger.error("Stream error in /api/chat/completion", { error });
+  const { status, body } = describeProviderError(error, provider);
+  sendEvent(
+    res,
+    "error",
+    toErrorEnvelope(
+      status,
+      body.code === "internal_error"
+        ? { ...body, error: "The response stream was interrupted." }
+        : body,
+      res.req.id
+    )
+  );
+  res.end();
+};
+
+/**
+ * Adds up token usage over the calls of one request.
+ * @param {Object|null} total - The usage so far.
+ * @param {Object|null} usage - One call's usage.
+ * @returns {Object|null} The sum, or null if no call reported usage.
+ */
+const addUsage = (total, usage) => {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens:
+      (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0),
+  };
+};
+
+/**
+ * Builds the `summarize` callback used by the 'summarize' context strategy:
+ * a short completion from the same model, paid with the same credentials
+ * and recorded like any other call.
+ * @returns {Function} Sends a prompt and resolves to the model's text.
+ */
+const createSummarizer =
+  ({ req, provider, model, credentials, signal }) =>
+  async (prompt, maxTokens) => {
+    const completion = await withRetry(
+      () =>
+        provider.chatCompletion(
+          {
+            model,
+            messages: [{ role: "user", content: prompt }],
+            max_tokens: maxTokens,
+            temperature: 0.3,
+          },
+          { ...credentials, signal }
+        ),
+      { signal, label: `context summary (${model})` }
+    );
+    await recordUsage({
+      req,
+      provider,
+      model,
+      usage: completion.usage,
+      credentials,
+      source: "context-summary",
+    });
+    return completion.message.content || "";
+  };
+
+// ==========================================
+// API ROUTES
+// ==========================================
+
+/**
+ * POST /api/chat/completion
+ * Handles chat completion requests by forwarding them to an LLM provider
+ * (OpenRouter by default; pick another with `provider` in the body).
+ * Optional generation parameters (temperature, top_p, max_tokens, stop, seed,
+ * presence_penalty, frequency_penalty, response_format) are validated, and
+ * max_tokens is clamped to the model's limits from the catalog.
+ * When the body contains `stream: true`, the response is a `text/event-stream`
+ * of `delta` events followed by a final `done` event with usage and finish reason.
+ * Every call's usage and cost are recorded, and refused once a budget is used up.
+ * Histories longer than the model's context window are trimmed according to
+ * `context_strategy` (see utils/contextWindow.js); the response's `context`
+ * reports the estimated size and what was dropped or summarized.
+ * Transient upstream failures are retried (see utils/retry.js), and
+ * `fallback_models` lists models to try in order if the requested one fails;
+ * the response names the `model` that answered and the `failed_attempts`.
+ * `tools` names server-side tools the model may call (see tools/index.js).
+ * The server then runs the loop itself: each round of tool calls is executed
+ * and the results are sent back to the model, for at most `max_tool_steps`
+ * rounds (the last call forbids further tool calls). Every invocation is
+ * returned in `tool_calls`; when streaming, each one is also announced with
+ * a `tool_call` event and its outcome with a `tool_result` event.
+ * With `response_format: { type: "json_schema", json_schema: { schema } }`
+ * the reply is parsed and validated against the schema (see
+ * utils/structuredOutput.js); invalid replies are sent back with the errors
+ * up to `schema_retries` times (each retry streams a `schema_retry` event,
+ * after which the text starts over). The response adds `parsed`, `valid`
+ * and `structured` ({ mode, attempts, errors }).
+ * `collection_id` names a knowledge base collection (see
+ * services/knowledgeBase.js): the chunks most relevant to the latest user
+ * message are added to the prompt as numbered sources, and the response's
+ * `citations` describes them, with `cited` set on those the reply refers to.
+ */
+router.post("/chat/completion", async (req, res) => {
+  const provider = resolveProvider(res, req.body?.provider);
+  if (!provider) return;
+  const credentials = resolveCredentials(req, res, provider);
+  if (!credentials) return;
+  if (!(await ensureWithinBudget(req, res, credentials))) return;
+
+  // Cancel the upstream request if the client goes away (e.g., pressed Stop)
+  const signal = abortOnClose(res);
+
+  try {
+    // Destructure messages, model and stream flag from the request body
+    // Default model to the provider's default (e.g., 'openai/gpt-4o') if not provided
+    const {
+      messages,
+      model = provider.defaultModel,
+      stream = false,
+    } = req.body;
+
+    // Input validation: Ensure messages is a non-empty array of
+    // well-formed { role, content } objects (or tool-calling turns)
+    const validationError = validateMessages(messages, {
+      allowToolCalls: true,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { params: generationParams, error: paramsError } =
+      validateGenerationParams(req.body);
+    if (paramsError) {
+      return res.status(400).json({ error: paramsError });
+    }
+
+    const { strategy, error: strategyError } = parseContextStrategy(
+      req.body.context_strategy
+    );
+    if (strategyError) {
+      return res.status(400).json({ error: strategyError });
+    }
+
+    const { models: fallbackModels, error: fallbackError } =
+      parseFallbackModels(req.body.fallback_models);
+    if (fallbackError) {
+      return res.status(400).json({ error: fallbackError });
+    }
+
+    const { tools, maxSteps, error: toolsError } = parseToolRequest(req.body);
+    if (toolsError) {
+      return res.status(400).json({ error: toolsError });
+    }
+
+    const { validate: validateReply, error: schemaError } =
+      compileResponseSchema(generationParams.response_format);
+    if (schemaError) {
+      return res.status(400).json({ error: schemaError });
+    }
+    const { retries: schemaRetries, error: retriesError } = parseSchemaRetries(
+      req.body.schema_retries
+    );
+    if (retriesError) {
+      return res.status(400).json({ error: retriesError });
+    }
+
+    // Knowledge base: look up what the collection says about the latest question
+    let retrieval = null;
+    if (req.body.collection_id != null) {
+      if (typeof req.body.collection_id !== "string") {
+        return res
+          .status(400)
+          .json({ error: "'collection_id' must be a collection ID." });
+      }
+      const collection = await getCollection(req.body.collection_id, req.user);
+      if (!collection) {
+        return res.status(404).json({ error: "Collection not found." });
+      }
+      const question = messages.findLast((msg) => msg.role === "user");
+      const results = await searchCollection(
+        collection,
+        messageText(question?.content),
+        { req, signal }
+      );
+      retrieval = { collection, results };
+    }
+    const groundedMessages = retrieval?.results.length
+      ? withSources(messages, retrieval.collection, retrieval.results)
+      : messages;
+
+    /**
+     * Prepares the call for one model: checks it can take the request, then
+     * clamps the parameters and fits the history to its context window. Each
+     * fallback model is prepared on its own, since limits differ per model.
+     */
+    const prepareCall = async (candidate) => {
+      // Look up the model's limits; if the catalog is unavailable we skip clamping
+      const modelInfo = await getModelInfo(provider, candidate);
+
+      // Attachments (images, PDFs) need a model that accepts that kind of input
+      const unsupportedModality = findUnsupportedModality(messages, modelInfo);
+      if (unsupportedModality) {
+        throw createRequestError(
+          400,
+          `Model '${candidate}' does not accept ${unsupportedModality} input.`,
+          "model_incompatible"
+        );
+      }
+
+      // Models that don't list tool support in the catalog would ignore the tools
+      const supported = modelInfo?.supported_parameters;
+      if (
+        tools.length > 0 &&
+        Array.isArray(supported) &&
+        !supported.includes("tools")
+      ) {
+        throw createRequestError(
+          400,
+          `Model '${candidate}' does not support tool calling.`,
+          "model_incompatible"
+        );
+      }
+
+      // Models without native JSON Schema support get the schema in the prompt
+      const structuredMode =
+        validateReply && (supportsJsonSchema(modelInfo) ? "native" : "prompt");
+      const prepared =
+        structuredMode === "prompt"
+          ? toPromptedSchema(
+              groundedMessages,
+              clampToModelLimits(generationParams, modelInfo),
+              modelInfo
+            )
+          : {
+              messages: groundedMessages,
+              params: clampToModelLimits(generationParams, modelInfo),
+            };
+      const limitedParams = prepared.params;
+
+      // Make long histories fit the model's context window
+      const fitted = await fitToContext(prepared.messages, {
+        modelInfo,
+        maxTokens: limitedParams.max_tokens,
+        strategy,
+        summarize: createSummarizer({
+          req,
+          provider,
+          model: candidate,
+          credentials,
+          signal,
+        }),
+      });
+      if (fitted.error) {
+        throw createRequestError(400, fitted.error, "context_length_exceeded");
+      }
+
+      return {
+        params: {
+          model: candidate, // The AI model to use (e.g., 'openai/gpt-4o')
+          messages: fitted.messages, // The conversation history, trimmed to fit if needed
+          temperature: 0.7, // Default creativity of the response (0.0 - 2.0)
+          ...limitedParams,
+          ...(tools.length > 0 && { tools: toToolDefinitions(tools) }),
+        },
+        context: fitted.context,
+        structuredMode,
+      };
+    };
+
+    // Prepared calls by model: retries reuse them rather than looking the
+    // model up and fitting the context again. Failed preparations aren't kept.
+    const preparedCalls = new Map();
+
+    /**
+     * Starts the call for one model. Runs again for every retry and
+     * fallback model.
+     */
+    const callModel = async (candidate) => {
+      if (!preparedCalls.has(candidate)) {
+        preparedCalls.set(candidate, await prepareCall(candidate));
+      }
+      const { params, context, structuredMode } = preparedCalls.get(candidate);
+      const options = { ...credentials, signal };
+
+      // In streaming mode the upstream call is awaited here, before anything
+      // is relayed, so failures can still be retried or reported with a
+      // proper HTTP status by the catch block below
+      const completion = stream
+        ? await provider.streamChatCompletion(params, options)
+        : await provider.chatCompletion(params, options);
+      return { completion, params, context, structuredMode };
+    };
+
+    // The requested model first, then any fallbacks, each with retries
+    const {
+      result: { completion, params, context, structuredMode },
+      model: answeredBy,
+      failures,
+    } = await withFallback(
+      [model, ...fallbackModels.filter((fallback) => fallback !== model)],
+      callModel,
+      { signal, label: "/api/chat/completion" }
+    );
+
+    // Streaming mode: proxy the upstream deltas to the client as Server-Sent Events
+    if (stream) {
+      openEventStream(res);
+    }
+
+    // Every call's tokens and cost are recorded and added up
+    let usage = null;
+    let cost = null;
+    /**
+     * Reads a reply (relaying it when streaming) and accounts for it. A
+     * stream that is stopped or fails midway is accounted for too, with
+     * estimated usage if the provider never reported it.
+     * @param {Object} pending - The completion, or the stream to relay.
+     * @param {Array<Object>} sentMessages - The messages of the call.
+     */
+    const receive = async (pending, sentMessages) => {
+      const next = stream
+        ? {
+            message: { role: "assistant", content: "" },
+            finish_reason: null,
+            usage: null,
+          }
+        : pending;
+      try {
+        if (stream) await relayCompletionStream(res, pending, next);
+      } finally {
+        usage = addUsage(usage, next.usage);
+        const callCost = await recordUsage({
+          req,
+          provider,
+          model: answeredBy,
+          usage: next.usage || estimateUsage(sentMessages, next.message),
+          credentials,
+          source: "chat",
+        });
+        if (callCost !== null) {
+          cost = (cost || 0) + callCost;
+        }
+      }
+      return next;
+    };
+    /**
+     * Calls the answering model again (after tool calls or an invalid reply).
+     */
+    const callAgain = (nextParams, label) =>
+      withRetry(
+        () =>
+          stream
+            ? provider.streamChatCompletion(nextParams, {
+                ...credentials,
+                signal,
+              })
+            : provider.chatCompletion(nextParams, { ...credentials, signal }),
+        { signal, label: `/api/chat/completion (${answeredBy}, ${label})` }
+      );
+
+    // The tool loop: while the model asks for tools, run them and call it
+    // again with the results
+    const history = [...params.messages];
+    const invocations = [];
+    let reply = await receive(completion, params.messages);
+    for (let step = 1; ; step += 1) {
+      const toolCalls = reply.message.tool_calls;
+      if (!toolCalls?.length || tools.length === 0 || step > maxSteps) {
+        break;
+      }
+
+      history.push({
+        role: "assistant",
+        content: reply.message.content || null,
+        tool_calls: toolCalls,
+      });
+      for (const call of toolCalls) {
+        if (stream) {
+          sendEvent(res, "tool_call", {
+            id: call.id,
+            name: call.function.name,
+            arguments: call.function.arguments,
+          });
+        }
+        const invocation = await runToolCall(call, tools, { signal });
+        invocations.push({ ...invocation, step });
+        history.push(toToolMessage(invocation));
+        if (stream) {
+          sendEvent(res, "tool_result", invocation);
+        }
+      }
+
+      // After the last allowed round the model has to answer in text
+      reply = await receive(
+        await callAgain(
+          {
+            ...params,
+            messages: history,
+            ...(step === maxSteps && { tool_choice: "none" }),
+          },
+          "tool step"
+        ),
+        history
+      );
+    }
+
+    // Structured output: validate the reply, and let the model repair it
+    let structured = {};
+    if (validateReply) {
+      let check = checkStructuredReply(reply.message.content, validateReply);
+      let attempts = 1;
+      for (; !check.valid && attempts <= schemaRetries; attempts += 1) {
+        if (stream) {
+          sendEvent(res, "schema_retry", {
+            attempt: attempts,
+            errors: check.errors,
+          });
+        }
+        history.push(...toRepairMessages(reply.message.content, check.errors));
+        reply = await receive(
+          await callAgain(
+            {
+              ...params,
+              messages: history,
+              ...(tools.length > 0 && { tool_choice: "none" }),
+            },
+            "schema repair"
+          ),
+          history
+        );
+        check = checkStructuredReply(reply.message.content, validateReply);
+      }
+      structured = {
+        parsed: check.parsed, // The reply as JSON (null if it isn't JSON)
+        valid: check.valid, // Whether it matches the schema
+        structured: {
+          mode: structuredMode, // 'native' or 'prompt'
+          attempts: Math.min(attempts, schemaRetries + 1),
+          errors: check.errors, // What is still wrong, if not valid
+        },
+      };
+    }
+
+    const extra = {
+      model: answeredBy, // The model that answered (may be a fallback)
+      failed_attempts: describeFailures(failures, provider), // Models that failed first, if any
+      cost, // USD, from the catalog's pricing (null if unknown)
+      context, // Estimated prompt size and any trimming applied
+      ...(tools.length > 0 && { tool_calls: invocations }), // Tools run, in order
+      ...structured,
+      // The knowledge base excerpts the model was given
+      ...(retrieval && {
+        citations: toCitations(
+          retrieval.collection,
+          retrieval.results,
+          reply.message.content
+        ),
+      }),
+    };
+
+    if (stream) {
+      sendEvent(res, "done", {
+        role: reply.message.role,
+        finish_reason: reply.finish_reason,
+        usage,
+        ...extra,
+      });
+      return res.end();
+    }
+
+    // Send back a successful response with the AI's message and usage info
+    res.json({
+      success: true,
+      data: {
+        message: reply.message, // The actual AI message
+        usage, // API token usage details, summed over tool steps
+        ...extra,
+        finish_reason: reply.finish_reason, // 'length' means max_tokens was hit
+        max_tokens: params.max_tokens, // The limit actually applied, after clamping
+      },
+    });
+  } catch (error) {
+    // The client disconnected and we cancelled upstream; nobody is left to answer
+    if (signal.aborted) {
+      if (res.headersSent) res.end();
+      return;
+    }
+    if (res.headersSent) {
+      return failEventStream(res, error, provider);
+    }
+    sendProviderError(res, error, provider, "/api/chat/completion");
+  }
+});
+
+/**
+ * GET /api/chat/tools
+ * Lists the tools models may call ({ name, description, parameters }), for
+ * the `tools` field of /api/chat/completion.
+ */
+router.get("/chat/tools", (req, res) => {
+  res.json({ success: true, data: listTools() });
+});
+
+// Most models a single compare request may fan out to
+const MAX_COMPARE_MODELS = 4;
+
+/**
+ * POST /api/chat/compare
+ * Sends the same messages to 2-4 models concurrently and reports each result
+ * separately, so one failing model does not sink the whole batch. Every entry
+ * carries its own latency, token usage and cost. Accepts the same generation
+ * parameters and `context_strategy` as /api/chat/completion; the history is
+ * fitted to each model's own context window. Transient failures are retried,
+ * but there are no fallbacks: the point is to hear from these exact models.
+ */
+router.post("/chat/compare", async (req, res) => {
+  const provider = resolveProvider(res, req.body?.provider);
+  if (!provider) return;
+  const credentials = resolveCredentials(req, res, provider);
+  if (!credentials) return;
+  if (!(await ensureWithinBudget(req, res, credentials))) return;
+
+  // Cancel every upstream request if the client goes away
+  const signal = abortOnClose(res);
+  const { messages, models } = req.body;
+
+  const validationError = validateMessages(messages);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  if (
+    !Array.isArray(models) ||
+    models.length < 2 ||
+    models.length > MAX_COMPARE_MODELS ||
+    !models.every((model) => typeof model === "string" && model) ||
+    new Set(models).size !== models.length
+  ) {
+    return res.status(400).json({
+      error: `'models' must list between 2 and ${MAX_COMPARE_MODELS} distinct model IDs.`,
+    });
+  }
+
+  const { params: generationParams, error: paramsError } =
+    validateGenerationParams(req.body);
+  if (paramsError) {
+    return res.status(400).json({ error: paramsError });
+  }
+
+  const { strategy, error: strategyError } = parseContextStrategy(
+    req.body.context_strategy
+  );
+  if (strategyError) {
+    return res.status(400).json({ error: strategyError });
+  }
+
+  // Run one completion and time it; failures are captured, never thrown
+  const runModel = async (model) => {
+    const startedAt = performance.now();
+    try {
+      const modelInfo = await getModelInfo(provider, model);
+      const unsupportedModality = findUnsupportedModality(messages, modelInfo);
+      if (unsupportedModality) {
+        return {
+          model,
+          success: false,
+          status: 400,
+          error: `Model '${model}' does not accept ${unsupportedModality} input.`,
+          latencyMs: 0,
+        };
+      }
+      const limitedParams = clampToModelLimits(generationParams, modelInfo);
+      const fitted = await fitToContext(messages, {
+        modelInfo,
+        maxTokens: limitedParams.max_tokens,
+        strategy,
+        summarize: createSummarizer({
+          req,
+          provider,
+          model,
+          credentials,
+          signal,
+        }),
+      });
+      if (fitted.error) {
+        return {
+          model,
+          success: false,
+          status: 400,
+          error: fitted.error,
+          latencyMs: 0,
+        };
+      }
+      const completion = await withRetry(
+        () =>
+          provider.chatCompletion(
+            {
+              model,
+              messages: fitted.messages,
+              temperature: 0.7,
+              ...limitedParams,
+            },
+            { ...credentials, signal }
+          ),
+        { signal, label: `/api/chat/compare (${model})` }
+      );
+      const cost = await recordUsage({
+        req,
+        provider,
+        model,
+        usage: completion.usage,
+        credentials,
+        source: "compare",
+      });
+      return {
+        model,
+        success: true,
+        message: completion.message,
+        finish_reason: completion.finish_reason,
+        usage: completion.usage,
+        cost,
+        context: fitted.context,
+        latencyMs: Math.round(performance.now() - startedAt),
+      };
+    } catch (error) {
+      if (!signal.aborted) {
+        logger.error("Provider error in /api/chat/compare", {
+          provider: provider.name,
+          model,
+          error,
+        });
+      }
+      const { status, body } = describeProviderError(error, provider);
+      return {
+        model,
+        success: false,
+        status,
+        error: body.error,
+        code: body.code,
+        latencyMs: Math.round(performance.now() - startedAt),
+      };
+    }
+  };
+
+  const results = await Promise.all(models.map(runModel));
+
+  // The client disconnected; nobody is left to answer
+  if (signal.aborted) {
+    return;
+  }
+  res.json({ success: true, data: { results } });
+});
+
+/**
+ * GET /api/models
+ * Lists the available models from a provider's cached catalog (`?source=`
+ * selects the provider, defaulting to the configured one).
+ * Optional filters: `q`, `provider` (model vendor, e.g. 'openai,anthropic'),
+ * `modality` (e.g. 'image'), `min_context`, `max_price` (USD per 1M tokens)
+ * and `free=true`. Responses carry an ETag so clients can revalidate cheaply.
+ */
+router.get("/models", async (req, res) => {
+  const provider = resolveProvider(res, req.query.source);
+  if (!provider) return;
+
+  const { filters, error: filterError } = parseCatalogFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  try {
+    const catalog = await getCatalog(provider);
+
+    // The ETag covers both the catalog contents and the filters applied to it
+    const etag = `"${crypto
+      .createHash("sha1")
+      .update(`${provider.name}:${catalog.hash}:${JSON.stringify(filters)}`)
+      .digest("hex")}"`;
+    res.set({ ETag: etag, "Cache-Control": "private, no-cache" });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data: filterModels(catalog.models, filters),
+      meta: {
+        total: catalog.models.length,
+        fetchedAt: new Date(catalog.fetchedAt).toISOString(),
+      },
+    });
+  } catch (error) {
+    // e.g. a bad key is reported as such, not as a failure of this server
+    sendProviderError(res, error, provider, "/api/models");
+  }
+});
+
+export default router;
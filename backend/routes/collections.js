@@ -0,0 +1,290 @@
+// routes/collections.js
+
+// REST resource for knowledge base collections (see services/knowledgeBase.js):
+//   GET    /api/collections                                     - list
+//   POST   /api/collections                                     - create
+//   GET    /api/collections/:id                                 - fetch one, with its documents
+//   PATCH  /api/collections/:id                                 - rename / describe
+//   DELETE /api/collections/:id                                 - delete, documents included
+//   POST   /api/collections/:id/documents                       - upload a text, Markdown or PDF file
+//   DELETE /api/collections/:id/documents/:documentId           - remove a document
+//   GET    /api/collections/:id/documents/:documentId/chunks/:index - one chunk (citation target)
+//   GET    /api/collections/:id/search?q=&limit=                - try retrieval without chatting
+// Chats use a collection by sending its ID as `collection_id`.
+// Collections are private to the user who created them.
+
+import express from "express";
+import {
+  addDocument,
+  createCollection,
+  deleteCollection,
+  embeddingsEnabled,
+  getChunk,
+  getCollection,
+  listCollections,
+  MAX_TOP_K,
+  removeDocument,
+  searchCollection,
+  updateCollection,
+} from "../services/knowledgeBase.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Validates the editable fields of a collection found in a request body.
+ * Only fields that are present are returned, so this serves both create and update.
+ * @param {Object} body - The request body.
+ * @returns {{changes: Object, error: string|null}} The validated fields, or an error message.
+ */
+const readCollectionFields = (body) => {
+  const changes = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { changes, error: "'name' must be a non-empty string." };
+    }
+    changes.name = body.name.trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  if (body.description !== undefined) {
+    if (
+      typeof body.description !== "string" ||
+      body.description.length > MAX_DESCRIPTION_LENGTH
+    ) {
+      return {
+        changes,
+        error: `'description' must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters.`,
+      };
+    }
+    changes.description = body.description.trim();
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Logs a store failure and sends a generic 500 response.
+ */
+const sendStoreError = (res, error, action) => {
+  logger.error("Collection store error", { action, error });
+  res.status(500).json({ error: `Failed to ${action}.` });
+};
+
+/**
+ * GET /api/collections
+ * Lists the user's collections, alphabetically. `embeddings` tells whether
+ * uploads are also embedded for semantic search.
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listCollections(req.user),
+      embeddings: embeddingsEnabled(),
+    });
+  } catch (error) {
+    sendStoreError(res, error, "list collections");
+  }
+});
+
+/**
+ * POST /api/collections
+ * Creates an empty collection. `name` is required.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.name === undefined) {
+      return res.status(400).json({ error: "'name' is required." });
+    }
+    const { changes, error: fieldsError } = readCollectionFields(body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    const collection = await createCollection(changes, req.user);
+    res.status(201).json({ success: true, data: collection });
+  } catch (error) {
+    sendStoreError(res, error, "create collection");
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * Returns a collection and the list of its documents.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found." });
+    }
+    res.json({ success: true, data: collection });
+  } catch (error) {
+    sendStoreError(res, error, "load collection");
+  }
+});
+
+/**
+ * PATCH /api/collections/:id
+ * Changes a collection's name or description.
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { changes, error: fieldsError } = readCollectionFields(
+      req.body || {}
+    );
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+    if (!(await getCollection(req.params.id, req.user))) {
+      return res.status(404).json({ error: "Collection not found." });
+    }
+
+    const collection = await updateCollection(req.params.id, changes);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found." });
+    }
+    res.json({ success: true, data: collection });
+  } catch (error) {
+    sendStoreError(res, error, "update collection");
+  }
+});
+
+/**
+ * DELETE /api/collections/:id
+ * Permanently deletes a collection and all of its documents. Chats that
+ * still name it get a 404 until they pick another one.
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found." });
+    }
+    await deleteCollection(collection);
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "delete collection");
+  }
+});
+
+/**
+ * POST /api/collections/:id/documents
+ * Adds a document. Body: { name, content, type? } where `content` is the
+ * text itself or a base64 data URL (required for PDFs), and `name` is the
+ * file name, whose extension tells the type.
+ */
+router.post("/:id/documents", async (req, res) => {
+  try {
+    const { name, content, type } = req.body || {};
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "'name' must be a file name." });
+    }
+    if (typeof content !== "string" || !content) {
+      return res
+        .status(400)
+        .json({ error: "'content' must be the file's text or a data URL." });
+    }
+    if (type !== undefined && typeof type !== "string") {
+      return res.status(400).json({ error: "'type' must be a MIME type." });
+    }
+
+    const collection = await getCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found." });
+    }
+    const { document, error } = await addDocument(
+      collection,
+      { name: name.trim(), content, type },
+      { req }
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.status(201).json({ success: true, data: document });
+  } catch (error) {
+    sendStoreError(res, error, "add document");
+  }
+});
+
+/**
+ * DELETE /api/collections/:id/documents/:documentId
+ * Removes a document from a collection.
+ */
+router.delete("/:id/documents/:documentId", async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.id, req.user);
+    const removed =
+      collection && (await removeDocument(collection, req.params.documentId));
+    if (!removed) {
+      return res.status(404).json({ error: "Document not found." });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "remove document");
+  }
+});
+
+/**
+ * GET /api/collections/:id/documents/:documentId/chunks/:index
+ * Returns one chunk of a document: where chat citations point.
+ */
+router.get("/:id/documents/:documentId/chunks/:index", async (req, res) => {
+  try {
+    const index = Number(req.params.index);
+    const collection = await getCollection(req.params.id, req.user);
+    const found =
+      collection &&
+      Number.isInteger(index) &&
+      (await getChunk(collection, req.params.documentId, index));
+    if (!found) {
+      return res.status(404).json({ error: "Chunk not found." });
+    }
+    res.json({ success: true, data: found });
+  } catch (error) {
+    sendStoreError(res, error, "load chunk");
+  }
+});
+
+/**
+ * GET /api/collections/:id/search?q=...&limit=...
+ * Returns the chunks a chat asking `q` would be given, best first.
+ */
+router.get("/:id/search", async (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q : "";
+  const limit =
+    req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (!query.trim()) {
+    return res.status(400).json({ error: "'q' is required." });
+  }
+  if (
+    limit !== undefined &&
+    (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_K)
+  ) {
+    return res.status(400).json({
+      error: `'limit' must be an integer between 1 and ${MAX_TOP_K}.`,
+    });
+  }
+
+  try {
+    const collection = await getCollection(req.params.id, req.user);
+    if (!collection) {
+      return res.status(404).json({ error: "Collection not found." });
+    }
+    res.json({
+      success: true,
+      data: await searchCollection(collection, query, { limit, req }),
+    });
+  } catch (error) {
+    sendStoreError(res, error, "search collection");
+  }
+});
+
+export default router;
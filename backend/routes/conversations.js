@@ -0,0 +1,564 @@
+// routes/conversations.js
+
+// REST resource for saved chat conversations:
+//   GET    /api/conversations              - list (optionally ?q= to search)
+//   POST   /api/conversations              - create
+//   POST   /api/conversations/import       - import from a file (see utils/conversationFormats.js)
+//   GET    /api/conversations/:id          - fetch one, including messages
+//   PATCH  /api/conversations/:id          - rename / change settings / system prompt
+//   DELETE /api/conversations/:id          - delete
+//   GET    /api/conversations/:id/messages - list messages (?branch=active for one thread)
+//   POST   /api/conversations/:id/messages - append messages
+//   GET    /api/conversations/:id/export   - download (?format=markdown|json|jsonl)
+// Messages form a tree (see utils/messageTree.js): edits and regenerated
+// replies are stored as sibling branches, and `activeLeafId` selects one.
+
+import express from "express";
+import crypto from "crypto";
+import { createJsonCollection } from "../store/jsonCollection.js";
+import { messageText, validateMessages } from "../utils/messages.js";
+import { validateGenerationParams } from "../utils/generationParams.js";
+import { parseFallbackModels } from "../utils/retry.js";
+import { canAccess } from "../services/auth.js";
+import {
+  getThread,
+  linkMessages,
+  MessageTreeError,
+} from "../utils/messageTree.js";
+import {
+  EXPORT_FORMATS,
+  exportConversation,
+  parseImport,
+} from "../utils/conversationFormats.js";
+import { MAX_SYSTEM_PROMPT_LENGTH } from "./presets.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+const conversations = createJsonCollection("conversations");
+
+// Longest title we store; auto-generated titles are cut to this length
+const MAX_TITLE_LENGTH = 100;
+
+// Most conversations a single import may create
+const MAX_IMPORT_CONVERSATIONS = 500;
+
+/**
+ * Builds a default title from the first user message of a conversation.
+ * @param {Array<Object>} messages - The conversation messages.
+ * @returns {string} A short title.
+ */
+const titleFromMessages = (messages) => {
+  const firstUserMessage = messages.find((msg) => msg.role === "user");
+  const text = messageText(firstUserMessage?.content)
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) {
+    return "New chat";
+  }
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+/**
+ * Normalizes an incoming message into the stored shape. Every message records
+ * the model that produced (or was addressed by) it, so mixed-model chats can
+ * be reconstructed later.
+ * @param {Object} msg - The message sent by the client.
+ * @returns {Object} The message as it is stored.
+ */
+const toStoredMessage = (msg) => ({
+  id: msg.id != null ? String(msg.id) : crypto.randomUUID(),
+  // Resolved against the tree by linkMessages; absent means "continue the thread"
+  ...(msg.parentId !== undefined && { parentId: msg.parentId }),
+  role: msg.role,
+  content: msg.content,
+  model: msg.model || null,
+  createdAt: msg.createdAt || new Date().toISOString(),
+  // Optional metadata about how an assistant reply ended
+  ...(msg.usage && { usage: msg.usage }),
+  ...(typeof msg.cost === "number" && { cost: msg.cost }),
+  ...(msg.finishReason && { finishReason: msg.finishReason }),
+  ...(msg.truncated && { truncated: true }),
+  // Tools the model called while producing the reply (see tools/index.js)
+  ...(Array.isArray(msg.toolCalls) && { toolCalls: msg.toolCalls }),
+  // Knowledge base excerpts the reply was given (see services/knowledgeBase.js)
+  ...(Array.isArray(msg.citations) && { citations: msg.citations }),
+});
+
+/**
+ * Validates the user-editable fields of a conversation found in a request body.
+ * Only fields that are present are returned, so this serves both create and update.
+ * @param {Object} body - The request body.
+ * @returns {{changes: Object, error: string|null}} The validated fields, or an error message.
+ */
+const readEditableFields = (body) => {
+  const changes = {};
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { changes, error: "'title' must be a non-empty string." };
+    }
+    changes.title = body.title.trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  // Generation parameters (temperature, max_tokens, ...) used for every turn
+  if (body.params !== undefined) {
+    const { params, error } = validateGenerationParams(body.params || {});
+    if (error) {
+      return { changes, error };
+    }
+    changes.params = params;
+  }
+
+  // Models tried in order when the selected one fails (set by presets)
+  if (body.fallbackModels !== undefined) {
+    const { models, error } = parseFallbackModels(
+      body.fallbackModels,
+      "fallbackModels"
+    );
+    if (error) {
+      return { changes, error };
+    }
+    changes.fallbackModels = models;
+  }
+
+  // Instructions sent as a leading system message on every turn
+  if (body.systemPrompt !== undefined) {
+    if (
+      typeof body.systemPrompt !== "string" ||
+      body.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH
+    ) {
+      return {
+        changes,
+        error: `'systemPrompt' must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters.`,
+      };
+    }
+    changes.systemPrompt = body.systemPrompt;
+  }
+
+  // The preset the system prompt came from, if any (for display only)
+  if (body.presetId !== undefined) {
+    if (body.presetId !== null && typeof body.presetId !== "string") {
+      return { changes, error: "'presetId' must be a string or null." };
+    }
+    changes.presetId = body.presetId || null;
+  }
+
+  // The knowledge base collection the chat retrieves from, if any
+  if (body.collectionId !== undefined) {
+    if (body.collectionId !== null && typeof body.collectionId !== "string") {
+      return { changes, error: "'collectionId' must be a string or null." };
+    }
+    changes.collectionId = body.collectionId || null;
+  }
+
+  // Switches the visible branch; checked against the tree when applied
+  if (body.activeLeafId !== undefined) {
+    if (typeof body.activeLeafId !== "string") {
+      return { changes, error: "'activeLeafId' must be a message ID." };
+    }
+    changes.activeLeafId = body.activeLeafId;
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Reduces a full conversation to the fields shown in the sidebar list.
+ */
+const toSummary = (conversation) => ({
+  id: conversation.id,
+  title: conversation.title,
+  model: conversation.model,
+  messageCount: conversation.messages.length,
+  createdAt: conversation.createdAt,
+  updatedAt: conversation.updatedAt,
+});
+
+/**
+ * Loads a conversation the signed-in user may access.
+ * @param {import("express").Request} req - The request (with `req.params.id`).
+ * @returns {Promise<Object|null>} The conversation, or null if missing or someone else's.
+ */
+const findConversation = async (req) => {
+  const conversation = await conversations.get(req.params.id);
+  return conversation && canAccess(conversation, req.user)
+    ? conversation
+    : null;
+};
+
+/**
+ * Logs a store failure and sends a generic 500 response. Invalid references
+ * into the message tree are the client's mistake and get a 400 instead.
+ */
+const sendStoreError = (res, error, action) => {
+  if (error instanceof MessageTreeError) {
+    return res.status(400).json({ error: error.message });
+  }
+  logger.error("Conversation store error", { action, error });
+  res.status(500).json({ error: `Failed to ${action}.` });
+};
+
+/**
+ * GET /api/conversations
+ * Lists conversations, most recently updated first. `?q=` filters by a
+ * case-insensitive match on the title or any message content.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const query = String(req.query.q || "")
+      .trim()
+      .toLowerCase();
+    let all = (await conversations.list()).filter((conversation) =>
+      canAccess(conversation, req.user)
+    );
+
+    if (query) {
+      all = all.filter(
+        (conversation) =>
+          conversation.title.toLowerCase().includes(query) ||
+          conversation.messages.some((msg) =>
+            messageText(msg.content).toLowerCase().includes(query)
+          )
+      );
+    }
+
+    all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.json({ success: true, data: all.map(toSummary) });
+  } catch (error) {
+    sendStoreError(res, error, "list conversations");
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Creates a conversation, optionally seeded with messages.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { messages = [] } = req.body || {};
+    const { changes, error: fieldsError } = readEditableFields(req.body || {});
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    // A new conversation may start empty, but any seed messages must be valid
+    const validationError =
+      Array.isArray(messages) && messages.length === 0
+        ? null
+        : validateMessages(messages);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const storedMessages = linkMessages(
+      [],
+      messages.map(toStoredMessage),
+      null
+    );
+    const conversation = await conversations.create({
+      title: titleFromMessages(storedMessages),
+      params: {},
+      fallbackModels: [],
+      systemPrompt: "",
+      presetId: null,
+      collectionId: null,
+      ...changes,
+      model: storedMessages.at(-1)?.model || null,
+      messages: storedMessages,
+      activeLeafId: storedMessages.at(-1)?.id ?? null,
+      ownerId: req.user.id,
+    });
+
+    res.status(201).json({ success: true, data: conversation });
+  } catch (error) {
+    sendStoreError(res, error, "create conversation");
+  }
+});
+
+/**
+ * Validates one parsed import and shapes it into a new conversation record.
+ * @param {Object} imported - A conversation from parseImport.
+ * @returns {{conversation: Object|null, error: string|null}} The record to
+ *   create (null when it has no messages), or an error message.
+ * @throws {MessageTreeError} If its messages don't form a valid tree.
+ */
+const toImportedConversation = (imported) => {
+  const { changes, error: fieldsError } = readEditableFields({
+    title: imported.title,
+    params: imported.params,
+    systemPrompt: imported.systemPrompt,
+  });
+  if (fieldsError) {
+    return { conversation: null, error: fieldsError };
+  }
+  // Chats that had nothing importable (e.g. only tool output) are skipped
+  if (Array.isArray(imported.messages) && imported.messages.length === 0) {
+    return { conversation: null, error: null };
+  }
+  const validationError = validateMessages(imported.messages);
+  if (validationError) {
+    return { conversation: null, error: validationError };
+  }
+
+  const storedMessages = linkMessages(
+    [],
+    imported.messages.map(toStoredMessage),
+    null
+  );
+  const activeLeafId = storedMessages.some(
+    (msg) => msg.id === imported.activeLeafId
+  )
+    ? imported.activeLeafId
+    : storedMessages.at(-1).id;
+  return {
+    conversation: {
+      title: titleFromMessages(getThread(storedMessages, activeLeafId)),
+      params: {},
+      systemPrompt: "",
+      presetId: null,
+      ...changes,
+      model: storedMessages.findLast((msg) => msg.model)?.model || null,
+      messages: storedMessages,
+      activeLeafId,
+    },
+    error: null,
+  };
+};
+
+/**
+ * POST /api/conversations/import
+ * Creates conversations from an uploaded file: `{ data, format? }`, where
+ * `data` is the file content and `format` one of markdown, json, jsonl or
+ * chatgpt (detected from the content when omitted). Nothing is created
+ * unless every conversation in the file is valid.
+ * Responds with { format, imported: [summaries], skipped } (skipped: chats
+ * with no importable messages).
+ */
+router.post("/import", async (req, res) => {
+  try {
+    const { data, format } = req.body || {};
+    const {
+      conversations: parsed,
+      format: resolvedFormat,
+      error: parseError,
+    } = parseImport(data, format);
+    if (parseError) {
+      return res.status(400).json({ error: parseError });
+    }
+    if (parsed.length > MAX_IMPORT_CONVERSATIONS) {
+      return res.status(400).json({
+        error: `An import may contain at most ${MAX_IMPORT_CONVERSATIONS} conversations.`,
+      });
+    }
+
+    const records = [];
+    for (const [index, imported] of parsed.entries()) {
+      const { conversation, error } = toImportedConversation(imported);
+      if (error) {
+        const prefix = parsed.length > 1 ? `Conversation ${index + 1}: ` : "";
+        return res.status(400).json({ error: `${prefix}${error}` });
+      }
+      if (conversation) records.push(conversation);
+    }
+    if (records.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "The file contains no messages to import." });
+    }
+
+    const created = [];
+    for (const record of records) {
+      created.push(
+        await conversations.create({ ...record, ownerId: req.user.id })
+      );
+    }
+    res.status(201).json({
+      success: true,
+      data: {
+        format: resolvedFormat,
+        imported: created.map(toSummary),
+        skipped: parsed.length - records.length,
+      },
+    });
+  } catch (error) {
+    sendStoreError(res, error, "import conversations");
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Returns a single conversation, including all of its messages (every branch).
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.json({ success: true, data: conversation });
+  } catch (error) {
+    sendStoreError(res, error, "load conversation");
+  }
+});
+
+/**
+ * PATCH /api/conversations/:id
+ * Updates conversation metadata: the title, the generation `params` and
+ * `fallbackModels`, the `systemPrompt` (with the `presetId` it came from;
+ * applying a preset sends all of these at once), the knowledge base
+ * `collectionId` and/or the `activeLeafId`.
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { changes, error: fieldsError } = readEditableFields(req.body || {});
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+    if (!(await findConversation(req))) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+
+    const conversation = await conversations.update(
+      req.params.id,
+      (current) => {
+        if (
+          changes.activeLeafId !== undefined &&
+          !current.messages.some((msg) => msg.id === changes.activeLeafId)
+        ) {
+          throw new MessageTreeError(
+            `Unknown activeLeafId '${changes.activeLeafId}'.`
+          );
+        }
+        return { ...current, ...changes };
+      }
+    );
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.json({ success: true, data: toSummary(conversation) });
+  } catch (error) {
+    sendStoreError(res, error, "update conversation");
+  }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Permanently deletes a conversation.
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const deleted =
+      (await findConversation(req)) &&
+      (await conversations.remove(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "delete conversation");
+  }
+});
+
+/**
+ * GET /api/conversations/:id/messages
+ * Returns every message of a conversation in the order they were added, or
+ * with `?branch=active` only the currently selected thread, oldest first.
+ */
+router.get("/:id/messages", async (req, res) => {
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.json({
+      success: true,
+      data:
+        req.query.branch === "active"
+          ? getThread(conversation.messages, conversation.activeLeafId)
+          : conversation.messages,
+    });
+  } catch (error) {
+    sendStoreError(res, error, "load messages");
+  }
+});
+
+/**
+ * POST /api/conversations/:id/messages
+ * Appends one message (the request body) or several (`{ messages: [...] }`).
+ * Messages without a `parentId` continue the active thread; the last one
+ * appended becomes the new active leaf.
+ */
+router.post("/:id/messages", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const incoming = Array.isArray(body.messages) ? body.messages : [body];
+
+    const validationError = validateMessages(incoming);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!(await findConversation(req))) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+
+    let storedMessages;
+    const conversation = await conversations.update(
+      req.params.id,
+      (current) => {
+        storedMessages = linkMessages(
+          current.messages,
+          incoming.map(toStoredMessage),
+          current.activeLeafId
+        );
+        return {
+          ...current,
+          // Remember the most recent model so the chat reopens with it selected
+          model:
+            storedMessages.findLast((msg) => msg.model)?.model || current.model,
+          messages: [...current.messages, ...storedMessages],
+          activeLeafId: storedMessages.at(-1).id,
+        };
+      }
+    );
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    res.status(201).json({ success: true, data: storedMessages });
+  } catch (error) {
+    sendStoreError(res, error, "append messages");
+  }
+});
+
+/**
+ * GET /api/conversations/:id/export
+ * Downloads a conversation as Markdown, JSON (default; every branch, with
+ * all metadata) or OpenAI fine-tuning JSONL (`?format=`).
+ */
+router.get("/:id/export", async (req, res) => {
+  const format = req.query.format || "json";
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({
+      error: `'format' must be one of: ${Object.keys(EXPORT_FORMATS).join(
+        ", "
+      )}.`,
+    });
+  }
+  try {
+    const conversation = await findConversation(req);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found." });
+    }
+    const { body, filename, contentType } = exportConversation(
+      conversation,
+      format
+    );
+    res.attachment(filename).type(contentType).send(body);
+  } catch (error) {
+    sendStoreError(res, error, "export conversation");
+  }
+});
+
+export default router;
@@ -0,0 +1,395 @@
+// routes/openai.js
+
+// OpenAI-compatible gateway, so scripts, SDKs and IDE plugins that speak the
+// OpenAI API can use this server as their base URL (e.g. http://host:5000/v1):
+//   POST /v1/chat/completions - chat completions, streamed or not
+//   GET  /v1/models           - the provider's model list
+//   GET  /v1/models/:id       - one model
+// Requests authenticate with an API token from the account settings
+// (`Authorization: Bearer <token>`), and go through the same key selection,
+// budgets, retries and usage accounting as the app's own routes. Bodies,
+// stream chunks and errors follow OpenAI's wire format rather than this
+// server's { success, data } envelope. OpenRouter's `models` field lists
+// fallback models. Tools are passed through for the client to run (the
+// server-side tools of /api/chat/completion are not involved).
+
+import express from "express";
+import crypto from "crypto";
+import { getCatalog, getModelInfo } from "../services/modelCatalog.js";
+import { estimateUsage, recordUsage } from "../services/usage.js";
+import { validateMessages } from "../utils/messages.js";
+import {
+  clampToModelLimits,
+  validateGenerationParams,
+} from "../utils/generationParams.js";
+import { parseFallbackModels, withFallback } from "../utils/retry.js";
+import {
+  abortOnClose,
+  describeProviderError,
+  ensureWithinBudget,
+  resolveCredentials,
+  resolveProvider,
+} from "../utils/http.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+// OpenAI error `type` (and `code`) for each HTTP status we send
+const ERROR_TYPES = {
+  400: { type: "invalid_request_error", code: null },
+  401: { type: "authentication_error", code: "invalid_api_key" },
+  402: { type: "insufficient_quota", code: "insufficient_quota" },
+  403: { type: "permission_error", code: null },
+  404: { type: "invalid_request_error", code: "not_found" },
+  429: { type: "rate_limit_error", code: "rate_limit_exceeded" },
+};
+
+const TOOL_CHOICES = ["none", "auto", "required"];
+
+/**
+ * Shapes an error message as an OpenAI error object.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The message.
+ * @param {string} [code] - This server's error code (see utils/errors.js),
+ *   which is more precise than the status (e.g., 'context_length_exceeded',
+ *   as OpenAI names it too).
+ * @returns {Object} { message, type, param, code }.
+ */
+const toOpenAIError = (status, message, code) => {
+  const { type, code: statusCode } =
+    ERROR_TYPES[status] ||
+    (status >= 500
+      ? { type: "server_error", code: null }
+      : { type: "invalid_request_error", code: null });
+  return { message, type, param: null, code: code || statusCode };
+};
+
+/**
+ * Middleware that rewrites this server's `{ error: "..." }` responses into
+ * OpenAI's `{ error: { message, type, param, code } }`, so the shared
+ * middleware and helpers (authentication, rate limiting, key selection,
+ * budgets) answer /v1 clients in the format they expect.
+ */
+export const openAIErrorFormat = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(
+      res.statusCode >= 400 && typeof body?.error === "string"
+        ? { error: toOpenAIError(res.statusCode, body.error, body.code) }
+        : body
+    );
+  next();
+};
+
+/**
+ * Validates the parameters OpenAI clients send that /api/chat/completion
+ * doesn't take: client-side tools and the choice between them.
+ * @param {Object} body - The request body.
+ * @returns {{params: Object, error: string|null}} The parameters to forward, or an error message.
+ */
+const readToolParams = (body) => {
+  const params = {};
+  if (body.tools != null) {
+    if (
+      !Array.isArray(body.tools) ||
+      !body.tools.every(
+        (tool) =>
+          tool?.type === "function" && typeof tool.function?.name === "string"
+      )
+    ) {
+      return {
+        params,
+        error:
+          "'tools' must be an array of { type: 'function', function: { name, ... } } definitions.",
+      };
+    }
+    params.tools = body.tools;
+  }
+  if (body.tool_choice != null) {
+    const choice = body.tool_choice;
+    if (
+      !TOOL_CHOICES.includes(choice) &&
+      typeof choice?.function?.name !== "string"
+    ) {
+      return {
+        params,
+        error: `'tool_choice' must be one of ${TOOL_CHOICES.join(
+          ", "
+        )} or { type: 'function', function: { name } }.`,
+      };
+    }
+    params.tool_choice = choice;
+  }
+  if (body.parallel_tool_calls != null) {
+    params.parallel_tool_calls = Boolean(body.parallel_tool_calls);
+  }
+  return { params, error: null };
+};
+
+/**
+ * POST /v1/chat/completions
+ * Runs a chat completion and answers with an OpenAI `chat.completion`
+ * object, or with `chat.completion.chunk` events ending in `data: [DONE]`
+ * when `stream` is true (`stream_options.include_usage` adds a usage chunk).
+ */
+router.post("/chat/completions", async (req, res) => {
+  const provider = resolveProvider(res);
+  if (!provider) return;
+  const credentials = resolveCredentials(req, res, provider);
+  if (!credentials) return;
+  if (!(await ensureWithinBudget(req, res, credentials))) return;
+
+  const signal = abortOnClose(res);
+  const body = req.body || {};
+  const stream = body.stream === true;
+
+  // Newer OpenAI clients send instructions as 'developer' messages
+  const messages = Array.isArray(body.messages)
+    ? body.messages.map((msg) =>
+        msg?.role === "developer" ? { ...msg, role: "system" } : msg
+      )
+    : body.messages;
+  const validationError = validateMessages(messages, { allowToolCalls: true });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (body.n != null && body.n !== 1) {
+    return res.status(400).json({ error: "Only 'n: 1' is supported." });
+  }
+
+  const { params: generationParams, error: paramsError } =
+    validateGenerationParams({
+      ...body,
+      // The newer name for max_tokens
+      max_tokens: body.max_tokens ?? body.max_completion_tokens,
+    });
+  if (paramsError) {
+    return res.status(400).json({ error: paramsError });
+  }
+  const { params: toolParams, error: toolsError } = readToolParams(body);
+  if (toolsError) {
+    return res.status(400).json({ error: toolsError });
+  }
+
+  // OpenRouter-style fallbacks: `models` lists models to try in order
+  const { models: listedModels, error: modelsError } = parseFallbackModels(
+    body.models,
+    "models"
+  );
+  if (modelsError) {
+    return res.status(400).json({ error: modelsError });
+  }
+  if (body.model != null && typeof body.model !== "string") {
+    return res.status(400).json({ error: "'model' must be a string." });
+  }
+  const candidates = [
+    ...new Set([
+      body.model || listedModels[0] || provider.defaultModel,
+      ...listedModels,
+    ]),
+  ];
+
+  const id = `chatcmpl-${crypto.randomUUID().replace(/-/g, "")}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  try {
+    const { result, model: answeredBy } = await withFallback(
+      candidates,
+      async (candidate) => {
+        const modelInfo = await getModelInfo(provider, candidate);
+        const params = {
+          model: candidate,
+          messages,
+          ...clampToModelLimits(generationParams, modelInfo),
+          ...toolParams,
+        };
+        return stream
+          ? provider.streamChatCompletion(params, { ...credentials, signal })
+          : provider.chatCompletion(params, { ...credentials, signal });
+      },
+      { signal, label: "/v1/chat/completions" }
+    );
+
+    if (!stream) {
+      await recordUsage({
+        req,
+        provider,
+        model: answeredBy,
+        usage: result.usage || estimateUsage(messages, result.message),
+        credentials,
+        source: "gateway",
+      });
+      return res.json({
+        id,
+        object: "chat.completion",
+        created,
+        model: result.model || answeredBy,
+        choices: [
+          {
+            index: 0,
+            message: result.message,
+            finish_reason: result.finish_reason,
+            logprobs: null,
+          },
+        ],
+        usage: result.usage,
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const chunk = (choices, extra) => ({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model: answeredBy,
+      choices,
+      ...extra,
+    });
+
+    let usage = null;
+    // What was relayed, to estimate the usage of a stream cut short
+    let content = "";
+    try {
+      for await (const part of result) {
+        if (part.usage) usage = part.usage;
+        if (part.content) content += part.content;
+        const delta = {
+          ...(part.role && { role: part.role }),
+          ...(part.content && { content: part.content }),
+          ...(part.tool_calls && { tool_calls: part.tool_calls }),
+        };
+        if (Object.keys(delta).length > 0 || part.finish_reason) {
+          send(
+            chunk([
+              {
+                index: 0,
+                delta,
+                finish_reason: part.finish_reason || null,
+                logprobs: null,
+              },
+            ])
+          );
+        }
+      }
+      if (usage && body.stream_options?.include_usage) {
+        send(chunk([], { usage }));
+      }
+      res.write("data: [DONE]\n\n");
+    } catch (error) {
+      if (!signal.aborted) {
+        // Headers are gone; OpenAI reports mid-stream failures as an error event
+        logger.error("Stream error in /v1/chat/completions", {
+          provider: provider.name,
+          error,
+        });
+        const { status, body: errorBody } = describeProviderError(
+          error,
+          provider
+        );
+        send({ error: toOpenAIError(status, errorBody.error, errorBody.code) });
+      }
+    }
+    await recordUsage({
+      req,
+      provider,
+      model: answeredBy,
+      usage: usage || estimateUsage(messages, { content }),
+      credentials,
+      source: "gateway",
+    });
+    res.end();
+  } catch (error) {
+    if (signal.aborted) return;
+    logger.error("Provider error in /v1/chat/completions", {
+      provider: provider.name,
+      error,
+    });
+    const { status, body: errorBody } = describeProviderError(error, provider);
+    if (errorBody.retry_after !== undefined) {
+      res.set("Retry-After", String(errorBody.retry_after));
+    }
+    res.status(status).json({ error: errorBody.error, code: errorBody.code });
+  }
+});
+
+/**
+ * Shapes a catalog entry as an OpenAI model object, keeping the catalog's
+ * extra fields (context length, pricing, ...) as OpenRouter does.
+ */
+const toOpenAIModel = (model, fetchedAt) => ({
+  ...model,
+  object: "model",
+  created: model.created ?? Math.floor(fetchedAt / 1000),
+  owned_by: model.owned_by || model.id.split("/")[0],
+});
+
+/**
+ * Loads the catalog of the default provider, answering with the provider's
+ * error if it can't be fetched.
+ * @returns {Promise<Object|null>} The catalog, or null if an error was sent.
+ */
+const loadCatalog = async (res) => {
+  const provider = resolveProvider(res);
+  if (!provider) return null;
+  try {
+    return await getCatalog(provider);
+  } catch (error) {
+    logger.error("Could not fetch models", { provider: provider.name, error });
+    const { status, body } = describeProviderError(error, provider);
+    if (body.retry_after !== undefined) {
+      res.set("Retry-After", String(body.retry_after));
+    }
+    res.status(status).json({ error: body.error, code: body.code });
+    return null;
+  }
+};
+
+/**
+ * GET /v1/models
+ * Lists the models as an OpenAI `list` object.
+ */
+router.get("/models", async (req, res) => {
+  const catalog = await loadCatalog(res);
+  if (!catalog) return;
+  res.json({
+    object: "list",
+    data: catalog.models.map((model) =>
+      toOpenAIModel(model, catalog.fetchedAt)
+    ),
+  });
+});
+
+/**
+ * GET /v1/models/:id
+ * Returns one model. IDs may contain slashes (e.g. 'openai/gpt-4o').
+ */
+router.get("/models/*id", async (req, res) => {
+  const modelId = req.params.id.join("/");
+  const catalog = await loadCatalog(res);
+  if (!catalog) return;
+  const model = catalog.models.find((entry) => entry.id === modelId);
+  if (!model) {
+    return res
+      .status(404)
+      .json({ error: `The model '${modelId}' does not exist.` });
+  }
+  res.json(toOpenAIModel(model, catalog.fetchedAt));
+});
+
+/**
+ * Anything else under /v1: an OpenAI-style 404 instead of Express's HTML page.
+ */
+router.use((req, res) => {
+  res
+    .status(404)
+    .json({ error: `Unknown endpoint: ${req.method} /v1${req.path}` });
+});
+
+export default router;
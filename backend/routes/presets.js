@@ -0,0 +1,259 @@
+// routes/presets.js
+
+// REST resource for reusable persona presets. A preset bundles a system
+// prompt with an optional default model, fallback models and generation
+// parameters:
+//   GET    /api/presets     - list (built-in presets first)
+//   POST   /api/presets     - create
+//   GET    /api/presets/:id - fetch one
+//   PATCH  /api/presets/:id - edit
+//   DELETE /api/presets/:id - delete
+// Built-in presets live in code and are read-only; saved presets are private
+// to the user who created them.
+
+import express from "express";
+import { createJsonCollection } from "../store/jsonCollection.js";
+import { validateGenerationParams } from "../utils/generationParams.js";
+import { parseFallbackModels } from "../utils/retry.js";
+import { canAccess } from "../services/auth.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+const presets = createJsonCollection("presets");
+
+const MAX_NAME_LENGTH = 60;
+// Generous, but keeps a runaway paste from bloating every request
+export const MAX_SYSTEM_PROMPT_LENGTH = 20000;
+
+// Presets every installation starts with. Their IDs are reserved.
+const BUILT_IN_PRESETS = [
+  {
+    id: "builtin-code-reviewer",
+    name: "Code reviewer",
+    systemPrompt:
+      "You are a senior software engineer reviewing code. Point out bugs, security issues and unclear naming first, then suggest concrete improvements with short code examples. Be direct and skip praise.",
+    model: null,
+    fallbackModels: [],
+    params: { temperature: 0.2 },
+  },
+  {
+    id: "builtin-translator",
+    name: "Translator",
+    systemPrompt:
+      "You are a professional translator. Translate the user's text into English, or into the language they name, preserving tone and formatting. Reply with the translation only.",
+    model: null,
+    fallbackModels: [],
+    params: { temperature: 0.3 },
+  },
+  {
+    id: "builtin-concise",
+    name: "Concise assistant",
+    systemPrompt:
+      "Answer as briefly as possible. Use bullet points for lists and avoid restating the question.",
+    model: null,
+    fallbackModels: [],
+    params: {},
+  },
+].map((preset) => ({ ...preset, builtIn: true }));
+
+const findBuiltIn = (id) => BUILT_IN_PRESETS.find((preset) => preset.id === id);
+
+/**
+ * Loads a saved preset the signed-in user may access.
+ * @returns {Promise<Object|null>} The preset, or null if missing or someone else's.
+ */
+const findSaved = async (req) => {
+  const preset = await presets.get(req.params.id);
+  return preset && canAccess(preset, req.user) ? preset : null;
+};
+
+/**
+ * Validates the editable fields of a preset found in a request body.
+ * Only fields that are present are returned, so this serves both create and update.
+ * @param {Object} body - The request body.
+ * @returns {{changes: Object, error: string|null}} The validated fields, or an error message.
+ */
+const readPresetFields = (body) => {
+  const changes = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { changes, error: "'name' must be a non-empty string." };
+    }
+    changes.name = body.name.trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  if (body.systemPrompt !== undefined) {
+    if (
+      typeof body.systemPrompt !== "string" ||
+      body.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH
+    ) {
+      return {
+        changes,
+        error: `'systemPrompt' must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters.`,
+      };
+    }
+    changes.systemPrompt = body.systemPrompt;
+  }
+
+  // Default model; null means "keep whatever model is selected"
+  if (body.model !== undefined) {
+    if (body.model !== null && typeof body.model !== "string") {
+      return { changes, error: "'model' must be a string or null." };
+    }
+    changes.model = body.model || null;
+  }
+
+  // Models to try, in order, when the chosen one fails
+  if (body.fallbackModels !== undefined) {
+    const { models, error } = parseFallbackModels(
+      body.fallbackModels,
+      "fallbackModels"
+    );
+    if (error) {
+      return { changes, error };
+    }
+    changes.fallbackModels = models;
+  }
+
+  if (body.params !== undefined) {
+    const { params, error } = validateGenerationParams(body.params || {});
+    if (error) {
+      return { changes, error };
+    }
+    changes.params = params;
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Logs a store failure and sends a generic 500 response.
+ */
+const sendStoreError = (res, error, action) => {
+  logger.error("Preset store error", { action, error });
+  res.status(500).json({ error: `Failed to ${action}.` });
+};
+
+/**
+ * GET /api/presets
+ * Lists built-in presets followed by saved ones, alphabetically.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const saved = (await presets.list()).filter((preset) =>
+      canAccess(preset, req.user)
+    );
+    saved.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ success: true, data: [...BUILT_IN_PRESETS, ...saved] });
+  } catch (error) {
+    sendStoreError(res, error, "list presets");
+  }
+});
+
+/**
+ * POST /api/presets
+ * Creates a preset. `name` and `systemPrompt` are required.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.name === undefined || body.systemPrompt === undefined) {
+      return res
+        .status(400)
+        .json({ error: "'name' and 'systemPrompt' are required." });
+    }
+    const { changes, error: fieldsError } = readPresetFields(body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    const preset = await presets.create({
+      model: null,
+      fallbackModels: [],
+      params: {},
+      ...changes,
+      ownerId: req.user.id,
+    });
+    res.status(201).json({ success: true, data: preset });
+  } catch (error) {
+    sendStoreError(res, error, "create preset");
+  }
+});
+
+/**
+ * GET /api/presets/:id
+ * Returns a single preset.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const preset = findBuiltIn(req.params.id) || (await findSaved(req));
+    if (!preset) {
+      return res.status(404).json({ error: "Preset not found." });
+    }
+    res.json({ success: true, data: preset });
+  } catch (error) {
+    sendStoreError(res, error, "load preset");
+  }
+});
+
+/**
+ * PATCH /api/presets/:id
+ * Updates any of a saved preset's fields.
+ */
+router.patch("/:id", async (req, res) => {
+  if (findBuiltIn(req.params.id)) {
+    return res
+      .status(403)
+      .json({ error: "Built-in presets cannot be modified." });
+  }
+
+  try {
+    const { changes, error: fieldsError } = readPresetFields(req.body || {});
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+    if (!(await findSaved(req))) {
+      return res.status(404).json({ error: "Preset not found." });
+    }
+
+    const preset = await presets.update(req.params.id, (current) => ({
+      ...current,
+      ...changes,
+    }));
+    if (!preset) {
+      return res.status(404).json({ error: "Preset not found." });
+    }
+    res.json({ success: true, data: preset });
+  } catch (error) {
+    sendStoreError(res, error, "update preset");
+  }
+});
+
+/**
+ * DELETE /api/presets/:id
+ * Permanently deletes a saved preset.
+ */
+router.delete("/:id", async (req, res) => {
+  if (findBuiltIn(req.params.id)) {
+    return res
+      .status(403)
+      .json({ error: "Built-in presets cannot be deleted." });
+  }
+
+  try {
+    const deleted =
+      (await findSaved(req)) && (await presets.remove(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: "Preset not found." });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "delete preset");
+  }
+});
+
+export default router;
@@ -0,0 +1,299 @@
+// routes/templates.js
+
+// REST resource for the prompt template library (see services/templates.js):
+//   GET    /api/templates     - list (built-in templates first)
+//   POST   /api/templates     - create
+//   GET    /api/templates/:id - fetch one
+//   PATCH  /api/templates/:id - edit (for built-ins: the user's own version)
+//   DELETE /api/templates/:id - delete (for built-ins: restore the default)
+// Every template comes with its `variables` (the `{{name}}` placeholders of
+// its prompt) and whether the user may edit it (`editable`).
+
+import express from "express";
+import {
+  createTemplate,
+  deleteTemplate,
+  findCommandClash,
+  getTemplate,
+  listTemplates,
+  updateTemplate,
+} from "../services/templates.js";
+import { validateGenerationParams } from "../utils/generationParams.js";
+import { MAX_SYSTEM_PROMPT_LENGTH } from "./presets.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 200;
+// Typed after the slash in the chat input, so short and without spaces
+const COMMAND_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// The only fields users may change on built-in templates
+const BUILT_IN_FIELDS = ["prompt", "description", "model", "params"];
+
+/**
+ * Validates the editable fields of a template found in a request body.
+ * Only fields that are present are returned, so this serves both create and update.
+ * @param {Object} body - The request body.
+ * @returns {{changes: Object, error: string|null}} The validated fields, or an error message.
+ */
+const readTemplateFields = (body) => {
+  const changes = {};
+
+  if (body.command !== undefined) {
+    const command =
+      typeof body.command === "string"
+        ? body.command.trim().replace(/^\//, "").toLowerCase()
+        : "";
+    if (!COMMAND_PATTERN.test(command)) {
+      return {
+        changes,
+        error:
+          "'command' must be 1-32 lowercase letters, digits or dashes (e.g. 'review-diff').",
+      };
+    }
+    changes.command = command;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { changes, error: "'name' must be a non-empty string." };
+    }
+    changes.name = body.name.trim().slice(0, MAX_NAME_LENGTH);
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== "string") {
+      return { changes, error: "'description' must be a string." };
+    }
+    changes.description = body.description
+      .trim()
+      .slice(0, MAX_DESCRIPTION_LENGTH);
+  }
+
+  if (body.prompt !== undefined) {
+    if (
+      typeof body.prompt !== "string" ||
+      !body.prompt.trim() ||
+      body.prompt.length > MAX_SYSTEM_PROMPT_LENGTH
+    ) {
+      return {
+        changes,
+        error: `'prompt' must be a non-empty string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters.`,
+      };
+    }
+    changes.prompt = body.prompt;
+  }
+
+  // Default model; null means "keep whatever model is selected"
+  if (body.model !== undefined) {
+    if (body.model !== null && typeof body.model !== "string") {
+      return { changes, error: "'model' must be a string or null." };
+    }
+    changes.model = body.model || null;
+  }
+
+  if (body.params !== undefined) {
+    const { params, error } = validateGenerationParams(body.params || {});
+    if (error) {
+      return { changes, error };
+    }
+    changes.params = params;
+  }
+
+  // Whether every user may use it (only the owner may still edit it)
+  if (body.shared !== undefined) {
+    if (typeof body.shared !== "boolean") {
+      return { changes, error: "'shared' must be a boolean." };
+    }
+    changes.shared = body.shared;
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Sends a 409 if another template the user (or, when shared, anyone) can use
+ * already runs on this command.
+ * @param {Object} fields - The template's command and sharing after the change.
+ * @param {string} [exceptId] - The template being edited, if any.
+ * @returns {Promise<boolean>} True if a response was sent.
+ */
+const rejectCommandClash = async (req, res, { command, shared }, exceptId) => {
+  const clash = await findCommandClash(command, req.user, {
+    shared,
+    exceptId,
+  });
+  if (!clash) return false;
+  res.status(409).json({
+    error: clash.builtIn
+      ? `'/${command}' is a built-in template's command; edit that template instead.`
+      : `Another template already uses '/${command}'.`,
+  });
+  return true;
+};
+
+/**
+ * Logs a store failure and sends a generic 500 response.
+ */
+const sendStoreError = (res, error, action) => {
+  logger.error("Template store error", { action, error });
+  res.status(500).json({ error: `Failed to ${action}.` });
+};
+
+/**
+ * Loads the :id template for editing, sending a 404 if the user can't see it
+ * and a 403 if they may only use it.
+ * @returns {Promise<Object|null>} The template, or null if a response was sent.
+ */
+const findEditable = async (req, res) => {
+  const template = await getTemplate(req.params.id, req.user);
+  if (!template) {
+    res.status(404).json({ error: "Template not found." });
+    return null;
+  }
+  if (!template.editable) {
+    res
+      .status(403)
+      .json({ error: "Only the owner of a shared template can change it." });
+    return null;
+  }
+  return template;
+};
+
+/**
+ * GET /api/templates
+ * Lists built-in templates followed by saved and shared ones, by command.
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json({ success: true, data: await listTemplates(req.user) });
+  } catch (error) {
+    sendStoreError(res, error, "list templates");
+  }
+});
+
+/**
+ * POST /api/templates
+ * Creates a template. `command`, `name` and `prompt` are required; the
+ * command must not be taken (409).
+ */
+router.post("/", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (
+      body.command === undefined ||
+      body.name === undefined ||
+      body.prompt === undefined
+    ) {
+      return res
+        .status(400)
+        .json({ error: "'command', 'name' and 'prompt' are required." });
+    }
+    const { changes, error: fieldsError } = readTemplateFields(body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    if (await rejectCommandClash(req, res, changes)) return;
+    const template = await createTemplate(changes, req.user);
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    sendStoreError(res, error, "create template");
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * Returns a single template.
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.id, req.user);
+    if (!template) {
+      return res.status(404).json({ error: "Template not found." });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    sendStoreError(res, error, "load template");
+  }
+});
+
+/**
+ * PATCH /api/templates/:id
+ * Updates any of a template's fields. Built-in templates keep their command
+ * and name; the changes apply to the signed-in user only.
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    const { changes, error: fieldsError } = readTemplateFields(req.body || {});
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: "Nothing to update." });
+    }
+    const template = await findEditable(req, res);
+    if (!template) return;
+    if (
+      template.builtIn &&
+      Object.keys(changes).some((field) => !BUILT_IN_FIELDS.includes(field))
+    ) {
+      return res.status(400).json({
+        error: `Only the ${BUILT_IN_FIELDS.join(
+          ", "
+        )} of built-in templates can be changed.`,
+      });
+    }
+    if (
+      !template.builtIn &&
+      (changes.command !== undefined || changes.shared !== undefined) &&
+      (await rejectCommandClash(
+        req,
+        res,
+        {
+          command: changes.command ?? template.command,
+          shared: changes.shared ?? template.shared,
+        },
+        template.id
+      ))
+    ) {
+      return;
+    }
+
+    const updated = await updateTemplate(template, changes, req.user);
+    if (!updated) {
+      return res.status(404).json({ error: "Template not found." });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    sendStoreError(res, error, "update template");
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Permanently deletes a saved template. For a built-in template, drops the
+ * user's edits and responds with the default version.
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const template = await findEditable(req, res);
+    if (!template) return;
+    const deleted = await deleteTemplate(template, req.user);
+    if (template.builtIn) {
+      return res.json({
+        success: true,
+        data: await getTemplate(template.id, req.user),
+      });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: "Template not found." });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStoreError(res, error, "delete template");
+  }
+});
+
+export default router;
@@ -0,0 +1,174 @@
+// routes/tools.js
+
+// Conversation helpers that run on the server, through the same provider layer
+// (and credentials) as normal chat:
+//   POST /api/tools/summarize  - summarize a conversation
+//   POST /api/tools/follow-ups - suggest follow-up questions for a conversation
+// Both take { messages, model?, provider? } and respond with { text, model, usage, cost }.
+// Their prompts are built-in templates (see services/templates.js), so users
+// can reword them, and give them a default model and parameters.
+
+import express from "express";
+import { messageText, validateMessages } from "../utils/messages.js";
+import { recordUsage } from "../services/usage.js";
+import { getModels } from "../services/modelCatalog.js";
+import { withRetry } from "../utils/retry.js";
+import { clampToModelLimits } from "../utils/generationParams.js";
+import { renderTemplate } from "../utils/templates.js";
+import {
+  FOLLOW_UPS_TEMPLATE_ID,
+  getTemplate,
+  SUMMARIZE_TEMPLATE_ID,
+} from "../services/templates.js";
+import {
+  abortOnClose,
+  createRequestError,
+  ensureWithinBudget,
+  resolveCredentials,
+  resolveProvider,
+  sendProviderError,
+} from "../utils/http.js";
+
+const router = express.Router();
+
+/**
+ * Formats a conversation as a plain-text transcript for the prompt.
+ * @param {Array<Object>} messages - The conversation messages.
+ * @returns {string} One "You: ..." / "AI: ..." line per message (attachments are left out).
+ */
+const toTranscript = (messages) =>
+  messages
+    .map(
+      (msg) =>
+        `${msg.role === "user" ? "You" : "AI"}: ${messageText(msg.content)}`
+    )
+    .join("\n");
+
+/**
+ * Fits a template's generation parameters to the model: drops those the
+ * catalog says it doesn't support and caps `max_tokens` at its limits.
+ * @param {Object} params - The template's parameters.
+ * @param {Object|null} modelInfo - The model's catalog entry, if known.
+ * @returns {Object} The parameters to send.
+ */
+const toModelParams = (params, modelInfo) => {
+  const supported = modelInfo?.supported_parameters;
+  const accepted = Array.isArray(supported)
+    ? Object.fromEntries(
+        Object.entries(params).filter(([name]) => supported.includes(name))
+      )
+    : params;
+  return clampToModelLimits(accepted, modelInfo);
+};
+
+/**
+ * Builds a route handler that sends a single prompt about the conversation
+ * to the selected model and returns the generated text.
+ * @param {string} templateId - The built-in template of the prompt; its
+ *   `{{transcript}}` is replaced by the conversation.
+ * @param {string} context - Route path, for error logs.
+ * @returns {Function} The Express handler.
+ */
+const createToolHandler = (templateId, context) => async (req, res) => {
+  const provider = resolveProvider(res, req.body?.provider);
+  if (!provider) return;
+  const credentials = resolveCredentials(req, res, provider);
+  if (!credentials) return;
+  if (!(await ensureWithinBudget(req, res, credentials))) return;
+
+  const signal = abortOnClose(res);
+
+  try {
+    const { messages } = req.body;
+
+    const validationError = validateMessages(messages);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (
+      req.body.model !== undefined &&
+      (typeof req.body.model !== "string" || !req.body.model)
+    ) {
+      return res.status(400).json({ error: "'model' must be a model ID." });
+    }
+
+    // The user's own version of the template, if they edited it; its default
+    // model, when set, wins over the one selected in the chat
+    const template = await getTemplate(templateId, req.user);
+    const model = template.model || req.body.model || provider.defaultModel;
+
+    // Models missing from the catalog are refused up front; if the catalog
+    // can't be loaded, the provider has the last word
+    const catalog = await getModels(provider).catch(() => null);
+    const modelInfo = catalog?.find((entry) => entry.id === model) || null;
+    if (catalog && !modelInfo) {
+      throw createRequestError(
+        404,
+        template.model
+          ? `The template's model '${model}' is not available; change it in the template library.`
+          : `Model '${model}' is not available.`,
+        "model_not_found"
+      );
+    }
+    const { text: prompt } = renderTemplate(template.prompt, {
+      transcript: toTranscript(messages),
+    });
+
+    const completion = await withRetry(
+      () =>
+        provider.chatCompletion(
+          {
+            model,
+            messages: [{ role: "user", content: prompt }],
+            ...toModelParams(template.params || {}, modelInfo),
+          },
+          { ...credentials, signal }
+        ),
+      { signal, label: context }
+    );
+
+    const cost = await recordUsage({
+      req,
+      provider,
+      model,
+      usage: completion.usage,
+      credentials,
+      source: context.split("/").pop(), // 'summarize' or 'follow-ups'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        text: completion.message.content || "",
+        model: completion.model,
+        usage: completion.usage,
+        cost,
+      },
+    });
+  } catch (error) {
+    if (signal.aborted) {
+      return;
+    }
+    sendProviderError(res, error, provider, context);
+  }
+};
+
+/**
+ * POST /api/tools/summarize
+ * Summarizes the conversation in `messages`.
+ */
+router.post(
+  "/summarize",
+  createToolHandler(SUMMARIZE_TEMPLATE_ID, "/api/tools/summarize")
+);
+
+/**
+ * POST /api/tools/follow-ups
+ * Suggests 3-5 follow-up questions for the conversation in `messages`.
+ */
+router.post(
+  "/follow-ups",
+  createToolHandler(FOLLOW_UPS_TEMPLATE_ID, "/api/tools/follow-ups")
+);
+
+export default router;
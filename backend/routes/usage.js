@@ -0,0 +1,79 @@
+// routes/usage.js
+
+// Usage and cost reports:
+//   GET /api/usage - totals and breakdowns by day, model, user and token
+// Query: from / to (YYYY-MM-DD, UTC; default: this month so far) and, for
+// admins, userId. Regular users only ever see their own usage; admins see
+// everyone's unless they filter by user.
+
+import express from "express";
+import {
+  buildUsageReport,
+  getBudgetStatus,
+  parseReportRange,
+} from "../services/usage.js";
+import { getToken, getUser } from "../services/auth.js";
+import { logger } from "../utils/logger.js";
+
+const router = express.Router();
+
+/**
+ * Adds display names to report rows (usernames, API token names).
+ * Deleted users and revoked tokens keep their ID with a null name.
+ * @param {Array<Object>} rows - Report rows keyed by `keyName`.
+ * @param {string} keyName - The row field holding the ID.
+ * @param {Function} lookup - Loads the record for an ID.
+ * @param {Function} nameOf - Picks the display name from the record.
+ * @returns {Promise<Array<Object>>} The rows with a `name` field.
+ */
+const withNames = (rows, keyName, lookup, nameOf) =>
+  Promise.all(
+    rows.map(async (row) => {
+      const record = row[keyName] ? await lookup(row[keyName]) : null;
+      return { ...row, name: record ? nameOf(record) : null };
+    })
+  );
+
+/**
+ * GET /api/usage
+ * Responds with { from, to, totals, byDay, byModel, byUser, byToken, budgets }.
+ * Costs are in USD; calls to models without catalog pricing count as $0 and
+ * are reported in `unpricedRequests`.
+ */
+router.get("/", async (req, res) => {
+  const { from, to, error } = parseReportRange(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const isAdmin = req.user.role === "admin";
+  const userId = isAdmin ? req.query.userId || undefined : req.user.id;
+
+  try {
+    const report = await buildUsageReport({ from, to, userId });
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        byUser: await withNames(
+          report.byUser,
+          "userId",
+          getUser,
+          (user) => user.username
+        ),
+        byToken: await withNames(
+          report.byToken,
+          "tokenId",
+          // Only API tokens are listed individually; sessions share one row
+          (id) => (id === "session" ? null : getToken(id)),
+          (token) => token.name
+        ),
+        budgets: await getBudgetStatus(userId || req.user.id),
+      },
+    });
+  } catch (error) {
+    logger.error("Usage store error", { action: "build report", error });
+    res.status(500).json({ error: "Failed to build usage report." });
+  }
+});
+
+export default router;
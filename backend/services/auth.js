@@ -0,0 +1,378 @@
+// services/auth.js
+
+// Local user accounts and access tokens.
+// - Passwords are hashed with scrypt (salted, compared in constant time).
+// - A token is "<record id>.<secret>": the record is looked up by ID and only
+//   a SHA-256 hash of the secret is stored, so a leaked data directory does
+//   not leak usable tokens. Sessions (from login) expire; API tokens last
+//   until revoked.
+// - Users' own provider API keys are encrypted with AES-256-GCM using
+//   API_KEY_ENCRYPTION_KEY, which never leaves the server's environment.
+
+import crypto from "crypto";
+import { promisify } from "util";
+import { createJsonCollection } from "../store/jsonCollection.js";
+import { logger } from "../utils/logger.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const users = createJsonCollection("users");
+const tokens = createJsonCollection("tokens");
+
+// How long a login session lasts
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+export const USER_ROLES = ["user", "admin"];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// ==========================================
+// Passwords
+// ==========================================
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} "salt:hash", both hex-encoded.
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+};
+
+// Compared against when a username doesn't exist, so failed logins take the
+// same time either way and don't reveal which usernames are taken
+const DUMMY_PASSWORD_HASH = await hashPassword(crypto.randomUUID());
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password - The plain-text password.
+ * @param {string} storedHash - The "salt:hash" string from hashPassword.
+ * @returns {Promise<boolean>} True if the password matches.
+ */
+const verifyPassword = async (password, storedHash) => {
+  const [salt, hash] = storedHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Validates a new password.
+ * @returns {string|null} An error message, or null if the password is acceptable.
+ */
+export const validatePassword = (password) =>
+  typeof password === "string" && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+
+// ==========================================
+// Users
+// ==========================================
+
+/**
+ * Reduces a user record to the fields that are safe to send to clients.
+ * @param {Object} user - The stored user.
+ * @returns {Object} { id, username, role, apiKeys (provider names with a stored key), createdAt }.
+ */
+export const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  apiKeys: Object.keys(user.apiKeys || {}),
+  createdAt: user.createdAt,
+});
+
+export const getUser = (id) => users.get(id);
+
+export const listUsers = () => users.list();
+
+/**
+ * Checks whether a user may see a stored record (conversation, preset, ...).
+ * Records are private to their owner; ones saved before accounts existed
+ * (no `ownerId`) are visible to admins.
+ * @param {Object} record - The record, with an optional `ownerId`.
+ * @param {Object} user - The signed-in user.
+ * @returns {boolean} True if the user may access the record.
+ */
+export const canAccess = (record, user) =>
+  record.ownerId ? record.ownerId === user.id : user.role === "admin";
+
+/**
+ * Finds a user by username, case-insensitively.
+ * @param {string} username - The username.
+ * @returns {Promise<Object|null>} The user, or null.
+ */
+const findUserByUsername = async (username) => {
+  const all = await users.list();
+  const wanted = String(username).toLowerCase();
+  return all.find((user) => user.username.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Creates a user account.
+ * @param {Object} fields - { username, password, role? }.
+ * @returns {Promise<{user: Object|null, error: string|null}>} The new user, or an error message.
+ */
+export const createUser = async ({ username, password, role = "user" }) => {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    return {
+      user: null,
+      error:
+        "Username must be 3-32 characters: letters, digits, '.', '_' or '-'.",
+    };
+  }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return { user: null, error: passwordError };
+  }
+  if (!USER_ROLES.includes(role)) {
+    return {
+      user: null,
+      error: `'role' must be one of: ${USER_ROLES.join(", ")}.`,
+    };
+  }
+  if (await findUserByUsername(username)) {
+    return { user: null, error: `Username '${username}' is already taken.` };
+  }
+
+  const user = await users.create({
+    username,
+    role,
+    passwordHash: await hashPassword(password),
+    apiKeys: {},
+  });
+  return { user, error: null };
+};
+
+/**
+ * Updates a user. A new password also signs the user out everywhere.
+ * @param {string} id - The user ID.
+ * @param {Object} changes - { password?, role? } (already validated).
+ * @returns {Promise<Object|null>} The updated user, or null if not found.
+ */
+export const updateUser = async (id, { password, role, apiKeys }) => {
+  const passwordHash = password ? await hashPassword(password) : undefined;
+  const user = await users.update(id, (current) => ({
+    ...current,
+    ...(passwordHash && { passwordHash }),
+    ...(role && { role }),
+    ...(apiKeys && { apiKeys }),
+  }));
+  if (user && passwordHash) {
+    await revokeUserTokens(id);
+  }
+  return user;
+};
+
+/**
+ * Deletes a user and all of their tokens.
+ * @param {string} id - The user ID.
+ * @returns {Promise<boolean>} True if the user existed.
+ */
+export const deleteUser = async (id) => {
+  const deleted = await users.remove(id);
+  if (deleted) {
+    await revokeUserTokens(id);
+  }
+  return deleted;
+};
+
+/**
+ * Checks a username and password.
+ * @returns {Promise<Object|null>} The user, or null if the credentials are wrong.
+ */
+export const authenticate = async (username, password) => {
+  if (typeof username !== "string" || typeof password !== "string") {
+    return null;
+  }
+  const user = await findUserByUsername(username);
+  const matches = await verifyPassword(
+    password,
+    user?.passwordHash || DUMMY_PASSWORD_HASH
+  );
+  return user && matches ? user : null;
+};
+
+/**
+ * Creates the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD when
+ * no users exist yet. Safe to call on every startup.
+ */
+export const ensureAdminUser = async () => {
+  if ((await users.list()).length > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    logger.warn(
+      "No user accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin."
+    );
+    return;
+  }
+
+  const { error } = await createUser({
+    username: ADMIN_USERNAME,
+    password: ADMIN_PASSWORD,
+    role: "admin",
+  });
+  if (error) {
+    logger.error("Could not create the admin account", { error });
+  } else {
+    logger.info("Created admin account", { username: ADMIN_USERNAME });
+  }
+};
+
+// ==========================================
+// Tokens
+// ==========================================
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest();
+
+/**
+ * Reduces a token record to the fields that are safe to send to clients.
+ */
+export const toPublicToken = (record) => ({
+  id: record.id,
+  userId: record.userId,
+  type: record.type,
+  name: record.name,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+});
+
+/**
+ * Issues a new token for a user.
+ * @param {string} userId - The user the token authenticates.
+ * @param {Object} options
+ * @param {string} options.type - 'session' (from login, expires) or 'api' (until revoked).
+ * @param {string} [options.name] - Label shown in token lists.
+ * @returns {Promise<{token: string, record: Object}>} The token (shown once) and its record.
+ */
+export const issueToken = async (userId, { type, name = "" }) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const record = await tokens.create({
+    userId,
+    type,
+    name,
+    secretHash: hashSecret(secret).toString("hex"),
+    expiresAt:
+      type === "session"
+        ? new Date(Date.now() + SESSION_TTL_MS).toISOString()
+        : null,
+  });
+  return { token: `${record.id}.${secret}`, record };
+};
+
+/**
+ * Resolves a token to its user.
+ * @param {string} token - The token presented by the client.
+ * @returns {Promise<{user: Object, token: Object}|null>} The user and token record, or null if invalid.
+ */
+export const resolveToken = async (token) => {
+  const [id, secret] = String(token).split(".");
+  if (!id || !secret) return null;
+
+  const record = await tokens.get(id);
+  if (!record) return null;
+
+  const expected = Buffer.from(record.secretHash, "hex");
+  if (!crypto.timingSafeEqual(expected, hashSecret(secret))) return null;
+
+  if (record.expiresAt && Date.parse(record.expiresAt) < Date.now()) {
+    await tokens.remove(record.id);
+    return null;
+  }
+
+  const user = await users.get(record.userId);
+  return user ? { user, token: record } : null;
+};
+
+/**
+ * Lists token records, optionally only those of one user.
+ * @param {string} [userId] - Limit to this user's tokens.
+ * @returns {Promise<Array<Object>>} Token records, newest first.
+ */
+export const listTokens = async (userId) => {
+  const all = await tokens.list();
+  return all
+    .filter((record) => !userId || record.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const getToken = (id) => tokens.get(id);
+
+export const revokeToken = (id) => tokens.remove(id);
+
+/**
+ * Revokes every token of a user (signs them out everywhere).
+ * @param {string} userId - The user ID.
+ * @returns {Promise<number>} How many tokens were revoked.
+ */
+export const revokeUserTokens = async (userId) => {
+  const records = await listTokens(userId);
+  await Promise.all(records.map((record) => tokens.remove(record.id)));
+  return records.length;
+};
+
+// ==========================================
+// Encrypted API keys
+// ==========================================
+
+// 256-bit key derived from the configured secret (any long random string)
+const encryptionKey = process.env.API_KEY_ENCRYPTION_KEY
+  ? crypto
+      .createHash("sha256")
+      .update(process.env.API_KEY_ENCRYPTION_KEY)
+      .digest()
+  : null;
+
+/**
+ * Reports whether users can store their own API keys on this server.
+ */
+export const canStoreApiKeys = () => Boolean(encryptionKey);
+
+/**
+ * Encrypts a secret with AES-256-GCM.
+ * @param {string} plaintext - The secret.
+ * @returns {{iv: string, tag: string, data: string}} Base64-encoded parts.
+ */
+export const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const data = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+};
+
+/**
+ * Decrypts a secret from encryptSecret.
+ * @param {Object} encrypted - { iv, tag, data }.
+ * @returns {string|null} The secret, or null if it can't be decrypted (e.g., the key changed).
+ */
+export const decryptSecret = (encrypted) => {
+  if (!encryptionKey || !encrypted) return null;
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      encryptionKey,
+      Buffer.from(encrypted.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (error) {
+    logger.error("Could not decrypt a stored API key", {
+      error: error.message,
+    });
+    return null;
+  }
+};
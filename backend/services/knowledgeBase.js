@@ -0,0 +1,446 @@
+// services/knowledgeBase.js
+
+// Document collections for retrieval-augmented chat. Users upload text,
+// Markdown and PDF files into a collection; a chat that names the collection
+// gets the chunks most relevant to its latest question added to the prompt,
+// and its reply cites them.
+// - Collection records (data/collections) list their documents; each
+//   document's chunks live in data/collection-documents/<id>.json.
+// - Chunks are ranked with BM25 (utils/bm25.js). When an embedding model is
+//   configured, chunks are embedded on upload as well, and both rankings are
+//   merged with reciprocal rank fusion.
+// - Indexes are built in memory on first search and rebuilt when the
+//   collection changes.
+// Configuration (environment):
+//   EMBEDDING_MODEL    - embedding model ID (e.g., 'openai/text-embedding-3-small');
+//                        unset means keyword search only
+//   EMBEDDING_PROVIDER - provider serving it (default: LLM_PROVIDER)
+//   RAG_TOP_K          - chunks added to a chat prompt (default 5)
+
+import { createJsonCollection } from "../store/jsonCollection.js";
+import { getProvider } from "../providers/index.js";
+import { recordUsage } from "./usage.js";
+import { canAccess } from "./auth.js";
+import { chunkDocument, extractDocument } from "../utils/documents.js";
+import { createIndex, search } from "../utils/bm25.js";
+import { logger } from "../utils/logger.js";
+
+const collections = createJsonCollection("collections");
+const documents = createJsonCollection("collection-documents");
+
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || null;
+const embeddingProvider = EMBEDDING_MODEL
+  ? getProvider(process.env.EMBEDDING_PROVIDER)
+  : null;
+
+export const DEFAULT_TOP_K = Math.max(1, Number(process.env.RAG_TOP_K) || 5);
+// Most chunks a single search may return
+export const MAX_TOP_K = 20;
+export const MAX_DOCUMENTS_PER_COLLECTION = 100;
+
+// Texts sent per embeddings call
+const EMBEDDING_BATCH_SIZE = 64;
+// Reciprocal rank fusion constant: damps the weight of the very top ranks
+const RRF_K = 60;
+// Indexes kept in memory
+const MAX_CACHED_INDEXES = 20;
+
+// Collection ID -> { updatedAt, index: Promise }
+const indexes = new Map();
+
+/**
+ * Tells whether chunks are embedded (EMBEDDING_MODEL is set and its provider
+ * can embed).
+ */
+export const embeddingsEnabled = () =>
+  Boolean(embeddingProvider?.createEmbeddings);
+
+/**
+ * Embeds texts in batches, recording the tokens used.
+ * @param {Array<string>} texts - The texts.
+ * @param {Object} [options] - { req } for usage accounting, { signal } to cancel.
+ * @returns {Promise<Array<Array<number>>>} One vector per text.
+ */
+const embed = async (texts, { req, signal } = {}) => {
+  const vectors = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = await embeddingProvider.createEmbeddings(
+      texts.slice(start, start + EMBEDDING_BATCH_SIZE),
+      { model: EMBEDDING_MODEL, signal }
+    );
+    vectors.push(...batch.vectors);
+    if (req) {
+      await recordUsage({
+        req,
+        provider: embeddingProvider,
+        model: EMBEDDING_MODEL,
+        usage: batch.usage,
+        credentials: {},
+        source: "embeddings",
+      });
+    }
+  }
+  return vectors;
+};
+
+/**
+ * Scales a vector to length 1, so cosine similarity is a dot product.
+ */
+const normalize = (vector) => {
+  const length = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / length);
+};
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// ==========================================
+// Collections
+// ==========================================
+
+/**
+ * Lists the collections the user may access, by name.
+ * @param {Object} user - The signed-in user.
+ * @returns {Promise<Array<Object>>} The collections.
+ */
+export const listCollections = async (user) =>
+  (await collections.list())
+    .filter((collection) => canAccess(collection, user))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Loads a collection the user may access.
+ * @param {string} id - The collection ID.
+ * @param {Object} user - The signed-in user.
+ * @returns {Promise<Object|null>} The collection, or null if missing or someone else's.
+ */
+export const getCollection = async (id, user) => {
+  const collection = await collections.get(id);
+  return collection && canAccess(collection, user) ? collection : null;
+};
+
+/**
+ * Creates an empty collection.
+ * @param {Object} fields - { name, description }.
+ * @param {Object} user - The owner.
+ * @returns {Promise<Object>} The stored collection.
+ */
+export const createCollection = (fields, user) =>
+  collections.create({
+    description: "",
+    ...fields,
+    documents: [],
+    ownerId: user.id,
+  });
+
+/**
+ * Changes a collection's name or description.
+ * @param {string} id - The collection ID.
+ * @param {Object} changes - { name?, description? }.
+ * @returns {Promise<Object|null>} The updated collection.
+ */
+export const updateCollection = (id, changes) =>
+  collections.update(id, (current) => ({ ...current, ...changes }));
+
+/**
+ * Deletes a collection and its documents.
+ * @param {Object} collection - The collection.
+ * @returns {Promise<void>}
+ */
+export const deleteCollection = async (collection) => {
+  await collections.remove(collection.id);
+  await Promise.all(
+    collection.documents.map((doc) => documents.remove(doc.id))
+  );
+  indexes.delete(collection.id);
+};
+
+// ==========================================
+// Documents
+// ==========================================
+
+/**
+ * Reads, chunks (and, when enabled, embeds) an uploaded file and adds it to
+ * a collection.
+ * @param {Object} collection - The collection.
+ * @param {Object} upload - { name, content, type? } (see extractDocument).
+ * @param {Object} [options] - { req } for embedding usage accounting.
+ * @returns {Promise<{document: Object|null, error: string|null}>} The
+ *   document's entry in the collection, or an error message.
+ */
+export const addDocument = async (collection, upload, { req } = {}) => {
+  if (collection.documents.length >= MAX_DOCUMENTS_PER_COLLECTION) {
+    return {
+      document: null,
+      error: `A collection may hold at most ${MAX_DOCUMENTS_PER_COLLECTION} documents.`,
+    };
+  }
+
+  const { type, size, pages, error } = await extractDocument(upload);
+  if (error) {
+    return { document: null, error };
+  }
+  const chunks = chunkDocument(pages, type);
+  if (chunks.length === 0) {
+    return { document: null, error: `'${upload.name}' contains no text.` };
+  }
+
+  // Keyword search still works if the embeddings can't be made
+  let embeddingModel = null;
+  if (embeddingsEnabled()) {
+    try {
+      const vectors = await embed(
+        chunks.map((chunk) => chunk.text),
+        { req }
+      );
+      chunks.forEach((chunk, i) => {
+        chunk.embedding = normalize(vectors[i]);
+      });
+      embeddingModel = EMBEDDING_MODEL;
+    } catch (embedError) {
+      logger.warn(
+        "Could not embed a document; it will be found by keywords only",
+        {
+          document: upload.name,
+          error: embedError.message,
+        }
+      );
+    }
+  }
+
+  const stored = await documents.create({
+    collectionId: collection.id,
+    name: upload.name,
+    embeddingModel,
+    chunks,
+  });
+  const entry = {
+    id: stored.id,
+    name: upload.name,
+    type,
+    size,
+    ...(type === "pdf" && { pages: pages.length }),
+    chunkCount: chunks.length,
+    embedded: Boolean(embeddingModel),
+    createdAt: stored.createdAt,
+  };
+
+  // Checked again under the collection's lock, in case of parallel uploads
+  let full = false;
+  const updated = await collections.update(collection.id, (current) => {
+    if (current.documents.length >= MAX_DOCUMENTS_PER_COLLECTION) {
+      full = true;
+      return current;
+    }
+    return { ...current, documents: [...current.documents, entry] };
+  });
+  if (!updated || full) {
+    await documents.remove(stored.id);
+    return {
+      document: null,
+      error: updated
+        ? `A collection may hold at most ${MAX_DOCUMENTS_PER_COLLECTION} documents.`
+        : "The collection was deleted.",
+    };
+  }
+  return { document: entry, error: null };
+};
+
+/**
+ * Removes a document from a collection.
+ * @param {Object} collection - The collection.
+ * @param {string} documentId - The document ID.
+ * @returns {Promise<boolean>} False if the collection has no such document.
+ */
+export const removeDocument = async (collection, documentId) => {
+  if (!collection.documents.some((doc) => doc.id === documentId)) {
+    return false;
+  }
+  await collections.update(collection.id, (current) => ({
+    ...current,
+    documents: current.documents.filter((doc) => doc.id !== documentId),
+  }));
+  await documents.remove(documentId);
+  return true;
+};
+
+/**
+ * Loads one chunk of a document, e.g. to show the source of a citation.
+ * @param {Object} collection - The collection.
+ * @param {string} documentId - The document ID.
+ * @param {number} index - The chunk's index in the document.
+ * @returns {Promise<Object|null>} { document, chunk } without embeddings, or null.
+ */
+export const getChunk = async (collection, documentId, index) => {
+  const entry = collection.documents.find((doc) => doc.id === documentId);
+  const chunk = entry && (await documents.get(documentId))?.chunks[index];
+  if (!chunk) return null;
+  const { embedding: _embedding, ...rest } = chunk;
+  return { document: entry, chunk: rest };
+};
+
+// ==========================================
+// Search
+// ==========================================
+
+/**
+ * Builds (or reuses) the search index of a collection.
+ */
+const loadIndex = (collection) => {
+  const cached = indexes.get(collection.id);
+  if (cached?.updatedAt === collection.updatedAt) return cached.index;
+
+  const index = (async () => {
+    const docs = await Promise.all(
+      collection.documents.map((entry) => documents.get(entry.id))
+    );
+    const chunks = docs.filter(Boolean).flatMap((doc) =>
+      doc.chunks.map((chunk) => ({
+        ...chunk,
+        documentId: doc.id,
+        documentName: doc.name,
+        // Vectors from another model can't be compared with the query's
+        embedding:
+          doc.embeddingModel === EMBEDDING_MODEL ? chunk.embedding : undefined,
+      }))
+    );
+    return {
+      chunks,
+      keywords: createIndex(chunks.map((chunk) => chunk.text)),
+    };
+  })();
+
+  indexes.delete(collection.id);
+  indexes.set(collection.id, { updatedAt: collection.updatedAt, index });
+  // A failed build must not be reused
+  index.catch(() => indexes.delete(collection.id));
+  // Forget the least recently built indexes (Maps iterate in insertion order)
+  while (indexes.size > MAX_CACHED_INDEXES) {
+    indexes.delete(indexes.keys().next().value);
+  }
+  return index;
+};
+
+/**
+ * Finds the chunks of a collection most relevant to a query.
+ * @param {Object} collection - The collection.
+ * @param {string} query - The search text (e.g., the user's question).
+ * @param {Object} [options]
+ * @param {number} [options.limit] - How many chunks to return (default RAG_TOP_K).
+ * @param {import("express").Request} [options.req] - For embedding usage accounting.
+ * @param {AbortSignal} [options.signal] - Cancels the query embedding.
+ * @returns {Promise<Array<Object>>} Chunks ({ documentId, documentName, index,
+ *   text, page?, section?, score }), best first. The score is BM25's, or the
+ *   fused one when embeddings took part.
+ */
+export const searchCollection = async (
+  collection,
+  query,
+  { limit = DEFAULT_TOP_K, req, signal } = {}
+) => {
+  const { chunks, keywords } = await loadIndex(collection);
+  if (chunks.length === 0 || !query.trim()) return [];
+
+  // Rankings to merge: keywords always, embeddings when there are any
+  const keywordHits = search(keywords, query, limit * 4);
+  const rankings = [keywordHits.map((hit) => hit.position)];
+  if (embeddingsEnabled() && chunks.some((chunk) => chunk.embedding)) {
+    try {
+      const [vector] = await embed([query], { req, signal });
+      const queryVector = normalize(vector);
+      rankings.push(
+        chunks
+          .map((chunk, position) => ({
+            position,
+            similarity: chunk.embedding
+              ? dot(chunk.embedding, queryVector)
+              : -Infinity,
+          }))
+          .filter((hit) => hit.similarity > -Infinity)
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, limit * 4)
+          .map((hit) => hit.position)
+      );
+    } catch (embedError) {
+      if (signal?.aborted) throw embedError;
+      logger.warn("Query embedding failed; using keywords only", {
+        error: embedError.message,
+      });
+    }
+  }
+
+  // Reciprocal rank fusion; keyword results alone keep their BM25 scores
+  const scores = new Map();
+  if (rankings.length === 1) {
+    keywordHits.forEach((hit) => scores.set(hit.position, hit.score));
+  } else {
+    for (const ranking of rankings) {
+      ranking.forEach((position, rank) => {
+        scores.set(
+          position,
+          (scores.get(position) || 0) + 1 / (RRF_K + rank + 1)
+        );
+      });
+    }
+  }
+
+  return [...scores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([position, score]) => {
+      const { embedding: _embedding, ...chunk } = chunks[position];
+      return { ...chunk, score: Number(score.toFixed(4)) };
+    });
+};
+
+// ==========================================
+// Chat grounding
+// ==========================================
+
+/**
+ * Adds retrieved chunks to a conversation as a numbered list of sources,
+ * placed after its leading system messages (which context trimming keeps).
+ * @param {Array<Object>} messages - The conversation.
+ * @param {Object} collection - The collection searched.
+ * @param {Array<Object>} results - From searchCollection.
+ * @returns {Array<Object>} The conversation to send.
+ */
+export const withSources = (messages, collection, results) => {
+  const sources = results
+    .map((result, i) => {
+      const location = [
+        result.page && `page ${result.page}`,
+        result.section && `section "${result.section}"`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+      return `[${i + 1}] ${result.documentName}${
+        location ? ` (${location})` : ""
+      }\n${result.text}`;
+    })
+    .join("\n\n");
+  const instructions = {
+    role: "system",
+    content: `Excerpts from the knowledge base "${collection.name}" that may help answer the user's latest message are listed below. Base your answer on them where they are relevant, and cite each excerpt you use by its number in square brackets, e.g. [1] or [2][3]. If they don't contain the answer, say so before answering from general knowledge.\n\n${sources}`,
+  };
+  const firstTurn = messages.findIndex((msg) => msg.role !== "system");
+  const at = firstTurn === -1 ? messages.length : firstTurn;
+  return [...messages.slice(0, at), instructions, ...messages.slice(at)];
+};
+
+/**
+ * Describes the sources given to the model, for the response and the stored
+ * reply. Each one links back to its chunk
+ * (GET /api/collections/:id/documents/:documentId/chunks/:index).
+ * @param {Object} collection - The collection searched.
+ * @param {Array<Object>} results - From searchCollection, in the order given.
+ * @param {string} reply - The reply text, to see which sources it cites.
+ * @returns {Array<Object>} Citations ({ source, collectionId, documentId,
+ *   documentName, index, page?, section?, text, score, cited }).
+ */
+export const toCitations = (collection, results, reply) =>
+  results.map((result, i) => ({
+    source: i + 1,
+    collectionId: collection.id,
+    ...result,
+    cited: new RegExp(`\\[${i + 1}\\]`).test(reply || ""),
+  }));
@@ -0,0 +1,165 @@
+// services/metrics.js
+
+// In-memory metrics, served in the Prometheus text format by GET /metrics:
+//   http_requests_total{method,route,status}                    - requests handled
+//   http_request_duration_seconds{method,route}                 - response times
+//   llm_requests_total{provider,model,operation,outcome}        - upstream calls ('success' / 'error')
+//   llm_request_duration_seconds{provider,model,operation}      - upstream latency
+//   llm_time_to_first_token_seconds{provider,model}             - streaming latency
+//   llm_tokens_total{provider,model,type}                       - 'prompt' / 'completion' tokens used
+// Counters start over when the server restarts, which Prometheus handles.
+// Route labels are route patterns (e.g. '/api/conversations/:id'), never raw
+// paths, so the number of series stays bounded. Model names come from
+// clients, though: past MAX_SERIES series, new ones are counted as model "other".
+
+// Histogram buckets, in seconds
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const LLM_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const MAX_SERIES = 2000; // per metric
+
+// name -> { type, help, buckets?, series: Map(label key -> values) }
+const metrics = new Map();
+
+/**
+ * Registers a metric.
+ * @param {string} type - 'counter' or 'histogram'.
+ * @param {string} name - The metric name.
+ * @param {string} help - Its description.
+ * @param {Array<number>} [buckets] - Bucket upper bounds, for histograms.
+ */
+const define = (type, name, help, buckets) => {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+  return name;
+};
+
+export const HTTP_REQUESTS = define(
+  "counter",
+  "http_requests_total",
+  "HTTP requests handled."
+);
+export const HTTP_DURATION = define(
+  "histogram",
+  "http_request_duration_seconds",
+  "Time to respond to HTTP requests (streams: until they end).",
+  HTTP_BUCKETS
+);
+export const LLM_REQUESTS = define(
+  "counter",
+  "llm_requests_total",
+  "Calls to model providers, by outcome."
+);
+export const LLM_DURATION = define(
+  "histogram",
+  "llm_request_duration_seconds",
+  "Duration of calls to model providers (streams: until the last chunk).",
+  LLM_BUCKETS
+);
+export const LLM_FIRST_TOKEN = define(
+  "histogram",
+  "llm_time_to_first_token_seconds",
+  "Time until a streamed reply's first chunk.",
+  LLM_BUCKETS
+);
+export const LLM_TOKENS = define(
+  "counter",
+  "llm_tokens_total",
+  "Tokens used by model calls, as reported by the providers."
+);
+
+/**
+ * Returns the values of one labelled series, creating it on first use.
+ */
+const seriesOf = (name, labels) => {
+  const metric = metrics.get(name);
+  let key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series && metric.series.size >= MAX_SERIES && labels.model) {
+    labels = { ...labels, model: "other" };
+    key = JSON.stringify(labels);
+    series = metric.series.get(key);
+  }
+  if (!series) {
+    series =
+      metric.type === "histogram"
+        ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+};
+
+/**
+ * Adds to a counter.
+ * @param {string} name - The counter (e.g., HTTP_REQUESTS).
+ * @param {Object} labels - Its labels.
+ * @param {number} [amount=1] - How much to add.
+ */
+export const increment = (name, labels, amount = 1) => {
+  seriesOf(name, labels).value += amount;
+};
+
+/**
+ * Records a value in a histogram.
+ * @param {string} name - The histogram (e.g., LLM_DURATION).
+ * @param {Object} labels - Its labels.
+ * @param {number} value - The observed value (seconds).
+ */
+export const observe = (name, labels, value) => {
+  const series = seriesOf(name, labels);
+  metrics.get(name).buckets.forEach((bound, index) => {
+    if (value <= bound) series.buckets[index] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+};
+
+/**
+ * Formats labels as {a="1",b="2"}, escaping values as the format requires.
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) =>
+      `${key}="${String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Renders every metric in the Prometheus text exposition format.
+ * @returns {string} The page served by GET /metrics.
+ */
+export const renderMetrics = () => {
+  const lines = [];
+  for (const [name, metric] of metrics) {
+    lines.push(
+      `# HELP ${name} ${metric.help}`,
+      `# TYPE ${name} ${metric.type}`
+    );
+    for (const series of metric.series.values()) {
+      if (metric.type === "counter") {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        lines.push(
+          `${name}_bucket${formatLabels({
+            ...series.labels,
+            le: bound,
+          })} ${series.buckets[index]}`
+        );
+      });
+      lines.push(
+        `${name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${
+          series.count
+        }`,
+        `${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+        `${name}_count${formatLabels(series.labels)} ${series.count}`
+      );
+    }
+  }
+  return `${lines.join("\n")}\n`;
+};
@@ -0,0 +1,226 @@
+// services/modelCatalog.js
+
+// In-memory cache of each provider's model catalog, so page loads and
+// per-request lookups (e.g., a model's token limits) don't refetch the whole
+// list from the provider every time. Also implements the catalog filters
+// offered by GET /api/models.
+
+import crypto from "crypto";
+import { logger } from "../utils/logger.js";
+
+// How long a fetched catalog is reused before fetching it again
+const CATALOG_TTL_MS =
+  Number(process.env.MODEL_CATALOG_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+
+// Readiness checks accept a catalog this old: refreshes normally keep it
+// younger than the TTL, but may fail for a while (the stale copy is served)
+const CATALOG_MAX_AGE_MS = 3 * CATALOG_TTL_MS;
+
+// provider name -> { models, fetchedAt, hash } plus { pending } while a fetch
+// is running and { lastError } after one failed
+const catalogs = new Map();
+
+/**
+ * Returns a provider's catalog, fetching it if the cached copy is missing or stale.
+ * Concurrent callers share a single in-flight fetch. If a refresh fails, the
+ * stale copy (when there is one) is served instead.
+ * @param {Object} provider - The provider whose catalog to load.
+ * @returns {Promise<{models: Array<Object>, fetchedAt: number, hash: string}>} The catalog.
+ */
+export const getCatalog = async (provider) => {
+  const cached = catalogs.get(provider.name);
+  if (cached?.models && Date.now() - cached.fetchedAt < CATALOG_TTL_MS) {
+    return cached;
+  }
+  if (cached?.pending) {
+    return cached.pending;
+  }
+
+  const pending = provider.listModels().then(
+    (models) => {
+      const catalog = {
+        models,
+        fetchedAt: Date.now(),
+        // Content hash, used to build ETags that only change when the list does
+        hash: crypto
+          .createHash("sha1")
+          .update(JSON.stringify(models))
+          .digest("hex"),
+      };
+      catalogs.set(provider.name, catalog);
+      return catalog;
+    },
+    (error) => {
+      catalogs.set(provider.name, {
+        ...cached,
+        pending: null,
+        lastError: error.message,
+      });
+      // Fall back to the stale copy, if there is one, rather than failing the caller
+      if (cached?.models) return cached;
+      throw error;
+    }
+  );
+  catalogs.set(provider.name, { ...cached, pending });
+  return pending;
+};
+
+/**
+ * Reports how old a provider's cached catalog is, for readiness checks.
+ * Never calls the provider, but starts a background refresh when the cached
+ * copy has expired (or was never fetched), so that a later check sees a fresh one.
+ * @param {Object} provider - The provider whose catalog to check.
+ * @returns {{fresh: boolean, fetchedAt: string|null, ageSeconds: number|null,
+ *   ttlSeconds: number, refreshing: boolean, lastError: string|null}}
+ */
+export const getCatalogStatus = (provider) => {
+  const cached = catalogs.get(provider.name);
+  const age = cached?.models ? Date.now() - cached.fetchedAt : null;
+  if ((age === null || age >= CATALOG_TTL_MS) && !cached?.pending) {
+    // Failures are kept as `lastError` and show up in the next check
+    getCatalog(provider).catch(() => {});
+  }
+  return {
+    fresh: age !== null && age < CATALOG_MAX_AGE_MS,
+    fetchedAt: age === null ? null : new Date(cached.fetchedAt).toISOString(),
+    ageSeconds: age === null ? null : Math.round(age / 1000),
+    ttlSeconds: Math.round(CATALOG_TTL_MS / 1000),
+    refreshing: Boolean(catalogs.get(provider.name)?.pending),
+    lastError: catalogs.get(provider.name)?.lastError || null,
+  };
+};
+
+/**
+ * Returns a provider's model list (see getCatalog).
+ * @param {Object} provider - The provider whose catalog to load.
+ * @returns {Promise<Array<Object>>} The model catalog.
+ */
+export const getModels = async (provider) =>
+  (await getCatalog(provider)).models;
+
+/**
+ * Looks up one model's catalog entry. Never throws: if the catalog cannot be
+ * loaded, the caller simply proceeds without model-specific limits.
+ * @param {Object} provider - The provider that serves the model.
+ * @param {string} modelId - The model ID (e.g., 'openai/gpt-4o').
+ * @returns {Promise<Object|null>} The model entry, or null if unknown.
+ */
+export const getModelInfo = async (provider, modelId) => {
+  try {
+    const models = await getModels(provider);
+    return models.find((model) => model.id === modelId) || null;
+  } catch (error) {
+    logger.error("Could not load the model catalog", {
+      provider: provider.name,
+      error,
+    });
+    return null;
+  }
+};
+
+// ==========================================
+// Catalog Filters
+// ==========================================
+
+// Prices in the catalog are USD per token; filters use USD per million tokens
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/**
+ * Parses catalog filters from a query string object.
+ * Supported: `q` (text search), `provider` (vendor prefix of the model ID,
+ * comma-separated), `modality` (required input modality, e.g. 'image'),
+ * `min_context` (tokens), `max_price` (USD per 1M prompt or completion tokens)
+ * and `free` ('true' for free models only).
+ * @param {Object} query - The request's query parameters.
+ * @returns {{filters: Object, error: string|null}} The parsed filters, or an error message.
+ */
+export const parseCatalogFilters = (query) => {
+  const filters = {};
+
+  if (query.q) {
+    filters.q = String(query.q).toLowerCase();
+  }
+  if (query.provider) {
+    filters.providers = String(query.provider)
+      .toLowerCase()
+      .split(",")
+      .filter(Boolean);
+  }
+  if (query.modality) {
+    filters.modality = String(query.modality).toLowerCase();
+  }
+  for (const name of ["min_context", "max_price"]) {
+    if (query[name] === undefined) continue;
+    const value = Number(query[name]);
+    if (Number.isNaN(value) || value < 0) {
+      return { filters, error: `'${name}' must be a non-negative number.` };
+    }
+    filters[name] = value;
+  }
+  if (query.free !== undefined) {
+    filters.free = query.free === "true" || query.free === "1";
+  }
+
+  return { filters, error: null };
+};
+
+/**
+ * Lists the input modalities of a catalog entry, handling both OpenRouter's
+ * `architecture.input_modalities` array and its older 'text+image->text' string.
+ */
+const inputModalities = (model) =>
+  model.architecture?.input_modalities ||
+  (model.architecture?.modality || "text").split("->")[0].split("+");
+
+/**
+ * Applies parsed filters to a model list. Models missing a field a filter
+ * needs (e.g., no pricing) are excluded by that filter.
+ * @param {Array<Object>} models - The catalog.
+ * @param {Object} filters - Filters from parseCatalogFilters.
+ * @returns {Array<Object>} The matching models, in catalog order.
+ */
+export const filterModels = (models, filters) =>
+  models.filter((model) => {
+    if (
+      filters.q &&
+      !`${model.id} ${model.name || ""}`.toLowerCase().includes(filters.q)
+    ) {
+      return false;
+    }
+    if (
+      filters.providers &&
+      !filters.providers.includes(model.id.split("/")[0].toLowerCase())
+    ) {
+      return false;
+    }
+    if (
+      filters.modality &&
+      !inputModalities(model).includes(filters.modality)
+    ) {
+      return false;
+    }
+    if (
+      filters.min_context !== undefined &&
+      !((model.context_length || 0) >= filters.min_context)
+    ) {
+      return false;
+    }
+
+    const promptPrice = Number(model.pricing?.prompt);
+    const completionPrice = Number(model.pricing?.completion);
+    if (
+      filters.max_price !== undefined &&
+      !(
+        promptPrice * TOKENS_PER_PRICE_UNIT <= filters.max_price &&
+        completionPrice * TOKENS_PER_PRICE_UNIT <= filters.max_price
+      )
+    ) {
+      return false;
+    }
+    if (filters.free !== undefined) {
+      const isFree = promptPrice === 0 && completionPrice === 0;
+      if (isFree !== filters.free) return false;
+    }
+
+    return true;
+  });
@@ -0,0 +1,359 @@
+// services/rateLimits.js
+
+// Rate limits and quotas, defined as rules. Every rule that matches a request
+// applies, each with its own counters per identity:
+//   {
+//     name: "chat",                     // shown in errors; must be unique
+//     match: ["POST /api/chat/*"],      // [METHOD] path; '*' matches anything
+//     by: "user",                       // whose allowance: 'ip', 'user' or 'token'
+//     roles: ["user"],                  // optional: only for these roles
+//     window: "1m", max: 20,            // requests per window ('30s', '15m', '2h', '1d')
+//     concurrent: 2,                    // requests in progress at once
+//     tokensPerMinute: 50000,           // prompt + completion tokens, from recorded usage
+//     message: "...",                   // optional: replaces the default error message
+//   }
+// 'user' shares one allowance between all of a user's sessions and API tokens;
+// 'token' gives each token its own. Both fall back to the IP address for
+// requests without a login (e.g., the login itself).
+// The health check and /metrics are answered before any rule applies (see
+// app.js), so probes and scrapers are never limited.
+// RATE_LIMITS replaces the default rules with a JSON array, given inline or as
+// the path of a .json file. Counters live in memory: they are per server
+// process and start over on restart.
+
+import fs from "fs";
+
+const DEFAULT_RULES = [
+  // A ceiling on everything from one address, signed in or not
+  {
+    name: "ip",
+    match: ["/api/*", "/v1/*"],
+    by: "ip",
+    window: "15m",
+    max: 1000,
+  },
+  // Slows down password guessing
+  {
+    name: "login",
+    match: "POST /api/auth/login",
+    by: "ip",
+    window: "15m",
+    max: 10,
+    message: "Too many login attempts, please try again later.",
+  },
+  // Everything that calls a model, per user
+  {
+    name: "completions",
+    match: [
+      "POST /api/chat/*",
+      "POST /api/tools/*",
+      "POST /api/collections/*/documents",
+      "POST /v1/chat/*",
+    ],
+    by: "user",
+    window: "1m",
+    max: 30,
+    concurrent: 4,
+    tokensPerMinute: 200000,
+  },
+];
+
+export const IDENTITIES = ["ip", "user", "token"];
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 86400000,
+};
+const TOKEN_WINDOW_MS = 60 * 1000;
+
+/**
+ * Parses a duration such as '30s', '15m', '2h' or '1d'.
+ * @returns {number|null} Milliseconds, or null if invalid.
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(value).trim());
+  return match && Number(match[1]) > 0
+    ? Number(match[1]) * DURATION_UNITS[match[2]]
+    : null;
+};
+
+/**
+ * Turns a match pattern ('POST /api/chat/*' or '/api/*') into a test function.
+ */
+const compilePattern = (pattern) => {
+  const [first, second] = pattern.trim().split(/\s+/);
+  const method = second ? first.toUpperCase() : null;
+  const path = second || first;
+  const regex = new RegExp(
+    `^${path
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*")}$`
+  );
+  return (req, requestPath) =>
+    (!method || req.method === method) && regex.test(requestPath);
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validates rules and prepares them for matching.
+ * @param {Array<Object>} rules - Rules as described at the top of this file.
+ * @returns {Array<Object>} The compiled rules.
+ * @throws {Error} If a rule is invalid, naming it.
+ */
+export const compileRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw new Error("Rate limits must be an array of rules.");
+  }
+  const names = new Set();
+  return rules.map((rule, index) => {
+    const fail = (problem) => {
+      throw new Error(`Rate limit rule '${rule?.name ?? index}': ${problem}`);
+    };
+    if (typeof rule?.name !== "string" || !rule.name) {
+      fail("'name' must be a non-empty string.");
+    }
+    if (names.has(rule.name)) fail("'name' is used by another rule.");
+    names.add(rule.name);
+
+    const patterns = [].concat(rule.match);
+    if (
+      patterns.length === 0 ||
+      !patterns.every((pattern) => typeof pattern === "string" && pattern)
+    ) {
+      fail("'match' must be a pattern or an array of patterns.");
+    }
+    if (!IDENTITIES.includes(rule.by)) {
+      fail(`'by' must be one of ${IDENTITIES.join(", ")}.`);
+    }
+    if (
+      rule.roles !== undefined &&
+      (!Array.isArray(rule.roles) ||
+        !rule.roles.every((role) => typeof role === "string"))
+    ) {
+      fail("'roles' must be an array of role names.");
+    }
+
+    const windowMs =
+      rule.window === undefined ? null : parseDuration(rule.window);
+    if (rule.window !== undefined && !windowMs) {
+      fail("'window' must be a duration such as '30s', '15m', '2h' or '1d'.");
+    }
+    if ((rule.max === undefined) !== (rule.window === undefined)) {
+      fail("'max' and 'window' go together.");
+    }
+    for (const field of ["max", "concurrent", "tokensPerMinute"]) {
+      if (rule[field] !== undefined && !isPositiveInteger(rule[field])) {
+        fail(`'${field}' must be a positive integer.`);
+      }
+    }
+    if (
+      rule.max === undefined &&
+      rule.concurrent === undefined &&
+      rule.tokensPerMinute === undefined
+    ) {
+      fail("set at least one of 'max', 'concurrent' or 'tokensPerMinute'.");
+    }
+
+    return {
+      ...rule,
+      windowMs,
+      matchers: patterns.map(compilePattern),
+    };
+  });
+};
+
+/**
+ * Reads the rules from RATE_LIMITS (inline JSON or a file), or the defaults.
+ */
+const loadRules = () => {
+  const setting = process.env.RATE_LIMITS?.trim();
+  if (!setting) return compileRules(DEFAULT_RULES);
+  const json = setting.startsWith("[")
+    ? setting
+    : fs.readFileSync(setting, "utf8");
+  return compileRules(JSON.parse(json));
+};
+
+const RULES = loadRules();
+
+// Counters, keyed by '<rule name>:<identity>'
+const windows = new Map(); // { count, resetAt }
+const inFlight = new Map(); // number of requests in progress
+const tokenLogs = new Map(); // [{ at, tokens }] over the last minute
+
+/**
+ * Whose allowance a request draws from under a rule.
+ */
+const identify = (req, by) => {
+  if (by === "user" && req.user) return `user:${req.user.id}`;
+  if (by === "token" && req.token) return `token:${req.token.id}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Sums a token log, dropping the entries older than a minute.
+ */
+const recentTokens = (key, now) => {
+  const log = (tokenLogs.get(key) || []).filter(
+    (entry) => entry.at > now - TOKEN_WINDOW_MS
+  );
+  if (log.length > 0) tokenLogs.set(key, log);
+  else tokenLogs.delete(key);
+  return { log, total: log.reduce((sum, entry) => sum + entry.tokens, 0) };
+};
+
+/**
+ * Describes a rule's limit for error messages.
+ */
+const describeLimit = (rule, kind) => {
+  if (kind === "window") return `${rule.max} requests per ${rule.window}`;
+  if (kind === "concurrent") return `${rule.concurrent} requests at a time`;
+  return `${rule.tokensPerMinute} tokens per minute`;
+};
+
+/**
+ * Checks a request against the rules for the given identities and, if it's
+ * within all of them, counts it. A rejected request counts toward nothing.
+ * @param {import("express").Request} req - The request (`req.user` and
+ *   `req.token` must be set for 'user' and 'token' rules to tell users apart).
+ * @param {Array<string>} identities - Which rules to apply, by their `by`.
+ * @returns {{rejection: Object|null, quota: Object|null, tokenKeys: Array<string>, release: Function}}
+ *   `rejection` ({ message, limit, retryAfter } in seconds) when over a limit;
+ *   otherwise `quota` ({ limit, remaining, resetAfter }), the request window
+ *   with the fewest requests left, the keys to charge tokens to, and
+ *   `release`, to call once the request has finished.
+ */
+export const acquireLimits = (req, identities) => {
+  const now = Date.now();
+  const requestPath = req.originalUrl.split("?")[0];
+  const rules = RULES.filter(
+    (rule) =>
+      identities.includes(rule.by) &&
+      (!rule.roles || rule.roles.includes(req.user?.role)) &&
+      rule.matchers.some((matches) => matches(req, requestPath))
+  ).map((rule) => ({ rule, key: `${rule.name}:${identify(req, rule.by)}` }));
+
+  // First check everything, keeping the longest wait
+  let rejection = null;
+  const reject = (rule, kind, limit, waitMs) => {
+    const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    if (!rejection || retryAfter > rejection.retryAfter) {
+      rejection = {
+        message:
+          rule.message ||
+          `Too many requests (${describeLimit(
+            rule,
+            kind
+          )}). Please try again in ${retryAfter} seconds.`,
+        limit,
+        retryAfter,
+      };
+    }
+  };
+  for (const { rule, key } of rules) {
+    const window = windows.get(key);
+    if (
+      rule.max &&
+      window &&
+      window.resetAt > now &&
+      window.count >= rule.max
+    ) {
+      reject(rule, "window", rule.max, window.resetAt - now);
+    }
+    if (rule.concurrent && (inFlight.get(key) || 0) >= rule.concurrent) {
+      // No way to know when one finishes; a second is a reasonable guess
+      reject(rule, "concurrent", rule.concurrent, 1000);
+    }
+    if (rule.tokensPerMinute) {
+      const { log, total } = recentTokens(key, now);
+      if (total >= rule.tokensPerMinute) {
+        // Wait until enough of the minute's tokens have aged out
+        let excess = total - rule.tokensPerMinute;
+        const freed = log.find((entry) => (excess -= entry.tokens) < 0);
+        reject(
+          rule,
+          "tokens",
+          rule.tokensPerMinute,
+          freed.at + TOKEN_WINDOW_MS - now
+        );
+      }
+    }
+  }
+  if (rejection) {
+    return { rejection, quota: null, tokenKeys: [], release: () => {} };
+  }
+
+  // Then count the request everywhere
+  let quota = null;
+  const started = [];
+  for (const { rule, key } of rules) {
+    if (rule.max) {
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + rule.windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      const remaining = rule.max - window.count;
+      if (!quota || remaining < quota.remaining) {
+        quota = {
+          limit: rule.max,
+          remaining,
+          resetAfter: Math.ceil((window.resetAt - now) / 1000),
+        };
+      }
+    }
+    if (rule.concurrent) {
+      inFlight.set(key, (inFlight.get(key) || 0) + 1);
+      started.push(key);
+    }
+  }
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    for (const key of started) {
+      const count = inFlight.get(key) - 1;
+      if (count > 0) inFlight.set(key, count);
+      else inFlight.delete(key);
+    }
+  };
+
+  return {
+    rejection: null,
+    quota,
+    tokenKeys: rules
+      .filter(({ rule }) => rule.tokensPerMinute)
+      .map(({ key }) => key),
+    release,
+  };
+};
+
+/**
+ * Charges the tokens of a model call to the token limits its request falls
+ * under (see middleware/rateLimit.js, which sets `req.rateLimit`).
+ * @param {import("express").Request} req - The request that made the call.
+ * @param {number} tokens - Prompt plus completion tokens.
+ */
+export const recordTokens = (req, tokens) => {
+  if (!req?.rateLimit || !(tokens > 0)) return;
+  const now = Date.now();
+  for (const key of req.rateLimit.tokenKeys) {
+    tokenLogs.set(key, [...(tokenLogs.get(key) || []), { at: now, tokens }]);
+  }
+};
+
+// Forget expired windows and token logs now and then, so idle clients don't
+// accumulate in memory
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of windows) {
+    if (window.resetAt <= now) windows.delete(key);
+  }
+  for (const key of tokenLogs.keys()) recentTokens(key, now);
+}, 60 * 1000).unref();
@@ -0,0 +1,236 @@
+// services/templates.js
+
+// The prompt template library. A template is a prompt with `{{variable}}`
+// placeholders (see utils/templates.js), run from the chat input as a slash
+// command (`/review`), with an optional default model and generation
+// parameters.
+// - Built-in templates live in code. Users may edit them; each user's edits
+//   are stored as their own override, and deleting it restores the default.
+//   The summarize and follow-up helpers (routes/tools.js) run built-ins.
+// - Saved templates are private to the user who created them, unless they
+//   are `shared`: then every user may use them, but only the owner may edit.
+// - A command runs one template, so no two templates a user can use may share
+//   a command (see findCommandClash).
+
+import { createJsonCollection } from "../store/jsonCollection.js";
+import { canAccess } from "./auth.js";
+import { extractVariables } from "../utils/templates.js";
+
+// Saved templates and users' overrides of built-in ones (with `builtInId`)
+const templates = createJsonCollection("templates");
+
+export const SUMMARIZE_TEMPLATE_ID = "builtin-summarize";
+export const FOLLOW_UPS_TEMPLATE_ID = "builtin-follow-ups";
+
+// Templates every installation starts with. Their IDs are reserved.
+const BUILT_IN_TEMPLATES = [
+  {
+    id: SUMMARIZE_TEMPLATE_ID,
+    command: "summarize",
+    name: "Summarize conversation",
+    description:
+      "Used by ✨ Summarize Chat; {{transcript}} is the conversation.",
+    prompt: "Summarize the following conversation:\n\n{{transcript}}",
+    model: null,
+    params: { max_tokens: 1000, temperature: 0.7 },
+  },
+  {
+    id: FOLLOW_UPS_TEMPLATE_ID,
+    command: "follow-ups",
+    name: "Suggest follow-up questions",
+    description:
+      "Used by ✨ Suggest Questions; {{transcript}} is the conversation.",
+    prompt:
+      "Based on the following conversation, suggest 3-5 concise follow-up questions:\n\n{{transcript}}",
+    model: null,
+    params: { max_tokens: 1000, temperature: 0.7 },
+  },
+  {
+    id: "builtin-review",
+    command: "review",
+    name: "Review a diff",
+    description: "Code review of a diff or snippet.",
+    prompt:
+      "Review the following diff. Point out bugs, security issues and unclear naming first, then suggest concrete improvements.\n\n```\n{{diff}}\n```",
+    model: null,
+    params: { temperature: 0.2 },
+  },
+  {
+    id: "builtin-translate",
+    command: "translate",
+    name: "Translate",
+    description: "Translates text, keeping tone and formatting.",
+    prompt:
+      "Translate the following text into {{language}}, preserving tone and formatting. Reply with the translation only.\n\n{{text}}",
+    model: null,
+    params: { temperature: 0.3 },
+  },
+].map((template) => ({ ...template, builtIn: true, shared: true }));
+
+const findBuiltIn = (id) =>
+  BUILT_IN_TEMPLATES.find((template) => template.id === id);
+
+// A user's override of a built-in template is stored under a derived ID
+const overrideId = (builtInId, user) => `${builtInId}--${user.id}`;
+
+/**
+ * Adds what clients need to know about a template for a given user: its
+ * variables, and whether they may edit it.
+ */
+const toPublicTemplate = (template, user) => ({
+  ...template,
+  variables: extractVariables(template.prompt),
+  editable: template.builtIn || canAccess(template, user),
+});
+
+/**
+ * Applies a user's override, if any, to a built-in template.
+ * @returns {Promise<Object>} The template as this user sees it.
+ */
+const withOverride = async (builtIn, user) => {
+  const override = await templates.get(overrideId(builtIn.id, user));
+  if (!override) return builtIn;
+  const { prompt, model, params, description } = override;
+  return {
+    ...builtIn,
+    prompt: prompt ?? builtIn.prompt,
+    model: model !== undefined ? model : builtIn.model,
+    params: params ?? builtIn.params,
+    description: description ?? builtIn.description,
+    customized: true,
+  };
+};
+
+/**
+ * Tells whether a user may use a saved template.
+ */
+const isVisible = (template, user) =>
+  !template.builtInId && (template.shared || canAccess(template, user));
+
+/**
+ * Lists the templates a user may use: built-in ones (with their edits)
+ * followed by saved ones, by command.
+ * @param {Object} user - The signed-in user.
+ * @returns {Promise<Array<Object>>} The templates.
+ */
+export const listTemplates = async (user) => {
+  const builtIns = await Promise.all(
+    BUILT_IN_TEMPLATES.map((template) => withOverride(template, user))
+  );
+  const saved = (await templates.list())
+    .filter((template) => isVisible(template, user))
+    .sort((a, b) => a.command.localeCompare(b.command));
+  return [...builtIns, ...saved].map((template) =>
+    toPublicTemplate(template, user)
+  );
+};
+
+/**
+ * Loads a template a user may use.
+ * @param {string} id - The template ID.
+ * @param {Object} user - The signed-in user.
+ * @returns {Promise<Object|null>} The template, or null if missing or not visible.
+ */
+export const getTemplate = async (id, user) => {
+  const builtIn = findBuiltIn(id);
+  if (builtIn) {
+    return toPublicTemplate(await withOverride(builtIn, user), user);
+  }
+  const template = await templates.get(id);
+  return template && isVisible(template, user)
+    ? toPublicTemplate(template, user)
+    : null;
+};
+
+/**
+ * Finds a template whose command clashes with `command`: a built-in one, or a
+ * saved one the user can use. A shared template becomes usable by everyone,
+ * so its command must not clash with anyone's templates.
+ * @param {string} command - The command, without the slash.
+ * @param {Object} user - The signed-in user.
+ * @param {Object} [options]
+ * @param {boolean} [options.shared] - Whether the template will be shared.
+ * @param {string} [options.exceptId] - The template being edited, if any.
+ * @returns {Promise<Object|null>} The clashing template, or null.
+ */
+export const findCommandClash = async (
+  command,
+  user,
+  { shared = false, exceptId } = {}
+) => {
+  const builtIn = BUILT_IN_TEMPLATES.find(
+    (template) => template.command === command
+  );
+  if (builtIn) return builtIn;
+  // Users' overrides of built-in templates keep the built-in's command
+  const saved = await templates.list();
+  return (
+    saved.find(
+      (template) =>
+        !template.builtInId &&
+        template.id !== exceptId &&
+        template.command === command &&
+        (shared || isVisible(template, user))
+    ) || null
+  );
+};
+
+/**
+ * Saves a new template.
+ * @param {Object} fields - Validated fields ({ command, name, prompt, ... }).
+ * @param {Object} user - The owner.
+ * @returns {Promise<Object>} The stored template.
+ */
+export const createTemplate = async (fields, user) =>
+  toPublicTemplate(
+    await templates.create({
+      description: "",
+      model: null,
+      params: {},
+      shared: false,
+      ...fields,
+      ownerId: user.id,
+    }),
+    user
+  );
+
+/**
+ * Edits a template. Edits to a built-in template are saved as the user's
+ * override, and only its prompt, description, model and parameters change.
+ * @param {Object} template - The template, as returned by getTemplate.
+ * @param {Object} changes - Validated fields to change.
+ * @param {Object} user - The signed-in user (must be allowed to edit it).
+ * @returns {Promise<Object|null>} The updated template.
+ */
+export const updateTemplate = async (template, changes, user) => {
+  if (template.builtIn) {
+    const { prompt, description, model, params } = changes;
+    await templates.upsert(overrideId(template.id, user), (current) => ({
+      ...current,
+      ...Object.fromEntries(
+        Object.entries({ prompt, description, model, params }).filter(
+          ([, value]) => value !== undefined
+        )
+      ),
+      builtInId: template.id,
+      ownerId: user.id,
+    }));
+    return getTemplate(template.id, user);
+  }
+  const updated = await templates.update(template.id, (current) => ({
+    ...current,
+    ...changes,
+  }));
+  return updated && toPublicTemplate(updated, user);
+};
+
+/**
+ * Deletes a saved template, or restores a built-in one to its default.
+ * @param {Object} template - The template, as returned by getTemplate.
+ * @param {Object} user - The signed-in user (must be allowed to edit it).
+ * @returns {Promise<boolean>} False if there was nothing to delete.
+ */
+export const deleteTemplate = (template, user) =>
+  templates.remove(
+    template.builtIn ? overrideId(template.id, user) : template.id
+  );
@@ -0,0 +1,395 @@
+// services/usage.js
+
+// Token usage and cost accounting, plus budget enforcement.
+// - Every model call is recorded with its token counts and a cost computed
+//   from the catalog's per-token pricing (unknown pricing is recorded as null).
+// - Entries are appended to one log per UTC day (data/usage/<YYYY-MM-DD>.jsonl),
+//   so recording a call costs the same however busy the day is, and reports
+//   only read the days they cover.
+// - Budgets (USD) are configured through the environment and only count
+//   calls paid with the server's API keys; users' own keys are not limited.
+//   Recording also keeps running totals of that spending per day and per
+//   month (data/usage-totals/<YYYY-MM-DD|YYYY-MM>.json), so checking a budget
+//   before each call reads two small documents rather than the month's logs.
+//     DAILY_BUDGET_USD / MONTHLY_BUDGET_USD            - whole server
+//     USER_DAILY_BUDGET_USD / USER_MONTHLY_BUDGET_USD  - each user
+
+import { createJsonCollection } from "../store/jsonCollection.js";
+import { createJsonLines } from "../store/jsonLines.js";
+import { getModelInfo } from "./modelCatalog.js";
+import { recordTokens } from "./rateLimits.js";
+import { increment, LLM_TOKENS } from "./metrics.js";
+import { estimateTokens } from "../utils/contextWindow.js";
+import { logger } from "../utils/logger.js";
+
+const usageLogs = createJsonLines("usage");
+// Server-paid spending per day or month: { spentUsd, byUser: { [userId]: usd } }
+const spendingTotals = createJsonCollection("usage-totals");
+
+/**
+ * Reads a budget from the environment.
+ * @returns {number|null} The limit in USD, or null when unset (no limit).
+ */
+const readBudget = (name) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && value >= 0 ? value : null;
+};
+
+const BUDGETS = [
+  { scope: "global", period: "day", limitUsd: readBudget("DAILY_BUDGET_USD") },
+  {
+    scope: "global",
+    period: "month",
+    limitUsd: readBudget("MONTHLY_BUDGET_USD"),
+  },
+  {
+    scope: "user",
+    period: "day",
+    limitUsd: readBudget("USER_DAILY_BUDGET_USD"),
+  },
+  {
+    scope: "user",
+    period: "month",
+    limitUsd: readBudget("USER_MONTHLY_BUDGET_USD"),
+  },
+].filter((budget) => budget.limitUsd !== null);
+
+// Longest range a single usage report may cover
+const MAX_REPORT_DAYS = 366;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ==========================================
+// Days
+// ==========================================
+
+/**
+ * Formats a date as its UTC day, which is also the key of that day's log.
+ * @param {Date} [date] - Defaults to now.
+ * @returns {string} e.g. '2024-05-31'.
+ */
+const toDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * The UTC month of a day, which is the ID of that month's spending totals.
+ * @param {string} day - A day (YYYY-MM-DD).
+ * @returns {string} e.g. '2024-05'.
+ */
+const toMonth = (day) => day.slice(0, 7);
+
+/**
+ * Lists every day from `from` to `to`, inclusive.
+ * @param {string} from - First day (YYYY-MM-DD).
+ * @param {string} to - Last day (YYYY-MM-DD).
+ * @returns {Array<string>} The days, in order.
+ */
+const daysBetween = (from, to) => {
+  const days = [];
+  const date = new Date(`${from}T00:00:00Z`);
+  const end = new Date(`${to}T00:00:00Z`);
+  while (date <= end) {
+    days.push(toDay(date));
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Reads the usage entries of the given days.
+ * @param {Array<string>} days - Days (YYYY-MM-DD).
+ * @returns {Promise<Array<Object>>} Their entries, oldest day first.
+ */
+const readEntries = async (days) => {
+  const perDay = await Promise.all(days.map((day) => usageLogs.read(day)));
+  return perDay.flat();
+};
+
+// ==========================================
+// Recording
+// ==========================================
+
+/**
+ * Computes the cost of a call from the catalog's per-token prices.
+ * @param {Object|null} modelInfo - The model's catalog entry.
+ * @param {Object} usage - Token usage ({ prompt_tokens, completion_tokens }).
+ * @returns {number|null} Cost in USD, or null if the model's pricing is unknown.
+ */
+export const computeCost = (modelInfo, usage) => {
+  const promptPrice = Number(modelInfo?.pricing?.prompt);
+  const completionPrice = Number(modelInfo?.pricing?.completion);
+  if (!modelInfo?.pricing || isNaN(promptPrice) || isNaN(completionPrice)) {
+    return null;
+  }
+  return (
+    (usage.prompt_tokens || 0) * promptPrice +
+    (usage.completion_tokens || 0) * completionPrice
+  );
+};
+
+/**
+ * Estimates a call's usage when the provider didn't report any, e.g. for a
+ * stream cut short (Stop, or an upstream failure) before its usage chunk.
+ * The tokens were generated all the same, so they still count.
+ * @param {Array<Object>} messages - The messages the model was sent.
+ * @param {Object} message - What it replied, so far ({ content, tool_calls? }).
+ * @returns {Object} Token usage, marked `estimated`.
+ */
+export const estimateUsage = (messages, message) => {
+  const promptTokens = estimateTokens(messages);
+  const completionTokens = estimateTokens([
+    {
+      role: "assistant",
+      content: [
+        message.content || "",
+        ...(message.tool_calls || []).map((call) => call.function.arguments),
+      ].join(""),
+    },
+  ]);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    estimated: true,
+  };
+};
+
+/**
+ * Records one model call. Never throws: accounting problems are logged but
+ * must not fail a request whose answer has already been produced.
+ * @param {Object} call
+ * @param {import("express").Request} call.req - The request (for the user and token).
+ * @param {Object} call.provider - The provider that served the call.
+ * @param {string} call.model - The model ID.
+ * @param {Object} [call.usage] - Token usage reported by the provider (or
+ *   from estimateUsage).
+ * @param {Object} call.credentials - From resolveCredentials (an `apiKey` means the user's own key).
+ * @param {string} call.source - What made the call (e.g., 'chat', 'compare', 'summarize').
+ * @returns {Promise<number|null>} The call's cost in USD, or null if unknown.
+ */
+export const recordUsage = async ({
+  req,
+  provider,
+  model,
+  usage,
+  credentials,
+  source,
+}) => {
+  if (!usage) return null;
+  // Tokens-per-minute limits count what calls actually used
+  recordTokens(
+    req,
+    (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  );
+  for (const type of ["prompt", "completion"]) {
+    increment(
+      LLM_TOKENS,
+      { provider: provider.name, model, type },
+      usage[`${type}_tokens`] || 0
+    );
+  }
+  try {
+    const cost = computeCost(await getModelInfo(provider, model), usage);
+    const entry = {
+      at: new Date().toISOString(),
+      userId: req.user?.id || null,
+      tokenId: req.token?.id || null,
+      tokenType: req.token?.type || null,
+      provider: provider.name,
+      model,
+      source,
+      // Whose key paid for the call; only the server's counts toward budgets
+      keySource: credentials?.apiKey ? "user" : "server",
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      cost,
+      ...(usage.estimated && { estimated: true }),
+    };
+    const day = toDay();
+    await usageLogs.append(day, entry);
+    if (entry.keySource === "server" && cost) {
+      await addSpending([day, toMonth(day)], entry.userId, cost);
+    }
+    return cost;
+  } catch (error) {
+    logger.error("Failed to record usage", { error });
+    return null;
+  }
+};
+
+// ==========================================
+// Budgets
+// ==========================================
+
+/**
+ * Adds a server-paid cost to the running totals of the given periods.
+ * @param {Array<string>} periods - Period IDs (a day and its month).
+ * @param {string|null} userId - Who made the call.
+ * @param {number} cost - The call's cost in USD.
+ */
+const addSpending = (periods, userId, cost) =>
+  Promise.all(
+    periods.map((period) =>
+      spendingTotals.upsert(period, (current) => {
+        const byUser = { ...current?.byUser };
+        if (userId) byUser[userId] = (byUser[userId] || 0) + cost;
+        return { spentUsd: (current?.spentUsd || 0) + cost, byUser };
+      })
+    )
+  );
+
+/**
+ * Reports every configured budget and how much of it has been spent.
+ * @param {string} userId - The user whose per-user budgets to report.
+ * @returns {Promise<Array<Object>>} One { scope, period, limitUsd, spentUsd, exceeded } per budget.
+ */
+export const getBudgetStatus = async (userId) => {
+  if (BUDGETS.length === 0) return [];
+
+  const today = toDay();
+  const [day, month] = await Promise.all([
+    spendingTotals.get(today),
+    spendingTotals.get(toMonth(today)),
+  ]);
+
+  return BUDGETS.map((budget) => {
+    const totals = budget.period === "day" ? day : month;
+    const spentUsd =
+      (budget.scope === "user" ? totals?.byUser?.[userId] : totals?.spentUsd) ||
+      0;
+    return { ...budget, spentUsd, exceeded: spentUsd >= budget.limitUsd };
+  });
+};
+
+/**
+ * Formats a USD amount, keeping cents-or-less amounts readable.
+ */
+const formatUsd = (usd) =>
+  usd > 0 && usd < 0.01 ? `$${usd.toPrecision(2)}` : `$${usd.toFixed(2)}`;
+
+/**
+ * Finds the first exceeded budget and describes it for the client.
+ * Budgets are checked before a call, so concurrent calls may overshoot a
+ * limit slightly; the next request after that is refused.
+ * @param {string} userId - The user about to make a call.
+ * @returns {Promise<string|null>} An error message, or null if within budget.
+ */
+export const findExceededBudget = async (userId) => {
+  const exceeded = (await getBudgetStatus(userId)).find(
+    (budget) => budget.exceeded
+  );
+  if (!exceeded) return null;
+
+  const owner = exceeded.scope === "user" ? "Your" : "The server's";
+  const period = exceeded.period === "day" ? "daily" : "monthly";
+  const resets = exceeded.period === "day" ? "tomorrow" : "next month";
+  return `${owner} ${period} budget of ${formatUsd(
+    exceeded.limitUsd
+  )} has been used up (${formatUsd(
+    exceeded.spentUsd
+  )} spent). It resets ${resets} (UTC), or add your own API key in your account settings.`;
+};
+
+// ==========================================
+// Reports
+// ==========================================
+
+/**
+ * Parses and checks a report's date range; defaults to the current month.
+ * @param {Object} query - The request's query parameters ({ from?, to? }).
+ * @returns {{from: string, to: string, error: string|null}} The range, or an error message.
+ */
+export const parseReportRange = (query) => {
+  const today = toDay();
+  const from = query.from ? String(query.from) : `${today.slice(0, 8)}01`;
+  const to = query.to ? String(query.to) : today;
+
+  for (const [name, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    if (!DAY_PATTERN.test(value) || isNaN(Date.parse(value))) {
+      return { from, to, error: `'${name}' must be a date (YYYY-MM-DD).` };
+    }
+  }
+  if (from > to) {
+    return { from, to, error: "'from' must not be after 'to'." };
+  }
+  if (daysBetween(from, to).length > MAX_REPORT_DAYS) {
+    return {
+      from,
+      to,
+      error: `A report may cover at most ${MAX_REPORT_DAYS} days.`,
+    };
+  }
+  return { from, to, error: null };
+};
+
+/**
+ * Adds an entry's counts to a running total.
+ */
+const addTo = (total, entry) => {
+  total.requests += 1;
+  total.promptTokens += entry.promptTokens;
+  total.completionTokens += entry.completionTokens;
+  total.cost += entry.cost || 0;
+  if (entry.cost === null) total.unpricedRequests += 1;
+  return total;
+};
+
+const emptyTotal = () => ({
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  cost: 0,
+  unpricedRequests: 0,
+});
+
+/**
+ * Totals entries per group, most expensive group first.
+ * @param {Array<Object>} entries - Usage entries.
+ * @param {Function} keyOf - Returns the group key of an entry.
+ * @param {string} keyName - Field name for the key in the output rows.
+ * @returns {Array<Object>} One { [keyName], ...totals } row per group.
+ */
+const groupBy = (entries, keyOf, keyName) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, emptyTotal());
+    addTo(groups.get(key), entry);
+  }
+  return [...groups]
+    .map(([key, total]) => ({ [keyName]: key, ...total }))
+    .sort((a, b) => b.cost - a.cost);
+};
+
+/**
+ * Builds a usage report for a date range.
+ * @param {Object} options
+ * @param {string} options.from - First day (YYYY-MM-DD).
+ * @param {string} options.to - Last day (YYYY-MM-DD).
+ * @param {string} [options.userId] - Only count this user's calls.
+ * @returns {Promise<Object>} Totals plus breakdowns by day, model, user and token.
+ */
+export const buildUsageReport = async ({ from, to, userId }) => {
+  const entries = (await readEntries(daysBetween(from, to))).filter(
+    (entry) => !userId || entry.userId === userId
+  );
+
+  return {
+    from,
+    to,
+    totals: entries.reduce(addTo, emptyTotal()),
+    byDay: groupBy(entries, (entry) => entry.at.slice(0, 10), "day").sort(
+      (a, b) => a.day.localeCompare(b.day)
+    ),
+    byModel: groupBy(entries, (entry) => entry.model, "model"),
+    byUser: groupBy(entries, (entry) => entry.userId, "userId"),
+    // Sessions are grouped together; API tokens are reported one by one
+    byToken: groupBy(
+      entries,
+      (entry) => (entry.tokenType === "api" ? entry.tokenId : "session"),
+      "tokenId"
+    ),
+  };
+};
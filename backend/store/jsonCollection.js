@@ -0,0 +1,170 @@
+// store/jsonCollection.js
+
+// A tiny document store that keeps each record as a JSON file in its own
+// directory (e.g. data/conversations/<id>.json). It is deliberately simple:
+// no database server, no native dependencies, and the files stay human-readable.
+
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+// Root directory for all collections. Defaults to backend/data.
+const DATA_DIR =
+  process.env.DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+
+// Record IDs become file names, so only allow safe characters (no path traversal)
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Creates a handle to a named collection of JSON documents.
+ * @param {string} name - Collection name, used as the sub-directory of DATA_DIR.
+ * @returns {Object} Collection API with list, get, create, update and remove methods.
+ */
+export const createJsonCollection = (name) => {
+  const dir = path.join(DATA_DIR, name);
+  // Per-record promise chains so concurrent updates to one record never interleave
+  const locks = new Map();
+
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  const ensureDir = () => fs.mkdir(dir, { recursive: true });
+
+  /**
+   * Writes a record atomically: write to a temp file, then rename over the original.
+   */
+  const write = async (doc) => {
+    await ensureDir();
+    const tmpFile = `${fileFor(doc.id)}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(doc, null, 2));
+    await fs.rename(tmpFile, fileFor(doc.id));
+  };
+
+  /**
+   * Runs `task` after any pending work on the same record has finished.
+   */
+  const withLock = (id, task) => {
+    const previous = locks.get(id) || Promise.resolve();
+    const next = previous.then(task, task);
+    locks.set(id, next);
+    // Forget the lock once the chain is idle to keep the map small
+    next
+      .finally(() => {
+        if (locks.get(id) === next) locks.delete(id);
+      })
+      .catch(() => {});
+    return next;
+  };
+
+  const collection = {
+    /**
+     * Reads a single record.
+     * @param {string} id - The record ID.
+     * @returns {Promise<Object|null>} The record, or null if it does not exist.
+     */
+    get: async (id) => {
+      if (!ID_PATTERN.test(String(id))) return null;
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Reads every record in the collection.
+     * @returns {Promise<Array<Object>>} All records, in no particular order.
+     */
+    list: async () => {
+      await ensureDir();
+      const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".json"));
+      const records = await Promise.all(
+        files.map((file) => collection.get(path.basename(file, ".json")))
+      );
+      return records.filter(Boolean);
+    },
+
+    /**
+     * Stores a new record, assigning an ID and timestamps.
+     * @param {Object} data - The record fields.
+     * @returns {Promise<Object>} The stored record.
+     */
+    create: async (data) => {
+      const now = new Date().toISOString();
+      const doc = {
+        ...data,
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+      };
+      await write(doc);
+      return doc;
+    },
+
+    /**
+     * Applies `mutator` to a record and saves the result, serialized per record.
+     * @param {string} id - The record ID.
+     * @param {Function} mutator - Receives the current record, returns the new one.
+     * @returns {Promise<Object|null>} The updated record, or null if it does not exist.
+     */
+    update: (id, mutator) =>
+      withLock(id, async () => {
+        const current = await collection.get(id);
+        if (!current) return null;
+        const updated = {
+          ...(await mutator(current)),
+          id: current.id, // The ID and creation time are immutable
+          createdAt: current.createdAt,
+          updatedAt: new Date().toISOString(),
+        };
+        await write(updated);
+        return updated;
+      }),
+
+    /**
+     * Like update, but for records with a caller-chosen ID (e.g. one per day):
+     * if the record does not exist yet, `mutator` receives null and its result
+     * is stored under `id`.
+     * @param {string} id - The record ID.
+     * @param {Function} mutator - Receives the current record (or null), returns the new one.
+     * @returns {Promise<Object>} The stored record.
+     */
+    upsert: (id, mutator) =>
+      withLock(id, async () => {
+        if (!ID_PATTERN.test(String(id))) {
+          throw new Error(`Invalid record ID '${id}'.`);
+        }
+        const current = await collection.get(id);
+        const now = new Date().toISOString();
+        const updated = {
+          ...(await mutator(current)),
+          id,
+          createdAt: current?.createdAt || now,
+          updatedAt: now,
+        };
+        await write(updated);
+        return updated;
+      }),
+
+    /**
+     * Deletes a record.
+     * @param {string} id - The record ID.
+     * @returns {Promise<boolean>} True if a record was deleted.
+     */
+    remove: (id) =>
+      withLock(id, async () => {
+        if (!ID_PATTERN.test(String(id))) return false;
+        try {
+          await fs.unlink(fileFor(id));
+          return true;
+        } catch (error) {
+          if (error.code === "ENOENT") return false;
+          throw error;
+        }
+      }),
+  };
+
+  return collection;
+};
@@ -0,0 +1,73 @@
+// store/jsonLines.js
+
+// An append-only log of JSON records, one file per key and one record per
+// line (e.g. data/usage/<day>.jsonl). Appending never reads or rewrites what
+// is already there, so its cost stays the same however large a file grows,
+// and concurrent appends need no lock (each line is written in a single
+// O_APPEND write). Suited to records that are only ever added, like usage.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../utils/logger.js";
+
+// Same root directory as the JSON collections (see jsonCollection.js)
+const DATA_DIR =
+  process.env.DATA_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data");
+
+// Keys become file names, so only allow safe characters (no path traversal)
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Creates a handle to a named set of append-only logs.
+ * @param {string} name - Log name, used as the sub-directory of DATA_DIR.
+ * @returns {Object} Log API with append and read methods.
+ */
+export const createJsonLines = (name) => {
+  const dir = path.join(DATA_DIR, name);
+
+  const fileFor = (key) => path.join(dir, `${key}.jsonl`);
+
+  return {
+    /**
+     * Appends a record to a key's log, creating it if needed.
+     * @param {string} key - The log key (e.g. a day).
+     * @param {Object} record - The record to append.
+     */
+    append: async (key, record) => {
+      if (!KEY_PATTERN.test(String(key))) {
+        throw new Error(`Invalid log key '${key}'.`);
+      }
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(fileFor(key), `${JSON.stringify(record)}\n`);
+    },
+
+    /**
+     * Reads every record of a key's log.
+     * @param {string} key - The log key.
+     * @returns {Promise<Array<Object>>} The records in the order they were
+     *   appended; empty if the log does not exist.
+     */
+    read: async (key) => {
+      if (!KEY_PATTERN.test(String(key))) return [];
+      let text;
+      try {
+        text = await fs.readFile(fileFor(key), "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      return text.split("\n").flatMap((line) => {
+        if (!line.trim()) return [];
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          // e.g. a line cut short by a crash mid-write; the rest still counts
+          logger.warn("Skipping a malformed log line", { log: name, key });
+          return [];
+        }
+      });
+    },
+  };
+};
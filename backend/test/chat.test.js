@@ -0,0 +1,239 @@
+// test/chat.test.js
+
+// POST /api/chat/completion against the mock provider: validation, replies
+// (plain, streamed and with tool calls), retries and error responses.
+
+import { parseEvents, startApp } from "./helpers.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+const messages = [{ role: "user", content: "Hello there" }];
+
+const app = await startApp();
+
+/**
+ * Posts a chat completion and returns the response with its parsed body.
+ */
+const complete = async (body) => {
+  const response = await app.request("/api/chat/completion", {
+    body: { model: "mock/echo", messages, ...body },
+  });
+  return { response, body: await response.json() };
+};
+
+describe("validation", () => {
+  test("requires authentication", async () => {
+    const response = await app.request("/api/chat/completion", {
+      body: { messages },
+      auth: false,
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test("treats a malformed session cookie as no session", async () => {
+    const response = await app.request("/api/chat/completion", {
+      body: { messages },
+      headers: { Cookie: "session=%E0" },
+      auth: false,
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test("rejects a request without messages", async () => {
+    const { response, body } = await complete({ messages: undefined });
+    assert.equal(response.status, 400);
+    assert.equal(body.code, "invalid_request");
+    assert.equal(body.retryable, false);
+    assert.equal(body.request_id, response.headers.get("X-Request-Id"));
+  });
+
+  test("rejects messages with an unknown role", async () => {
+    const { response } = await complete({
+      messages: [{ role: "robot", content: "Hi" }],
+    });
+    assert.equal(response.status, 400);
+  });
+
+  test("rejects out-of-range generation parameters", async () => {
+    const { response, body } = await complete({ temperature: 5 });
+    assert.equal(response.status, 400);
+    assert.match(body.error, /temperature/);
+  });
+
+  test("rejects unknown providers", async () => {
+    const { response, body } = await complete({ provider: "nope" });
+    assert.equal(response.status, 400);
+    assert.match(body.error, /Unknown provider 'nope'/);
+  });
+
+  test("answers malformed JSON in the shared envelope", async () => {
+    const response = await app.request("/api/chat/completion", {
+      body: "{not json",
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, "invalid_request");
+  });
+});
+
+describe("replies", () => {
+  test("returns the provider's reply with usage", async () => {
+    app.provider.script({ content: "Hi, how can I help?" });
+    const { response, body } = await complete();
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.data.message.content, "Hi, how can I help?");
+    assert.equal(body.data.model, "mock/echo");
+    assert.equal(body.data.finish_reason, "stop");
+    assert.ok(body.data.usage.total_tokens > 0);
+  });
+
+  test("forwards the messages and parameters", async () => {
+    await complete({ temperature: 0.2 });
+    const call = app.provider.calls.at(-1);
+    assert.equal(call.model, "mock/echo");
+    assert.equal(call.temperature, 0.2);
+    assert.deepEqual(call.messages.at(-1), messages[0]);
+  });
+
+  test("streams deltas, then a done event", async () => {
+    app.provider.script({ content: "One two three" });
+    const response = await app.request("/api/chat/completion", {
+      body: { model: "mock/echo", messages, stream: true },
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("Content-Type"), /text\/event-stream/);
+    const events = parseEvents(await response.text());
+    const text = events
+      .filter(({ event }) => event === "delta")
+      .map(({ data }) => data.content)
+      .join("");
+    assert.equal(text, "One two three");
+    const done = events.at(-1);
+    assert.equal(done.event, "done");
+    assert.equal(done.data.finish_reason, "stop");
+  });
+
+  test("runs the tools the model calls and sends back the results", async () => {
+    app.provider.script(
+      {
+        tool_calls: [{ name: "calculator", arguments: { expression: "6*7" } }],
+      },
+      { content: "It is 42." }
+    );
+    const { response, body } = await complete({ tools: ["calculator"] });
+    assert.equal(response.status, 200);
+    assert.equal(body.data.message.content, "It is 42.");
+    assert.equal(body.data.tool_calls.length, 1);
+    assert.equal(body.data.tool_calls[0].name, "calculator");
+    const toolMessage = app.provider.calls
+      .at(-1)
+      .messages.find((message) => message.role === "tool");
+    assert.match(toolMessage.content, /42/);
+  });
+
+  test("streams tool calls and their results", async () => {
+    app.provider.script(
+      {
+        tool_calls: [{ name: "calculator", arguments: { expression: "2+2" } }],
+      },
+      { content: "Four." }
+    );
+    const response = await app.request("/api/chat/completion", {
+      body: {
+        model: "mock/echo",
+        messages,
+        stream: true,
+        tools: ["calculator"],
+      },
+    });
+    const names = parseEvents(await response.text()).map(({ event }) => event);
+    assert.ok(names.includes("tool_call"));
+    assert.ok(names.includes("tool_result"));
+    assert.equal(names.at(-1), "done");
+  });
+
+  test("records the usage of a stream the client stops", async () => {
+    const usageTotals = async () =>
+      (await (await app.request("/api/usage")).json()).data.totals;
+    const before = await usageTotals();
+
+    app.provider.script({
+      content: "A long answer that is stopped halfway through",
+      delayMs: 20,
+    });
+    const controller = new AbortController();
+    const response = await app.request("/api/chat/completion", {
+      body: { model: "mock/echo", messages, stream: true },
+      signal: controller.signal,
+    });
+    // Stop once the first words have arrived
+    await response.body.getReader().read();
+    controller.abort();
+
+    // The server notices the disconnect between two words
+    let after = before;
+    for (
+      let wait = 0;
+      wait < 20 && after.requests === before.requests;
+      wait++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      after = await usageTotals();
+    }
+    assert.equal(after.requests, before.requests + 1);
+    assert.ok(after.promptTokens > before.promptTokens);
+    assert.ok(after.completionTokens > before.completionTokens);
+  });
+
+  test("retries a transient failure", async () => {
+    app.provider.script({ error: { status: 500 } }, { content: "Recovered" });
+    const { response, body } = await complete();
+    assert.equal(response.status, 200);
+    assert.equal(body.data.message.content, "Recovered");
+  });
+});
+
+describe("provider errors", () => {
+  test("reports a rejected API key", async () => {
+    const { response, body } = await complete({ model: "mock/error-401" });
+    assert.equal(response.status, 502);
+    assert.equal(body.code, "invalid_api_key");
+    assert.equal(body.retryable, false);
+    assert.equal(body.upstream_status, 401);
+  });
+
+  test("passes rate limits on with the time to wait", async () => {
+    const { response, body } = await complete({ model: "mock/error-429" });
+    assert.equal(response.status, 429);
+    assert.equal(body.code, "rate_limited");
+    assert.equal(body.retryable, true);
+    assert.equal(response.headers.get("Retry-After"), "1");
+  });
+
+  test("reports upstream server errors as retryable", async () => {
+    const { response, body } = await complete({ model: "mock/error-500" });
+    assert.equal(response.status, 502);
+    assert.equal(body.code, "upstream_error");
+    assert.equal(body.retryable, true);
+    assert.equal(body.upstream_status, 500);
+  });
+
+  test("falls back to another model", async () => {
+    const { response, body } = await complete({
+      model: "mock/error-500",
+      fallback_models: ["mock/echo"],
+    });
+    assert.equal(response.status, 200);
+    assert.equal(body.data.model, "mock/echo");
+    assert.equal(body.data.failed_attempts[0].code, "upstream_error");
+  });
+
+  test("answers failures before a stream starts with a plain error", async () => {
+    app.provider.script({ error: { status: 401 } });
+    const response = await app.request("/api/chat/completion", {
+      body: { model: "mock/echo", messages, stream: true },
+    });
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).code, "invalid_api_key");
+  });
+});
@@ -0,0 +1,100 @@
+// test/errors.test.js
+
+// Mapping provider failures to error codes (utils/errors.js).
+
+import "./helpers.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyProviderError, toErrorEnvelope } from "../utils/errors.js";
+import { ProviderError } from "../providers/providerError.js";
+
+const provider = { name: "test", label: "Test" };
+
+/**
+ * Classifies an upstream failure with the given status and message.
+ */
+const classify = (status, message, headers) =>
+  classifyProviderError(new ProviderError(status, message, headers), provider);
+
+describe("classifyProviderError", () => {
+  test("recognizes a full context window by its wording", () => {
+    const result = classify(
+      400,
+      "This model's maximum context length is 8192 tokens."
+    );
+    assert.equal(result.code, "context_length_exceeded");
+    assert.equal(result.status, 400);
+    assert.equal(result.retryable, false);
+  });
+
+  test("recognizes content moderation", () => {
+    assert.equal(
+      classify(403, "Input was flagged by moderation").code,
+      "content_filtered"
+    );
+  });
+
+  test("recognizes unknown models", () => {
+    assert.equal(classify(404, "Not found").code, "model_not_found");
+    assert.equal(classify(400, "invalid model ID").code, "model_not_found");
+  });
+
+  test("recognizes exhausted credits", () => {
+    const result = classify(402, "Payment required");
+    assert.equal(result.code, "insufficient_credits");
+    assert.equal(result.status, 402);
+  });
+
+  test("maps other 400s to invalid parameters", () => {
+    assert.equal(
+      classify(400, "top_k is not supported").code,
+      "invalid_parameters"
+    );
+  });
+
+  test("keeps the provider's Retry-After", () => {
+    const result = classify(429, "Slow down", { "retry-after": "12" });
+    assert.equal(result.code, "rate_limited");
+    assert.equal(result.retryAfter, 12);
+    assert.equal(result.upstreamStatus, 429);
+  });
+
+  test("treats timeouts and unavailability as retryable", () => {
+    const timeout = classify(504, "Gateway timeout");
+    assert.equal(timeout.code, "upstream_timeout");
+    assert.equal(timeout.retryable, true);
+    const unavailable = classify(503, "Overloaded");
+    assert.equal(unavailable.code, "upstream_error");
+    assert.equal(unavailable.retryable, true);
+    assert.equal(classify(501, "Not implemented").retryable, false);
+  });
+
+  test("hides errors of our own code", () => {
+    const result = classifyProviderError(new TypeError("oops"), provider);
+    assert.equal(result.code, "internal_error");
+    assert.equal(result.status, 500);
+    assert.doesNotMatch(result.message, /oops/);
+  });
+});
+
+describe("toErrorEnvelope", () => {
+  test("fills in the code and flags from the status", () => {
+    assert.deepEqual(toErrorEnvelope(404, { error: "Not found." }, "id-1"), {
+      error: "Not found.",
+      code: "not_found",
+      retryable: false,
+      upstream_status: null,
+      request_id: "id-1",
+    });
+  });
+
+  test("keeps a code and extra fields the route set", () => {
+    const envelope = toErrorEnvelope(403, {
+      error: "No key.",
+      code: "no_api_key",
+      attempts: [],
+    });
+    assert.equal(envelope.code, "no_api_key");
+    assert.deepEqual(envelope.attempts, []);
+  });
+});
@@ -0,0 +1,111 @@
+// test/helpers.js
+
+// Shared setup for the backend tests. Test files import it first: it points
+// the stores at a fresh temporary directory and sets the environment that
+// modules read while they load, then starts the app against a mock provider
+// (see providers/mock.js) on a free port.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after } from "node:test";
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "backend-test-"));
+process.env.ADMIN_USERNAME = "admin";
+process.env.ADMIN_PASSWORD = "test-password";
+process.env.LOG_LEVEL = "silent";
+// One retry, without waiting, so transient failures are retried but fast
+process.env.RETRY_MAX_ATTEMPTS = "2";
+process.env.RETRY_BASE_DELAY_MS = "0";
+process.env.RETRY_MAX_DELAY_MS = "0";
+process.env.RETRY_AFTER_MAX_MS = "0";
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Starts the app with a mock provider and signs in as the admin.
+ * The server is closed once the test file is done.
+ * @param {Object} [config] - Passed to createMockProvider (e.g., { replies }).
+ * @returns {Promise<Object>} { provider, request, createUserToken }: the mock
+ *   provider; `request(path, { method, body, headers, auth, signal })` to call the
+ *   app, where object bodies are sent as JSON (strings as they are) and the
+ *   admin's token is sent unless `auth` is false (or another token); and
+ *   `createUserToken(username)` for a second account.
+ */
+export const startApp = async (config) => {
+  // Loaded here, once the environment above is set
+  const { createApp } = await import("../app.js");
+  const { createMockProvider } = await import("../providers/mock.js");
+  const { ensureAdminUser } = await import("../services/auth.js");
+
+  const provider = createMockProvider(config);
+  const app = createApp({ provider });
+  await ensureAdminUser();
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  after(() => {
+    server.close();
+    server.closeAllConnections(); // fetch keeps connections open
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = (urlPath, { method, body, headers, token, signal } = {}) =>
+    fetch(`${baseUrl}${urlPath}`, {
+      method: method || (body === undefined ? "GET" : "POST"),
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+      signal,
+    });
+
+  const login = await request("/api/auth/login", {
+    body: {
+      username: process.env.ADMIN_USERNAME,
+      password: process.env.ADMIN_PASSWORD,
+      mode: "token",
+    },
+  });
+  const { data } = await login.json();
+
+  /**
+   * Creates a user (role 'user') and returns an API token for them.
+   */
+  const createUserToken = async (username) => {
+    const { createUser, issueToken } = await import("../services/auth.js");
+    const { user } = await createUser({ username, password: "test-password" });
+    const { token } = await issueToken(user.id, { type: "api", name: "test" });
+    return token;
+  };
+
+  return {
+    provider,
+    createUserToken,
+    request: (urlPath, { auth = true, ...options } = {}) =>
+      request(urlPath, {
+        ...options,
+        token: auth === true ? data.token : auth || undefined,
+      }),
+  };
+};
+
+/**
+ * Parses a text/event-stream body into its events.
+ * @param {string} text - The whole body.
+ * @returns {Array<{event: string, data: Object}>} The events, in order.
+ */
+export const parseEvents = (text) =>
+  text
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const event = /^event: (.*)$/m.exec(block)?.[1] || "message";
+      const data = /^data: (.*)$/m.exec(block)?.[1];
+      return { event, data: data ? JSON.parse(data) : null };
+    });
@@ -0,0 +1,168 @@
+// test/models.test.js
+
+// The model catalog (GET /api/models and /v1/models) and the health checks.
+
+import { startApp } from "./helpers.js";
+import { after, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+const app = await startApp();
+
+describe("GET /api/models", () => {
+  test("requires authentication", async () => {
+    const response = await app.request("/api/models", { auth: false });
+    assert.equal(response.status, 401);
+  });
+
+  test("lists the provider's models", async () => {
+    const response = await app.request("/api/models");
+    assert.equal(response.status, 200);
+    const { data, meta } = await response.json();
+    assert.deepEqual(
+      data.map((model) => model.id),
+      ["mock/echo", "mock/small"]
+    );
+    assert.equal(meta.total, 2);
+  });
+
+  test("filters the catalog", async () => {
+    const response = await app.request("/api/models?min_context=1000");
+    const { data, meta } = await response.json();
+    assert.deepEqual(
+      data.map((model) => model.id),
+      ["mock/echo"]
+    );
+    assert.equal(meta.total, 2);
+  });
+
+  test("rejects invalid filters", async () => {
+    const response = await app.request("/api/models?min_context=lots");
+    assert.equal(response.status, 400);
+  });
+
+  test("answers 304 when the ETag still matches", async () => {
+    const first = await app.request("/api/models");
+    const etag = first.headers.get("ETag");
+    assert.ok(etag);
+    const second = await app.request("/api/models", {
+      // fetch would otherwise add 'no-cache', which forces a full response
+      headers: { "If-None-Match": etag, "Cache-Control": "max-age=0" },
+    });
+    assert.equal(second.status, 304);
+  });
+
+  test("lists the models in OpenAI's format on /v1/models", async () => {
+    const response = await app.request("/v1/models");
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.object, "list");
+    assert.equal(body.data[0].object, "model");
+  });
+
+  test("answers unknown models on /v1 in OpenAI's error format", async () => {
+    const response = await app.request("/v1/models/nope");
+    assert.equal(response.status, 404);
+    const { error } = await response.json();
+    assert.equal(error.type, "invalid_request_error");
+  });
+});
+
+describe("GET /api/health", () => {
+  test("answers without authentication", async () => {
+    const response = await app.request("/api/health", { auth: false });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, "OK");
+  });
+
+  test("reports ready once the catalog is loaded", async () => {
+    await app.request("/api/models");
+    const response = await app.request("/api/health?ready=true", {
+      auth: false,
+    });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.status, "ready");
+    assert.equal(body.checks.provider.name, "mock");
+  });
+
+  test("is not rate limited, so probes are never turned away", async () => {
+    const response = await app.request("/api/health?ready=true", {
+      auth: false,
+    });
+    assert.equal(response.headers.get("RateLimit-Remaining"), null);
+    // Other routes are
+    const models = await app.request("/api/models");
+    assert.ok(models.headers.get("RateLimit-Remaining"));
+  });
+
+  test("echoes the caller's request ID", async () => {
+    const response = await app.request("/api/health", {
+      headers: { "X-Request-Id": "test-123" },
+    });
+    assert.equal(response.headers.get("X-Request-Id"), "test-123");
+  });
+});
+
+describe("catalog failures", () => {
+  // OpenRouter's models endpoint answers with whatever `upstream` holds;
+  // other requests (the test's own calls to the app) go through
+  let upstream;
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (url, options) =>
+    String(url).startsWith("https://openrouter.ai/")
+      ? Promise.resolve(
+          new Response(upstream.body, {
+            status: upstream.status,
+            headers: upstream.headers,
+          })
+        )
+      : realFetch(url, options);
+  after(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  test("report a rejected key as such", async () => {
+    upstream = {
+      status: 401,
+      body: JSON.stringify({ error: { message: "No auth credentials" } }),
+    };
+    const response = await app.request("/api/models?source=openrouter");
+    // Our server's key was refused, not the caller's credentials
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, "invalid_api_key");
+    assert.equal(body.retryable, false);
+    assert.equal(body.upstream_status, 401);
+  });
+
+  test("pass on rate limits with Retry-After", async () => {
+    upstream = { status: 429, body: "{}", headers: { "Retry-After": "7" } };
+    const response = await app.request("/api/models?source=openrouter");
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get("Retry-After"), "7");
+    const body = await response.json();
+    assert.equal(body.code, "rate_limited");
+    assert.equal(body.retryable, true);
+  });
+
+  test("survive error pages that aren't JSON", async () => {
+    upstream = { status: 502, body: "<html>Bad gateway</html>" };
+    const response = await app.request("/api/models?source=openrouter");
+    assert.equal(response.status, 502);
+    const body = await response.json();
+    assert.equal(body.code, "upstream_error");
+    assert.equal(body.upstream_status, 502);
+  });
+
+  test("are reported on /v1/models too", async () => {
+    const { getProvider, useProvider } = await import("../providers/index.js");
+    // Last in this file, since it changes the default provider
+    useProvider(getProvider("openrouter"));
+    upstream = { status: 429, body: "{}", headers: { "Retry-After": "7" } };
+    const response = await app.request("/v1/models");
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get("Retry-After"), "7");
+    const { error } = await response.json();
+    assert.equal(error.code, "rate_limited");
+  });
+});
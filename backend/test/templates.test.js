@@ -0,0 +1,235 @@
+// test/templates.test.js
+
+// The prompt template library (/api/templates) and the built-in templates
+// behind the summarize helper.
+
+import { startApp } from "./helpers.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+const app = await startApp();
+
+/**
+ * Sends a request and returns the response with its parsed body.
+ */
+const call = async (urlPath, options) => {
+  const response = await app.request(urlPath, options);
+  return { response, body: await response.json() };
+};
+
+describe("templates", () => {
+  test("lists the built-in templates with their variables", async () => {
+    const { body } = await call("/api/templates");
+    const translate = body.data.find((t) => t.command === "translate");
+    assert.equal(translate.builtIn, true);
+    assert.deepEqual(translate.variables, ["language", "text"]);
+  });
+
+  test("creates a template", async () => {
+    const { response, body } = await call("/api/templates", {
+      body: {
+        command: "/Greet",
+        name: "Greet",
+        prompt: "Say hello to {{ name }} in {{language}}.",
+        params: { temperature: 0.5 },
+      },
+    });
+    assert.equal(response.status, 201);
+    assert.equal(body.data.command, "greet");
+    assert.deepEqual(body.data.variables, ["name", "language"]);
+    assert.equal(body.data.shared, false);
+    assert.equal(body.data.editable, true);
+  });
+
+  test("validates the fields", async () => {
+    const missing = await call("/api/templates", { body: { name: "x" } });
+    assert.equal(missing.response.status, 400);
+    const badCommand = await call("/api/templates", {
+      body: { command: "two words", name: "x", prompt: "x" },
+    });
+    assert.equal(badCommand.response.status, 400);
+    assert.match(badCommand.body.error, /'command'/);
+    const badParams = await call("/api/templates", {
+      body: { command: "x", name: "x", prompt: "x", params: { top_p: 2 } },
+    });
+    assert.equal(badParams.response.status, 400);
+  });
+
+  test("shares templates with other users, read-only", async () => {
+    const { body } = await call("/api/templates", {
+      body: { command: "private", name: "Private", prompt: "Mine" },
+    });
+    const shared = await call("/api/templates", {
+      body: { command: "team", name: "Team", prompt: "Ours", shared: true },
+    });
+    const other = await app.createUserToken("colleague");
+
+    const { body: list } = await call("/api/templates", { auth: other });
+    const commands = list.data.map((t) => t.command);
+    assert.ok(commands.includes("team"));
+    assert.ok(!commands.includes("private"));
+    assert.equal(list.data.find((t) => t.command === "team").editable, false);
+
+    const hidden = await call(`/api/templates/${body.data.id}`, {
+      auth: other,
+    });
+    assert.equal(hidden.response.status, 404);
+    const edit = await call(`/api/templates/${shared.body.data.id}`, {
+      method: "PATCH",
+      body: { prompt: "Theirs" },
+      auth: other,
+    });
+    assert.equal(edit.response.status, 403);
+  });
+
+  test("rejects commands another template already runs on", async () => {
+    const builtIn = await call("/api/templates", {
+      body: { command: "summarize", name: "Mine", prompt: "x" },
+    });
+    assert.equal(builtIn.response.status, 409);
+    assert.equal(builtIn.body.code, "conflict");
+
+    const first = await call("/api/templates", {
+      body: { command: "standup", name: "Standup", prompt: "x" },
+    });
+    assert.equal(first.response.status, 201);
+    const second = await call("/api/templates", {
+      body: { command: "standup", name: "Standup again", prompt: "y" },
+    });
+    assert.equal(second.response.status, 409);
+
+    // Renaming into a taken command is refused too, keeping one's own is not
+    const other = await call("/api/templates", {
+      body: { command: "retro", name: "Retro", prompt: "x" },
+    });
+    const renamed = await call(`/api/templates/${other.body.data.id}`, {
+      method: "PATCH",
+      body: { command: "standup" },
+    });
+    assert.equal(renamed.response.status, 409);
+    const kept = await call(`/api/templates/${first.body.data.id}`, {
+      method: "PATCH",
+      body: { command: "standup", prompt: "z" },
+    });
+    assert.equal(kept.response.status, 200);
+
+    // Another user's shared template is visible, so its command is taken
+    const colleague = await app.createUserToken("teammate");
+    const clash = await call("/api/templates", {
+      body: { command: "team", name: "Team", prompt: "x" },
+      auth: colleague,
+    });
+    assert.equal(clash.response.status, 409);
+  });
+
+  test("deletes a template", async () => {
+    const { body } = await call("/api/templates", {
+      body: { command: "temp", name: "Temp", prompt: "x" },
+    });
+    const deleted = await call(`/api/templates/${body.data.id}`, {
+      method: "DELETE",
+    });
+    assert.equal(deleted.response.status, 200);
+    const gone = await call(`/api/templates/${body.data.id}`);
+    assert.equal(gone.response.status, 404);
+  });
+});
+
+describe("built-in templates", () => {
+  const messages = [
+    { role: "user", content: "Hi" },
+    { role: "assistant", content: "Hello!" },
+  ];
+
+  test("drive the summarize helper", async () => {
+    await call("/api/tools/summarize", { body: { messages } });
+    const prompt = app.provider.calls.at(-1).messages[0].content;
+    assert.match(prompt, /^Summarize the following conversation/);
+    assert.match(prompt, /You: Hi\nAI: Hello!/);
+  });
+
+  test("can be edited per user, and restored", async () => {
+    const edited = await call("/api/templates/builtin-summarize", {
+      method: "PATCH",
+      body: {
+        prompt: "TL;DR of:\n{{transcript}}",
+        model: "mock/small",
+        params: { max_tokens: 50 },
+      },
+    });
+    assert.equal(edited.response.status, 200);
+    assert.equal(edited.body.data.customized, true);
+
+    // The template's default model wins over the selected one
+    await call("/api/tools/summarize", {
+      body: { messages, model: "mock/echo" },
+    });
+    const params = app.provider.calls.at(-1);
+    assert.match(params.messages[0].content, /^TL;DR of:\nYou: Hi/);
+    assert.equal(params.model, "mock/small");
+    assert.equal(params.max_tokens, 50);
+
+    // Other users still get the default
+    const other = await app.createUserToken("reader");
+    const { body } = await call("/api/templates/builtin-summarize", {
+      auth: other,
+    });
+    assert.match(body.data.prompt, /^Summarize/);
+
+    const restored = await call("/api/templates/builtin-summarize", {
+      method: "DELETE",
+    });
+    assert.match(restored.body.data.prompt, /^Summarize/);
+    assert.equal(restored.body.data.customized, undefined);
+  });
+
+  test("fit their parameters to the model", async () => {
+    await call("/api/templates/builtin-summarize", {
+      method: "PATCH",
+      body: {
+        model: "mock/small",
+        params: { max_tokens: 5000, top_p: 0.5, temperature: 0.1 },
+      },
+    });
+    const { response } = await call("/api/tools/summarize", {
+      body: { messages },
+    });
+    assert.equal(response.status, 200);
+    const params = app.provider.calls.at(-1);
+    // mock/small has a 256-token window and no top_p
+    assert.equal(params.max_tokens, 256);
+    assert.equal(params.top_p, undefined);
+    assert.equal(params.temperature, 0.1);
+  });
+
+  test("refuse models missing from the catalog", async () => {
+    await call("/api/templates/builtin-summarize", {
+      method: "PATCH",
+      body: { model: "mock/retired" },
+    });
+    const { response, body } = await call("/api/tools/summarize", {
+      body: { messages },
+    });
+    assert.equal(response.status, 404);
+    assert.equal(body.code, "model_not_found");
+    assert.match(body.error, /template's model 'mock\/retired'/);
+
+    await call("/api/templates/builtin-summarize", { method: "DELETE" });
+    const unknown = await call("/api/tools/summarize", {
+      body: { messages, model: "mock/nope" },
+    });
+    assert.equal(unknown.response.status, 404);
+    const invalid = await call("/api/tools/summarize", {
+      body: { messages, model: 42 },
+    });
+    assert.equal(invalid.response.status, 400);
+  });
+
+  test("keep their command", async () => {
+    const { response } = await call("/api/templates/builtin-summarize", {
+      method: "PATCH",
+      body: { command: "sum" },
+    });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,50 @@
+// test/usage.test.js
+
+// Usage budgets: spending with the server's keys is totalled as calls are
+// recorded, and calls are refused with a 402 once a budget is used up.
+
+import { startApp } from "./helpers.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// Less than one call to mock/small costs, so a single call uses it up.
+// Set before startApp, which loads the usage service.
+process.env.USER_DAILY_BUDGET_USD = "0.000001";
+
+const app = await startApp();
+const token = await app.createUserToken("spender");
+
+/**
+ * Sends a chat completion to the priced mock model.
+ */
+const complete = (auth) =>
+  app.request("/api/chat/completion", {
+    body: {
+      model: "mock/small",
+      // Leaves room for the prompt in mock/small's 256-token window
+      max_tokens: 64,
+      messages: [{ role: "user", content: "Hello there" }],
+    },
+    auth,
+  });
+
+test("refuses a user's calls once their daily budget is spent", async () => {
+  assert.equal((await complete(token)).status, 200);
+
+  const refused = await complete(token);
+  assert.equal(refused.status, 402);
+  assert.match((await refused.json()).error, /daily budget/);
+
+  // Other users have budgets of their own
+  assert.equal((await complete()).status, 200);
+});
+
+test("reports the spending the usage log recorded", async () => {
+  const response = await app.request("/api/usage", { auth: token });
+  const { data } = await response.json();
+  const [budget] = data.budgets;
+  assert.equal(budget.scope, "user");
+  assert.equal(budget.exceeded, true);
+  assert.ok(data.totals.cost > 0);
+  assert.ok(Math.abs(budget.spentUsd - data.totals.cost) < 1e-12);
+});
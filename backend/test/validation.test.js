@@ -0,0 +1,74 @@
+// test/validation.test.js
+
+// The request validators shared by the chat routes.
+
+import "./helpers.js";
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { validateMessages } from "../utils/messages.js";
+import { validateGenerationParams } from "../utils/generationParams.js";
+
+describe("validateMessages", () => {
+  test("accepts text messages", () => {
+    assert.equal(
+      validateMessages([
+        { role: "system", content: "Be brief." },
+        { role: "user", content: "Hi" },
+      ]),
+      null
+    );
+  });
+
+  test("rejects empty and malformed lists", () => {
+    assert.ok(validateMessages([]));
+    assert.ok(validateMessages("Hi"));
+    assert.ok(validateMessages([{ role: "user" }]));
+    assert.ok(validateMessages([{ role: "robot", content: "Hi" }]));
+  });
+
+  test("accepts tool-calling turns only when allowed", () => {
+    const turns = [
+      { role: "user", content: "What is 6*7?" },
+      {
+        role: "assistant",
+        content: null,
+        tool_calls: [
+          {
+            id: "call_1",
+            type: "function",
+            function: { name: "calculator", arguments: '{"expression":"6*7"}' },
+          },
+        ],
+      },
+      { role: "tool", tool_call_id: "call_1", content: "42" },
+    ];
+    assert.ok(validateMessages(turns));
+    assert.equal(validateMessages(turns, { allowToolCalls: true }), null);
+  });
+});
+
+describe("validateGenerationParams", () => {
+  test("keeps valid parameters and skips absent ones", () => {
+    const { params, error } = validateGenerationParams({
+      temperature: 0.7,
+      max_tokens: 100,
+      top_p: null,
+      other: "ignored",
+    });
+    assert.equal(error, null);
+    assert.deepEqual(params, { temperature: 0.7, max_tokens: 100 });
+  });
+
+  test("rejects values of the wrong type or out of range", () => {
+    assert.match(
+      validateGenerationParams({ temperature: "hot" }).error,
+      /'temperature' must be a number/
+    );
+    assert.match(validateGenerationParams({ temperature: 3 }).error, /between/);
+    assert.match(
+      validateGenerationParams({ max_tokens: 0 }).error,
+      /positive integer/
+    );
+    assert.match(validateGenerationParams({ seed: 1.5 }).error, /integer/);
+  });
+});
@@ -0,0 +1,189 @@
+// tools/calculator.js
+
+// Evaluates arithmetic expressions exactly, since models are unreliable at
+// arithmetic. The expression is parsed by a small recursive-descent parser;
+// nothing is ever passed to eval.
+// Grammar (loosest binding first):
+//   expression = term (("+" | "-") term)*
+//   term       = unary (("*" | "/" | "%") unary)*
+//   unary      = ("-" | "+") unary | power         - so -2^2 is -(2^2)
+//   power      = primary ("^" unary)?              - right-associative
+//   primary    = number | constant | function "(" arguments ")" | "(" expression ")"
+
+import { ToolError } from "./toolError.js";
+
+// Longest expression accepted, to keep parsing cheap
+const MAX_EXPRESSION_LENGTH = 500;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  min: Math.min,
+  max: Math.max,
+};
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|([a-z]+)|(\S))/giy;
+
+/**
+ * Splits an expression into number, name and symbol tokens.
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_PATTERN.exec(expression))) {
+    if (match[1] !== undefined) tokens.push({ number: Number(match[1]) });
+    else if (match[2] !== undefined)
+      tokens.push({ name: match[2].toLowerCase() });
+    else tokens.push({ symbol: match[3] });
+  }
+  return tokens;
+};
+
+/**
+ * Evaluates an arithmetic expression.
+ * @param {string} expression - e.g. '(2 + 3) * sqrt(16) ^ 2'.
+ * @returns {number} The result.
+ * @throws {ToolError} If the expression is malformed or the result isn't finite.
+ */
+const evaluate = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = (symbol) => peek()?.symbol === symbol;
+  const expect = (symbol) => {
+    if (!isSymbol(symbol)) {
+      throw new ToolError(`Expected '${symbol}' in the expression.`);
+    }
+    position += 1;
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (isSymbol("+") || isSymbol("-")) {
+      const operator = tokens[position++].symbol;
+      const right = parseTerm();
+      value = operator === "+" ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (isSymbol("*") || isSymbol("/") || isSymbol("%")) {
+      const operator = tokens[position++].symbol;
+      const right = parseUnary();
+      if (operator === "*") value *= right;
+      else if (operator === "/") value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (isSymbol("-")) {
+      position += 1;
+      return -parseUnary();
+    }
+    if (isSymbol("+")) {
+      position += 1;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isSymbol("^")) {
+      position += 1;
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new ToolError("The expression ended unexpectedly.");
+    }
+    if (token.number !== undefined) return token.number;
+    if (token.symbol === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    if (token.name && Object.hasOwn(CONSTANTS, token.name)) {
+      return CONSTANTS[token.name];
+    }
+    if (token.name && Object.hasOwn(FUNCTIONS, token.name)) {
+      expect("(");
+      const args = [parseExpression()];
+      while (isSymbol(",")) {
+        position += 1;
+        args.push(parseExpression());
+      }
+      expect(")");
+      return FUNCTIONS[token.name](...args);
+    }
+    throw new ToolError(
+      `Unexpected '${token.name ?? token.symbol}' in the expression.`
+    );
+  };
+
+  const value = parseExpression();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw new ToolError(
+      `Unexpected '${
+        token.number ?? token.name ?? token.symbol
+      }' in the expression.`
+    );
+  }
+  if (!Number.isFinite(value)) {
+    throw new ToolError("The result is not a finite number.");
+  }
+  return value;
+};
+
+export const calculator = {
+  name: "calculator",
+  description:
+    "Evaluates an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and the functions sqrt, abs, round, floor, ceil, exp, ln, log (base 10), sin, cos, tan (radians), min and max.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: {
+        type: "string",
+        description: "The expression, e.g. '(1.5 + 2) * sqrt(16)'.",
+      },
+    },
+    required: ["expression"],
+  },
+
+  /**
+   * @param {Object} args
+   * @param {string} args.expression - The expression to evaluate.
+   * @returns {Object} { expression, result }.
+   */
+  execute: ({ expression }) => {
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new ToolError(
+        `Expressions are limited to ${MAX_EXPRESSION_LENGTH} characters.`
+      );
+    }
+    return { expression, result: evaluate(expression) };
+  },
+};
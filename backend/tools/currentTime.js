@@ -0,0 +1,45 @@
+// tools/currentTime.js
+
+// Tells the model the current date and time, which it otherwise can only guess.
+
+import { ToolError } from "./toolError.js";
+
+export const currentTime = {
+  name: "current_time",
+  description:
+    "Returns the current date and time, in UTC and optionally in a given time zone.",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description:
+          "IANA time zone name, e.g. 'Europe/Paris'. Defaults to UTC.",
+      },
+    },
+  },
+
+  /**
+   * @param {Object} args
+   * @param {string} [args.timezone] - IANA time zone name.
+   * @returns {Object} { utc, timezone, local } (local: the full date and time there).
+   */
+  execute: ({ timezone = "UTC" }) => {
+    const now = new Date();
+    let format;
+    try {
+      format = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        dateStyle: "full",
+        timeStyle: "long",
+      });
+    } catch {
+      throw new ToolError(`Unknown time zone '${timezone}'.`);
+    }
+    return {
+      utc: now.toISOString(),
+      timezone,
+      local: format.format(now),
+    };
+  },
+};
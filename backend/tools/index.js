@@ -0,0 +1,177 @@
+// tools/index.js
+
+// Registry of the functions models may call while answering (tool calling).
+// Every tool exposes the same interface:
+//   name, description  - what the model sees
+//   parameters         - JSON schema of the tool's arguments object
+//   execute(args, { signal }) -> JSON-serializable result (may be async)
+//   isEnabled()        - optional; false hides the tool (e.g. unconfigured)
+// Requests opt in per tool with `tools: ["calculator", ...]`; the chat route
+// then runs the model -> tool -> model loop (see routes/chat.js).
+// TOOL_MAX_STEPS caps the rounds of tool calls per request (default 5).
+
+import { calculator } from "./calculator.js";
+import { currentTime } from "./currentTime.js";
+import { readFile } from "./readFile.js";
+import { ToolError } from "./toolError.js";
+import { logger } from "../utils/logger.js";
+
+const tools = Object.fromEntries(
+  [calculator, currentTime, readFile]
+    .filter((tool) => tool.isEnabled?.() ?? true)
+    .map((tool) => [tool.name, tool])
+);
+
+// Rounds of tool calls allowed per request: the default, and the most a request may ask for
+const DEFAULT_MAX_STEPS = Number(process.env.TOOL_MAX_STEPS) || 5;
+const MAX_STEPS_LIMIT = Math.max(10, DEFAULT_MAX_STEPS);
+
+/**
+ * Lists the enabled tools as shown to clients.
+ * @returns {Array<Object>} One { name, description, parameters } per tool.
+ */
+export const listTools = () =>
+  Object.values(tools).map(({ name, description, parameters }) => ({
+    name,
+    description,
+    parameters,
+  }));
+
+/**
+ * Validates a request's `tools` (names of enabled tools) and `max_tool_steps`.
+ * @param {Object} body - The request body.
+ * @returns {{tools: Array<Object>, maxSteps: number, error: string|null}} The
+ *   selected tools (empty when none were requested), or an error message.
+ */
+export const parseToolRequest = (body) => {
+  const result = { tools: [], maxSteps: DEFAULT_MAX_STEPS, error: null };
+  if (body.tools == null) return result;
+
+  if (
+    !Array.isArray(body.tools) ||
+    !body.tools.every((name) => typeof name === "string")
+  ) {
+    return { ...result, error: "'tools' must be an array of tool names." };
+  }
+  const unknown = body.tools.find((name) => !Object.hasOwn(tools, name));
+  if (unknown !== undefined) {
+    return {
+      ...result,
+      error: `Unknown tool '${unknown}'. Available tools: ${
+        Object.keys(tools).join(", ") || "none"
+      }.`,
+    };
+  }
+
+  if (body.max_tool_steps !== undefined) {
+    const steps = body.max_tool_steps;
+    if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS_LIMIT) {
+      return {
+        ...result,
+        error: `'max_tool_steps' must be an integer between 1 and ${MAX_STEPS_LIMIT}.`,
+      };
+    }
+    result.maxSteps = steps;
+  }
+
+  return {
+    ...result,
+    tools: [...new Set(body.tools)].map((name) => tools[name]),
+  };
+};
+
+/**
+ * Describes tools in the OpenAI `tools` request format.
+ * @param {Array<Object>} selected - Tools from parseToolRequest.
+ * @returns {Array<Object>} { type: 'function', function: { name, description, parameters } } entries.
+ */
+export const toToolDefinitions = (selected) =>
+  selected.map(({ name, description, parameters }) => ({
+    type: "function",
+    function: { name, description, parameters },
+  }));
+
+// JSON schema types mapped to a check of a JavaScript value
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number",
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    value && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+/**
+ * Checks call arguments against the top level of a tool's parameter schema:
+ * required properties and the declared type of each property.
+ * @returns {string|null} An error message, or null if the arguments fit.
+ */
+const checkArguments = (schema, args) => {
+  if (!TYPE_CHECKS.object(args)) {
+    return "Arguments must be a JSON object.";
+  }
+  const missing = (schema.required || []).find((name) => args[name] == null);
+  if (missing) {
+    return `Missing required argument '${missing}'.`;
+  }
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const check = TYPE_CHECKS[property.type];
+    if (args[name] != null && check && !check(args[name])) {
+      return `Argument '${name}' must be of type ${property.type}.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Runs one tool call requested by the model. Never throws: failures become
+ * an `error` the model can read and react to.
+ * @param {Object} call - An OpenAI-style tool call ({ id, function: { name, arguments } }).
+ * @param {Array<Object>} selected - The tools this request allows.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborted when the client goes away.
+ * @returns {Promise<Object>} { id, name, arguments, result } or { id, name, arguments, error }.
+ */
+export const runToolCall = async (call, selected, { signal } = {}) => {
+  const name = call.function?.name;
+  const invocation = { id: call.id, name, arguments: call.function?.arguments };
+  const tool = selected.find((candidate) => candidate.name === name);
+  if (!tool) {
+    return { ...invocation, error: `Unknown tool '${name}'.` };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(invocation.arguments || "{}");
+  } catch {
+    return { ...invocation, error: "Arguments are not valid JSON." };
+  }
+  const argumentsError = checkArguments(tool.parameters, args);
+  if (argumentsError) {
+    return { ...invocation, error: argumentsError };
+  }
+
+  try {
+    return { ...invocation, result: await tool.execute(args, { signal }) };
+  } catch (error) {
+    if (error instanceof ToolError) {
+      return { ...invocation, error: error.message };
+    }
+    logger.error("Tool failed", { tool: name, error });
+    return { ...invocation, error: "The tool failed unexpectedly." };
+  }
+};
+
+/**
+ * Turns a finished invocation into the `tool` message sent back to the model.
+ * @param {Object} invocation - From runToolCall.
+ * @returns {Object} { role: 'tool', tool_call_id, content }.
+ */
+export const toToolMessage = (invocation) => ({
+  role: "tool",
+  tool_call_id: invocation.id,
+  content: JSON.stringify(
+    invocation.error ? { error: invocation.error } : invocation.result
+  ),
+});
@@ -0,0 +1,105 @@
+// tools/readFile.js
+
+// Lets the model read text files from one directory on the server, e.g. a
+// folder of notes or documentation. Only enabled when TOOL_FILES_DIR is set.
+// The directory is a sandbox: paths are resolved inside it, and symlinks that
+// lead outside of it are refused.
+// Configuration (environment):
+//   TOOL_FILES_DIR        - the directory the model may read (tool disabled if unset)
+//   TOOL_FILE_MAX_BYTES   - largest file returned in full (default 100000)
+
+import { promises as fs } from "fs";
+import path from "path";
+import { ToolError } from "./toolError.js";
+
+const ROOT_DIR = process.env.TOOL_FILES_DIR
+  ? path.resolve(process.env.TOOL_FILES_DIR)
+  : null;
+const MAX_FILE_BYTES = Number(process.env.TOOL_FILE_MAX_BYTES) || 100000;
+
+// Most entries returned when listing a directory
+const MAX_LISTED_ENTRIES = 200;
+
+/**
+ * Resolves a path given by the model to a real path inside ROOT_DIR.
+ * @param {string} relativePath - Path relative to the sandbox root.
+ * @returns {Promise<string>} The absolute, symlink-free path.
+ * @throws {ToolError} If the path is missing or escapes the sandbox.
+ */
+const resolveInSandbox = async (relativePath) => {
+  const root = await fs.realpath(ROOT_DIR);
+  let resolved;
+  try {
+    // Leading slashes are treated as relative to the root, not the filesystem
+    resolved = await fs.realpath(
+      path.join(root, path.normalize(`/${relativePath}`))
+    );
+  } catch {
+    throw new ToolError(`'${relativePath}' does not exist.`);
+  }
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new ToolError(`'${relativePath}' is outside the readable directory.`);
+  }
+  return resolved;
+};
+
+export const readFile = {
+  name: "read_file",
+  description:
+    "Reads a text file from the server's shared files directory, or lists a directory in it. Paths are relative to that directory; use '.' to list its top level.",
+  parameters: {
+    type: "object",
+    properties: {
+      path: {
+        type: "string",
+        description: "Path of the file or directory, e.g. 'notes/todo.md'.",
+      },
+    },
+    required: ["path"],
+  },
+  isEnabled: () => Boolean(ROOT_DIR),
+
+  /**
+   * @param {Object} args
+   * @param {string} args.path - Path relative to TOOL_FILES_DIR.
+   * @returns {Promise<Object>} { path, entries } for a directory, or
+   *   { path, content, truncated } for a file.
+   */
+  execute: async ({ path: relativePath }) => {
+    const resolved = await resolveInSandbox(relativePath);
+    const stats = await fs.stat(resolved);
+
+    if (stats.isDirectory()) {
+      const entries = await fs.readdir(resolved, { withFileTypes: true });
+      return {
+        path: relativePath,
+        entries: entries
+          .slice(0, MAX_LISTED_ENTRIES)
+          .map((entry) =>
+            entry.isDirectory() ? `${entry.name}/` : entry.name
+          ),
+        ...(entries.length > MAX_LISTED_ENTRIES && { truncated: true }),
+      };
+    }
+    if (!stats.isFile()) {
+      throw new ToolError(`'${relativePath}' is not a regular file.`);
+    }
+
+    const handle = await fs.open(resolved);
+    try {
+      const buffer = Buffer.alloc(Math.min(stats.size, MAX_FILE_BYTES));
+      await handle.read(buffer, 0, buffer.length, 0);
+      // NUL bytes are a reliable sign of binary content
+      if (buffer.includes(0)) {
+        throw new ToolError(`'${relativePath}' is not a text file.`);
+      }
+      return {
+        path: relativePath,
+        content: buffer.toString("utf8"),
+        truncated: stats.size > MAX_FILE_BYTES,
+      };
+    } finally {
+      await handle.close();
+    }
+  },
+};
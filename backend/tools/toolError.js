@@ -0,0 +1,17 @@
+// tools/toolError.js
+
+/**
+ * Error thrown by a tool for a problem the model can fix or explain, such as
+ * a malformed expression or a missing file. Its message is sent back to the
+ * model as the tool's result; any other error is logged and reported only as
+ * a generic failure.
+ */
+export class ToolError extends Error {
+  /**
+   * @param {string} message - A description of the problem, addressed to the model.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ToolError";
+  }
+}
@@ -0,0 +1,99 @@
+// utils/bm25.js
+
+// Keyword search over knowledge base chunks with Okapi BM25: terms that are
+// rare across the collection weigh more, repeated terms count with
+// diminishing returns, and long chunks don't win just by being long.
+
+// Standard BM25 parameters: term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Words too common to tell chunks apart
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be but by can did do does for from had has have how i if in into is it its " +
+    "me my no not of on or our so than that the their them then there these they this to was we " +
+    "were what when where which who why will with you your"
+  ).split(" ")
+);
+
+/**
+ * Splits text into search terms: lowercase words and numbers without accents
+ * or stop words, with a plain English plural 's' removed.
+ * @param {string} text - The text to split.
+ * @returns {Array<string>} The terms, in order.
+ */
+export const tokenize = (text) =>
+  (
+    text
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .match(/[\p{L}\p{N}]+/gu) || []
+  )
+    .filter((word) => !STOP_WORDS.has(word))
+    .map((word) =>
+      word.length > 3 && word.endsWith("s") && !word.endsWith("ss")
+        ? word.slice(0, -1)
+        : word
+    );
+
+/**
+ * Builds a BM25 index over a list of texts.
+ * @param {Array<string>} texts - The texts to index; results refer to them by position.
+ * @returns {Object} The index, for search.
+ */
+export const createIndex = (texts) => {
+  const lengths = [];
+  // term -> [[text position, occurrences], ...]
+  const postings = new Map();
+
+  texts.forEach((text, position) => {
+    const terms = tokenize(text);
+    lengths.push(terms.length);
+    const counts = new Map();
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const [term, count] of counts) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([position, count]);
+    }
+  });
+
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  return {
+    size: texts.length,
+    lengths,
+    postings,
+    averageLength: texts.length ? total / texts.length : 0,
+  };
+};
+
+/**
+ * Ranks the indexed texts against a query.
+ * @param {Object} index - From createIndex.
+ * @param {string} query - The search text.
+ * @param {number} limit - How many results to return at most.
+ * @returns {Array<{position: number, score: number}>} Matching texts, best first.
+ */
+export const search = (index, query, limit) => {
+  const scores = new Map();
+  for (const term of new Set(tokenize(query))) {
+    const matches = index.postings.get(term);
+    if (!matches) continue;
+    const idf = Math.log(
+      1 + (index.size - matches.length + 0.5) / (matches.length + 0.5)
+    );
+    for (const [position, count] of matches) {
+      const lengthRatio = index.lengths[position] / index.averageLength;
+      const score =
+        (idf * count * (K1 + 1)) / (count + K1 * (1 - B + B * lengthRatio));
+      scores.set(position, (scores.get(position) || 0) + score);
+    }
+  }
+  return [...scores]
+    .map(([position, score]) => ({ position, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
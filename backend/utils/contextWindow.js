@@ -0,0 +1,272 @@
+// utils/contextWindow.js
+
+// Keeps a conversation inside a model's context window. Tokens are estimated
+// (no tokenizer is shipped for every model), and when the history is too long
+// one of these strategies makes room, always keeping the latest message:
+//   pin_system     - drop the oldest turns but keep leading system messages (default)
+//   sliding_window - drop the oldest messages, system prompt included
+//   summarize      - pin system messages and replace the oldest turns with a
+//                    running summary of them (one extra model call per new
+//                    batch of dropped turns; summaries are cached and extended)
+// CONTEXT_STRATEGY sets the default; requests may pick one with `context_strategy`.
+
+import crypto from "crypto";
+import { messageText } from "./messages.js";
+import { logger } from "./logger.js";
+
+export const CONTEXT_STRATEGIES = ["pin_system", "sliding_window", "summarize"];
+
+const DEFAULT_STRATEGY = CONTEXT_STRATEGIES.includes(
+  process.env.CONTEXT_STRATEGY
+)
+  ? process.env.CONTEXT_STRATEGY
+  : "pin_system";
+
+// Room kept free for the reply when the request doesn't set max_tokens
+const DEFAULT_REPLY_RESERVE_TOKENS =
+  Number(process.env.CONTEXT_RESERVE_TOKENS) || 1024;
+
+// Rough token costs: ~4 characters of English per token, a few tokens of
+// framing per message, and flat guesses for attachments
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 1000;
+const FILE_TOKENS = 2000;
+
+// Longest rolling summary (at most a quarter of the window in small models),
+// and how many summaries are kept in memory
+const SUMMARY_MAX_TOKENS = 500;
+const MAX_CACHED_SUMMARIES = 200;
+
+// ==========================================
+// Estimation
+// ==========================================
+
+/**
+ * Estimates the tokens a message takes up in the prompt.
+ * @param {Object} msg - A chat message ({ role, content }).
+ * @returns {number} The estimated token count.
+ */
+const estimateMessageTokens = (msg) => {
+  const parts = Array.isArray(msg.content) ? msg.content : [];
+  const attachmentTokens = parts.reduce(
+    (total, part) =>
+      total +
+      (part.type === "image_url" ? IMAGE_TOKENS : 0) +
+      (part.type === "file" ? FILE_TOKENS : 0),
+    0
+  );
+  return (
+    MESSAGE_OVERHEAD_TOKENS +
+    Math.ceil(messageText(msg.content).length / CHARS_PER_TOKEN) +
+    attachmentTokens
+  );
+};
+
+/**
+ * Estimates the tokens a list of messages takes up in the prompt.
+ * @param {Array<Object>} messages - Chat messages.
+ * @returns {number} The estimated token count.
+ */
+export const estimateTokens = (messages) =>
+  messages.reduce((total, msg) => total + estimateMessageTokens(msg), 0);
+
+// ==========================================
+// Rolling summaries
+// ==========================================
+
+// Chain hash of a message prefix -> Promise of the summary of that prefix.
+// Keying by prefix lets the next turn extend an earlier summary instead of
+// summarizing everything again.
+const summaries = new Map();
+
+/**
+ * Hashes every prefix of `messages`: entry i identifies messages[0..i].
+ */
+const prefixHashes = (messages) => {
+  let hash = "";
+  return messages.map((msg) => {
+    hash = crypto
+      .createHash("sha1")
+      .update(hash)
+      .update(JSON.stringify([msg.role, messageText(msg.content)]))
+      .digest("hex");
+    return hash;
+  });
+};
+
+/**
+ * Formats messages as a plain-text transcript (attachments are left out).
+ */
+const toTranscript = (messages) =>
+  messages
+    .map((msg) => `${msg.role.toUpperCase()}: ${messageText(msg.content)}`)
+    .join("\n");
+
+/**
+ * Summarizes `messages`, reusing the longest summary already made of a
+ * prefix of them and only summarizing the turns added since.
+ * @param {Array<Object>} messages - The turns to summarize, oldest first.
+ * @param {Function} summarize - Sends a prompt to the model, resolves to its text.
+ * @param {number} maxTokens - Length limit for the summary.
+ * @returns {Promise<string>} The summary.
+ */
+const rollingSummary = (messages, summarize, maxTokens) => {
+  const hashes = prefixHashes(messages);
+  const key = hashes[hashes.length - 1];
+  if (summaries.has(key)) return summaries.get(key);
+
+  const covered = hashes.findLastIndex((hash) => summaries.has(hash)) + 1;
+  const pending = (async () => {
+    const previous = covered ? await summaries.get(hashes[covered - 1]) : "";
+    const transcript = toTranscript(messages.slice(covered));
+    const prompt = previous
+      ? `Here is a summary of the start of a conversation:\n\n${previous}\n\nUpdate it to also cover how the conversation continued. Keep names, facts, decisions and open questions; be concise.\n\n${transcript}`
+      : `Summarize the following conversation so it can stand in for it. Keep names, facts, decisions and open questions; be concise.\n\n${transcript}`;
+    return (await summarize(prompt, maxTokens)).trim();
+  })();
+
+  summaries.set(key, pending);
+  // A failed summary must not be reused; the next request will try again
+  pending.catch(() => summaries.delete(key));
+  // Forget the oldest summaries (Maps iterate in insertion order)
+  while (summaries.size > MAX_CACHED_SUMMARIES) {
+    summaries.delete(summaries.keys().next().value);
+  }
+  return pending;
+};
+
+// ==========================================
+// Fitting
+// ==========================================
+
+/**
+ * Reads the requested strategy, defaulting to CONTEXT_STRATEGY.
+ * @param {*} value - The request's `context_strategy`.
+ * @returns {{strategy: string, error: string|null}} The strategy, or an error message.
+ */
+export const parseContextStrategy = (value) => {
+  if (value == null) return { strategy: DEFAULT_STRATEGY, error: null };
+  if (!CONTEXT_STRATEGIES.includes(value)) {
+    return {
+      strategy: DEFAULT_STRATEGY,
+      error: `'context_strategy' must be one of: ${CONTEXT_STRATEGIES.join(
+        ", "
+      )}.`,
+    };
+  }
+  return { strategy: value, error: null };
+};
+
+/**
+ * Trims (or summarizes) the oldest part of a conversation so it fits the
+ * model's context window, leaving room for the reply.
+ * Models without a known `context_length` are passed through unchanged.
+ * @param {Array<Object>} messages - The validated conversation.
+ * @param {Object} options
+ * @param {Object|null} options.modelInfo - The model's catalog entry.
+ * @param {number} [options.maxTokens] - The request's max_tokens, reserved for the reply.
+ * @param {string} options.strategy - One of CONTEXT_STRATEGIES.
+ * @param {Function} [options.summarize] - Called with (prompt, maxTokens), sends the
+ *   prompt to the model and resolves to its text; required by the 'summarize' strategy.
+ * @returns {Promise<{messages: Array<Object>, context: Object, error: string|null}>}
+ *   The messages to send; `context` reports the estimate, the limit and what
+ *   was dropped or summarized.
+ */
+export const fitToContext = async (
+  messages,
+  { modelInfo, maxTokens, strategy, summarize }
+) => {
+  const limitTokens = modelInfo?.context_length || null;
+  const originalTokens = estimateTokens(messages);
+  const context = {
+    strategy,
+    limitTokens,
+    originalTokens,
+    estimatedTokens: originalTokens,
+    droppedMessages: 0,
+    summarizedMessages: 0,
+  };
+  if (!limitTokens) {
+    return { messages, context, error: null };
+  }
+
+  const replyReserve =
+    maxTokens ??
+    Math.min(
+      DEFAULT_REPLY_RESERVE_TOKENS,
+      modelInfo.top_provider?.max_completion_tokens || Infinity
+    );
+  const budget = limitTokens - replyReserve;
+  if (originalTokens <= budget) {
+    return { messages, context, error: null };
+  }
+
+  // Leading system messages stay unless the strategy slides over them too
+  const pinnedCount =
+    strategy === "sliding_window"
+      ? 0
+      : messages.findIndex((msg) => msg.role !== "system");
+  const pinned = messages.slice(0, Math.max(pinnedCount, 0));
+  const rest = messages.slice(pinned.length);
+
+  // Find the oldest message that still lets everything after it fit,
+  // leaving room for the summary when there will be one
+  const summaryTokens =
+    strategy === "summarize"
+      ? Math.min(SUMMARY_MAX_TOKENS, Math.floor(budget / 4))
+      : 0;
+  const available = budget - estimateTokens(pinned) - summaryTokens;
+  let start = rest.length - 1;
+  let keptTokens = estimateTokens(rest.slice(start));
+  if (keptTokens > available) {
+    return {
+      messages,
+      context,
+      error: `The latest message is too long for the context window of '${
+        modelInfo.id
+      }' (about ${
+        keptTokens + estimateTokens(pinned)
+      } tokens, limit ${limitTokens} including ${replyReserve} reserved for the reply).`,
+    };
+  }
+  while (
+    start > 0 &&
+    keptTokens + estimateMessageTokens(rest[start - 1]) <= available
+  ) {
+    start -= 1;
+    keptTokens += estimateMessageTokens(rest[start]);
+  }
+  // Start the kept history on a user turn, as some providers require
+  while (start < rest.length - 1 && rest[start].role !== "user") {
+    start += 1;
+  }
+
+  const kept = rest.slice(start);
+  const older = rest.slice(0, start);
+  let fitted = [...pinned, ...kept];
+
+  if (strategy === "summarize" && summarize) {
+    try {
+      const summary = await rollingSummary(older, summarize, summaryTokens);
+      fitted = [
+        ...pinned,
+        {
+          role: "system",
+          content: `Summary of the earlier part of this conversation:\n${summary}`,
+        },
+        ...kept,
+      ];
+      context.summarizedMessages = older.length;
+    } catch (error) {
+      // Fall back to dropping the old turns rather than failing the request
+      logger.error("Could not summarize the conversation history", { error });
+      context.droppedMessages = older.length;
+    }
+  } else {
+    context.droppedMessages = older.length;
+  }
+
+  context.estimatedTokens = estimateTokens(fitted);
+  return { messages: fitted, context, error: null };
+};
@@ -0,0 +1,448 @@
+// utils/conversationFormats.js
+
+// Converts conversations to and from files, for sharing chats and reusing
+// them as fine-tuning / eval data.
+// Export formats:
+//   markdown - readable transcript of the active branch
+//   json     - full fidelity: every branch, models, parameters, usage, timestamps
+//   jsonl    - OpenAI chat fine-tuning format ({ "messages": [...] } per line),
+//              one line for the active branch
+// Import accepts those three plus ChatGPT's `conversations.json` export.
+// Parsing only reshapes the data; the conversations route validates the
+// result with the same rules as everything else it stores.
+
+import { MESSAGE_ROLES } from "./messages.js";
+import { getThread } from "./messageTree.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+  jsonl: {
+    extension: "jsonl",
+    contentType: "application/jsonl; charset=utf-8",
+  },
+};
+
+export const IMPORT_FORMATS = ["markdown", "json", "jsonl", "chatgpt"];
+
+// Identifies our own JSON exports, and the version of their layout
+const JSON_EXPORT_TYPE = "all-ai-models.conversation";
+const JSON_EXPORT_VERSION = 1;
+
+// Role headings of Markdown transcripts, e.g. "## Assistant (openai/gpt-4o)"
+const ROLE_LABELS = { user: "User", assistant: "Assistant", system: "System" };
+const ROLE_HEADING_PATTERN = /^## (User|Assistant|System)(?: \((.+)\))?\s*$/;
+
+// ==========================================
+// Export
+// ==========================================
+
+/**
+ * The visible thread of a conversation, oldest first.
+ */
+const activeThread = (conversation) =>
+  getThread(conversation.messages, conversation.activeLeafId);
+
+/**
+ * Renders message content as Markdown; attachments become short placeholders
+ * (inline data URLs would bloat the transcript).
+ */
+const contentToMarkdown = (content) => {
+  if (typeof content === "string") return content;
+  return content
+    .map((part) => {
+      if (part.type === "text") return part.text;
+      if (part.type === "image_url") {
+        const url = part.image_url.url;
+        return url.startsWith("https://")
+          ? `![image](${url})`
+          : "_[Image attachment]_";
+      }
+      return `_[File: ${part.file?.filename || "attachment"}]_`;
+    })
+    .join("\n\n");
+};
+
+/**
+ * Renders the active branch of a conversation as a Markdown transcript.
+ */
+const toMarkdown = (conversation) => {
+  const lines = [
+    `# ${conversation.title}`,
+    "",
+    `- Created: ${conversation.createdAt}`,
+    ...(conversation.model ? [`- Model: ${conversation.model}`] : []),
+    "",
+  ];
+  const messages = [
+    ...(conversation.systemPrompt
+      ? [{ role: "system", content: conversation.systemPrompt }]
+      : []),
+    ...activeThread(conversation),
+  ];
+  for (const msg of messages) {
+    const model =
+      msg.role === "assistant" && msg.model ? ` (${msg.model})` : "";
+    lines.push(
+      `## ${ROLE_LABELS[msg.role]}${model}`,
+      "",
+      contentToMarkdown(msg.content),
+      ""
+    );
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Wraps a whole conversation (every branch) in our versioned JSON export.
+ * Owner and preset IDs are left out: they mean nothing on another server.
+ */
+const toJson = (conversation) =>
+  JSON.stringify(
+    {
+      type: JSON_EXPORT_TYPE,
+      version: JSON_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversation: {
+        title: conversation.title,
+        model: conversation.model,
+        params: conversation.params || {},
+        systemPrompt: conversation.systemPrompt || "",
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        activeLeafId: conversation.activeLeafId,
+        messages: conversation.messages,
+      },
+    },
+    null,
+    2
+  );
+
+/**
+ * Renders the active branch as one line of OpenAI chat fine-tuning data,
+ * with the system prompt as the leading system message.
+ */
+const toJsonl = (conversation) => {
+  const messages = [
+    ...(conversation.systemPrompt
+      ? [{ role: "system", content: conversation.systemPrompt }]
+      : []),
+    ...activeThread(conversation).map(({ role, content }) => ({
+      role,
+      content,
+    })),
+  ];
+  return `${JSON.stringify({ messages })}\n`;
+};
+
+const EXPORTERS = { markdown: toMarkdown, json: toJson, jsonl: toJsonl };
+
+/**
+ * Serializes a stored conversation.
+ * @param {Object} conversation - The stored conversation.
+ * @param {string} format - One of the EXPORT_FORMATS keys.
+ * @returns {{body: string, filename: string, contentType: string}} The file to send.
+ */
+export const exportConversation = (conversation, format) => {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const slug = conversation.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+  return {
+    body: EXPORTERS[format](conversation),
+    filename: `${slug || "conversation"}.${extension}`,
+    contentType,
+  };
+};
+
+// ==========================================
+// Import
+// ==========================================
+
+/**
+ * Keeps the numeric token counts of a usage object, if it looks like one.
+ */
+const readUsage = (usage) => {
+  if (!usage || typeof usage !== "object") return undefined;
+  const counts = {};
+  for (const key of ["prompt_tokens", "completion_tokens", "total_tokens"]) {
+    if (Number.isFinite(usage[key])) counts[key] = usage[key];
+  }
+  return Object.keys(counts).length ? counts : undefined;
+};
+
+/**
+ * Moves a leading system message into the conversation's system prompt,
+ * mirroring how the exports write it.
+ * @param {Array<Object>} messages - Imported messages of a single thread.
+ * @returns {{messages: Array<Object>, systemPrompt?: string}}
+ */
+const liftSystemPrompt = (messages) =>
+  messages[0]?.role === "system" && typeof messages[0].content === "string"
+    ? { messages: messages.slice(1), systemPrompt: messages[0].content }
+    : { messages };
+
+/**
+ * Reads a Markdown transcript (as written by the Markdown export): an optional
+ * `# Title`, then one `## User` / `## Assistant (model)` / `## System` section
+ * per message. Text lines that look exactly like those headings start a new message.
+ */
+const parseMarkdown = (data) => {
+  const lines = data.replace(/\r\n/g, "\n").split("\n");
+  const titleLine = lines.find((line) => line.trim());
+  const title = titleLine?.startsWith("# ")
+    ? titleLine.slice(2).trim()
+    : undefined;
+
+  const messages = [];
+  for (const line of lines) {
+    const heading = ROLE_HEADING_PATTERN.exec(line);
+    if (heading) {
+      messages.push({
+        role: heading[1].toLowerCase(),
+        model: heading[2],
+        lines: [],
+      });
+    } else {
+      messages.at(-1)?.lines.push(line);
+    }
+  }
+  if (messages.length === 0) {
+    return {
+      error:
+        "No messages found. Markdown imports need '## User' / '## Assistant' sections.",
+    };
+  }
+
+  return {
+    conversations: [
+      {
+        title,
+        ...liftSystemPrompt(
+          messages.map(({ role, model, lines: body }) => ({
+            role,
+            content: body.join("\n").trim(),
+            ...(model && { model }),
+          }))
+        ),
+      },
+    ],
+  };
+};
+
+/**
+ * Reads our JSON export (a single export or an array of them).
+ */
+const parseJson = (parsed) => {
+  const exports = [].concat(parsed);
+  if (!exports.every((item) => item?.type === JSON_EXPORT_TYPE)) {
+    return { error: "Not a conversation export from this app." };
+  }
+  if (exports.some((item) => item.version > JSON_EXPORT_VERSION)) {
+    return {
+      error: `Unsupported export version (this server reads version ${JSON_EXPORT_VERSION}).`,
+    };
+  }
+
+  return {
+    conversations: exports.map(({ conversation = {} }) => ({
+      title: conversation.title || undefined,
+      params: conversation.params,
+      systemPrompt: conversation.systemPrompt,
+      activeLeafId: conversation.activeLeafId,
+      messages: Array.isArray(conversation.messages)
+        ? conversation.messages.map((msg) => ({
+            ...msg,
+            // parentId is always explicit in exports; null marks a root message
+            parentId: msg?.parentId ?? null,
+            usage: readUsage(msg?.usage),
+          }))
+        : conversation.messages,
+    })),
+  };
+};
+
+/**
+ * Reads OpenAI chat fine-tuning JSONL: each line becomes a conversation.
+ */
+const parseJsonl = (data) => {
+  const conversations = [];
+  for (const [index, line] of data.split(/\r?\n/).entries()) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      return { error: `Line ${index + 1} is not valid JSON.` };
+    }
+    if (!Array.isArray(record?.messages)) {
+      return { error: `Line ${index + 1} has no 'messages' array.` };
+    }
+    conversations.push(
+      liftSystemPrompt(
+        record.messages.map((msg) => ({
+          role: msg?.role,
+          content: msg?.content,
+        }))
+      )
+    );
+  }
+  return { conversations };
+};
+
+/**
+ * Extracts the text of a ChatGPT message. Only text content is imported;
+ * code interpreter output, browsing results and uploaded images are not.
+ * @returns {string|null} The text, or null if the message has none.
+ */
+const chatGptText = (message) => {
+  const { content_type: type, parts } = message.content || {};
+  if (type !== "text" && type !== "multimodal_text") return null;
+  const text = (parts || [])
+    .filter((part) => typeof part === "string")
+    .join("\n")
+    .trim();
+  return text || null;
+};
+
+/**
+ * Converts one ChatGPT conversation. Its `mapping` is a tree of nodes
+ * ({ id, parent, children, message }); nodes that aren't imported (tool
+ * calls, hidden context, empty roots) are skipped and their children
+ * re-attached to the nearest imported ancestor, so branches survive.
+ */
+const convertChatGptConversation = (item) => {
+  const mapping = item.mapping || {};
+  const messages = [];
+  // Node ID -> ID of the nearest imported message at or above it
+  const importedAncestor = new Map();
+
+  // Visit parents before children, as linking the tree requires
+  const visit = (nodeId, parentId) => {
+    const node = mapping[nodeId];
+    if (!node || importedAncestor.has(nodeId)) return;
+    const message = node.message;
+    const text = message && chatGptText(message);
+    const role = message?.author?.role;
+    const imported =
+      text &&
+      MESSAGE_ROLES.includes(role) &&
+      !message.metadata?.is_visually_hidden_from_conversation;
+
+    if (imported) {
+      messages.push({
+        id: nodeId,
+        parentId,
+        role,
+        content: text,
+        model: message.metadata?.model_slug,
+        ...(message.create_time && {
+          createdAt: new Date(message.create_time * 1000).toISOString(),
+        }),
+      });
+    }
+    importedAncestor.set(nodeId, imported ? nodeId : parentId);
+    for (const childId of node.children || []) {
+      visit(childId, imported ? nodeId : parentId);
+    }
+  };
+  for (const [nodeId, node] of Object.entries(mapping)) {
+    if (!node.parent || !mapping[node.parent]) visit(nodeId, null);
+  }
+
+  return {
+    title:
+      typeof item.title === "string" && item.title.trim()
+        ? item.title
+        : undefined,
+    activeLeafId: importedAncestor.get(item.current_node) ?? undefined,
+    messages,
+  };
+};
+
+/**
+ * Reads ChatGPT's `conversations.json` (an array of conversations).
+ */
+const parseChatGpt = (parsed) => {
+  if (!Array.isArray(parsed) || !parsed.every((item) => item?.mapping)) {
+    return { error: "Not a ChatGPT conversations.json export." };
+  }
+  return { conversations: parsed.map(convertChatGptConversation) };
+};
+
+/**
+ * Guesses the format of an uploaded file from its content.
+ * @param {string} data - The file content.
+ * @returns {string} One of IMPORT_FORMATS.
+ */
+const detectFormat = (data) => {
+  const text = data.trim();
+  if (text.startsWith("[") || text.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(text);
+      const first = [].concat(parsed)[0];
+      if (first?.mapping) return "chatgpt";
+      if (first?.type === JSON_EXPORT_TYPE) return "json";
+    } catch {
+      // Several JSON documents, one per line
+    }
+    return "jsonl";
+  }
+  return "markdown";
+};
+
+/**
+ * Parses an uploaded file into conversations to create. The result still
+ * needs validating; messages may carry `id`/`parentId` (tree formats) and
+ * stored metadata (model, usage, timestamps).
+ * @param {*} data - The file content.
+ * @param {string} [format] - One of IMPORT_FORMATS; detected from the content when omitted.
+ * @returns {{conversations: Array<Object>, format: string, error: string|null}}
+ *   Conversations as { title?, params?, systemPrompt?, activeLeafId?, messages },
+ *   or an error message.
+ */
+export const parseImport = (data, format) => {
+  if (typeof data !== "string" || !data.trim()) {
+    return {
+      conversations: [],
+      format,
+      error: "'data' must be the file content as a string.",
+    };
+  }
+  if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+    return {
+      conversations: [],
+      format,
+      error: `'format' must be one of: ${IMPORT_FORMATS.join(", ")}.`,
+    };
+  }
+  const resolvedFormat = format || detectFormat(data);
+
+  let result;
+  if (resolvedFormat === "markdown") {
+    result = parseMarkdown(data);
+  } else if (resolvedFormat === "jsonl") {
+    result = parseJsonl(data);
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return {
+        conversations: [],
+        format: resolvedFormat,
+        error: "The file is not valid JSON.",
+      };
+    }
+    result =
+      resolvedFormat === "json" ? parseJson(parsed) : parseChatGpt(parsed);
+  }
+
+  return {
+    conversations: result.conversations || [],
+    format: resolvedFormat,
+    error: result.error || null,
+  };
+};
@@ -0,0 +1,244 @@
+// utils/documents.js
+
+// Reading uploaded documents for the knowledge base: plain text, Markdown and
+// PDF files are turned into text and cut into overlapping chunks small enough
+// to retrieve and quote individually.
+// Configuration (environment):
+//   RAG_CHUNK_SIZE    - target chunk length in characters (default 1200)
+//   RAG_CHUNK_OVERLAP - characters repeated from the previous chunk (default 200)
+
+import path from "path";
+
+const CHUNK_SIZE = Math.max(200, Number(process.env.RAG_CHUNK_SIZE) || 1200);
+const CHUNK_OVERLAP = Math.min(
+  Math.floor(CHUNK_SIZE / 2),
+  Number(process.env.RAG_CHUNK_OVERLAP ?? 200) || 0
+);
+
+// Largest file accepted (the request body itself is capped at 10 MB, and
+// base64 adds a third)
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024; // 5 MB
+// Most chunks one document may produce
+const MAX_CHUNKS = 2000;
+
+// Supported document types, by file extension
+export const DOCUMENT_TYPES = {
+  text: [".txt", ".text", ".log", ".csv"],
+  markdown: [".md", ".markdown", ".mdx"],
+  pdf: [".pdf"],
+};
+
+const MIME_TYPES = {
+  "text/plain": "text",
+  "text/csv": "text",
+  "text/markdown": "markdown",
+  "application/pdf": "pdf",
+};
+
+/**
+ * Works out a document's type from its MIME type or file name.
+ * @param {string} name - The file name.
+ * @param {string} [mimeType] - The MIME type, if the client sent one.
+ * @returns {string|null} 'text', 'markdown' or 'pdf'; null if unsupported.
+ */
+const detectType = (name, mimeType) => {
+  const extension = path.extname(name).toLowerCase();
+  const byExtension = Object.keys(DOCUMENT_TYPES).find((type) =>
+    DOCUMENT_TYPES[type].includes(extension)
+  );
+  return byExtension || MIME_TYPES[mimeType] || null;
+};
+
+/**
+ * Decodes the uploaded content: a base64 data URL (any file type) or plain text.
+ * @returns {{bytes: Buffer, mimeType: string|null}}
+ */
+const decodeContent = (content) => {
+  const match = /^data:([^;,]*)(;base64)?,/.exec(content);
+  if (!match) {
+    return { bytes: Buffer.from(content, "utf8"), mimeType: null };
+  }
+  const data = content.slice(match[0].length);
+  return {
+    bytes: match[2]
+      ? Buffer.from(data, "base64")
+      : Buffer.from(decodeURIComponent(data), "utf8"),
+    mimeType: match[1] || null,
+  };
+};
+
+/**
+ * Extracts the text of each page of a PDF. pdf.js is loaded on first use, as
+ * it is large and only needed for PDF uploads.
+ * @param {Buffer} bytes - The PDF file.
+ * @returns {Promise<Array<{page: number, text: string}>>} One entry per page.
+ */
+const readPdf = async (bytes) => {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const pdf = await getDocument({
+    data: new Uint8Array(bytes),
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: 0,
+  }).promise;
+  try {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number += 1) {
+      const page = await pdf.getPage(number);
+      const { items } = await page.getTextContent();
+      const text = items
+        .map((item) => `${item.str}${item.hasEOL ? "\n" : ""}`)
+        .join("");
+      pages.push({ page: number, text });
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Reads an uploaded document into text.
+ * @param {Object} upload
+ * @param {string} upload.name - The file name (its extension picks the type).
+ * @param {string} upload.content - A data URL, or the text itself.
+ * @param {string} [upload.type] - The MIME type, used when the name has no known extension.
+ * @returns {Promise<{type: string, size: number, pages: Array<{page: number|null, text: string}>, error: string|null}>}
+ *   The type, the size in bytes and the text (one entry per PDF page, a
+ *   single one otherwise), or an error message.
+ */
+export const extractDocument = async ({ name, content, type: mimeType }) => {
+  const { bytes, mimeType: dataUrlType } = decodeContent(content);
+  const type = detectType(name, mimeType || dataUrlType);
+  const result = { type, size: bytes.length, pages: [], error: null };
+
+  if (!type) {
+    const extensions = Object.values(DOCUMENT_TYPES).flat().join(", ");
+    return {
+      ...result,
+      error: `Unsupported document type. Supported files: ${extensions}.`,
+    };
+  }
+  if (bytes.length > MAX_DOCUMENT_BYTES) {
+    return {
+      ...result,
+      error: `Documents may be at most ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB.`,
+    };
+  }
+
+  if (type !== "pdf") {
+    // Drop a byte order mark and normalize line endings
+    const text = bytes
+      .toString("utf8")
+      .replace(/^\uFEFF/, "")
+      .replace(/\r\n?/g, "\n");
+    return { ...result, pages: [{ page: null, text }] };
+  }
+
+  try {
+    return { ...result, pages: await readPdf(bytes) };
+  } catch (error) {
+    return {
+      ...result,
+      error: `'${name}' could not be read as a PDF (${error.message.replace(
+        /\.$/,
+        ""
+      )}).`,
+    };
+  }
+};
+
+// ==========================================
+// Chunking
+// ==========================================
+
+/**
+ * Splits text that is too long for one chunk at sentence ends, and cuts
+ * sentences that are still too long at word boundaries.
+ */
+const splitLongBlock = (block) => {
+  const pieces = [];
+  for (const sentence of block.split(/(?<=[.!?])\s+/)) {
+    let rest = sentence;
+    while (rest.length > CHUNK_SIZE) {
+      const cut = rest.lastIndexOf(" ", CHUNK_SIZE);
+      const end = cut > CHUNK_SIZE / 2 ? cut : CHUNK_SIZE;
+      pieces.push(rest.slice(0, end));
+      rest = rest.slice(end).trimStart();
+    }
+    if (rest) pieces.push(rest);
+  }
+  return pieces;
+};
+
+/**
+ * The end of a chunk, starting at a word boundary, to repeat at the start of
+ * the next one so sentences cut in half are still found.
+ */
+const overlapOf = (text) => {
+  if (!CHUNK_OVERLAP || text.length <= CHUNK_OVERLAP) return "";
+  const tail = text.slice(-CHUNK_OVERLAP);
+  const space = tail.indexOf(" ");
+  return space === -1 ? tail : tail.slice(space + 1);
+};
+
+/**
+ * Cuts a document's text into chunks of about RAG_CHUNK_SIZE characters,
+ * keeping paragraphs together where possible. In Markdown, every heading
+ * starts a new chunk and is recorded as the chunk's `section`.
+ * @param {Array<{page: number|null, text: string}>} pages - From extractDocument.
+ * @param {string} type - The document type.
+ * @returns {Array<{index: number, text: string, page?: number, section?: string}>}
+ *   The chunks, numbered from 0.
+ */
+export const chunkDocument = (pages, type) => {
+  const chunks = [];
+
+  for (const { page, text } of pages) {
+    let section = null;
+    let current = "";
+    // Where the next chunk starts (repeated text from the last one)
+    let carry = "";
+
+    const flush = (keepOverlap) => {
+      if (current.trim()) {
+        chunks.push({
+          index: chunks.length,
+          text: current.trim(),
+          ...(page !== null && { page }),
+          ...(section && { section }),
+        });
+        carry = keepOverlap ? overlapOf(current.trim()) : "";
+      }
+      current = "";
+    };
+
+    for (const block of text.split(/\n\s*\n/)) {
+      const trimmed = block.trim();
+      if (!trimmed) continue;
+
+      const heading = type === "markdown" && /^#{1,6}\s+(.+)/.exec(trimmed);
+      if (heading) {
+        flush(false);
+        carry = ""; // Sections don't share text
+        section = heading[1].replace(/#+\s*$/, "").trim();
+      }
+
+      const pieces =
+        trimmed.length > CHUNK_SIZE ? splitLongBlock(trimmed) : [trimmed];
+      for (const piece of pieces) {
+        if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+          flush(true);
+        }
+        if (!current && carry) {
+          current = carry;
+          carry = "";
+        }
+        current += current ? `\n\n${piece}` : piece;
+      }
+    }
+    flush(false);
+  }
+
+  return chunks.slice(0, MAX_CHUNKS);
+};
@@ -0,0 +1,188 @@
+// utils/errors.js
+
+// The error model shared by every API response. Failures are answered as
+//   { error, code, retryable, upstream_status, request_id }
+// - error: a message that is safe to show users
+// - code: what went wrong, stable for clients to act on (see ERROR_CODES)
+// - retryable: whether the same request may succeed if sent again later
+// - upstream_status: the provider's HTTP status when a provider call failed, else null
+// - request_id: the response's X-Request-Id, which its log lines carry too
+// Routes keep answering { error: "..." } with a status, adding a `code` only
+// when the status alone is ambiguous; middleware/errorEnvelope.js fills in
+// the rest. Provider failures are classified by classifyProviderError, as
+// providers report the same problem with different statuses and wording.
+
+import { isRetryable, retryAfterMs } from "./retry.js";
+
+// Every code, with the HTTP status it is sent with and whether retrying helps
+export const ERROR_CODES = {
+  invalid_request: { status: 400, retryable: false },
+  invalid_parameters: { status: 400, retryable: false }, // Rejected by the provider
+  context_length_exceeded: { status: 400, retryable: false },
+  content_filtered: { status: 400, retryable: false },
+  model_incompatible: { status: 400, retryable: false }, // e.g. no image input
+  unauthorized: { status: 401, retryable: false },
+  budget_exceeded: { status: 402, retryable: false },
+  insufficient_credits: { status: 402, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  no_api_key: { status: 403, retryable: false },
+  not_found: { status: 404, retryable: false },
+  model_not_found: { status: 404, retryable: false },
+  conflict: { status: 409, retryable: false },
+  payload_too_large: { status: 413, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  internal_error: { status: 500, retryable: false },
+  not_implemented: { status: 501, retryable: false },
+  invalid_api_key: { status: 502, retryable: false }, // The provider refused our key
+  upstream_error: { status: 502, retryable: true },
+  upstream_timeout: { status: 504, retryable: true },
+};
+
+// The code of errors that only have a status
+const STATUS_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  402: "budget_exceeded",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+  501: "not_implemented",
+  502: "upstream_error",
+  504: "upstream_timeout",
+};
+
+/**
+ * Picks the code for an error that only has an HTTP status.
+ * @param {number} status - The HTTP status.
+ * @returns {string} The code.
+ */
+export const codeForStatus = (status) =>
+  STATUS_CODES[status] ||
+  (status >= 500 ? "internal_error" : "invalid_request");
+
+/**
+ * Completes an error body into the full envelope (see the top of this file).
+ * @param {number} status - The response's HTTP status.
+ * @param {Object} body - The body sent, with at least `error` (the message).
+ * @param {string} [requestId] - The request's ID.
+ * @returns {Object} The envelope; extra fields of `body` are kept.
+ */
+export const toErrorEnvelope = (status, body, requestId) => {
+  const code = body.code || codeForStatus(status);
+  return {
+    ...body,
+    error: body.error,
+    code,
+    retryable: body.retryable ?? ERROR_CODES[code]?.retryable ?? false,
+    upstream_status: body.upstream_status ?? null,
+    request_id: requestId ?? null,
+  };
+};
+
+// How providers word the problems their statuses don't tell apart
+const CONTEXT_PATTERN =
+  /context[_ ](length|window)|maximum context|too many tokens|prompt is too long|input is too long|reduce the length|exceeds the (maximum|token)/i;
+const MODERATION_PATTERN =
+  /moderation|content[_ ](policy|filter|management)|flagged|safety|blocked|prohibited/i;
+const CREDITS_PATTERN =
+  /insufficient[_ ](credits|quota|balance|funds)|out of credits|credit balance|billing|quota exceeded/i;
+const MODEL_PATTERN =
+  /model.{0,40}(not found|does not exist|not a valid|is not available|unknown|invalid)|(no|unknown|invalid) model|no endpoints found/i;
+
+/**
+ * Tells whether a provider call failed because it took too long.
+ */
+const isTimeout = (error) =>
+  error.name === "APIConnectionTimeoutError" ||
+  error.name === "TimeoutError" ||
+  [408, 504, 524].includes(error.status) ||
+  ["ETIMEDOUT", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT"].includes(
+    error.cause?.code
+  );
+
+/**
+ * Works out what a failed provider call means for the client.
+ * @param {Error} error - The error thrown by the provider call (SDK errors
+ *   and ProviderError carry the upstream `status`, `headers` and, for the
+ *   SDK, the upstream `code`, `type` and `error` body).
+ * @param {Object} provider - The provider that was called.
+ * @returns {{status: number, code: string, message: string, retryable: boolean,
+ *   upstreamStatus: number|null, retryAfter: number|null}} `retryAfter` in
+ *   seconds, when the provider said how long to wait.
+ */
+export const classifyProviderError = (error, provider) => {
+  const { label } = provider;
+  const upstreamStatus = error.status ?? null;
+  // Status alone is ambiguous (a 400 may be a full context or a bad value),
+  // so the provider's own code and message are checked as well
+  const details = [
+    error.code,
+    error.type,
+    error.message,
+    JSON.stringify(error.error?.metadata ?? ""),
+  ].join(" ");
+
+  let code;
+  let message;
+  if (isTimeout(error)) {
+    code = "upstream_timeout";
+    message = `${label} took too long to answer.`;
+  } else if (upstreamStatus === null) {
+    // No response at all: either the connection failed or our own code did
+    if (isRetryable(error)) {
+      code = "upstream_error";
+      message = `Could not reach ${label}.`;
+    } else {
+      code = "internal_error";
+      message = "Internal server error.";
+    }
+  } else if (upstreamStatus === 402 || CREDITS_PATTERN.test(details)) {
+    code = "insufficient_credits";
+    message = `The ${label} account has run out of credits.`;
+  } else if (upstreamStatus === 401) {
+    code = "invalid_api_key";
+    message = `Invalid API key provided to ${label}.`;
+  } else if (CONTEXT_PATTERN.test(details)) {
+    code = "context_length_exceeded";
+    message = `The conversation is too long for the model's context window. ${label}: ${error.message}`;
+  } else if (
+    MODERATION_PATTERN.test(details) ||
+    error.error?.metadata?.reasons
+  ) {
+    code = "content_filtered";
+    message = `${label} declined the request under its content policy.`;
+  } else if (upstreamStatus === 403) {
+    code = "invalid_api_key";
+    message = `${label} refused the API key: ${error.message}`;
+  } else if (upstreamStatus === 404 || MODEL_PATTERN.test(details)) {
+    code = "model_not_found";
+    message = `${label} does not offer this model: ${error.message}`;
+  } else if (upstreamStatus === 429) {
+    code = "rate_limited";
+    message = `Rate limit exceeded for ${label} API.`;
+  } else if (upstreamStatus === 400 || upstreamStatus === 422) {
+    code = "invalid_parameters";
+    message = `${label} rejected the request: ${error.message}`;
+  } else {
+    code = "upstream_error";
+    message = `${label} failed to answer (status ${upstreamStatus}).`;
+  }
+
+  const waitMs = retryAfterMs(error);
+  return {
+    status: ERROR_CODES[code].status,
+    code,
+    message,
+    // Other failures only pass with time if the retry policy thinks so (a 503
+    // does, a 501 doesn't)
+    retryable:
+      code === "upstream_error"
+        ? isRetryable(error)
+        : ERROR_CODES[code].retryable,
+    upstreamStatus,
+    retryAfter: waitMs === null ? null : Math.ceil(waitMs / 1000),
+  };
+};
@@ -0,0 +1,119 @@
+// utils/generationParams.js
+
+// Validation for the sampling / generation parameters clients may send with a
+// chat request, and clamping of those parameters to a model's published limits.
+
+// Numeric parameters and their allowed ranges (OpenAI / OpenRouter semantics)
+const NUMBER_RANGES = {
+  temperature: [0, 2],
+  top_p: [0, 1],
+  presence_penalty: [-2, 2],
+  frequency_penalty: [-2, 2],
+};
+
+// Most stop sequences the upstream APIs accept
+const MAX_STOP_SEQUENCES = 4;
+
+// Allowed `response_format.type` values
+const RESPONSE_FORMAT_TYPES = ["text", "json_object", "json_schema"];
+
+// Every parameter name this module understands
+export const GENERATION_PARAM_NAMES = [
+  ...Object.keys(NUMBER_RANGES),
+  "max_tokens",
+  "stop",
+  "seed",
+  "response_format",
+];
+
+/**
+ * Picks and validates the generation parameters from a request body.
+ * Absent (undefined or null) parameters are skipped, so callers can layer defaults.
+ * @param {Object} [input] - Object that may contain generation parameters.
+ * @returns {{params: Object, error: string|null}} The valid parameters, or an error message.
+ */
+export const validateGenerationParams = (input = {}) => {
+  const params = {};
+
+  for (const [name, [min, max]] of Object.entries(NUMBER_RANGES)) {
+    const value = input[name];
+    if (value == null) continue;
+    if (typeof value !== "number" || Number.isNaN(value)) {
+      return { params, error: `'${name}' must be a number.` };
+    }
+    if (value < min || value > max) {
+      return {
+        params,
+        error: `'${name}' must be between ${min} and ${max}.`,
+      };
+    }
+    params[name] = value;
+  }
+
+  if (input.max_tokens != null) {
+    if (!Number.isInteger(input.max_tokens) || input.max_tokens < 1) {
+      return { params, error: "'max_tokens' must be a positive integer." };
+    }
+    params.max_tokens = input.max_tokens;
+  }
+
+  if (input.seed != null) {
+    if (!Number.isInteger(input.seed)) {
+      return { params, error: "'seed' must be an integer." };
+    }
+    params.seed = input.seed;
+  }
+
+  if (input.stop != null) {
+    const stop = [].concat(input.stop);
+    if (
+      stop.length > MAX_STOP_SEQUENCES ||
+      !stop.every((sequence) => typeof sequence === "string" && sequence)
+    ) {
+      return {
+        params,
+        error: `'stop' must be a string or an array of up to ${MAX_STOP_SEQUENCES} non-empty strings.`,
+      };
+    }
+    params.stop = input.stop;
+  }
+
+  if (input.response_format != null) {
+    const { type, json_schema } = input.response_format;
+    if (!RESPONSE_FORMAT_TYPES.includes(type)) {
+      return {
+        params,
+        error: `'response_format.type' must be one of: ${RESPONSE_FORMAT_TYPES.join(
+          ", "
+        )}.`,
+      };
+    }
+    if (type === "json_schema" && (!json_schema || !json_schema.schema)) {
+      return {
+        params,
+        error:
+          "'response_format.json_schema.schema' is required for type 'json_schema'.",
+      };
+    }
+    params.response_format = input.response_format;
+  }
+
+  return { params, error: null };
+};
+
+/**
+ * Caps `max_tokens` at what the model can actually produce, using the catalog's
+ * `top_provider.max_completion_tokens` and `context_length`.
+ * @param {Object} params - Validated generation parameters.
+ * @param {Object|null} modelInfo - The model's catalog entry, if known.
+ * @returns {Object} The parameters with `max_tokens` clamped when necessary.
+ */
+export const clampToModelLimits = (params, modelInfo) => {
+  if (!modelInfo || params.max_tokens == null) return params;
+
+  const limit = Math.min(
+    modelInfo.top_provider?.max_completion_tokens || Infinity,
+    modelInfo.context_length || Infinity
+  );
+  return params.max_tokens > limit ? { ...params, max_tokens: limit } : params;
+};
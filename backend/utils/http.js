@@ -0,0 +1,180 @@
+// utils/http.js
+
+// Small helpers shared by the routes that call an LLM provider.
+
+import { getProvider, PROVIDER_NAMES } from "../providers/index.js";
+import { decryptSecret } from "../services/auth.js";
+import { findExceededBudget } from "../services/usage.js";
+import { logger } from "./logger.js";
+import { classifyProviderError } from "./errors.js";
+
+// Whether users without their own key may spend the server's key (default: yes)
+const ALLOW_SERVER_API_KEY = process.env.ALLOW_SERVER_API_KEY !== "false";
+
+/**
+ * Returns a signal that aborts when the client disconnects before the response
+ * is finished (e.g., the user pressed Stop), so the upstream request can be
+ * cancelled and we don't keep paying for tokens nobody will read.
+ * @param {import("express").Response} res - The Express response.
+ * @returns {AbortSignal} The signal to pass to the provider call.
+ */
+export const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+/**
+ * Resolves a provider by name, falling back to the configured default when no
+ * name is given. Sends a 400 for unknown names.
+ * @param {import("express").Response} res - The Express response.
+ * @param {string} [name] - The requested provider name.
+ * @returns {Object|null} The provider, or null if a 400 response was sent.
+ */
+export const resolveProvider = (res, name) => {
+  const provider = getProvider(name || undefined);
+  if (!provider) {
+    res.status(400).json({
+      error: `Unknown provider '${name}'. Available providers: ${PROVIDER_NAMES.join(
+        ", "
+      )}.`,
+    });
+  }
+  return provider;
+};
+
+/**
+ * Picks the API key for a user's calls to a provider: their own stored key if
+ * they have one, otherwise the server's key (when ALLOW_SERVER_API_KEY allows).
+ * Sends a 403 if neither is available.
+ * @param {import("express").Request} req - The authenticated request.
+ * @param {import("express").Response} res - The Express response.
+ * @param {Object} provider - The provider about to be called.
+ * @returns {Object|null} Options to pass to the provider call ({ apiKey }), or null if a 403 was sent.
+ */
+export const resolveCredentials = (req, res, provider) => {
+  if (!provider.requiresApiKey) {
+    return {};
+  }
+
+  const userKey = decryptSecret(req.user?.apiKeys?.[provider.name]);
+  if (userKey) {
+    return { apiKey: userKey };
+  }
+  if (ALLOW_SERVER_API_KEY && provider.isConfigured()) {
+    return { apiKey: undefined }; // The provider falls back to its own key
+  }
+
+  res.status(403).json({
+    error: `No ${provider.label} API key available. Add your own key in your account settings.`,
+    code: "no_api_key",
+  });
+  return null;
+};
+
+/**
+ * Refuses a call once a usage budget is used up (see services/usage.js).
+ * Calls paid with the user's own key are never limited. Sends a 402 with an
+ * explanation when a budget is exceeded.
+ * @param {import("express").Request} req - The authenticated request.
+ * @param {import("express").Response} res - The Express response.
+ * @param {Object} credentials - From resolveCredentials.
+ * @returns {Promise<boolean>} True if the call may proceed, false if a 402 was sent.
+ */
+export const ensureWithinBudget = async (req, res, credentials) => {
+  if (credentials.apiKey) return true;
+
+  const exceeded = await findExceededBudget(req.user.id);
+  if (exceeded) {
+    res.status(402).json({ error: exceeded });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Creates an error for a problem with the request itself (found while
+ * preparing a provider call), whose message is safe to show the client.
+ * @param {number} status - The HTTP status to respond with.
+ * @param {string} message - The client-facing message.
+ * @param {string} [code] - The error code (see utils/errors.js), when the
+ *   status doesn't say enough.
+ * @returns {Error} The error.
+ */
+export const createRequestError = (status, message, code) =>
+  Object.assign(new Error(message), { status, code, expose: true });
+
+/**
+ * Translates a provider error into an HTTP status and a client-safe body in
+ * the shared error model (see utils/errors.js).
+ * @param {Error} error - The error thrown by the provider call.
+ * @param {Object} provider - The provider that was called.
+ * @returns {{status: number, body: Object}} The status code and JSON body to
+ *   send (`retry_after` in seconds, when the provider said how long to wait).
+ */
+export const describeProviderError = (error, provider) => {
+  // Our own checks (see createRequestError) already have a client-facing message
+  if (error.expose) {
+    return {
+      status: error.status,
+      body: { error: error.message, ...(error.code && { code: error.code }) },
+    };
+  }
+
+  const { status, code, message, retryable, upstreamStatus, retryAfter } =
+    classifyProviderError(error, provider);
+  return {
+    status,
+    body: {
+      error: message,
+      code,
+      retryable,
+      upstream_status: upstreamStatus,
+      ...(retryAfter !== null && { retry_after: retryAfter }),
+      // Include the original error only in development mode for security
+      detail:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    },
+  };
+};
+
+/**
+ * Maps a provider error to an HTTP response, logging the full error.
+ * @param {import("express").Response} res - The Express response.
+ * @param {Error} error - The error thrown by the provider call.
+ * @param {Object} provider - The provider that was called.
+ * @param {string} context - Where the error happened, for the log line.
+ */
+export const sendProviderError = (res, error, provider, context) => {
+  // Log the full error for debugging purposes in the backend console
+  logger.error("Provider error", { provider: provider.name, context, error });
+
+  const { status, body } = describeProviderError(error, provider);
+  if (body.retry_after !== undefined) {
+    res.set("Retry-After", String(body.retry_after));
+  }
+  res.status(status).json({
+    ...body,
+    // Every model that was tried, when fallbacks were involved
+    ...(error.failures?.length > 1 && {
+      failed_attempts: describeFailures(error.failures, provider),
+    }),
+  });
+};
+
+/**
+ * Turns the failures collected by withFallback (utils/retry.js) into
+ * client-safe entries.
+ * @param {Array<Object>} failures - { model, error, attempts } per failed model.
+ * @param {Object} provider - The provider that was called.
+ * @returns {Array<Object>} { model, status, error, code, attempts } per failed model.
+ */
+export const describeFailures = (failures, provider) =>
+  failures.map(({ model, error, attempts }) => {
+    const { status, body } = describeProviderError(error, provider);
+    return { model, status, error: body.error, code: body.code, attempts };
+  });
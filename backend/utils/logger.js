@@ -0,0 +1,115 @@
+// utils/logger.js
+
+// Structured logging: one JSON object per line, on stdout (errors and warnings
+// on stderr), ready for log collectors. Lines written while handling a request
+// carry its `requestId` (see middleware/requestLog.js), so everything a
+// request logged can be found from the X-Request-Id header of its response.
+// Prompts and replies are redacted by default: fields that usually hold them
+// (`messages`, `content`, `prompt`, ...) are replaced by their length, at any
+// depth. LOG_PROMPTS=true logs them as they are.
+//   LOG_LEVEL   - debug, info (default), warn, error or silent (e.g., in tests)
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+const LOG_PROMPTS = process.env.LOG_PROMPTS === "true";
+
+// Fields whose values are conversation text
+const PROMPT_FIELDS = new Set([
+  "messages",
+  "content",
+  "prompt",
+  "input",
+  "arguments",
+  "text",
+]);
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with fields (e.g., { requestId }) added to every line it logs,
+ * including from callbacks and promises it starts.
+ * @param {Object} fields - The fields to add.
+ * @param {Function} fn - The code to run.
+ * @returns {*} What `fn` returns.
+ */
+export const withLogContext = (fields, fn) => context.run(fields, fn);
+
+/**
+ * Replaces conversation text with a placeholder, keeping its size.
+ */
+const redacted = (value) =>
+  `[redacted ${
+    typeof value === "string"
+      ? `${value.length} chars`
+      : Array.isArray(value)
+      ? `${value.length} items`
+      : typeof value
+  }]`;
+
+/**
+ * Prepares a value for JSON: errors become plain objects, and prompt fields
+ * are redacted (unless LOG_PROMPTS is set).
+ */
+const serialize = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status && { status: value.status }),
+      ...(value.code && { code: value.code }),
+      stack: value.stack,
+      ...(value.cause && { cause: serialize(value.cause, depth + 1) }),
+    };
+  }
+  if (depth > 5 || value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      !LOG_PROMPTS && PROMPT_FIELDS.has(key) && item != null
+        ? redacted(item)
+        : serialize(item, depth + 1),
+    ])
+  );
+};
+
+/**
+ * Writes one log line.
+ * @param {string} level - debug, info, warn or error.
+ * @param {string} message - What happened, without variable parts.
+ * @param {Object} [fields] - Details (an `error` field may be an Error).
+ */
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  let line;
+  try {
+    line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...context.getStore(),
+      ...serialize(fields),
+    });
+  } catch {
+    // e.g. a circular structure in the fields: keep at least the message
+    line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+    });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(
+    `${line}\n`
+  );
+};
+
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
@@ -0,0 +1,69 @@
+// utils/messageTree.js
+
+// Conversations store their messages as a tree: each message has a `parentId`
+// (null for a first message), so editing a turn or regenerating a reply adds a
+// sibling branch instead of overwriting history. The conversation's
+// `activeLeafId` marks the branch currently shown; the visible thread is the
+// path from the root down to that leaf.
+
+/**
+ * Thrown when a request refers to messages that don't exist in the tree.
+ */
+export class MessageTreeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MessageTreeError";
+    this.status = 400;
+  }
+}
+
+/**
+ * Returns the path of messages from the root down to a leaf.
+ * @param {Array<Object>} messages - All messages of the conversation.
+ * @param {string|null} leafId - The leaf of the branch.
+ * @returns {Array<Object>} The thread, oldest first.
+ */
+export const getThread = (messages, leafId) => {
+  const byId = new Map(messages.map((msg) => [msg.id, msg]));
+  const thread = [];
+  let node = byId.get(leafId);
+  // The length check guards against cycles in hand-edited data
+  while (node && thread.length < messages.length) {
+    thread.unshift(node);
+    node = node.parentId == null ? null : byId.get(node.parentId);
+  }
+  return thread;
+};
+
+/**
+ * Attaches new messages to the tree. A message's explicit `parentId` is kept
+ * (after checking it exists); otherwise it continues from the previous new
+ * message, and the first one continues from `defaultParentId`.
+ * @param {Array<Object>} existing - Messages already in the conversation.
+ * @param {Array<Object>} incoming - New messages, each possibly with a `parentId`.
+ * @param {string|null} defaultParentId - Where to attach when no parent is given.
+ * @returns {Array<Object>} The new messages with `parentId` set.
+ * @throws {MessageTreeError} If a `parentId` refers to an unknown message or an ID is reused.
+ */
+export const linkMessages = (existing, incoming, defaultParentId) => {
+  const knownIds = new Set(existing.map((msg) => msg.id));
+  let previousId = defaultParentId ?? null;
+
+  return incoming.map((msg) => {
+    const parentId =
+      msg.parentId === undefined
+        ? previousId
+        : msg.parentId === null
+        ? null
+        : String(msg.parentId);
+    if (parentId !== null && !knownIds.has(parentId)) {
+      throw new MessageTreeError(`Unknown parentId '${parentId}'.`);
+    }
+    if (knownIds.has(msg.id)) {
+      throw new MessageTreeError(`Duplicate message id '${msg.id}'.`);
+    }
+    knownIds.add(msg.id);
+    previousId = msg.id;
+    return { ...msg, parentId };
+  });
+};
@@ -0,0 +1,207 @@
+// utils/messages.js
+
+// Shared rules for the shape of chat messages, used both by the completion
+// route and by anything that stores messages (e.g. the conversation store).
+// `content` is either a string or an OpenAI-style array of content parts:
+//   { type: "text", text }
+//   { type: "image_url", image_url: { url } }              - data: or https: URL
+//   { type: "file", file: { filename, file_data } }        - PDF as a data: URL
+// Where tools can run (the completion route), histories may also contain
+// tool-calling turns in the OpenAI shape:
+//   { role: "assistant", content: string|null, tool_calls: [{ id, type: "function", function: { name, arguments } }] }
+//   { role: "tool", tool_call_id, content: string }
+
+// Roles accepted from clients
+export const MESSAGE_ROLES = ["user", "assistant", "system"];
+
+// Largest decoded attachment we accept. Base64 adds a third on top, so a few
+// of these still fit in the 10mb JSON body limit set in app.js.
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024; // 4 MB
+
+const IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const FILE_MIME_TYPES = ["application/pdf"];
+
+// Content part type -> the input modality a model needs to accept it
+const PART_MODALITIES = { image_url: "image", file: "file" };
+
+/**
+ * Splits a base64 data URL into its MIME type and decoded size.
+ * @param {string} url - The URL to parse.
+ * @returns {{mimeType: string, bytes: number}|null} Null if it is not a base64 data URL.
+ */
+const parseDataUrl = (url) => {
+  const match = /^data:([\w.+/-]+);base64,/.exec(url);
+  if (!match) return null;
+  const base64Length = url.length - match[0].length;
+  return { mimeType: match[1], bytes: Math.floor((base64Length * 3) / 4) };
+};
+
+/**
+ * Checks an attachment's data URL against the allowed types and size limit.
+ * @returns {string|null} An error message, or null if it is acceptable.
+ */
+const validateDataUrl = (url, allowedTypes, label) => {
+  const parsed = parseDataUrl(url);
+  if (!parsed || !allowedTypes.includes(parsed.mimeType)) {
+    return `${label} must be a base64 data URL of type ${allowedTypes.join(
+      ", "
+    )}.`;
+  }
+  if (parsed.bytes > MAX_ATTACHMENT_BYTES) {
+    return `${label} exceeds the ${
+      MAX_ATTACHMENT_BYTES / 1024 / 1024
+    } MB attachment limit.`;
+  }
+  return null;
+};
+
+/**
+ * Validates a single content part.
+ * @param {Object} part - The content part.
+ * @returns {string|null} An error message, or null if the part is valid.
+ */
+const validateContentPart = (part) => {
+  switch (part?.type) {
+    case "text":
+      return typeof part.text === "string"
+        ? null
+        : "Text parts must have a string 'text'.";
+    case "image_url": {
+      const url = part.image_url?.url;
+      if (typeof url !== "string") {
+        return "Image parts must have 'image_url.url'.";
+      }
+      // Publicly hosted images are fetched by the provider itself
+      if (url.startsWith("https://")) return null;
+      return validateDataUrl(url, IMAGE_MIME_TYPES, "Image");
+    }
+    case "file": {
+      if (typeof part.file?.file_data !== "string") {
+        return "File parts must have 'file.file_data'.";
+      }
+      return validateDataUrl(part.file.file_data, FILE_MIME_TYPES, "File");
+    }
+    default:
+      return "Content parts must be of type 'text', 'image_url' or 'file'.";
+  }
+};
+
+/**
+ * Checks that a single message has an allowed role and non-empty content
+ * (a non-empty string or a non-empty array of content parts).
+ * @param {Object} msg - The message to check.
+ * @returns {boolean} True if the message is well-formed.
+ */
+export const isValidMessage = (msg) =>
+  Boolean(
+    msg &&
+      msg.role &&
+      MESSAGE_ROLES.includes(msg.role) &&
+      (typeof msg.content === "string"
+        ? msg.content
+        : Array.isArray(msg.content) && msg.content.length > 0)
+  );
+
+/**
+ * Checks that a message is a well-formed tool-calling turn: an assistant
+ * message requesting tool calls, or a tool result answering one.
+ * @param {Object} msg - The message to check.
+ * @returns {boolean} True if the message is a valid tool-calling turn.
+ */
+const isToolCallMessage = (msg) => {
+  if (msg?.role === "tool") {
+    return (
+      typeof msg.tool_call_id === "string" && typeof msg.content === "string"
+    );
+  }
+  return Boolean(
+    msg?.role === "assistant" &&
+      (msg.content == null || typeof msg.content === "string") &&
+      Array.isArray(msg.tool_calls) &&
+      msg.tool_calls.length > 0 &&
+      msg.tool_calls.every(
+        (call) =>
+          typeof call?.id === "string" &&
+          call.type === "function" &&
+          typeof call.function?.name === "string" &&
+          typeof call.function?.arguments === "string"
+      )
+  );
+};
+
+/**
+ * Validates a list of chat messages.
+ * @param {Array<Object>} messages - The messages to validate.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowToolCalls=false] - Also accept tool-calling turns.
+ * @returns {string|null} An error message, or null if the list is valid.
+ */
+export const validateMessages = (messages, { allowToolCalls = false } = {}) => {
+  // Ensure messages array is present and not empty
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    return "Messages array is required and cannot be empty";
+  }
+
+  // Check if each message has a role and content and if the role is one of the allowed types
+  if (
+    !messages.every(
+      (msg) => isValidMessage(msg) || (allowToolCalls && isToolCallMessage(msg))
+    )
+  ) {
+    return allowToolCalls
+      ? "Invalid message format. Each message must have 'role' (user, assistant, system) and 'content', or be a tool call ('assistant' with 'tool_calls') or a tool result ('tool' with 'tool_call_id' and 'content')."
+      : "Invalid message format. Each message must have 'role' (user, assistant, system) and 'content'.";
+  }
+
+  // Content-part arrays: every part must be valid, and only users attach files
+  for (const [index, msg] of messages.entries()) {
+    if (!Array.isArray(msg.content)) continue;
+    for (const part of msg.content) {
+      const error = validateContentPart(part);
+      if (error) {
+        return `Message ${index}: ${error}`;
+      }
+      if (part.type !== "text" && msg.role !== "user") {
+        return `Message ${index}: only user messages can contain attachments.`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Extracts the plain text of a message's content, ignoring attachments.
+ * @param {string|Array<Object>} content - Message content.
+ * @returns {string} The text.
+ */
+export const messageText = (content) =>
+  typeof content === "string"
+    ? content
+    : (content || [])
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
+
+/**
+ * Finds an input modality the messages need but the model does not accept.
+ * Models whose catalog entry doesn't list modalities are given the benefit of the doubt.
+ * @param {Array<Object>} messages - Validated messages.
+ * @param {Object|null} modelInfo - The model's catalog entry.
+ * @returns {string|null} The unsupported modality (e.g. 'image'), or null.
+ */
+export const findUnsupportedModality = (messages, modelInfo) => {
+  const accepted = modelInfo?.architecture?.input_modalities;
+  if (!Array.isArray(accepted)) return null;
+
+  for (const msg of messages) {
+    if (!Array.isArray(msg.content)) continue;
+    for (const part of msg.content) {
+      const modality = PART_MODALITIES[part.type];
+      if (modality && !accepted.includes(modality)) {
+        return modality;
+      }
+    }
+  }
+  return null;
+};
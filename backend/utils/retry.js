@@ -0,0 +1,183 @@
+// utils/retry.js
+
+// Retrying failed provider calls, and falling back to other models.
+// - Transient failures (429, 408, 5xx, dropped connections) are retried with
+//   exponential backoff and full jitter; a `Retry-After` header from the
+//   provider replaces the computed delay when it is not too long.
+// - A request may name fallback models, tried in order once a model has
+//   failed for good. Failures that no other model can fix (bad credentials,
+//   exhausted credits) end the request instead.
+// Configuration (environment):
+//   RETRY_MAX_ATTEMPTS       - tries per model, first one included (default 3)
+//   RETRY_BASE_DELAY_MS      - backoff before the first retry (default 500)
+//   RETRY_MAX_DELAY_MS       - cap on the computed backoff (default 8000)
+//   RETRY_AFTER_MAX_MS       - longest Retry-After we wait out (default 30000);
+//                              asked to wait longer, we move on to the next model
+
+import { logger } from "./logger.js";
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && value >= 0 ? value : fallback;
+};
+
+const MAX_ATTEMPTS = Math.max(1, readNumber("RETRY_MAX_ATTEMPTS", 3));
+const BASE_DELAY_MS = readNumber("RETRY_BASE_DELAY_MS", 500);
+const MAX_DELAY_MS = readNumber("RETRY_MAX_DELAY_MS", 8000);
+const RETRY_AFTER_MAX_MS = readNumber("RETRY_AFTER_MAX_MS", 30000);
+
+// Most fallback models a single request may list
+export const MAX_FALLBACK_MODELS = 3;
+
+// Upstream statuses worth trying again
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+// Failures that would fail the same way with any model
+const FINAL_STATUSES = [401, 402, 403];
+
+/**
+ * Tells whether a failed call may succeed if simply tried again.
+ * @param {Error} error - The error thrown by the provider call.
+ * @returns {boolean} True for rate limits, server errors and network failures.
+ */
+export const isRetryable = (error) => {
+  if (error.name === "AbortError" || error.expose) return false;
+  if (error.status !== undefined) {
+    return RETRYABLE_STATUSES.includes(error.status);
+  }
+  // No HTTP status at all: the connection failed (SDK connection errors, fetch failures)
+  return error.name?.startsWith("APIConnection") || Boolean(error.cause?.code);
+};
+
+/**
+ * Reads the provider's `Retry-After` header (seconds or an HTTP date).
+ * @param {Error} error - The error thrown by the provider call.
+ * @returns {number|null} Milliseconds to wait, or null if none was given.
+ */
+export const retryAfterMs = (error) => {
+  const headers = error.headers;
+  const value =
+    typeof headers?.get === "function"
+      ? headers.get("retry-after")
+      : headers?.["retry-after"];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Waits `ms`, or rejects early with an AbortError when `signal` aborts.
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Runs `call`, retrying transient failures per the configured policy.
+ * The error of the last try is rethrown with `attempts` (tries made) set on it.
+ * @param {Function} call - Async function performing one provider call.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting and retrying when aborted.
+ * @param {string} [options.label] - Names the call in retry logs.
+ * @returns {Promise<*>} The result of the first successful try.
+ */
+export const withRetry = async (call, { signal, label = "call" } = {}) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await call();
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt >= MAX_ATTEMPTS || signal?.aborted || !isRetryable(error)) {
+        throw error;
+      }
+
+      // Full jitter: anywhere between 0 and the exponential backoff
+      const backoff = Math.min(
+        MAX_DELAY_MS,
+        BASE_DELAY_MS * 2 ** (attempt - 1)
+      );
+      const requested = retryAfterMs(error);
+      if (requested !== null && requested > RETRY_AFTER_MAX_MS) {
+        throw error; // Not worth holding the request open that long
+      }
+      const delay = requested ?? Math.random() * backoff;
+
+      logger.warn("Retrying a provider call", {
+        label,
+        delayMs: Math.round(delay),
+        attempt,
+        error: error.status ?? error.message,
+      });
+      await sleep(delay, signal);
+    }
+  }
+};
+
+/**
+ * Validates a request's `fallback_models` (or a preset's `fallbackModels`).
+ * @param {*} value - The value to check; null/undefined means none.
+ * @param {string} [name] - The field name, for the error message.
+ * @returns {{models: Array<string>, error: string|null}} The model IDs, or an error message.
+ */
+export const parseFallbackModels = (value, name = "fallback_models") => {
+  if (value == null) return { models: [], error: null };
+  if (
+    !Array.isArray(value) ||
+    value.length > MAX_FALLBACK_MODELS ||
+    !value.every((model) => typeof model === "string" && model)
+  ) {
+    return {
+      models: [],
+      error: `'${name}' must be an array of up to ${MAX_FALLBACK_MODELS} model IDs.`,
+    };
+  }
+  return { models: value, error: null };
+};
+
+/**
+ * Tries `models` in order, each with retries, until one succeeds.
+ * @param {Array<string>} models - The requested model followed by its fallbacks.
+ * @param {Function} call - Called with a model ID; performs the whole attempt for it.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops everything when aborted.
+ * @param {string} [options.label] - Names the call in logs.
+ * @returns {Promise<{result: *, model: string, failures: Array<Object>}>} The
+ *   result, the model that produced it, and the models that failed before it
+ *   ({ model, error, attempts }; see describeFailures in utils/http.js).
+ * @throws The last model's error, with `failures` listing every failed model.
+ */
+export const withFallback = async (
+  models,
+  call,
+  { signal, label = "call" } = {}
+) => {
+  const failures = [];
+  for (const [index, model] of models.entries()) {
+    try {
+      const result = await withRetry(() => call(model), {
+        signal,
+        label: `${label} (${model})`,
+      });
+      return { result, model, failures };
+    } catch (error) {
+      failures.push({ model, error, attempts: error.attempts || 1 });
+      const isLast = index === models.length - 1;
+      if (isLast || signal?.aborted || FINAL_STATUSES.includes(error.status)) {
+        error.failures = failures;
+        throw error;
+      }
+    }
+  }
+};
@@ -0,0 +1,167 @@
+// utils/structuredOutput.js
+
+// Structured output: replies that must be JSON matching a caller's schema
+// (`response_format: { type: "json_schema", json_schema: { name, schema } }`).
+// - Models that support it get the schema natively through `response_format`;
+//   for the others the schema is put in the prompt instead ("prompt" mode).
+// - Replies are parsed and validated with Ajv; when a reply doesn't match, the
+//   validation errors are fed back to the model and it is asked again.
+// SCHEMA_MAX_RETRIES sets how often by default (2); requests may change it
+// with `schema_retries`.
+
+import Ajv from "ajv";
+
+const DEFAULT_RETRIES = Number(process.env.SCHEMA_MAX_RETRIES ?? 2);
+// Most repair attempts a single request may ask for
+const MAX_RETRIES = 5;
+
+// Compiled validators by schema text, so repeated requests don't recompile
+const MAX_CACHED_VALIDATORS = 100;
+const validators = new Map();
+
+// allErrors lets the model fix every problem in one go; strict mode would
+// reject schemas using keywords Ajv doesn't know (e.g. provider extensions)
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+/**
+ * Reads the schema of a json_schema response format and compiles it.
+ * @param {Object} [responseFormat] - The validated `response_format` parameter.
+ * @returns {{validate: Function|null, error: string|null}} The validator (null
+ *   when no schema was requested), or an error message for invalid schemas.
+ */
+export const compileResponseSchema = (responseFormat) => {
+  if (responseFormat?.type !== "json_schema") {
+    return { validate: null, error: null };
+  }
+  const key = JSON.stringify(responseFormat.json_schema.schema);
+  if (validators.has(key)) {
+    return { validate: validators.get(key), error: null };
+  }
+
+  let validate;
+  try {
+    validate = ajv.compile(responseFormat.json_schema.schema);
+  } catch (error) {
+    return {
+      validate: null,
+      error: `'response_format.json_schema.schema' is not a valid JSON Schema: ${error.message}`,
+    };
+  }
+  validators.set(key, validate);
+  // Forget the oldest validators (Maps iterate in insertion order)
+  if (validators.size > MAX_CACHED_VALIDATORS) {
+    validators.delete(validators.keys().next().value);
+  }
+  return { validate, error: null };
+};
+
+/**
+ * Reads the request's `schema_retries`.
+ * @param {*} value - The requested number of repair attempts.
+ * @returns {{retries: number, error: string|null}} The count, or an error message.
+ */
+export const parseSchemaRetries = (value) => {
+  if (value == null) return { retries: DEFAULT_RETRIES, error: null };
+  if (!Number.isInteger(value) || value < 0 || value > MAX_RETRIES) {
+    return {
+      retries: DEFAULT_RETRIES,
+      error: `'schema_retries' must be an integer between 0 and ${MAX_RETRIES}.`,
+    };
+  }
+  return { retries: value, error: null };
+};
+
+/**
+ * Tells whether a model accepts a json_schema response format. OpenRouter's
+ * catalog lists it as 'structured_outputs'; models whose entry doesn't list
+ * parameters at all are given the benefit of the doubt.
+ * @param {Object|null} modelInfo - The model's catalog entry.
+ * @returns {boolean} True to send the schema natively.
+ */
+export const supportsJsonSchema = (modelInfo) => {
+  const supported = modelInfo?.supported_parameters;
+  return !Array.isArray(supported) || supported.includes("structured_outputs");
+};
+
+/**
+ * Prepares a call for a model without native schema support: the schema goes
+ * into a leading system message, and the response format is downgraded to
+ * plain JSON mode where the model has it.
+ * @param {Array<Object>} messages - The conversation.
+ * @param {Object} params - Generation parameters with a json_schema response_format.
+ * @param {Object|null} modelInfo - The model's catalog entry.
+ * @returns {{messages: Array<Object>, params: Object}} What to send instead.
+ */
+export const toPromptedSchema = (messages, params, modelInfo) => {
+  const { json_schema: jsonSchema } = params.response_format;
+  const rest = { ...params };
+  delete rest.response_format;
+  const hasJsonMode =
+    modelInfo?.supported_parameters?.includes("response_format");
+  return {
+    messages: [
+      {
+        role: "system",
+        content: `Reply with a single JSON value and nothing else (no explanations, no code fences). It must conform to this JSON Schema${
+          jsonSchema.name ? ` ('${jsonSchema.name}')` : ""
+        }:\n${JSON.stringify(jsonSchema.schema, null, 2)}`,
+      },
+      ...messages,
+    ],
+    params: hasJsonMode
+      ? { ...rest, response_format: { type: "json_object" } }
+      : rest,
+  };
+};
+
+/**
+ * Parses a reply as JSON and validates it against the schema. Code fences
+ * around the JSON are tolerated, as prompted models often add them.
+ * @param {string} text - The reply text.
+ * @param {Function} validate - The compiled schema.
+ * @returns {{parsed: *, valid: boolean, errors: Array<string>}} The parsed
+ *   value (null if it isn't JSON) and the problems found.
+ */
+export const checkStructuredReply = (text, validate) => {
+  const json = (text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/, "$1");
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return {
+      parsed: null,
+      valid: false,
+      errors: [`The reply is not valid JSON (${error.message}).`],
+    };
+  }
+  if (validate(parsed)) {
+    return { parsed, valid: true, errors: [] };
+  }
+  return {
+    parsed,
+    valid: false,
+    errors: validate.errors.map(
+      (error) => `${error.instancePath || "(root)"} ${error.message}`
+    ),
+  };
+};
+
+/**
+ * Builds the turn that asks the model to fix a reply that failed validation.
+ * @param {string} text - The rejected reply.
+ * @param {Array<string>} errors - From checkStructuredReply.
+ * @returns {Array<Object>} The messages to append to the conversation.
+ */
+export const toRepairMessages = (text, errors) => [
+  { role: "assistant", content: text || "" },
+  {
+    role: "user",
+    content: `Your reply does not match the required JSON Schema:\n${errors
+      .map((error) => `- ${error}`)
+      .join(
+        "\n"
+      )}\nReply again with only the corrected JSON value, and nothing else.`,
+  },
+];
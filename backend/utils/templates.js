@@ -0,0 +1,36 @@
+// utils/templates.js
+
+// Prompt template placeholders: `{{name}}` in a template's text is replaced by
+// the value given for `name` (spaces inside the braces are allowed). Names
+// start with a letter or underscore and may contain letters, digits, _ and -.
+// The frontend has the same rules in src/utils/templates.js.
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Lists the variables a template uses, in order of first appearance.
+ * @param {string} text - The template text.
+ * @returns {Array<string>} The variable names, without duplicates.
+ */
+export const extractVariables = (text) => [
+  ...new Set([...text.matchAll(VARIABLE_PATTERN)].map((match) => match[1])),
+];
+
+/**
+ * Fills in a template's variables.
+ * @param {string} text - The template text.
+ * @param {Object} values - Variable name -> value.
+ * @returns {{text: string, missing: Array<string>}} The filled-in text, and
+ *   the variables that had no value (left in place).
+ */
+export const renderTemplate = (text, values) => {
+  const missing = new Set();
+  const rendered = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (values[name] == null) {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(values[name]);
+  });
+  return { text: rendered, missing: [...missing] };
+};
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from "react";
+import ApiService from "../services/apiService.js";
+import AdminPanel from "./AdminPanel.jsx";
+import { formatCost } from "../utils/pricing.js";
+
+// Providers a user can bring their own key for (see backend providers/index.js)
+const KEY_PROVIDERS = [
+  { name: "openrouter", label: "OpenRouter" },
+  { name: "gemini", label: "Gemini" },
+];
+
+/**
+ * Panel for the logged-in user's account: this month's usage and budgets,
+ * their own provider API keys, password and logout. Admins also get the
+ * user management section.
+ * @param {Object} props
+ * @param {Object} props.user - The logged-in user ({ username, role, apiKeys, canStoreApiKeys }).
+ * @param {Function} props.onUserChange - Called with the updated user after a change.
+ * @param {Function} props.onLogout - Logs out.
+ * @param {Function} props.onClose - Hides the panel.
+ */
+export default function AccountPanel({
+  user,
+  onUserChange,
+  onLogout,
+  onClose,
+}) {
+  const [keyDrafts, setKeyDrafts] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [usage, setUsage] = useState(null);
+
+  // Effect to load this month's usage when the panel opens
+  useEffect(() => {
+    ApiService.getUsage()
+      .then((response) => setUsage(response.data))
+      .catch((err) => console.error("Failed to load usage:", err));
+  }, []);
+
+  /**
+   * Runs an account change, reporting its outcome in the panel.
+   * @param {Function} action - Async function performing the change.
+   * @param {string} successMessage - Shown when the change succeeds.
+   */
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      setMessage(successMessage);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveKey = (provider) =>
+    run(async () => {
+      const response = await ApiService.setApiKey(
+        provider.name,
+        keyDrafts[provider.name]
+      );
+      // Keep the flags only /auth/me reports (e.g. canStoreApiKeys)
+      onUserChange({ ...user, ...response.data });
+      setKeyDrafts((prev) => ({ ...prev, [provider.name]: "" }));
+    }, `${provider.label} key saved.`);
+
+  const removeKey = (provider) =>
+    run(async () => {
+      const response = await ApiService.deleteApiKey(provider.name);
+      onUserChange({ ...user, ...response.data });
+    }, `${provider.label} key removed.`);
+
+  const changePassword = () => {
+    const currentPassword = window.prompt("Current password:");
+    if (!currentPassword) return;
+    const newPassword = window.prompt("New password (at least 8 characters):");
+    if (!newPassword) return;
+    run(
+      () => ApiService.changePassword(currentPassword, newPassword),
+      "Password changed. Other sessions were logged out."
+    );
+  };
+
+  const inputClassName =
+    "flex-grow p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="p-4 bg-gray-50 border-b border-gray-200 text-sm text-gray-700 max-h-[60vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">
+          Account: {user.username}
+          {user.role === "admin" && (
+            <span className="ml-2 font-normal text-gray-500">(admin)</span>
+          )}
+        </h3>
+        <div className="space-x-3">
+          <button
+            onClick={changePassword}
+            disabled={busy}
+            className="text-blue-600 hover:underline"
+          >
+            Change password
+          </button>
+          <button onClick={onLogout} className="text-red-600 hover:underline">
+            Log out
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:underline">
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mb-2 text-red-600">{error}</p>}
+      {message && <p className="mb-2 text-green-700">{message}</p>}
+
+      {usage && (
+        <div className="mb-4">
+          <h4 className="font-semibold mb-2">
+            Usage this month{user.role === "admin" && " (all users)"}
+          </h4>
+          <p>
+            {formatCost(usage.totals.cost)} over {usage.totals.requests}{" "}
+            requests ({usage.totals.promptTokens} →{" "}
+            {usage.totals.completionTokens} tokens)
+          </p>
+          {usage.budgets.map((budget) => (
+            <p
+              key={`${budget.scope}-${budget.period}`}
+              className={budget.exceeded ? "text-red-600" : "text-gray-500"}
+            >
+              {budget.scope === "user" ? "Your" : "Server"}{" "}
+              {budget.period === "day" ? "daily" : "monthly"} budget:{" "}
+              {formatCost(budget.spentUsd)} of {formatCost(budget.limitUsd)}
+              {budget.exceeded && " — used up"}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <h4 className="font-semibold mb-2">Your API keys</h4>
+      {user.canStoreApiKeys ? (
+        <div className="space-y-2">
+          {KEY_PROVIDERS.map((provider) => {
+            const hasKey = user.apiKeys?.includes(provider.name);
+            return (
+              <div key={provider.name} className="flex items-center space-x-2">
+                <span className="w-24">{provider.label}</span>
+                {/* Stored keys are never sent back, only whether one is set */}
+                <input
+                  type="password"
+                  value={keyDrafts[provider.name] || ""}
+                  onChange={(e) =>
+                    setKeyDrafts((prev) => ({
+                      ...prev,
+                      [provider.name]: e.target.value,
+                    }))
+                  }
+                  placeholder={
+                    hasKey ? "Key saved (enter to replace)" : "Not set"
+                  }
+                  autoComplete="off"
+                  className={inputClassName}
+                />
+                <button
+                  onClick={() => saveKey(provider)}
+                  disabled={busy || !keyDrafts[provider.name]?.trim()}
+                  className="text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline"
+                >
+                  Save
+                </button>
+                {hasKey && (
+                  <button
+                    onClick={() => removeKey(provider)}
+                    disabled={busy}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <p className="text-gray-500">
+          This server doesn't store personal API keys; the server's keys are
+          used.
+        </p>
+      )}
+
+      {user.role === "admin" && <AdminPanel currentUser={user} />}
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from "react";
+import ApiService from "../services/apiService.js";
+
+/**
+ * User management for admins: list, create and delete accounts, change
+ * roles and passwords, and revoke a user's sessions and API tokens.
+ * @param {Object} props
+ * @param {Object} props.currentUser - The logged-in admin (who can't delete or demote themselves).
+ */
+export default function AdminPanel({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({
+    username: "",
+    password: "",
+    role: "user",
+  });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reloads the list of accounts.
+   */
+  const refreshUsers = useCallback(async () => {
+    try {
+      const response = await ApiService.listUsers();
+      setUsers(response.data || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // Effect to load the accounts when the panel opens
+  useEffect(() => {
+    refreshUsers();
+  }, [refreshUsers]);
+
+  /**
+   * Runs an admin action, then reloads the list.
+   * @param {Function} action - Async function performing the change.
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await refreshUsers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createUser = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await ApiService.createUser({
+        ...newUser,
+        username: newUser.username.trim(),
+      });
+      setNewUser({ username: "", password: "", role: "user" });
+    });
+  };
+
+  const resetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username}:`);
+    if (password) {
+      run(() => ApiService.updateUser(user.id, { password }));
+    }
+  };
+
+  const revokeTokens = (user) => {
+    if (window.confirm(`Log ${user.username} out everywhere?`)) {
+      run(() => ApiService.revokeUserTokens(user.id));
+    }
+  };
+
+  const deleteUser = (user) => {
+    if (window.confirm(`Delete the account "${user.username}"?`)) {
+      run(() => ApiService.deleteUser(user.id));
+    }
+  };
+
+  const inputClassName =
+    "p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200">
+      <h4 className="font-semibold mb-2">Users</h4>
+      {error && <p className="mb-2 text-red-600">{error}</p>}
+
+      <ul className="divide-y divide-gray-200 mb-3">
+        {users.map((user) => {
+          const isSelf = user.id === currentUser.id;
+          return (
+            <li key={user.id} className="flex items-center py-1 space-x-3">
+              <span className="flex-grow truncate">
+                {user.username}
+                {isSelf && <span className="text-gray-500"> (you)</span>}
+              </span>
+              <select
+                value={user.role}
+                onChange={(e) =>
+                  run(() =>
+                    ApiService.updateUser(user.id, { role: e.target.value })
+                  )
+                }
+                disabled={busy || isSelf}
+                className={inputClassName}
+              >
+                <option value="user">user</option>
+                <option value="admin">admin</option>
+              </select>
+              <button
+                onClick={() => resetPassword(user)}
+                disabled={busy}
+                className="text-blue-600 hover:underline"
+              >
+                Password
+              </button>
+              <button
+                onClick={() => revokeTokens(user)}
+                disabled={busy}
+                className="text-blue-600 hover:underline"
+              >
+                Log out
+              </button>
+              {!isSelf && (
+                <button
+                  onClick={() => deleteUser(user)}
+                  disabled={busy}
+                  className="text-red-600 hover:underline"
+                >
+                  Delete
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <form onSubmit={createUser} className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={newUser.username}
+          onChange={(e) =>
+            setNewUser((prev) => ({ ...prev, username: e.target.value }))
+          }
+          placeholder="Username"
+          className={`flex-grow ${inputClassName}`}
+        />
+        <input
+          type="password"
+          value={newUser.password}
+          onChange={(e) =>
+            setNewUser((prev) => ({ ...prev, password: e.target.value }))
+          }
+          placeholder="Password"
+          autoComplete="new-password"
+          className={`flex-grow ${inputClassName}`}
+        />
+        <select
+          value={newUser.role}
+          onChange={(e) =>
+            setNewUser((prev) => ({ ...prev, role: e.target.value }))
+          }
+          className={inputClassName}
+        >
+          <option value="user">user</option>
+          <option value="admin">admin</option>
+        </select>
+        <button
+          type="submit"
+          disabled={busy || !newUser.username.trim() || !newUser.password}
+          className="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md disabled:opacity-50"
+        >
+          Add user
+        </button>
+      </form>
+    </div>
+  );
+}
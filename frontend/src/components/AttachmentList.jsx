@@ -0,0 +1,40 @@
+import React from "react";
+
+/**
+ * The attachments waiting to be sent with the next message, each with a
+ * thumbnail (images) or icon and a remove button.
+ * @param {Object} props
+ * @param {Array<Object>} props.attachments - From utils/attachments.js' readAttachment.
+ * @param {Function} props.onRemove - Called with the ID of an attachment to drop.
+ */
+export default function AttachmentList({ attachments, onRemove }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {attachments.map((attachment) => (
+        <div
+          key={attachment.id}
+          className="flex items-center space-x-1 p-1 pr-2 bg-white border border-gray-300 rounded-md text-xs text-gray-700"
+        >
+          {attachment.kind === "image" ? (
+            <img
+              src={attachment.dataUrl}
+              alt={attachment.name}
+              className="h-8 w-8 object-cover rounded"
+            />
+          ) : (
+            <span className="px-1">📄</span>
+          )}
+          <span className="max-w-[10rem] truncate">{attachment.name}</span>
+          <button
+            type="button"
+            onClick={() => onRemove(attachment.id)}
+            title="Remove attachment"
+            className="text-gray-500 hover:text-red-600"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+
+/**
+ * "‹ 2/3 ›" control for flipping between alternative versions of a turn.
+ * @param {Object} props
+ * @param {number} props.index - Zero-based position of the shown version.
+ * @param {number} props.count - Number of versions.
+ * @param {Function} props.onSelect - Called with the index to show.
+ * @param {boolean} [props.disabled] - Disables switching (e.g., while generating).
+ */
+export default function BranchSwitcher({ index, count, onSelect, disabled }) {
+  const buttonClassName =
+    "px-1 disabled:opacity-40 disabled:cursor-not-allowed hover:opacity-70";
+
+  return (
+    <span className="inline-flex items-center text-xs opacity-80 select-none">
+      <button
+        type="button"
+        onClick={() => onSelect(index - 1)}
+        disabled={disabled || index === 0}
+        title="Previous version"
+        className={buttonClassName}
+      >
+        ‹
+      </button>
+      {index + 1}/{count}
+      <button
+        type="button"
+        onClick={() => onSelect(index + 1)}
+        disabled={disabled || index === count - 1}
+        title="Next version"
+        className={buttonClassName}
+      >
+        ›
+      </button>
+    </span>
+  );
+}
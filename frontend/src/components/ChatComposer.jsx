@@ -0,0 +1,171 @@
+import React, { useRef } from "react";
+import AttachmentList from "./AttachmentList.jsx";
+import SlashCommandMenu from "./SlashCommandMenu.jsx";
+import TemplateVariablesForm from "./TemplateVariablesForm.jsx";
+import { ACCEPTED_FILE_TYPES } from "../utils/attachments.js";
+
+/**
+ * The message being composed: its text, its attachments (picked, pasted or
+ * dropped), the slash command menu and the Send button, which becomes a Stop
+ * button while a request is in flight.
+ * @param {Object} props
+ * @param {string} props.input - The message text.
+ * @param {Function} props.onInputChange - Called with the new text as it is edited.
+ * @param {Object} props.inputRef - Ref to the textarea (see useTemplates).
+ * @param {Array<Object>} props.attachments - The attachments (see useAttachments).
+ * @param {Function} props.onAddFiles - Called with picked or dropped files.
+ * @param {Function} props.onRemoveAttachment - Called with an attachment ID.
+ * @param {Function} props.onPaste - The textarea's paste handler.
+ * @param {Array<Object>} props.slashMatches - Templates matching the slash
+ *   command being typed.
+ * @param {number} props.slashIndex - The highlighted entry of the menu.
+ * @param {Function} props.onSelectTemplate - Called with the chosen template.
+ * @param {Function} props.onSlashKeyDown - Lets the menu handle a keydown;
+ *   returns true if it did.
+ * @param {Object|null} props.pendingTemplate - Template whose variables are
+ *   being asked for.
+ * @param {Function} props.onSubmitTemplateVariables - Called with the variables' values.
+ * @param {Function} props.onCancelTemplate - Called when the user gives up on the template.
+ * @param {boolean} props.busy - Whether a request is in flight.
+ * @param {boolean} props.rateLimited - Whether sending has to wait (see useRateLimit).
+ * @param {Function} props.onSubmit - The form submission handler.
+ * @param {Function} props.onStop - Aborts the request in flight.
+ */
+export default function ChatComposer({
+  input,
+  onInputChange,
+  inputRef,
+  attachments,
+  onAddFiles,
+  onRemoveAttachment,
+  onPaste,
+  slashMatches,
+  slashIndex,
+  onSelectTemplate,
+  onSlashKeyDown,
+  pendingTemplate,
+  onSubmitTemplateVariables,
+  onCancelTemplate,
+  busy,
+  rateLimited,
+  onSubmit,
+  onStop,
+}) {
+  // Hidden file input opened by the attach button
+  const fileInputRef = useRef(null);
+
+  /**
+   * Handles the textarea's keys: Enter sends (Shift+Enter adds a line), and
+   * while the slash command menu is open the arrows, Enter, Tab and Escape
+   * drive it.
+   * @param {KeyboardEvent} e - The keydown event.
+   */
+  const handleKeyDown = (e) => {
+    if (onSlashKeyDown(e)) return;
+    if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      // Like the Send button, which is disabled while rate limited
+      if (!rateLimited) e.currentTarget.form.requestSubmit();
+    }
+  };
+
+  /**
+   * Attaches files dropped onto the form.
+   * @param {DragEvent} e - The drop event.
+   */
+  const handleDrop = (e) => {
+    e.preventDefault();
+    if (!busy) {
+      onAddFiles(Array.from(e.dataTransfer.files));
+    }
+  };
+
+  return (
+    <>
+      {/* Attachments waiting to be sent */}
+      {attachments.length > 0 && (
+        <AttachmentList
+          attachments={attachments}
+          onRemove={onRemoveAttachment}
+        />
+      )}
+      {pendingTemplate && (
+        <TemplateVariablesForm
+          key={pendingTemplate.template.id}
+          template={pendingTemplate.template}
+          variables={pendingTemplate.variables}
+          onSubmit={onSubmitTemplateVariables}
+          onCancel={onCancelTemplate}
+        />
+      )}
+      <form
+        onSubmit={onSubmit}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleDrop}
+        className="flex items-end space-x-3"
+      >
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={ACCEPTED_FILE_TYPES}
+          onChange={(e) => {
+            onAddFiles(Array.from(e.target.files));
+            e.target.value = ""; // Allow picking the same file again
+          }}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+          title="Attach images, PDFs or text files"
+          className="px-3 text-xl text-gray-600 hover:text-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          📎
+        </button>
+        <div className="relative flex-grow">
+          {slashMatches.length > 0 && (
+            <SlashCommandMenu
+              templates={slashMatches}
+              activeIndex={slashIndex}
+              onSelect={onSelectTemplate}
+            />
+          )}
+          {/* A textarea, so expanded templates keep their line breaks */}
+          <textarea
+            ref={inputRef}
+            value={input}
+            onChange={(e) => onInputChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onPaste={onPaste}
+            rows={Math.min(8, input.split("\n").length)}
+            placeholder="Type your message, / for templates, or paste/drop files..."
+            disabled={busy}
+            className="block w-full p-3 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+          />
+        </div>
+        {busy ? (
+          // While a request is in flight, the Send button becomes a Stop button
+          <button
+            type="button"
+            onClick={onStop}
+            className="px-6 py-3 bg-red-500 hover:bg-red-600 text-white font-semibold rounded-lg transition duration-200 ease-in-out shadow-md focus:outline-none focus:ring-2 focus:ring-red-300"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={
+              (!input.trim() && attachments.length === 0) || rateLimited
+            }
+            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition duration-200 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-400"
+          >
+            Send
+          </button>
+        )}
+      </form>
+    </>
+  );
+}
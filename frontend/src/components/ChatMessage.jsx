@@ -0,0 +1,212 @@
+import React, { useState } from "react";
+import MessageContent from "./MessageContent.jsx";
+import MarkdownMessage from "./MarkdownMessage.jsx";
+import ToolCallList from "./ToolCallList.jsx";
+import CitationList from "./CitationList.jsx";
+import BranchSwitcher from "./BranchSwitcher.jsx";
+import { contentText } from "../utils/attachments.js";
+import { formatCost, messageCost } from "../utils/pricing.js";
+
+/**
+ * Inline editor for a user message, starting from its current text.
+ * @param {Object} props
+ * @param {Object} props.message - The user message being edited.
+ * @param {Function} props.onSubmit - Called with the edited text.
+ * @param {Function} props.onCancel - Closes the editor.
+ */
+function MessageEditForm({ message, onSubmit, onCancel }) {
+  const [draft, setDraft] = useState(() => contentText(message.content));
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(draft);
+      }}
+      className="mt-1 space-y-1"
+    >
+      <textarea
+        autoFocus
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => e.key === "Escape" && onCancel()}
+        rows={3}
+        className="w-full p-2 text-gray-800 rounded-md focus:outline-none"
+      />
+      <div className="flex justify-end space-x-2 text-xs">
+        <button type="button" onClick={onCancel} className="hover:underline">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={!draft.trim()}
+          className="font-semibold hover:underline disabled:opacity-50"
+        >
+          Save & Submit
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * One message of the chat: its content, what happened while producing it
+ * (tools, fallbacks, context trimming, usage) and the edit, regenerate and
+ * branch controls.
+ * @param {Object} props
+ * @param {Object} props.message - The message.
+ * @param {Array<Object>} props.siblings - Its versions (see utils/messageTree.js).
+ * @param {Array<Object>} props.models - The model catalog, for costs.
+ * @param {string} props.selectedModel - Model that regenerating would use.
+ * @param {boolean} props.editing - Whether the message is being edited.
+ * @param {boolean} props.busy - Disables the controls while a request runs.
+ * @param {Function} props.onEdit - Opens the editor (user messages).
+ * @param {Function} props.onSubmitEdit - Called with the edited text.
+ * @param {Function} props.onCancelEdit - Closes the editor.
+ * @param {Function} props.onRegenerate - Asks for another reply (assistant messages).
+ * @param {Function} props.onSelectBranch - Called with the index of the version to show.
+ */
+export default function ChatMessage({
+  message,
+  siblings,
+  models,
+  selectedModel,
+  editing,
+  busy,
+  onEdit,
+  onSubmitEdit,
+  onCancelEdit,
+  onRegenerate,
+  onSelectBranch,
+}) {
+  return (
+    <div
+      className={`flex ${
+        message.role === "user" ? "justify-end" : "justify-start"
+      }`}
+    >
+      <div
+        className={`max-w-xs md:max-w-md lg:max-w-lg p-3 rounded-xl shadow-sm text-sm ${
+          message.role === "user"
+            ? "bg-blue-500 text-white rounded-br-none"
+            : "bg-gray-200 text-gray-800 rounded-bl-none"
+        }`}
+      >
+        <strong>{message.role === "user" ? "You" : "AI"}:</strong>
+        {/* Assistant replies are markdown; user text is shown as typed */}
+        {editing ? (
+          <MessageEditForm
+            message={message}
+            onSubmit={onSubmitEdit}
+            onCancel={onCancelEdit}
+          />
+        ) : message.role === "assistant" ? (
+          <>
+            {message.toolCalls?.length > 0 && (
+              <ToolCallList toolCalls={message.toolCalls} />
+            )}
+            <MarkdownMessage
+              content={message.content}
+              streaming={message.streaming}
+            />
+            {message.citations?.length > 0 && !message.streaming && (
+              <CitationList citations={message.citations} />
+            )}
+          </>
+        ) : (
+          <p className="whitespace-pre-wrap">
+            <MessageContent content={message.content} />
+          </p>
+        )}
+        {/* Show a thinking hint until the first token, then a cursor while streaming */}
+        {message.streaming &&
+          (message.content ? (
+            <span className="animate-pulse">▍</span>
+          ) : (
+            <p>✨ Thinking...</p>
+          ))}
+        {message.truncated && (
+          <p className="mt-1 text-xs italic opacity-70">
+            ⏹ Stopped — response truncated
+          </p>
+        )}
+        {/* Whether a structured reply matched the requested schema */}
+        {message.schemaValid !== undefined && !message.streaming && (
+          <p
+            className="mt-1 text-xs italic opacity-70"
+            title={message.schemaErrors?.join("\n")}
+          >
+            {message.schemaValid
+              ? "✓ Matches the JSON schema"
+              : "⚠ Doesn't match the JSON schema"}
+          </p>
+        )}
+        {/* Models that failed before another one answered */}
+        {message.failedAttempts?.length > 0 && (
+          <p className="mt-1 text-xs italic opacity-70">
+            ↪ Answered by {message.model} after{" "}
+            {message.failedAttempts.map((attempt) => attempt.model).join(", ")}{" "}
+            failed
+          </p>
+        )}
+        {/* What the backend left out to fit the context window */}
+        {message.context?.droppedMessages > 0 && (
+          <p className="mt-1 text-xs italic opacity-70">
+            ✂ {message.context.droppedMessages} earlier messages were left out
+            to fit the context window
+          </p>
+        )}
+        {message.context?.summarizedMessages > 0 && (
+          <p className="mt-1 text-xs italic opacity-70">
+            📝 {message.context.summarizedMessages} earlier messages were
+            summarized to fit the context window
+          </p>
+        )}
+        {/* Token usage and cost of finished replies */}
+        {message.usage && !message.streaming && (
+          <p className="mt-1 text-xs opacity-70">
+            {message.usage.prompt_tokens} → {message.usage.completion_tokens}{" "}
+            tokens · {formatCost(messageCost(message, models))}
+          </p>
+        )}
+        {message.finishReason === "length" && (
+          <p className="mt-1 text-xs italic text-amber-700">
+            ⚠ Cut off at the max tokens limit — raise it in ⚙ settings
+          </p>
+        )}
+        {/* Branch switching, edit and regenerate controls */}
+        {!message.streaming && !editing && (
+          <div className="flex items-center justify-end space-x-2 mt-1 text-xs opacity-80">
+            {siblings.length > 1 && (
+              <BranchSwitcher
+                index={siblings.indexOf(message)}
+                count={siblings.length}
+                onSelect={onSelectBranch}
+                disabled={busy}
+              />
+            )}
+            {message.role === "user" ? (
+              <button
+                onClick={onEdit}
+                disabled={busy}
+                title="Edit and resend"
+                className="hover:opacity-70 disabled:cursor-not-allowed"
+              >
+                ✎ Edit
+              </button>
+            ) : (
+              <button
+                onClick={onRegenerate}
+                disabled={busy}
+                title={`Regenerate with ${selectedModel}`}
+                className="hover:opacity-70 disabled:cursor-not-allowed"
+              >
+                ↻ Regenerate
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+
+/**
+ * The knowledge base sources a reply was given, shown below its text. Each
+ * one collapses to its number and document and expands to the exact chunk
+ * the model saw; sources the reply doesn't cite are dimmed.
+ * @param {Object} props
+ * @param {Array<Object>} props.citations - Sources ({ source, documentName,
+ *   index, text, page?, section?, cited }).
+ */
+export default function CitationList({ citations }) {
+  return (
+    <div className="mt-2 space-y-1">
+      <p className="text-xs font-semibold opacity-70">Sources</p>
+      {citations.map((citation) => (
+        <details
+          key={citation.source}
+          className={`text-xs bg-white/60 border border-gray-300 rounded-md ${
+            citation.cited ? "" : "opacity-60"
+          }`}
+        >
+          <summary
+            className="px-2 py-1 cursor-pointer select-none"
+            title={citation.cited ? undefined : "Not cited in the reply"}
+          >
+            [{citation.source}] 📄 {citation.documentName}
+            {citation.page && <span>, page {citation.page}</span>}
+            {citation.section && <span> — {citation.section}</span>}
+          </summary>
+          <p className="px-2 pb-2 whitespace-pre-wrap">{citation.text}</p>
+        </details>
+      ))}
+    </div>
+  );
+}
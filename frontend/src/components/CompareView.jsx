@@ -0,0 +1,233 @@
+import React, { useState, useRef } from "react";
+import ApiService from "../services/apiService.js";
+import ModelPicker from "./ModelPicker.jsx";
+import { estimateCost, formatCost } from "../utils/pricing.js";
+
+// The backend accepts between 2 and 4 models per comparison
+const MIN_MODELS = 2;
+const MAX_MODELS = 4;
+
+/**
+ * Side-by-side comparison mode: sends one prompt to 2-4 models at once and
+ * shows the answers in parallel columns with latency, token usage and cost.
+ * @param {Object} props
+ * @param {Array<Object>} props.models - The model catalog from /api/models.
+ * @param {string} props.initialModel - Model to preselect in the first column.
+ */
+export default function CompareView({ models, initialModel }) {
+  // Pick distinct starting models: the chat's current model plus the next in the catalog
+  const [selectedModels, setSelectedModels] = useState(() => {
+    const ids = models.map((model) => model.id);
+    const others = ids.filter((id) => id !== initialModel);
+    return [initialModel, ...others].slice(0, MIN_MODELS);
+  });
+  const [input, setInput] = useState("");
+  // Each round is one prompt and the per-model results it produced
+  const [rounds, setRounds] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  const modelsById = Object.fromEntries(
+    models.map((model) => [model.id, model])
+  );
+
+  const changeModel = (index, modelId) => {
+    setSelectedModels((prev) =>
+      prev.map((id, i) => (i === index ? modelId : id))
+    );
+  };
+
+  const addModel = () => {
+    const unused = models.find((model) => !selectedModels.includes(model.id));
+    if (unused) {
+      setSelectedModels((prev) => [...prev, unused.id]);
+    }
+  };
+
+  const removeModel = (index) => {
+    setSelectedModels((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Sends the prompt to every selected model and records the results as a new round.
+   * @param {Event} e - The form submission event.
+   */
+  const runComparison = async (e) => {
+    e.preventDefault();
+    if (!input.trim() || loading) return;
+
+    if (new Set(selectedModels).size !== selectedModels.length) {
+      setError("Pick a different model for each column.");
+      return;
+    }
+
+    const prompt = input.trim();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    setInput("");
+    setLoading(true);
+    setError(null);
+
+    try {
+      const results = await ApiService.compareModels(
+        [{ role: "user", content: prompt }],
+        selectedModels,
+        controller.signal
+      );
+      setRounds((prev) => [...prev, { id: Date.now(), prompt, results }]);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        setError(err.message);
+        console.error("Compare error:", err);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Model Columns Picker */}
+      <div className="flex flex-wrap items-center gap-2 p-3 bg-gray-50 border-b border-gray-200">
+        {selectedModels.map((modelId, index) => (
+          <div key={index} className="flex items-center space-x-1">
+            <ModelPicker
+              models={models}
+              value={modelId}
+              onChange={(id) => changeModel(index, id)}
+              disabled={loading}
+              className="bg-white border border-gray-300"
+              align="left"
+            />
+            {selectedModels.length > MIN_MODELS && (
+              <button
+                onClick={() => removeModel(index)}
+                disabled={loading}
+                title="Remove model"
+                className="px-2 text-gray-500 hover:text-red-600"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        {selectedModels.length < MAX_MODELS && (
+          <button
+            onClick={addModel}
+            disabled={loading}
+            className="px-3 py-2 text-sm text-blue-700 border border-blue-300 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            + Add model
+          </button>
+        )}
+      </div>
+
+      {/* Error Message Display */}
+      {error && (
+        <div className="p-3 bg-red-100 text-red-700 border-l-4 border-red-500 text-sm">
+          Error: {error}
+        </div>
+      )}
+
+      {/* Comparison Rounds */}
+      <div className="flex-grow p-4 overflow-y-auto space-y-6">
+        {rounds.length === 0 && !loading && (
+          <p className="text-sm text-gray-500 text-center">
+            Pick {MIN_MODELS}–{MAX_MODELS} models and send a prompt to compare
+            their answers side by side.
+          </p>
+        )}
+        {rounds.map((round) => (
+          <div key={round.id} className="space-y-2">
+            <div className="p-3 rounded-xl bg-blue-500 text-white text-sm whitespace-pre-wrap">
+              <strong>You:</strong> {round.prompt}
+            </div>
+            <div
+              className="grid gap-3"
+              style={{
+                gridTemplateColumns: `repeat(${round.results.length}, minmax(0, 1fr))`,
+              }}
+            >
+              {round.results.map((result) => (
+                <div
+                  key={result.model}
+                  className={`flex flex-col p-3 rounded-xl shadow-sm text-sm ${
+                    result.success
+                      ? "bg-gray-100 text-gray-800"
+                      : "bg-red-50 text-red-700"
+                  }`}
+                >
+                  <strong className="truncate" title={result.model}>
+                    {modelsById[result.model]?.name || result.model}
+                  </strong>
+                  <p className="flex-grow mt-2 whitespace-pre-wrap">
+                    {result.success
+                      ? result.message?.content
+                      : `Failed: ${result.error}`}
+                  </p>
+                  {/* Per-model latency, token usage and cost */}
+                  <div className="mt-2 pt-2 border-t border-gray-300 text-xs text-gray-500 space-x-2">
+                    <span>⏱ {(result.latencyMs / 1000).toFixed(1)}s</span>
+                    {result.usage && (
+                      <span>
+                        {result.usage.prompt_tokens} →{" "}
+                        {result.usage.completion_tokens} tokens
+                      </span>
+                    )}
+                    {result.success && (
+                      <span>
+                        {formatCost(
+                          result.cost ??
+                            estimateCost(modelsById[result.model], result.usage)
+                        )}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+        {loading && (
+          <p className="text-sm text-gray-500">
+            ✨ Waiting for {selectedModels.length} models...
+          </p>
+        )}
+      </div>
+
+      {/* Prompt Form */}
+      <form
+        onSubmit={runComparison}
+        className="flex p-4 space-x-3 bg-gray-50 border-t border-gray-200"
+      >
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Type a prompt to send to every model..."
+          disabled={loading}
+          className="flex-grow p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+        />
+        {loading ? (
+          <button
+            type="button"
+            onClick={() => abortControllerRef.current?.abort()}
+            className="px-6 py-3 bg-red-500 hover:bg-red-600 text-white font-semibold rounded-lg transition duration-200 ease-in-out shadow-md focus:outline-none focus:ring-2 focus:ring-red-300"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={!input.trim()}
+            className="px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition duration-200 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-400"
+          >
+            Compare
+          </button>
+        )}
+      </form>
+    </>
+  );
+}
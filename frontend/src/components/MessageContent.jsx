@@ -0,0 +1,66 @@
+import React from "react";
+
+/**
+ * Whether an image can be shown inline without a request leaving the browser:
+ * only images embedded as data URLs (like uploaded attachments). Anything else
+ * is shown as a link, as in MarkdownMessage, so that viewing a message never
+ * loads a remote URL on its own.
+ * @param {string} url - The image URL.
+ * @returns {boolean}
+ */
+const isInlineImage = (url) => /^data:image\//i.test(url || "");
+
+/**
+ * Renders message content: either plain text or an array of content parts
+ * (text, images and attached files).
+ * @param {Object} props
+ * @param {string|Array<Object>} props.content - The message content.
+ */
+export default function MessageContent({ content }) {
+  if (typeof content === "string") {
+    return content;
+  }
+
+  return (content || []).map((part, index) => {
+    if (part.type === "image_url") {
+      const url = part.image_url?.url;
+      if (!isInlineImage(url)) {
+        return (
+          <a
+            key={index}
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={url}
+            className="block my-1 underline"
+          >
+            🖼 Image
+          </a>
+        );
+      }
+      return (
+        <img
+          key={index}
+          src={url}
+          alt="Attached image"
+          className="block my-1 max-h-48 rounded-md border border-white/40"
+        />
+      );
+    }
+    if (part.type === "file") {
+      return (
+        <span
+          key={index}
+          className="inline-block my-1 px-2 py-1 rounded bg-white/20 text-xs"
+        >
+          📄 {part.file.filename || "document.pdf"}
+        </span>
+      );
+    }
+    return (
+      <span key={index} className="block">
+        {part.text}
+      </span>
+    );
+  });
+}
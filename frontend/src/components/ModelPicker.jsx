@@ -0,0 +1,179 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  formatContextLength,
+  formatPricePerMillion,
+  isFreeModel,
+} from "../utils/pricing.js";
+
+// Threshold used by the "Long context" filter chip
+const LONG_CONTEXT_TOKENS = 100_000;
+
+// Quick filters shown as toggle chips above the model list
+const FILTER_CHIPS = [
+  { name: "free", label: "Free", test: (model) => isFreeModel(model) },
+  {
+    name: "vision",
+    label: "Vision",
+    test: (model) =>
+      (model.architecture?.input_modalities || []).includes("image") ||
+      /image/.test(model.architecture?.modality || ""),
+  },
+  {
+    name: "longContext",
+    label: `${formatContextLength(LONG_CONTEXT_TOKENS)}+ context`,
+    test: (model) => (model.context_length || 0) >= LONG_CONTEXT_TOKENS,
+  },
+];
+
+/**
+ * Searchable dropdown for choosing a model from the catalog, showing each
+ * model's context size and price per million input/output tokens.
+ * @param {Object} props
+ * @param {Array<Object>} props.models - The model catalog from /api/models.
+ * @param {string} props.value - The selected model ID.
+ * @param {Function} props.onChange - Called with the newly selected model ID.
+ * @param {boolean} [props.disabled] - Disables the picker.
+ * @param {string} [props.className] - Classes for the toggle button.
+ * @param {string} [props.align] - Which edge of the button the dropdown lines up with ('left' or 'right').
+ */
+export default function ModelPicker({
+  models,
+  value,
+  onChange,
+  disabled,
+  className = "",
+  align = "right",
+}) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [activeChips, setActiveChips] = useState([]);
+  const containerRef = useRef(null);
+
+  // Close the dropdown when clicking anywhere outside it
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  const selected = models.find((model) => model.id === value);
+
+  const search = query.trim().toLowerCase();
+  const chipTests = FILTER_CHIPS.filter((chip) =>
+    activeChips.includes(chip.name)
+  ).map((chip) => chip.test);
+  const filteredModels = models.filter(
+    (model) =>
+      (!search ||
+        `${model.id} ${model.name || ""}`.toLowerCase().includes(search)) &&
+      chipTests.every((test) => test(model))
+  );
+
+  const toggleChip = (name) => {
+    setActiveChips((prev) =>
+      prev.includes(name)
+        ? prev.filter((chip) => chip !== name)
+        : [...prev, name]
+    );
+  };
+
+  const selectModel = (modelId) => {
+    onChange(modelId);
+    setOpen(false);
+    setQuery("");
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        disabled={disabled}
+        title={value}
+        className={`max-w-xs truncate p-2 text-sm rounded-md focus:outline-none focus:ring-2 focus:ring-blue-400 disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+      >
+        {selected?.name || value} ▾
+      </button>
+
+      {open && (
+        <div
+          className={`absolute ${
+            align === "left" ? "left-0" : "right-0"
+          } z-20 mt-1 w-96 bg-white text-gray-800 rounded-lg shadow-xl border border-gray-200`}
+        >
+          <div className="p-2 border-b border-gray-200 space-y-2">
+            <input
+              autoFocus
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Escape") setOpen(false);
+                if (e.key === "Enter" && filteredModels.length > 0) {
+                  selectModel(filteredModels[0].id);
+                }
+              }}
+              placeholder={`Search ${models.length} models...`}
+              className="w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex space-x-2">
+              {FILTER_CHIPS.map((chip) => (
+                <button
+                  key={chip.name}
+                  type="button"
+                  onClick={() => toggleChip(chip.name)}
+                  className={`px-2 py-1 text-xs rounded-full border ${
+                    activeChips.includes(chip.name)
+                      ? "bg-blue-600 text-white border-blue-600"
+                      : "text-gray-600 border-gray-300 hover:bg-gray-100"
+                  }`}
+                >
+                  {chip.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <ul className="max-h-80 overflow-y-auto py-1 text-sm">
+            {filteredModels.length === 0 && (
+              <li className="px-3 py-2 text-gray-500">No matching models.</li>
+            )}
+            {filteredModels.map((model) => (
+              <li key={model.id}>
+                <button
+                  type="button"
+                  onClick={() => selectModel(model.id)}
+                  className={`w-full px-3 py-2 text-left hover:bg-blue-50 ${
+                    model.id === value ? "bg-blue-100" : ""
+                  }`}
+                >
+                  <span className="block truncate font-medium">
+                    {model.name || model.id}
+                  </span>
+                  <span className="flex justify-between text-xs text-gray-500">
+                    <span className="truncate mr-2">{model.id}</span>
+                    <span className="whitespace-nowrap">
+                      {formatContextLength(model.context_length)} ·{" "}
+                      {isFreeModel(model)
+                        ? "Free"
+                        : `${formatPricePerMillion(
+                            model.pricing?.prompt
+                          )} / ${formatPricePerMillion(
+                            model.pricing?.completion
+                          )} per 1M`}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from "react";
+
+/**
+ * Dropdown in the chat header to apply a persona preset to the conversation.
+ * @param {Object} props
+ * @param {Array<Object>} props.presets - The user's presets.
+ * @param {string|null} props.value - The applied preset's ID.
+ * @param {boolean} props.hasSystemPrompt - Whether the conversation has a
+ *   system prompt, which without a preset shows as "Custom prompt".
+ * @param {Function} props.onChange - Called with a preset ID, or '' for none.
+ * @param {boolean} props.disabled - Disables the dropdown.
+ */
+export default function PresetPicker({
+  presets,
+  value,
+  hasSystemPrompt,
+  onChange,
+  disabled,
+}) {
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      title="Persona preset"
+      className="max-w-[10rem] p-2 text-sm rounded-md bg-blue-700 text-white border border-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-400 cursor-pointer"
+    >
+      <option value="">
+        {hasSystemPrompt ? "Custom prompt" : "No preset"}
+      </option>
+      {presets.map((preset) => (
+        <option key={preset.id} value={preset.id}>
+          {preset.name}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,45 @@
+import React, { useState, useEffect } from "react";
+
+/**
+ * Shown instead of the error message while the backend is rate limiting us:
+ * counts down the seconds until requests are accepted again.
+ * @param {Object} props
+ * @param {number} props.until - When the wait is over (ms timestamp).
+ * @param {Function} props.onExpire - Called once the countdown reaches zero.
+ */
+export default function RateLimitNotice({ until, onExpire }) {
+  const [seconds, setSeconds] = useState(null);
+
+  // Effect to tick every second, and to report the end of the wait
+  useEffect(() => {
+    const secondsLeft = () =>
+      Math.max(0, Math.ceil((until - Date.now()) / 1000));
+    setSeconds(secondsLeft());
+    const timer = setInterval(() => {
+      const left = secondsLeft();
+      setSeconds(left);
+      if (left === 0) {
+        clearInterval(timer);
+        onExpire();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [until, onExpire]);
+
+  if (seconds === null) return null;
+  const minutes = Math.floor(seconds / 60);
+  return (
+    <div
+      role="status"
+      className="p-3 bg-amber-100 text-amber-800 border-l-4 border-amber-500 rounded-b-md text-sm"
+    >
+      ⏳ Too many requests. You can send again in{" "}
+      <span className="font-semibold tabular-nums">
+        {minutes > 0
+          ? `${minutes}:${String(seconds % 60).padStart(2, "0")}`
+          : `${seconds}s`}
+      </span>
+      .
+    </div>
+  );
+}
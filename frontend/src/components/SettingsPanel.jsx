@@ -0,0 +1,320 @@
+import React from "react";
+import { CONTEXT_STRATEGIES } from "../utils/contextWindow.js";
+
+// Numeric generation parameters with their input ranges and help text.
+// Ranges mirror the backend's validation in utils/generationParams.js.
+const NUMBER_FIELDS = [
+  {
+    name: "temperature",
+    label: "Temperature",
+    min: 0,
+    max: 2,
+    step: 0.1,
+    hint: "Higher is more creative, lower is more focused.",
+  },
+  {
+    name: "top_p",
+    label: "Top P",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    hint: "Nucleus sampling: only consider the most likely tokens.",
+  },
+  {
+    name: "presence_penalty",
+    label: "Presence penalty",
+    min: -2,
+    max: 2,
+    step: 0.1,
+    hint: "Encourages talking about new topics.",
+  },
+  {
+    name: "frequency_penalty",
+    label: "Frequency penalty",
+    min: -2,
+    max: 2,
+    step: 0.1,
+    hint: "Discourages repeating the same words.",
+  },
+];
+
+// Starting point when the JSON schema response format is picked
+const DEFAULT_JSON_SCHEMA = {
+  name: "response",
+  schema: { type: "object", properties: {}, additionalProperties: true },
+};
+
+/**
+ * Panel for tuning generation parameters of the current conversation.
+ * Empty fields are left out of requests so the backend/model defaults apply.
+ * @param {Object} props
+ * @param {Object} props.params - Current parameters ({ temperature, max_tokens, ... }).
+ * @param {Function} props.onChange - Called with the full, updated parameters object.
+ * @param {Object} [props.modelInfo] - Catalog entry of the selected model, for limits.
+ * @param {string} props.contextStrategy - How long chats are shortened (applies to all chats).
+ * @param {Function} props.onContextStrategyChange - Called with the chosen strategy.
+ * @param {Array<string>} props.fallbackModels - Models tried, in order, when the selected one fails.
+ * @param {Function} props.onFallbackModelsChange - Called with the new list of model IDs.
+ * @param {Array<Object>} props.availableTools - Server tools ({ name, description }).
+ * @param {Array<string>} props.enabledTools - Names of the tools models may call (all chats).
+ * @param {Function} props.onEnabledToolsChange - Called with the new list of tool names.
+ * @param {Function} props.onClose - Hides the panel.
+ */
+export default function SettingsPanel({
+  params,
+  onChange,
+  modelInfo,
+  contextStrategy,
+  onContextStrategyChange,
+  fallbackModels,
+  onFallbackModelsChange,
+  availableTools,
+  enabledTools,
+  onEnabledToolsChange,
+  onClose,
+}) {
+  // Largest completion the selected model allows; the backend clamps to this too
+  const maxCompletionTokens =
+    modelInfo?.top_provider?.max_completion_tokens || modelInfo?.context_length;
+
+  /**
+   * Sets one parameter; an empty value removes it so the default applies.
+   */
+  const setParam = (name, value) => {
+    const next = { ...params };
+    if (value === "" || value == null) {
+      delete next[name];
+    } else {
+      next[name] = value;
+    }
+    onChange(next);
+  };
+
+  const inputClassName =
+    "w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="p-4 bg-gray-50 border-b border-gray-200 text-sm text-gray-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">Generation settings (this chat)</h3>
+        <div className="space-x-3">
+          <button
+            onClick={() => onChange({})}
+            className="text-blue-600 hover:underline"
+          >
+            Reset to defaults
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:underline">
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        {NUMBER_FIELDS.map((field) => (
+          <label key={field.name} className="block" title={field.hint}>
+            <span className="flex justify-between">
+              {field.label}
+              <span className="text-gray-500">
+                {params[field.name] ?? "default"}
+              </span>
+            </span>
+            <input
+              type="range"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={params[field.name] ?? (field.min + field.max) / 2}
+              onChange={(e) => setParam(field.name, Number(e.target.value))}
+              className="w-full"
+            />
+          </label>
+        ))}
+
+        <label className="block">
+          Max tokens
+          <input
+            type="number"
+            min={1}
+            max={maxCompletionTokens}
+            placeholder={
+              maxCompletionTokens
+                ? `Model limit: ${maxCompletionTokens}`
+                : "Model default"
+            }
+            value={params.max_tokens ?? ""}
+            onChange={(e) =>
+              setParam(
+                "max_tokens",
+                e.target.value === "" ? "" : parseInt(e.target.value, 10)
+              )
+            }
+            className={inputClassName}
+          />
+        </label>
+
+        <label className="block">
+          Seed
+          <input
+            type="number"
+            placeholder="Random"
+            value={params.seed ?? ""}
+            onChange={(e) =>
+              setParam(
+                "seed",
+                e.target.value === "" ? "" : parseInt(e.target.value, 10)
+              )
+            }
+            className={inputClassName}
+          />
+        </label>
+
+        <label className="block">
+          Stop sequences (comma separated, up to 4)
+          {/* Committed on blur so typing a comma doesn't get normalized away;
+              the key remounts the field when the stored value changes elsewhere */}
+          <input
+            key={JSON.stringify(params.stop ?? null)}
+            type="text"
+            placeholder="None"
+            defaultValue={[].concat(params.stop ?? []).join(",")}
+            onBlur={(e) => {
+              const sequences = e.target.value.split(",").filter(Boolean);
+              setParam("stop", sequences.length ? sequences.slice(0, 4) : "");
+            }}
+            className={inputClassName}
+          />
+        </label>
+
+        <label className="block">
+          Response format
+          <select
+            value={params.response_format?.type ?? "text"}
+            onChange={(e) =>
+              setParam(
+                "response_format",
+                e.target.value === "text"
+                  ? ""
+                  : e.target.value === "json_schema"
+                  ? { type: "json_schema", json_schema: DEFAULT_JSON_SCHEMA }
+                  : { type: e.target.value }
+              )
+            }
+            className={inputClassName}
+          >
+            <option value="text">Text</option>
+            <option value="json_object">JSON object</option>
+            <option value="json_schema">JSON schema (validated)</option>
+          </select>
+        </label>
+
+        {params.response_format?.type === "json_schema" && (
+          <label
+            className="block"
+            title="Replies are checked against this schema; invalid ones are sent back to the model to fix"
+          >
+            Schema (JSON)
+            <textarea
+              key={JSON.stringify(params.response_format.json_schema.schema)}
+              rows={6}
+              spellCheck={false}
+              defaultValue={JSON.stringify(
+                params.response_format.json_schema.schema,
+                null,
+                2
+              )}
+              onChange={(e) => e.target.setCustomValidity("")}
+              onBlur={(e) => {
+                let schema;
+                try {
+                  schema = JSON.parse(e.target.value);
+                } catch {
+                  e.target.setCustomValidity("Not valid JSON");
+                  e.target.reportValidity();
+                  return;
+                }
+                setParam("response_format", {
+                  type: "json_schema",
+                  json_schema: {
+                    ...params.response_format.json_schema,
+                    schema,
+                  },
+                });
+              }}
+              className={`${inputClassName} font-mono text-xs`}
+            />
+          </label>
+        )}
+
+        <label
+          className="block"
+          title="What happens when a chat no longer fits the model's context window"
+        >
+          Long chats (all conversations)
+          <select
+            value={contextStrategy}
+            onChange={(e) => onContextStrategyChange(e.target.value)}
+            className={inputClassName}
+          >
+            {CONTEXT_STRATEGIES.map((strategy) => (
+              <option key={strategy.value} value={strategy.value}>
+                {strategy.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label
+          className="block col-span-2"
+          title="Used when the selected model keeps failing (rate limits, outages)"
+        >
+          Fallback models (comma separated, tried in order, up to 3)
+          <input
+            key={fallbackModels.join(",")}
+            type="text"
+            placeholder="None, e.g. openai/gpt-4o-mini"
+            defaultValue={fallbackModels.join(",")}
+            onBlur={(e) =>
+              onFallbackModelsChange(
+                e.target.value
+                  .split(",")
+                  .map((model) => model.trim())
+                  .filter(Boolean)
+                  .slice(0, 3)
+              )
+            }
+            className={inputClassName}
+          />
+        </label>
+
+        {availableTools.length > 0 && (
+          <fieldset className="col-span-2">
+            <legend>Tools the model may call (all conversations)</legend>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1">
+              {availableTools.map((tool) => (
+                <label
+                  key={tool.name}
+                  title={tool.description}
+                  className="inline-flex items-center space-x-1"
+                >
+                  <input
+                    type="checkbox"
+                    checked={enabledTools.includes(tool.name)}
+                    onChange={(e) =>
+                      onEnabledToolsChange(
+                        e.target.checked
+                          ? [...enabledTools, tool.name]
+                          : enabledTools.filter((name) => name !== tool.name)
+                      )
+                    }
+                  />
+                  <span className="font-mono">{tool.name}</span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+      </div>
+    </div>
+  );
+}
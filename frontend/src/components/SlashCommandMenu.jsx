@@ -0,0 +1,47 @@
+import React from "react";
+
+/**
+ * Autocomplete list shown above the chat input while a slash command is
+ * being typed: the prompt templates whose command matches.
+ * @param {Object} props
+ * @param {Array<Object>} props.templates - The matching templates.
+ * @param {number} props.activeIndex - The highlighted entry (moved with the arrow keys).
+ * @param {Function} props.onSelect - Called with the chosen template.
+ */
+export default function SlashCommandMenu({ templates, activeIndex, onSelect }) {
+  return (
+    <ul
+      role="listbox"
+      className="absolute bottom-full left-0 right-0 mb-1 max-h-64 overflow-y-auto bg-white border border-gray-300 rounded-lg shadow-lg text-sm z-10"
+    >
+      {templates.map((template, index) => (
+        <li
+          key={template.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          // mousedown, so the input keeps its focus
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onSelect(template);
+          }}
+          className={`px-3 py-2 cursor-pointer ${
+            index === activeIndex ? "bg-blue-100" : "hover:bg-gray-100"
+          }`}
+        >
+          <span className="font-mono text-blue-700">/{template.command}</span>
+          <span className="ml-2 text-gray-800">{template.name}</span>
+          {template.variables.length > 0 && (
+            <span className="ml-2 text-xs text-gray-500">
+              {template.variables.map((name) => `{{${name}}}`).join(" ")}
+            </span>
+          )}
+          {template.description && (
+            <div className="text-xs text-gray-500 truncate">
+              {template.description}
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,105 @@
+import React from "react";
+
+/**
+ * Panel for editing the current conversation's system prompt and managing
+ * the preset it came from.
+ * @param {Object} props
+ * @param {string} props.systemPrompt - The current system prompt.
+ * @param {Function} props.onChange - Called with the edited prompt, once the
+ *   edit is done (on blur, or Ctrl/Cmd+Enter) rather than on every keystroke.
+ * @param {Object|null} props.preset - The preset currently applied, if any.
+ * @param {Function} props.onSaveAsPreset - Called with a name to save the current settings as a new preset.
+ * @param {Function} props.onUpdatePreset - Overwrites the applied (saved) preset with the current settings.
+ * @param {Function} props.onDeletePreset - Deletes the applied (saved) preset.
+ * @param {Function} props.onClose - Hides the panel.
+ */
+export default function SystemPromptPanel({
+  systemPrompt,
+  onChange,
+  preset,
+  onSaveAsPreset,
+  onUpdatePreset,
+  onDeletePreset,
+  onClose,
+}) {
+  const saveAsPreset = () => {
+    const name = window.prompt("Name for the new preset:", preset?.name || "");
+    if (name?.trim()) {
+      onSaveAsPreset(name.trim());
+    }
+  };
+
+  const confirmDelete = () => {
+    if (window.confirm(`Delete the "${preset.name}" preset?`)) {
+      onDeletePreset();
+    }
+  };
+
+  // Built-in presets are read-only on the backend
+  const canEditPreset = preset && !preset.builtIn;
+
+  return (
+    <div className="p-4 bg-gray-50 border-b border-gray-200 text-sm text-gray-700">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">
+          System prompt (this chat)
+          {preset && (
+            <span className="ml-2 font-normal text-gray-500">
+              from preset “{preset.name}”
+            </span>
+          )}
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {/* Committed on blur (Ctrl/Cmd+Enter blurs); the key remounts the field
+          when the prompt changes elsewhere */}
+      <textarea
+        key={systemPrompt}
+        defaultValue={systemPrompt}
+        onBlur={(e) => {
+          if (e.target.value !== systemPrompt) onChange(e.target.value);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+            e.currentTarget.blur();
+          }
+        }}
+        rows={4}
+        placeholder="e.g. You are a helpful assistant that answers in French."
+        className="w-full p-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      <div className="mt-2 space-x-3">
+        <button
+          onClick={saveAsPreset}
+          disabled={!systemPrompt.trim()}
+          className="text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline"
+        >
+          Save as new preset
+        </button>
+        {canEditPreset && (
+          <button
+            onClick={onUpdatePreset}
+            className="text-blue-600 hover:underline"
+          >
+            Update “{preset.name}”
+          </button>
+        )}
+        {canEditPreset && (
+          <button
+            onClick={confirmDelete}
+            className="text-red-600 hover:underline"
+          >
+            Delete preset
+          </button>
+        )}
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Presets also store the selected model and generation settings.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,299 @@
+import React, { useState } from "react";
+import ApiService from "../services/apiService.js";
+
+// The editor's fields when creating a template
+const EMPTY_DRAFT = {
+  command: "",
+  name: "",
+  description: "",
+  prompt: "",
+  model: "",
+  temperature: "",
+  shared: false,
+};
+
+/**
+ * Turns a template into the editor's fields.
+ */
+const toDraft = (template) => ({
+  command: template.command,
+  name: template.name,
+  description: template.description || "",
+  prompt: template.prompt,
+  model: template.model || "",
+  temperature: template.params?.temperature ?? "",
+  shared: Boolean(template.shared),
+});
+
+/**
+ * Panel for the prompt template library: templates run from the chat input
+ * with a slash command, with `{{variable}}` placeholders filled in when used.
+ * Built-in templates can be reworded (for this user only) and restored.
+ * @param {Object} props
+ * @param {Array<Object>} props.templates - The templates the user may use.
+ * @param {Array<Object>} props.models - The model catalog, for default models.
+ * @param {Function} props.onChange - Called after a change, to reload the templates.
+ * @param {Function} props.onClose - Hides the panel.
+ */
+export default function TemplatePanel({
+  templates,
+  models,
+  onChange,
+  onClose,
+}) {
+  // The template being edited: its ID, 'new', or null when the editor is closed
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const editing = templates.find((template) => template.id === editingId);
+
+  const edit = (template) => {
+    setEditingId(template ? template.id : "new");
+    setDraft(template ? toDraft(template) : EMPTY_DRAFT);
+    setError(null);
+  };
+
+  const update = (field, value) =>
+    setDraft((prev) => ({ ...prev, [field]: value }));
+
+  /**
+   * Runs a change, then reloads the templates; failures are shown in the panel.
+   * @param {Function} action - Async function performing the change.
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      setEditingId(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      await onChange();
+      setBusy(false);
+    }
+  };
+
+  const save = () =>
+    run(async () => {
+      const params = { ...editing?.params };
+      if (draft.temperature === "") {
+        delete params.temperature;
+      } else {
+        params.temperature = Number(draft.temperature);
+      }
+      const fields = {
+        description: draft.description,
+        prompt: draft.prompt,
+        model: draft.model || null,
+        params,
+      };
+      if (!editing) {
+        await ApiService.createTemplate({
+          ...fields,
+          command: draft.command,
+          name: draft.name,
+          shared: draft.shared,
+        });
+      } else if (editing.builtIn) {
+        // Built-ins keep their command and name
+        await ApiService.updateTemplate(editing.id, fields);
+      } else {
+        await ApiService.updateTemplate(editing.id, {
+          ...fields,
+          command: draft.command,
+          name: draft.name,
+          shared: draft.shared,
+        });
+      }
+    });
+
+  const remove = (template) => {
+    const question = template.builtIn
+      ? `Restore "${template.name}" to its default?`
+      : `Delete the "${template.name}" template?`;
+    if (window.confirm(question)) {
+      run(() => ApiService.deleteTemplate(template.id));
+    }
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 border-b border-gray-200 text-sm text-gray-700 max-h-[60vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-semibold">Prompt templates</h3>
+        <button onClick={onClose} className="text-gray-500 hover:underline">
+          Close
+        </button>
+      </div>
+
+      {error && <p className="mb-2 text-red-600">{error}</p>}
+
+      <div className="space-y-1">
+        {templates.map((template) => (
+          <div
+            key={template.id}
+            className="flex justify-between items-center bg-white border border-gray-200 rounded-md px-2 py-1"
+          >
+            <span className="truncate" title={template.description}>
+              <span className="font-mono text-blue-700">
+                /{template.command}
+              </span>{" "}
+              {template.name}
+              <span className="ml-2 text-xs text-gray-500">
+                {template.builtIn
+                  ? template.customized
+                    ? "built-in, edited"
+                    : "built-in"
+                  : template.shared && "shared"}
+              </span>
+            </span>
+            {template.editable && (
+              <span className="space-x-3 shrink-0">
+                <button
+                  onClick={() => edit(template)}
+                  disabled={busy}
+                  className="text-blue-600 hover:underline"
+                >
+                  Edit
+                </button>
+                {(!template.builtIn || template.customized) && (
+                  <button
+                    onClick={() => remove(template)}
+                    disabled={busy}
+                    className="text-red-600 hover:underline"
+                  >
+                    {template.builtIn ? "Restore" : "Delete"}
+                  </button>
+                )}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {editingId ? (
+        <div className="mt-3 p-3 bg-white border border-gray-200 rounded-md space-y-2">
+          <div className="flex space-x-2">
+            <label className="w-1/3">
+              Command
+              <input
+                type="text"
+                value={draft.command}
+                onChange={(e) => update("command", e.target.value)}
+                disabled={editing?.builtIn}
+                placeholder="review-diff"
+                className="w-full p-1 font-mono border border-gray-300 rounded-md disabled:bg-gray-100"
+              />
+            </label>
+            <label className="flex-grow">
+              Name
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => update("name", e.target.value)}
+                disabled={editing?.builtIn}
+                className="w-full p-1 border border-gray-300 rounded-md disabled:bg-gray-100"
+              />
+            </label>
+          </div>
+          <label className="block">
+            Description
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => update("description", e.target.value)}
+              className="w-full p-1 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="block">
+            Prompt{" "}
+            <span className="text-xs text-gray-500">
+              {"({{name}} asks for a value when the template is used)"}
+            </span>
+            <textarea
+              value={draft.prompt}
+              onChange={(e) => update("prompt", e.target.value)}
+              rows={5}
+              className="w-full p-2 font-mono text-xs border border-gray-300 rounded-md"
+            />
+          </label>
+          <div className="flex flex-wrap items-center gap-3">
+            <label>
+              Model
+              <select
+                value={draft.model}
+                onChange={(e) => update("model", e.target.value)}
+                className="ml-2 p-1 border border-gray-300 rounded-md max-w-[14rem]"
+              >
+                <option value="">The selected model</option>
+                {models.map((model) => (
+                  <option key={model.id} value={model.id}>
+                    {model.name || model.id}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Temperature
+              <input
+                type="number"
+                min="0"
+                max="2"
+                step="0.1"
+                value={draft.temperature}
+                onChange={(e) => update("temperature", e.target.value)}
+                placeholder="default"
+                className="ml-2 w-20 p-1 border border-gray-300 rounded-md"
+              />
+            </label>
+            {!editing?.builtIn && (
+              <label>
+                <input
+                  type="checkbox"
+                  checked={draft.shared}
+                  onChange={(e) => update("shared", e.target.checked)}
+                  className="mr-1"
+                />
+                Share with everyone
+              </label>
+            )}
+          </div>
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setEditingId(null)}
+              className="text-gray-500 hover:underline"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={save}
+              disabled={
+                busy ||
+                !draft.prompt.trim() ||
+                !draft.command.trim() ||
+                !draft.name.trim()
+              }
+              className="text-blue-600 hover:underline disabled:opacity-50 disabled:no-underline"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => edit(null)}
+          disabled={busy}
+          className="mt-3 text-blue-600 hover:underline"
+        >
+          + New template
+        </button>
+      )}
+      <p className="mt-2 text-xs text-gray-500">
+        {busy && "Working… "}Type / in the message box to use a template. Edits
+        to built-in templates only apply to you.
+      </p>
+    </div>
+  );
+}
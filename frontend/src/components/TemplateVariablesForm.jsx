@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+
+/**
+ * Asks for the values of a prompt template's variables before it is
+ * expanded into the chat input.
+ * @param {Object} props
+ * @param {Object} props.template - The chosen template.
+ * @param {Array<string>} props.variables - The variables to ask for.
+ * @param {Function} props.onSubmit - Called with { name: value } for every variable.
+ * @param {Function} props.onCancel - Called when the user gives up.
+ */
+export default function TemplateVariablesForm({
+  template,
+  variables,
+  onSubmit,
+  onCancel,
+}) {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(variables.map((name) => [name, ""]))
+  );
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(values);
+      }}
+      onKeyDown={(e) => e.key === "Escape" && onCancel()}
+      className="p-3 bg-white border border-gray-300 rounded-lg text-sm text-gray-700 space-y-2"
+    >
+      <div className="font-semibold">
+        <span className="font-mono text-blue-700">/{template.command}</span>{" "}
+        {template.name}
+      </div>
+      {variables.map((name, index) => (
+        <label key={name} className="block">
+          <span className="font-mono text-xs text-gray-500">{name}</span>
+          <textarea
+            value={values[name]}
+            onChange={(e) =>
+              setValues((prev) => ({ ...prev, [name]: e.target.value }))
+            }
+            autoFocus={index === 0}
+            rows={2}
+            className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+      ))}
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="text-gray-500 hover:underline"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-md"
+        >
+          Insert
+        </button>
+      </div>
+    </form>
+  );
+}
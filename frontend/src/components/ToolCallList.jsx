@@ -0,0 +1,64 @@
+import React from "react";
+
+/**
+ * Pretty-prints a tool call's arguments (a JSON string) or result.
+ */
+const formatJson = (value) => {
+  if (typeof value !== "string") return JSON.stringify(value, null, 2);
+  try {
+    return JSON.stringify(JSON.parse(value), null, 2);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * The tools an assistant reply called, shown inline above its text. Each
+ * invocation collapses to one line and expands to its arguments and result.
+ * @param {Object} props
+ * @param {Array<Object>} props.toolCalls - Invocations ({ id, name, arguments,
+ *   result?, error? }); one without result or error is still running.
+ */
+export default function ToolCallList({ toolCalls }) {
+  return (
+    <div className="mb-2 space-y-1">
+      {toolCalls.map((call) => {
+        const running = call.result === undefined && !call.error;
+        return (
+          <details
+            key={call.id}
+            className="text-xs bg-white/60 border border-gray-300 rounded-md"
+          >
+            <summary className="px-2 py-1 cursor-pointer select-none">
+              🔧 <span className="font-mono">{call.name}</span>
+              {running && <span className="ml-2 animate-pulse">running…</span>}
+              {call.error && (
+                <span className="ml-2 text-red-600">⚠ failed</span>
+              )}
+            </summary>
+            <div className="px-2 pb-2 space-y-1">
+              <p className="font-semibold">Arguments</p>
+              <pre className="p-1 bg-gray-100 rounded overflow-x-auto">
+                {formatJson(call.arguments || "{}")}
+              </pre>
+              {!running && (
+                <>
+                  <p className="font-semibold">
+                    {call.error ? "Error" : "Result"}
+                  </p>
+                  <pre
+                    className={`p-1 rounded overflow-x-auto ${
+                      call.error ? "bg-red-50 text-red-700" : "bg-gray-100"
+                    }`}
+                  >
+                    {call.error || formatJson(call.result)}
+                  </pre>
+                </>
+              )}
+            </div>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
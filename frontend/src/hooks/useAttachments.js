@@ -0,0 +1,65 @@
+// hooks/useAttachments.js
+
+// Files attached to the message being composed: picked with the attach
+// button, pasted or dropped, and read into content parts (see
+// utils/attachments.js) before the message is sent.
+
+import { useState } from "react";
+import { readAttachment } from "../utils/attachments.js";
+
+/**
+ * Tracks the attachments of the message being composed.
+ * @param {Function} onError - Called with a message for files that can't be attached.
+ * @returns {Object} { attachments, addAttachments, removeAttachment,
+ *   clearAttachments, handlePaste }
+ */
+export default function useAttachments(onError) {
+  const [attachments, setAttachments] = useState([]);
+
+  /**
+   * Reads picked, pasted or dropped files and adds them to the message being composed.
+   * @param {FileList|Array<File>} files - The files to attach.
+   */
+  const addAttachments = async (files) => {
+    for (const file of files) {
+      try {
+        const attachment = await readAttachment(file);
+        setAttachments((prev) => [...prev, attachment]);
+      } catch (err) {
+        onError(err.message);
+      }
+    }
+  };
+
+  /**
+   * Removes an attachment before sending.
+   * @param {string} id - The attachment ID.
+   */
+  const removeAttachment = (id) =>
+    setAttachments((prev) => prev.filter((item) => item.id !== id));
+
+  /**
+   * Drops every attachment, e.g. once the message is sent.
+   */
+  const clearAttachments = () => setAttachments([]);
+
+  /**
+   * Attaches images pasted into the message input.
+   * @param {ClipboardEvent} e - The paste event.
+   */
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData.files);
+    if (files.length > 0) {
+      e.preventDefault();
+      addAttachments(files);
+    }
+  };
+
+  return {
+    attachments,
+    addAttachments,
+    removeAttachment,
+    clearAttachments,
+    handlePaste,
+  };
+}
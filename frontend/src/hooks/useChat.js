@@ -0,0 +1,510 @@
+// hooks/useChat.js
+
+// The chat itself: every message of the conversation as a tree (see
+// utils/messageTree.js), the branch shown, and the requests that add to it —
+// streamed replies, edits, regenerations and retries, and the summarize and
+// follow-up question helpers. Only one of them runs at a time.
+
+import { useRef, useState } from "react";
+import ApiService from "../services/apiService.js";
+import {
+  findLatestLeaf,
+  getSiblings,
+  getThread,
+  newMessageId,
+} from "../utils/messageTree.js";
+import { requiredModalities } from "../utils/attachments.js";
+
+/**
+ * Tracks the messages of the open conversation and the requests in flight.
+ * @param {Object} options
+ * @param {string} options.selectedModel - The model replies are asked from.
+ * @param {Object|undefined} options.selectedModelInfo - Its catalog entry.
+ * @param {Function} options.setSelectedModel - Selects another model, e.g.
+ *   the one a failed reply is retried with.
+ * @param {Object} options.settings - The conversation's settings (see useConversationSettings).
+ * @param {string} options.contextStrategy - How long conversations are fitted
+ *   into the context window.
+ * @param {Array<string>} options.activeTools - The tools the model may call.
+ * @param {string|null} options.activeConversationId - The conversation open.
+ * @param {Function} options.saveMessages - Saves new messages (see useConversations).
+ * @param {Function} options.updateConversation - Saves changes to the conversation.
+ * @param {Function} options.onError - Called with an error or message when a
+ *   request fails, and with null once a new one starts.
+ * @returns {Object} { messages, thread, busy, toolLoading,
+ *   editingMessageId, setEditingMessageId, failedTurn, sendMessage,
+ *   editMessage, regenerateMessage, retryFailedTurn, editFailedTurn,
+ *   selectBranch, stopGeneration, summarizeChat, suggestFollowUpQuestions,
+ *   loadMessages, clearMessages }
+ */
+export default function useChat({
+  selectedModel,
+  selectedModelInfo,
+  setSelectedModel,
+  settings,
+  contextStrategy,
+  activeTools,
+  activeConversationId,
+  saveMessages,
+  updateConversation,
+  onError,
+}) {
+  // Every message of the conversation, and the last message of the branch shown
+  const [messages, setMessages] = useState([]);
+  const [activeLeafId, setActiveLeafId] = useState(null);
+  // User message being edited inline
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  // Loading state for the summarize / suggest-questions helpers
+  const [toolLoading, setToolLoading] = useState(false);
+  // AbortController of the in-flight AI request, so the Stop button can cancel it
+  const abortControllerRef = useRef(null);
+
+  // The visible conversation: the path from the first message to the active leaf
+  const thread = getThread(messages, activeLeafId);
+  const busy = loading || toolLoading;
+
+  /**
+   * Checks that the selected model can read the attachments in some content.
+   * @param {string|Array<Object>} content - Message content.
+   * @returns {string|null} An error message, or null if the model accepts it.
+   */
+  const findModalityError = (content) => {
+    const acceptedModalities =
+      selectedModelInfo?.architecture?.input_modalities;
+    const unsupported = acceptedModalities
+      ? requiredModalities(content).filter(
+          (modality) => !acceptedModalities.includes(modality)
+        )
+      : [];
+    return unsupported.length > 0
+      ? `${
+          selectedModelInfo.name || selectedModel
+        } does not accept ${unsupported.join(
+          " or "
+        )} input. Pick a model that does, or remove the attachment.`
+      : null;
+  };
+
+  /**
+   * Adds a message to the tree and shows the branch that ends with it.
+   * @param {Object} message - The new message (with `id` and `parentId`).
+   */
+  const addMessage = (message) => {
+    setMessages((prev) => [...prev, message]);
+    setActiveLeafId(message.id);
+  };
+
+  /**
+   * Streams an assistant reply as a new child of `parentId` and saves it.
+   * @param {Array<Object>} history - The thread the reply answers, oldest first.
+   * @param {string} parentId - The message the reply is attached to.
+   * @param {Promise<string|null>|string|null} conversationId - Where to save the reply
+   *   (a promise while the conversation is still being created).
+   * @param {Object} [options]
+   * @param {string} [options.model] - The model to ask (default: the selected one).
+   */
+  const generateReply = async (
+    history,
+    parentId,
+    conversationId,
+    { model = selectedModel } = {}
+  ) => {
+    setLoading(true); // Set loading state for main chat
+    onError(null); // Clear any previous errors
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // Add an empty assistant message that the stream fills in token by token
+    const aiMessageId = newMessageId();
+    let aiMessage = {
+      id: aiMessageId,
+      parentId,
+      role: "assistant",
+      content: "",
+      model,
+      streaming: true,
+    };
+    addMessage(aiMessage);
+
+    // Helper to patch the streaming assistant message in place. A local copy
+    // is kept as well so the final text can be saved once streaming ends.
+    const updateAiMessage = (update) => {
+      aiMessage = { ...aiMessage, ...update };
+      setMessages((prev) =>
+        prev.map((msg) => (msg.id === aiMessageId ? aiMessage : msg))
+      );
+    };
+
+    try {
+      // The system prompt is sent as a leading system message but never shown or stored
+      const apiMessages = settings.systemPrompt.trim()
+        ? [{ role: "system", content: settings.systemPrompt }, ...history]
+        : history;
+      const result = await ApiService.chatCompletionStream(apiMessages, model, {
+        params: settings.params,
+        contextStrategy,
+        fallbackModels: settings.fallbackModels,
+        tools: activeTools,
+        onDelta: (delta) =>
+          updateAiMessage({ content: aiMessage.content + delta }),
+        onToolCall: (call) =>
+          updateAiMessage({
+            toolCalls: [...(aiMessage.toolCalls || []), call],
+          }),
+        onToolResult: (invocation) =>
+          updateAiMessage({
+            toolCalls: aiMessage.toolCalls.map((call) =>
+              call.id === invocation.id ? invocation : call
+            ),
+          }),
+        // An invalid structured reply is being redone; its text starts over
+        onSchemaRetry: () => updateAiMessage({ content: "" }),
+        collectionId: settings.collectionId,
+        signal: controller.signal,
+      });
+      updateAiMessage({
+        role: result.role || "assistant",
+        streaming: false,
+        finishReason: result.finish_reason,
+        usage: result.usage,
+        cost: result.cost,
+        context: result.context,
+        // A fallback model may have answered instead of the selected one
+        model: result.model || model,
+        failedAttempts: result.failed_attempts,
+        toolCalls: result.tool_calls?.length ? result.tool_calls : undefined,
+        // Only set when a JSON schema was requested
+        schemaValid: result.valid,
+        schemaErrors: result.structured?.errors,
+        citations: result.citations?.length ? result.citations : undefined,
+      });
+    } catch (err) {
+      const stopped = err.name === "AbortError";
+      // Drop the placeholder if nothing arrived, otherwise keep the partial answer
+      if (aiMessage.content) {
+        updateAiMessage({ streaming: false, truncated: true });
+      } else {
+        setMessages((prev) => prev.filter((msg) => msg.id !== aiMessageId));
+        setActiveLeafId(parentId);
+      }
+      // A user-initiated stop is not an error worth reporting
+      if (!stopped) {
+        onError(err); // Kept whole: its code decides the recovery actions
+        console.error("Chat error:", err);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setLoading(false); // Always set loading to false
+    }
+
+    // Save whatever the assistant produced, including partial (truncated) replies
+    if (aiMessage.content) {
+      saveMessages(await conversationId, [aiMessage]);
+    }
+  };
+
+  /**
+   * Sends a new user message on the branch shown and streams the reply.
+   * @param {string|Array<Object>} content - The message content.
+   * @returns {boolean} False if nothing was sent: another request is in
+   *   progress, or the selected model can't read the attachments.
+   */
+  const sendMessage = (content) => {
+    if (busy) return false;
+
+    // Catch attachments the selected model can't read before sending anything
+    const modalityError = findModalityError(content);
+    if (modalityError) {
+      onError(modalityError);
+      return false;
+    }
+
+    // The new turn continues the branch currently shown
+    const userMessage = {
+      id: newMessageId(),
+      parentId: activeLeafId,
+      role: "user",
+      content,
+      model: selectedModel,
+    };
+
+    // Optimistically update the UI with the user's message
+    addMessage(userMessage);
+
+    // Save the user's turn while the reply streams in
+    const savedConversationId = saveMessages(activeConversationId, [
+      userMessage,
+    ]);
+    generateReply(
+      [...thread, userMessage],
+      userMessage.id,
+      savedConversationId
+    );
+    return true;
+  };
+
+  /**
+   * Resends an edited version of an earlier user message. The edit becomes a
+   * sibling of the original, so the original turn and its replies are kept.
+   * @param {Object} message - The user message being edited.
+   * @param {string} text - The new text. Attachments of the original are kept.
+   */
+  const editMessage = async (message, text) => {
+    setEditingMessageId(null);
+    if (!text.trim() || busy) return;
+
+    const content = Array.isArray(message.content)
+      ? [
+          { type: "text", text: text.trim() },
+          ...message.content.filter((part) => part.type !== "text"),
+        ]
+      : text.trim();
+    const modalityError = findModalityError(content);
+    if (modalityError) {
+      onError(modalityError);
+      return;
+    }
+
+    const editedMessage = {
+      id: newMessageId(),
+      parentId: message.parentId ?? null,
+      role: "user",
+      content,
+      model: selectedModel,
+    };
+    addMessage(editedMessage);
+
+    const savedConversationId = saveMessages(activeConversationId, [
+      editedMessage,
+    ]);
+    await generateReply(
+      [...getThread(messages, message.parentId), editedMessage],
+      editedMessage.id,
+      savedConversationId
+    );
+  };
+
+  /**
+   * Generates another reply in place of an assistant message, with the
+   * currently selected model. The earlier reply stays as a sibling branch.
+   * @param {Object} message - The assistant message to regenerate.
+   */
+  const regenerateMessage = (message) => {
+    if (busy) return;
+    generateReply(
+      getThread(messages, message.parentId),
+      message.parentId,
+      activeConversationId
+    );
+  };
+
+  // The thread ends with a user message when its reply failed
+  const failedTurn = thread[thread.length - 1]?.role === "user" ? thread : null;
+
+  /**
+   * Asks for the reply that failed again (see ErrorNotice).
+   * @param {Object} options
+   * @param {string} [options.model] - Another model to ask; it becomes the selected one.
+   * @param {boolean} [options.trimHistory] - Leaves out the older half of the
+   *   conversation, for replies that failed because it was too long.
+   */
+  const retryFailedTurn = ({ model = selectedModel, trimHistory = false }) => {
+    if (!failedTurn || busy) return;
+    setSelectedModel(model);
+    let history = failedTurn;
+    if (trimHistory) {
+      history = failedTurn.slice(Math.floor(failedTurn.length / 2));
+      // Start on a user turn, as an assistant reply means little without its question
+      const firstUserTurn = history.findIndex((msg) => msg.role === "user");
+      history = history.slice(firstUserTurn);
+    }
+    generateReply(
+      history,
+      failedTurn[failedTurn.length - 1].id,
+      activeConversationId,
+      { model }
+    );
+  };
+
+  /**
+   * Opens the message whose reply failed for editing, e.g. to reword it.
+   */
+  const editFailedTurn = () => {
+    const message = failedTurn?.[failedTurn.length - 1];
+    if (message) setEditingMessageId(message.id);
+  };
+
+  /**
+   * Shows another version of a turn, following that version's latest branch.
+   * @param {Object} message - A message in the current thread.
+   * @param {number} index - Index of the sibling to show.
+   */
+  const selectBranch = (message, index) => {
+    const sibling = getSiblings(messages, message)[index];
+    if (!sibling) return;
+    const leafId = findLatestLeaf(messages, sibling.id);
+    setActiveLeafId(leafId);
+    updateConversation({ activeLeafId: leafId });
+  };
+
+  /**
+   * Aborts the in-flight AI request, if any. Partial streamed text is kept.
+   */
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  /**
+   * Summarizes the current chat conversation with the selected model.
+   */
+  const summarizeChat = async () => {
+    if (thread.length === 0 || busy) {
+      onError(
+        "No conversation to summarize or another AI operation is in progress."
+      );
+      return;
+    }
+
+    setToolLoading(true);
+    onError(null);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const tempMessageId = newMessageId(); // Temporary ID for the "Summarizing..." message
+    const summarizingMessage = {
+      id: tempMessageId,
+      parentId: activeLeafId,
+      role: "assistant",
+      content: "AI: ✨ Summarizing conversation...",
+    };
+    addMessage(summarizingMessage); // Add temporary loading message
+
+    try {
+      const summary = await ApiService.summarize(
+        thread,
+        selectedModel,
+        controller.signal
+      );
+      // Remove temporary message and add the summary
+      const summaryMessage = {
+        id: newMessageId(),
+        parentId: activeLeafId,
+        role: "assistant",
+        content: `AI: ✨ Summary:\n${summary}`,
+        model: selectedModel,
+      };
+      setMessages((prev) => prev.filter((msg) => msg.id !== tempMessageId));
+      addMessage(summaryMessage);
+      saveMessages(activeConversationId, [summaryMessage]);
+    } catch (err) {
+      // Remove temporary message and show error (unless the user stopped it)
+      setMessages((prev) => prev.filter((msg) => msg.id !== tempMessageId));
+      setActiveLeafId(activeLeafId);
+      if (err.name !== "AbortError") {
+        onError(`Failed to summarize: ${err.message}`);
+        console.error("Summarization error:", err);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setToolLoading(false);
+    }
+  };
+
+  /**
+   * Generates follow-up questions based on the current chat conversation
+   * with the selected model.
+   */
+  const suggestFollowUpQuestions = async () => {
+    if (thread.length === 0 || busy) {
+      onError(
+        "No conversation to suggest questions for or another AI operation is in progress."
+      );
+      return;
+    }
+
+    setToolLoading(true);
+    onError(null);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const tempMessageId = newMessageId(); // Temporary ID for the "Suggesting..." message
+    const suggestingMessage = {
+      id: tempMessageId,
+      parentId: activeLeafId,
+      role: "assistant",
+      content: "AI: ✨ Suggesting follow-up questions...",
+    };
+    addMessage(suggestingMessage); // Add temporary loading message
+
+    try {
+      const questions = await ApiService.suggestFollowUps(
+        thread,
+        selectedModel,
+        controller.signal
+      );
+      // Remove temporary message and add the questions
+      const questionsMessage = {
+        id: newMessageId(),
+        parentId: activeLeafId,
+        role: "assistant",
+        content: `AI: ✨ Suggested Questions:\n${questions}`,
+        model: selectedModel,
+      };
+      setMessages((prev) => prev.filter((msg) => msg.id !== tempMessageId));
+      addMessage(questionsMessage);
+      saveMessages(activeConversationId, [questionsMessage]);
+    } catch (err) {
+      // Remove temporary message and show error (unless the user stopped it)
+      setMessages((prev) => prev.filter((msg) => msg.id !== tempMessageId));
+      setActiveLeafId(activeLeafId);
+      if (err.name !== "AbortError") {
+        onError(`Failed to suggest questions: ${err.message}`);
+        console.error("Question suggestion error:", err);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setToolLoading(false);
+    }
+  };
+
+  /**
+   * Shows the messages of a conversation that was opened.
+   * @param {Object} conversation - The conversation, with all its messages.
+   */
+  const loadMessages = (conversation) => {
+    setMessages(conversation.messages);
+    setActiveLeafId(conversation.activeLeafId);
+    setEditingMessageId(null);
+  };
+
+  /**
+   * Empties the chat, e.g. for a new conversation.
+   */
+  const clearMessages = () => {
+    setMessages([]);
+    setActiveLeafId(null);
+    setEditingMessageId(null);
+  };
+
+  return {
+    messages,
+    thread,
+    busy,
+    toolLoading,
+    editingMessageId,
+    setEditingMessageId,
+    failedTurn,
+    sendMessage,
+    editMessage,
+    regenerateMessage,
+    retryFailedTurn,
+    editFailedTurn,
+    selectBranch,
+    stopGeneration,
+    summarizeChat,
+    suggestFollowUpQuestions,
+    loadMessages,
+    clearMessages,
+  };
+}
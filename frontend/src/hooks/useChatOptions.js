@@ -0,0 +1,62 @@
+// hooks/useChatOptions.js
+
+// Chat request options that apply to every conversation rather than one:
+// how long chats are shortened to fit the context window (see
+// utils/contextWindow.js) and which server tools the model may call. Both
+// are remembered across page loads.
+
+import { useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+
+// localStorage key remembering how long chats are shortened
+const CONTEXT_STRATEGY_KEY = "contextStrategy";
+// localStorage key remembering which tools models may call
+const ENABLED_TOOLS_KEY = "enabledTools";
+
+/**
+ * Tracks the context strategy and tools, loading the tools the server
+ * offers once a user is logged in.
+ * @param {string|undefined} userId - The logged-in user.
+ * @returns {Object} { contextStrategy, setContextStrategy, availableTools,
+ *   enabledTools, setEnabledTools, activeTools }
+ */
+export default function useChatOptions(userId) {
+  const [contextStrategy, setContextStrategy] = useState(
+    () => localStorage.getItem(CONTEXT_STRATEGY_KEY) || "pin_system"
+  );
+  // Server tools the model may call, and the ones switched on
+  const [availableTools, setAvailableTools] = useState([]);
+  const [enabledTools, setEnabledTools] = useState(() =>
+    JSON.parse(localStorage.getItem(ENABLED_TOOLS_KEY) || "[]")
+  );
+
+  // Effect to load the tools models can call once logged in
+  useEffect(() => {
+    if (!userId) return;
+    ApiService.getTools()
+      .then((response) => setAvailableTools(response.data || []))
+      .catch((err) => console.error("Failed to load tools:", err));
+  }, [userId]);
+
+  // Effect to remember the context strategy across page loads
+  useEffect(() => {
+    localStorage.setItem(CONTEXT_STRATEGY_KEY, contextStrategy);
+  }, [contextStrategy]);
+
+  // Effect to remember the enabled tools across page loads
+  useEffect(() => {
+    localStorage.setItem(ENABLED_TOOLS_KEY, JSON.stringify(enabledTools));
+  }, [enabledTools]);
+
+  return {
+    contextStrategy,
+    setContextStrategy,
+    availableTools,
+    enabledTools,
+    setEnabledTools,
+    // Tools that were switched on but are no longer offered are left out
+    activeTools: enabledTools.filter((name) =>
+      availableTools.some((tool) => tool.name === name)
+    ),
+  };
+}
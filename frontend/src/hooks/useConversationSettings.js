@@ -0,0 +1,56 @@
+// hooks/useConversationSettings.js
+
+// Settings that belong to one conversation and are saved with it: the
+// generation parameters, the fallback models, the system prompt (and the
+// preset it came from) and the knowledge base collection answered from.
+// The field names are the conversation's, so a change is saved as it is.
+
+import { useState } from "react";
+
+// Settings of a new chat
+const DEFAULT_SETTINGS = {
+  params: {},
+  fallbackModels: [],
+  systemPrompt: "",
+  presetId: null,
+  collectionId: null,
+};
+
+/**
+ * Tracks the settings of the open conversation.
+ * @param {Function} save - Saves changed fields to the open conversation
+ *   (see useConversations' updateConversation).
+ * @returns {Object} { settings, updateSettings, loadSettings, resetSettings }
+ */
+export default function useConversationSettings(save) {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+
+  /**
+   * Changes some settings and saves them in a single update.
+   * @param {Object} changes - Fields of the settings to change.
+   */
+  const updateSettings = (changes) => {
+    setSettings((prev) => ({ ...prev, ...changes }));
+    save(changes);
+  };
+
+  /**
+   * Shows the settings of a conversation that was opened.
+   * @param {Object} conversation - The conversation, as stored.
+   */
+  const loadSettings = (conversation) =>
+    setSettings({
+      params: conversation.params || {},
+      fallbackModels: conversation.fallbackModels || [],
+      systemPrompt: conversation.systemPrompt || "",
+      presetId: conversation.presetId || null,
+      collectionId: conversation.collectionId || null,
+    });
+
+  /**
+   * Goes back to the settings of a new chat.
+   */
+  const resetSettings = () => setSettings(DEFAULT_SETTINGS);
+
+  return { settings, updateSettings, loadSettings, resetSettings };
+}
@@ -0,0 +1,246 @@
+// hooks/useConversations.js
+
+// Saved conversations: the sidebar list (with its search), the conversation
+// currently open, and saving to, exporting and importing conversations.
+// A new chat is only created on the backend once its first message is saved.
+
+import { useCallback, useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+
+/**
+ * Picks the fields of a UI message that are worth persisting on the backend.
+ * @param {Object} msg - A message from the chat's message tree.
+ * @returns {Object} The message as sent to the conversation store.
+ */
+const toStoredMessage = ({
+  id,
+  parentId,
+  role,
+  content,
+  model,
+  usage,
+  cost,
+  finishReason,
+  truncated,
+  toolCalls,
+  citations,
+}) => ({
+  id,
+  parentId,
+  role,
+  content,
+  model,
+  usage,
+  cost,
+  finishReason,
+  truncated,
+  toolCalls,
+  citations,
+});
+
+/**
+ * Tracks the saved conversations of the logged-in user.
+ * @param {Object} options
+ * @param {string|undefined} options.userId - The logged-in user; the list is
+ *   dropped when there is none.
+ * @param {Function} options.onOpen - Called with a conversation (all its
+ *   messages and settings) once it is opened.
+ * @param {Function} options.onActiveDeleted - Called when the open
+ *   conversation is deleted.
+ * @param {Function} options.onError - Called with a message when a change fails.
+ * @returns {Object} { conversations, activeConversationId, search, setSearch,
+ *   saveMessages, updateConversation, openConversation, closeConversation,
+ *   renameConversation, deleteConversation, exportConversation,
+ *   importConversations }
+ */
+export default function useConversations({
+  userId,
+  onOpen,
+  onActiveDeleted,
+  onError,
+}) {
+  // Summaries for the sidebar, and the conversation currently open
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [search, setSearch] = useState("");
+
+  /**
+   * Reloads the sidebar list of saved conversations, applying the current search.
+   */
+  const refreshConversations = useCallback(async () => {
+    try {
+      const response = await ApiService.listConversations(search);
+      setConversations(response.data || []);
+    } catch (err) {
+      console.error("Failed to load conversations:", err);
+    }
+  }, [search]);
+
+  // Effect to (re)load the conversation list on login and as the search changes.
+  // The search is debounced so we don't hit the backend on every keystroke.
+  useEffect(() => {
+    if (!userId) {
+      setConversations([]);
+      return;
+    }
+    const timer = setTimeout(refreshConversations, 300);
+    return () => clearTimeout(timer);
+  }, [refreshConversations, userId]);
+
+  /**
+   * Persists messages to a conversation, creating the conversation on first use.
+   * Failures are reported but never interrupt the chat itself.
+   * @param {string|null} conversationId - The conversation to append to, or null to create one.
+   * @param {Array<Object>} newMessages - UI messages to store.
+   * @param {Object} settings - Settings of a conversation created here
+   *   ({ params, fallbackModels, systemPrompt, presetId, collectionId }).
+   * @returns {Promise<string|null>} The ID of the conversation the messages were saved to.
+   */
+  const saveMessages = async (conversationId, newMessages, settings) => {
+    const storedMessages = newMessages.map(toStoredMessage);
+    try {
+      if (conversationId) {
+        await ApiService.appendMessages(conversationId, storedMessages);
+        return conversationId;
+      }
+      const response = await ApiService.createConversation({
+        ...settings,
+        messages: storedMessages,
+      });
+      setActiveConversationId(response.data.id);
+      return response.data.id;
+    } catch (err) {
+      console.error("Failed to save conversation:", err);
+      onError(`Failed to save conversation: ${err.message}`);
+      return conversationId;
+    } finally {
+      refreshConversations();
+    }
+  };
+
+  /**
+   * Saves changes to the open conversation (its settings or the branch
+   * shown), if it already exists on the backend. New chats pick their
+   * settings up when they are first saved.
+   * @param {Object} changes - Fields to save ({ params?, fallbackModels?,
+   *   systemPrompt?, presetId?, collectionId?, activeLeafId? }).
+   */
+  const updateConversation = async (changes) => {
+    if (!activeConversationId) return;
+    try {
+      await ApiService.updateConversation(activeConversationId, changes);
+    } catch (err) {
+      onError(`Failed to save settings: ${err.message}`);
+    }
+  };
+
+  /**
+   * Opens a saved conversation.
+   * @param {string} id - The conversation ID.
+   */
+  const openConversation = async (id) => {
+    try {
+      const response = await ApiService.getConversation(id);
+      setActiveConversationId(id);
+      onOpen(response.data);
+    } catch (err) {
+      console.error("Failed to open conversation:", err);
+      onError(`Failed to open conversation: ${err.message}`);
+    }
+  };
+
+  /**
+   * Leaves the open conversation for a new chat. It stays saved in the sidebar.
+   */
+  const closeConversation = () => setActiveConversationId(null);
+
+  /**
+   * Renames a saved conversation.
+   * @param {string} id - The conversation ID.
+   * @param {string} title - The new title.
+   */
+  const renameConversation = async (id, title) => {
+    try {
+      await ApiService.updateConversation(id, { title });
+      refreshConversations();
+    } catch (err) {
+      onError(`Failed to rename conversation: ${err.message}`);
+    }
+  };
+
+  /**
+   * Deletes a saved conversation.
+   * @param {string} id - The conversation ID.
+   */
+  const deleteConversation = async (id) => {
+    try {
+      await ApiService.deleteConversation(id);
+      if (id === activeConversationId) {
+        onActiveDeleted();
+      }
+      refreshConversations();
+    } catch (err) {
+      onError(`Failed to delete conversation: ${err.message}`);
+    }
+  };
+
+  /**
+   * Downloads a saved conversation in the given format.
+   * @param {string} id - The conversation ID.
+   * @param {string} format - 'markdown', 'json' or 'jsonl'.
+   */
+  const exportConversation = async (id, format) => {
+    try {
+      const { blob, filename } = await ApiService.exportConversation(
+        id,
+        format
+      );
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError(`Failed to export conversation: ${err.message}`);
+    }
+  };
+
+  /**
+   * Imports conversations from a file and opens the first one.
+   * @param {File} file - A Markdown, JSON, JSONL or ChatGPT export file.
+   */
+  const importConversations = async (file) => {
+    // The extension settles Markdown vs JSONL; JSON flavours are told apart by the backend
+    const format = /\.(md|markdown)$/i.test(file.name)
+      ? "markdown"
+      : /\.jsonl$/i.test(file.name)
+      ? "jsonl"
+      : undefined;
+    try {
+      const response = await ApiService.importConversations(
+        await file.text(),
+        format
+      );
+      refreshConversations();
+      openConversation(response.data.imported[0].id);
+    } catch (err) {
+      onError(`Failed to import conversations: ${err.message}`);
+    }
+  };
+
+  return {
+    conversations,
+    activeConversationId,
+    search,
+    setSearch,
+    saveMessages,
+    updateConversation,
+    openConversation,
+    closeConversation,
+    renameConversation,
+    deleteConversation,
+    exportConversation,
+    importConversations,
+  };
+}
@@ -0,0 +1,79 @@
+// hooks/useModelCatalog.js
+
+// The model catalog and the model selected for the chat. The selection is
+// remembered across page loads, and replaced when the catalog no longer has it.
+
+import { useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+
+// Model used when nothing was remembered or the remembered one is gone
+const DEFAULT_MODEL = "openai/gpt-4o";
+// localStorage key remembering the last model used
+const LAST_MODEL_KEY = "lastModel";
+
+/**
+ * Loads the model catalog for the logged-in user and tracks the selected model.
+ * @param {string|undefined} userId - The logged-in user; the catalog is
+ *   dropped when there is none.
+ * @param {Function} onError - Called with a message if the catalog can't be
+ *   loaded (e.g. a state setter; it should not change between renders).
+ * @returns {Object} { models, selectedModel, selectedModelInfo,
+ *   setSelectedModel, selectIfAvailable }
+ */
+export default function useModelCatalog(userId, onError) {
+  const [models, setModels] = useState([]);
+  const [selectedModel, setSelectedModel] = useState(
+    () => localStorage.getItem(LAST_MODEL_KEY) || DEFAULT_MODEL
+  );
+
+  // Effect to load the catalog once logged in (and drop it on logout)
+  useEffect(() => {
+    if (!userId) {
+      setModels([]);
+      return;
+    }
+    const loadModels = async () => {
+      try {
+        const response = await ApiService.getModels();
+        const catalog = response.data || [];
+        setModels(catalog);
+        // Keep the current (remembered) model if the catalog still has it,
+        // otherwise fall back to the default, then to the first model
+        setSelectedModel((current) => {
+          const ids = catalog.map((model) => model.id);
+          if (ids.length === 0 || ids.includes(current)) return current;
+          return ids.includes(DEFAULT_MODEL) ? DEFAULT_MODEL : ids[0];
+        });
+      } catch (err) {
+        console.error("Failed to load models:", err);
+        onError(
+          "Failed to load AI models. Please check your backend. The API might be down or unreachable."
+        );
+      }
+    };
+    loadModels();
+  }, [userId, onError]);
+
+  // Effect to remember the model across page loads
+  useEffect(() => {
+    localStorage.setItem(LAST_MODEL_KEY, selectedModel);
+  }, [selectedModel]);
+
+  /**
+   * Selects a model suggested by a preset or template, if the catalog has it.
+   * @param {string|null} [modelId] - The suggested model.
+   */
+  const selectIfAvailable = (modelId) => {
+    if (modelId && models.some((model) => model.id === modelId)) {
+      setSelectedModel(modelId);
+    }
+  };
+
+  return {
+    models,
+    selectedModel,
+    selectedModelInfo: models.find((model) => model.id === selectedModel),
+    setSelectedModel,
+    selectIfAvailable,
+  };
+}
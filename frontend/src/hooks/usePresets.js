@@ -0,0 +1,133 @@
+// hooks/usePresets.js
+
+// System prompt presets (personas): applying one sets the conversation's
+// system prompt, generation parameters, fallback models and model at once,
+// and the current settings can be saved as a preset or update the applied one.
+
+import { useCallback, useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+
+/**
+ * Tracks the presets of the logged-in user and applies them to the open
+ * conversation.
+ * @param {Object} options
+ * @param {string|undefined} options.userId - The logged-in user.
+ * @param {Object} options.settings - The conversation's settings (see useConversationSettings).
+ * @param {Function} options.updateSettings - Changes and saves them.
+ * @param {string} options.selectedModel - The model selected for the chat.
+ * @param {Function} options.selectModel - Selects a preset's model, if it is available.
+ * @param {Function} options.onError - Called with a message when a change fails.
+ * @returns {Object} { presets, activePreset, applyPreset, saveAsPreset,
+ *   updateActivePreset, deleteActivePreset }
+ */
+export default function usePresets({
+  userId,
+  settings,
+  updateSettings,
+  selectedModel,
+  selectModel,
+  onError,
+}) {
+  const [presets, setPresets] = useState([]);
+
+  /**
+   * Reloads the list of system prompt presets.
+   */
+  const refreshPresets = useCallback(async () => {
+    try {
+      const response = await ApiService.listPresets();
+      setPresets(response.data || []);
+    } catch (err) {
+      console.error("Failed to load presets:", err);
+    }
+  }, []);
+
+  // Effect to load presets once logged in (and drop them on logout)
+  useEffect(() => {
+    if (userId) {
+      refreshPresets();
+    } else {
+      setPresets([]);
+    }
+  }, [refreshPresets, userId]);
+
+  /**
+   * Applies a preset to the current conversation: its system prompt, its
+   * generation parameters, its fallback models and, when set and available,
+   * its default model. Everything it changes is saved in a single update.
+   * @param {string} presetId - The preset ID, or '' to remove the system prompt.
+   */
+  const applyPreset = (presetId) => {
+    const preset = presets.find((p) => p.id === presetId);
+    if (!preset) {
+      updateSettings({ presetId: null, systemPrompt: "" });
+      return;
+    }
+    selectModel(preset.model);
+    updateSettings({
+      presetId: preset.id,
+      systemPrompt: preset.systemPrompt,
+      params: preset.params || {},
+      fallbackModels: preset.fallbackModels || [],
+    });
+  };
+
+  // What a preset saved from the current conversation holds
+  const currentPreset = () => ({
+    systemPrompt: settings.systemPrompt,
+    model: selectedModel,
+    fallbackModels: settings.fallbackModels,
+    params: settings.params,
+  });
+
+  /**
+   * Saves the current system prompt, models and parameters as a new preset.
+   * @param {string} name - The preset name.
+   */
+  const saveAsPreset = async (name) => {
+    try {
+      const response = await ApiService.createPreset({
+        name,
+        ...currentPreset(),
+      });
+      updateSettings({ presetId: response.data.id });
+      refreshPresets();
+    } catch (err) {
+      onError(`Failed to save preset: ${err.message}`);
+    }
+  };
+
+  /**
+   * Overwrites the applied preset with the current system prompt, models and parameters.
+   */
+  const updateActivePreset = async () => {
+    try {
+      await ApiService.updatePreset(settings.presetId, currentPreset());
+      refreshPresets();
+    } catch (err) {
+      onError(`Failed to update preset: ${err.message}`);
+    }
+  };
+
+  /**
+   * Deletes the applied preset. The conversation keeps its system prompt.
+   */
+  const deleteActivePreset = async () => {
+    try {
+      await ApiService.deletePreset(settings.presetId);
+      updateSettings({ presetId: null });
+      refreshPresets();
+    } catch (err) {
+      onError(`Failed to delete preset: ${err.message}`);
+    }
+  };
+
+  return {
+    presets,
+    activePreset: presets.find((preset) => preset.id === settings.presetId),
+    applyPreset,
+    saveAsPreset,
+    updateActivePreset,
+    deleteActivePreset,
+  };
+}
@@ -0,0 +1,34 @@
+// hooks/useRateLimit.js
+
+// Rate limiting (429 responses) shown as a countdown instead of an error:
+// sending is blocked until the backend will accept requests again.
+
+import { useCallback, useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+
+/**
+ * Tracks when the backend will accept requests again after a 429.
+ * @param {Function} onEnd - Called once the wait is over, to clear the
+ *   rate limit error.
+ * @returns {Object} { rateLimitedUntil, endRateLimit } where
+ *   `rateLimitedUntil` is a ms timestamp, or null when not rate limited.
+ */
+export default function useRateLimit(onEnd) {
+  const [rateLimitedUntil, setRateLimitedUntil] = useState(null);
+
+  // Effect to turn rate limiting (429) into a countdown instead of an error
+  useEffect(() => {
+    ApiService.onRateLimited((seconds) =>
+      setRateLimitedUntil(Date.now() + seconds * 1000)
+    );
+    return () => ApiService.onRateLimited(null);
+  }, []);
+
+  // The wait is over: the rate limit error no longer applies
+  const endRateLimit = useCallback(() => {
+    setRateLimitedUntil(null);
+    onEnd();
+  }, [onEnd]);
+
+  return { rateLimitedUntil, endRateLimit };
+}
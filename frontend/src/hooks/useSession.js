@@ -0,0 +1,40 @@
+// hooks/useSession.js
+
+// The logged-in user. The session (an HttpOnly cookie) is restored on page
+// load, and the login form comes back whenever the backend reports it gone.
+
+import { useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+
+/**
+ * Tracks the logged-in user.
+ * @returns {Object} { user, setUser, endSession } where `user` is undefined
+ *   while the session is being checked and null when logged out.
+ */
+export default function useSession() {
+  const [user, setUser] = useState(undefined);
+
+  // Effect to restore the session on mount, and to fall back to the login
+  // form whenever the backend reports the session is gone (expired, revoked)
+  useEffect(() => {
+    ApiService.onUnauthorized(() => setUser(null));
+    ApiService.getMe()
+      .then((response) => setUser(response.data))
+      .catch(() => setUser(null));
+    return () => ApiService.onUnauthorized(null);
+  }, []);
+
+  /**
+   * Logs out. The user is logged out locally even if the backend can't be reached.
+   */
+  const endSession = async () => {
+    try {
+      await ApiService.logout();
+    } catch (err) {
+      console.error("Failed to log out:", err);
+    }
+    setUser(null);
+  };
+
+  return { user, setUser, endSession };
+}
@@ -0,0 +1,176 @@
+// hooks/useTemplates.js
+
+// The prompt template library and running templates from the chat input:
+// typing `/` opens a menu of matching slash commands, and a chosen template
+// is expanded into the input (after asking for its variables, if it has any).
+
+import { useCallback, useEffect, useState } from "react";
+import ApiService from "../services/apiService.js";
+import { contentText } from "../utils/attachments.js";
+import { renderTemplate, slashQuery } from "../utils/templates.js";
+
+/**
+ * Tracks the user's templates and the slash command menu of the chat input.
+ * @param {Object} options
+ * @param {string|undefined} options.userId - The logged-in user.
+ * @param {string} options.input - The chat input's text.
+ * @param {Function} options.setInput - Replaces the chat input's text.
+ * @param {Object} options.inputRef - Ref to the chat input, focused once a
+ *   template is expanded.
+ * @param {Array<Object>} options.thread - The conversation shown, for `{{transcript}}`.
+ * @param {Function} options.onExpand - Called with a template once it is
+ *   expanded, to apply its default model and generation parameters.
+ * @returns {Object} { templates, refreshTemplates, slashMatches, slashIndex,
+ *   selectTemplate, handleSlashKeyDown, resetSlashMenu, pendingTemplate,
+ *   submitTemplateVariables, cancelTemplate }
+ */
+export default function useTemplates({
+  userId,
+  input,
+  setInput,
+  inputRef,
+  thread,
+  onExpand,
+}) {
+  const [templates, setTemplates] = useState([]);
+  // Highlighted entry of the slash command menu, and whether Escape closed it
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [slashClosed, setSlashClosed] = useState(false);
+  // Template whose variables are being asked for ({ template, variables, values })
+  const [pendingTemplate, setPendingTemplate] = useState(null);
+
+  // Templates matching the slash command being typed in the chat input
+  const slashCommand = slashClosed ? null : slashQuery(input);
+  const slashMatches =
+    slashCommand === null
+      ? []
+      : templates.filter((template) =>
+          template.command.startsWith(slashCommand)
+        );
+
+  /**
+   * Reloads the prompt template library.
+   */
+  const refreshTemplates = useCallback(async () => {
+    try {
+      const response = await ApiService.listTemplates();
+      setTemplates(response.data || []);
+    } catch (err) {
+      console.error("Failed to load templates:", err);
+    }
+  }, []);
+
+  // Effect to load the prompt templates once logged in (and drop them on logout)
+  useEffect(() => {
+    if (userId) {
+      refreshTemplates();
+    } else {
+      setTemplates([]);
+    }
+  }, [refreshTemplates, userId]);
+
+  /**
+   * Expands a prompt template into the chat input.
+   * @param {Object} template - The template.
+   * @param {Object} values - Variable name -> value.
+   */
+  const expandTemplate = (template, values) => {
+    setPendingTemplate(null);
+    setInput(renderTemplate(template.prompt, values));
+    onExpand(template);
+    inputRef.current?.focus();
+  };
+
+  /**
+   * Runs the template chosen in the slash command menu. `{{transcript}}` is
+   * filled in with the conversation shown; the other variables are asked for.
+   * @param {Object} template - The chosen template.
+   */
+  const selectTemplate = (template) => {
+    const values = {
+      transcript: thread
+        .map(
+          (msg) =>
+            `${msg.role === "user" ? "You" : "AI"}: ${contentText(msg.content)}`
+        )
+        .join("\n"),
+    };
+    const variables = template.variables.filter((name) => !(name in values));
+    setSlashIndex(0);
+    if (variables.length > 0) {
+      setInput("");
+      setPendingTemplate({ template, variables, values });
+    } else {
+      expandTemplate(template, values);
+    }
+  };
+
+  /**
+   * Lets the arrows, Enter, Tab and Escape drive the slash command menu
+   * while it is open.
+   * @param {KeyboardEvent} e - The chat input's keydown event.
+   * @returns {boolean} True if the menu handled the key.
+   */
+  const handleSlashKeyDown = (e) => {
+    if (slashMatches.length === 0) return false;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSlashIndex(
+        (prev) => (prev + step + slashMatches.length) % slashMatches.length
+      );
+      return true;
+    }
+    if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      selectTemplate(
+        slashMatches[Math.min(slashIndex, slashMatches.length - 1)]
+      );
+      return true;
+    }
+    if (e.key === "Escape") {
+      setSlashClosed(true);
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Reopens the menu at its first entry; called as the input is edited.
+   */
+  const resetSlashMenu = () => {
+    setSlashClosed(false);
+    setSlashIndex(0);
+  };
+
+  /**
+   * Expands the pending template with the variables the user filled in.
+   * @param {Object} values - Variable name -> value.
+   */
+  const submitTemplateVariables = (values) =>
+    expandTemplate(pendingTemplate.template, {
+      ...pendingTemplate.values,
+      ...values,
+    });
+
+  /**
+   * Drops the pending template and goes back to the input.
+   */
+  const cancelTemplate = () => {
+    setPendingTemplate(null);
+    inputRef.current?.focus();
+  };
+
+  return {
+    templates,
+    refreshTemplates,
+    slashMatches,
+    slashIndex: Math.min(slashIndex, Math.max(slashMatches.length - 1, 0)),
+    selectTemplate,
+    handleSlashKeyDown,
+    resetSlashMenu,
+    pendingTemplate,
+    submitTemplateVariables,
+    cancelTemplate,
+  };
+}
@@ -0,0 +1,636 @@
+// services/apiService.js
+
+// A simplified API service for chat, model and conversation interaction,
+// shared by the App and its components.
+
+/**
+ * Parses one raw Server-Sent Event block into its event name and JSON data.
+ * @param {string} rawEvent - The text of a single event (lines without the blank separator).
+ * @returns {{event: string, data: Object}} The event name (defaults to 'message') and parsed data.
+ */
+const parseSseEvent = (rawEvent) => {
+  let event = "message";
+  const dataLines = [];
+  for (const line of rawEvent.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+  return {
+    event,
+    data: dataLines.length ? JSON.parse(dataLines.join("\n")) : {},
+  };
+};
+
+// Define API_BASE_URL here. This should match your backend server's address.
+// In a real Vite app, this would come from import.meta.env.VITE_API_URL
+// or process.env.REACT_APP_API_URL for Create React App (CRA).
+const API_BASE_URL = "http://localhost:5000/api"; // Your backend API base URL
+
+// Called whenever the backend answers 401, so the App can show the login form
+let unauthorizedHandler = null;
+// Called with the wait in seconds whenever the backend answers 429
+let rateLimitedHandler = null;
+
+/**
+ * Builds an Error from the backend's error envelope, keeping its `code`
+ * (e.g. 'context_length_exceeded'), `retryable` flag, `upstreamStatus` and
+ * `requestId` so the UI can offer the right way out.
+ * @param {Object} data - The envelope ({ error, code, retryable, ... }).
+ * @param {string} fallbackMessage - Used when the backend sent no error message.
+ * @returns {Error} The error to throw.
+ */
+const apiError = (data, fallbackMessage) =>
+  Object.assign(new Error(data.error || fallbackMessage), {
+    code: data.code,
+    retryable: data.retryable ?? false,
+    upstreamStatus: data.upstream_status ?? null,
+    requestId: data.request_id,
+  });
+
+/**
+ * Builds the error thrown for a failed response, keeping the HTTP status
+ * so callers can tell e.g. a missing login (401) from other failures, and
+ * for rate limiting (429) the seconds to wait as `retryAfter`.
+ * @param {Response} response - The failed fetch response.
+ * @param {string} fallbackMessage - Used when the backend sent no error message.
+ * @returns {Promise<Error>} The error to throw.
+ */
+const responseError = async (response, fallbackMessage) => {
+  if (response.status === 401) {
+    unauthorizedHandler?.();
+  }
+  const errorData = await response.json().catch(() => ({}));
+  const error = apiError(errorData, fallbackMessage);
+  error.status = response.status;
+  error.requestId ??= response.headers.get("X-Request-Id");
+  if (response.status === 429) {
+    error.retryAfter =
+      Number(response.headers.get("Retry-After")) ||
+      errorData.retry_after ||
+      60;
+    rateLimitedHandler?.(error.retryAfter);
+  }
+  return error;
+};
+
+/**
+ * Strips UI bookkeeping (IDs, streaming flags, usage...) from messages,
+ * leaving only the fields the chat API expects.
+ * @param {Array<Object>} messages - Messages from the UI state.
+ * @returns {Array<Object>} Messages of the form { role, content }.
+ */
+const toApiMessages = (messages) =>
+  messages.map(({ role, content }) => ({ role, content }));
+
+/**
+ * Sends a JSON request to your backend and returns the parsed response body.
+ * @param {string} path - The API path, relative to API_BASE_URL (e.g., '/conversations').
+ * @param {Object} [options] - fetch options; `body` is serialized as JSON when given.
+ * @returns {Promise<Object>} The API response data.
+ */
+const requestJson = async (path, { body, ...options } = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    // Send the session cookie along with every request
+    credentials: "include",
+    headers: { "Content-Type": "application/json", ...options.headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    // Throw an error with the backend message if available
+    throw await responseError(response, `Request failed (${response.status})`);
+  }
+
+  return await response.json();
+};
+
+export const ApiService = {
+  /**
+   * Registers a callback run whenever the backend reports a missing or expired login.
+   * @param {Function|null} handler - The callback, or null to remove it.
+   */
+  onUnauthorized: (handler) => {
+    unauthorizedHandler = handler;
+  },
+
+  /**
+   * Registers a callback run whenever a request is rate limited.
+   * @param {Function|null} handler - Called with the seconds to wait, or null to remove it.
+   */
+  onRateLimited: (handler) => {
+    rateLimitedHandler = handler;
+  },
+
+  /**
+   * Logs in with a username and password; the backend sets a session cookie.
+   * @param {string} username - The account name.
+   * @param {string} password - The account password.
+   * @returns {Promise<Object>} The API response data containing the user.
+   */
+  login: (username, password) =>
+    requestJson("/auth/login", {
+      method: "POST",
+      body: { username, password },
+    }),
+
+  /**
+   * Ends the current session.
+   * @returns {Promise<Object>} The API response data.
+   */
+  logout: () => requestJson("/auth/logout", { method: "POST" }),
+
+  /**
+   * Loads the logged-in user; fails with status 401 when nobody is logged in.
+   * @returns {Promise<Object>} The API response data containing the user.
+   */
+  getMe: () => requestJson("/auth/me"),
+
+  /**
+   * Changes the logged-in user's password (this logs out other sessions).
+   * @param {string} currentPassword - The current password.
+   * @param {string} newPassword - The new password.
+   * @returns {Promise<Object>} The API response data.
+   */
+  changePassword: (currentPassword, newPassword) =>
+    requestJson("/auth/me/password", {
+      method: "PUT",
+      body: { currentPassword, newPassword },
+    }),
+
+  /**
+   * Stores the user's own API key for a provider (encrypted on the backend).
+   * @param {string} provider - The provider name (e.g., 'openrouter').
+   * @param {string} apiKey - The key to store.
+   * @returns {Promise<Object>} The API response data containing the updated user.
+   */
+  setApiKey: (provider, apiKey) =>
+    requestJson(`/auth/me/api-keys/${provider}`, {
+      method: "PUT",
+      body: { apiKey },
+    }),
+
+  /**
+   * Removes the user's own API key for a provider.
+   * @param {string} provider - The provider name.
+   * @returns {Promise<Object>} The API response data containing the updated user.
+   */
+  deleteApiKey: (provider) =>
+    requestJson(`/auth/me/api-keys/${provider}`, { method: "DELETE" }),
+
+  /**
+   * Loads token usage and cost totals (your own, or everyone's for admins).
+   * @param {Object} [range] - Optional { from, to } days (YYYY-MM-DD); defaults to this month.
+   * @returns {Promise<Object>} The API response data containing the report and budgets.
+   */
+  getUsage: (range = {}) => requestJson(`/usage?${new URLSearchParams(range)}`),
+
+  /**
+   * Lists all user accounts (admin only).
+   * @returns {Promise<Object>} The API response data containing the users.
+   */
+  listUsers: () => requestJson("/admin/users"),
+
+  /**
+   * Creates a user account (admin only).
+   * @param {Object} user - The account ({ username, password, role? }).
+   * @returns {Promise<Object>} The API response data containing the created user.
+   */
+  createUser: (user) =>
+    requestJson("/admin/users", { method: "POST", body: user }),
+
+  /**
+   * Changes a user's password and/or role (admin only).
+   * @param {string} id - The user ID.
+   * @param {Object} changes - Fields to change ({ password?, role? }).
+   * @returns {Promise<Object>} The API response data containing the updated user.
+   */
+  updateUser: (id, changes) =>
+    requestJson(`/admin/users/${id}`, { method: "PATCH", body: changes }),
+
+  /**
+   * Deletes a user account together with its tokens (admin only).
+   * @param {string} id - The user ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  deleteUser: (id) => requestJson(`/admin/users/${id}`, { method: "DELETE" }),
+
+  /**
+   * Revokes every session and API token of a user (admin only).
+   * @param {string} id - The user ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  revokeUserTokens: (id) =>
+    requestJson(`/admin/users/${id}/tokens`, { method: "DELETE" }),
+
+  /**
+   * Sends messages to the chat completion endpoint on your backend.
+   * @param {Array<Object>} messages - Array of message objects ({ role: string, content: string }).
+   * @param {string} model - The model ID to use for the completion.
+   * @returns {Promise<Object>} The API response data.
+   */
+  chatCompletion: async (messages, model = "openai/gpt-4o") => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/chat/completion`, {
+        method: "POST",
+        credentials: "include",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ messages, model }),
+      });
+
+      if (!response.ok) {
+        // Throw an error with the backend message if available
+        throw await responseError(response, "API request failed");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("API Error (chatCompletion):", error);
+      throw error; // Re-throw to be caught by the calling component
+    }
+  },
+
+  /**
+   * Streams a chat completion from your backend over Server-Sent Events.
+   * Calls `onDelta` with each chunk of assistant text as it arrives.
+   * @param {Array<Object>} messages - Array of message objects ({ role: string, content: string }).
+   * @param {string} model - The model ID to use for the completion.
+   * @param {Object} options
+   * @param {Function} options.onDelta - Callback invoked with each new piece of content.
+   * @param {Object} [options.params] - Generation parameters (temperature, max_tokens, ...).
+   * @param {string} [options.contextStrategy] - How the backend shortens histories that
+   *   don't fit the model's context window ('pin_system', 'sliding_window' or 'summarize').
+   * @param {Array<string>} [options.fallbackModels] - Models to try, in order, if `model` fails.
+   * @param {Array<string>} [options.tools] - Names of server tools the model may call.
+   * @param {string} [options.collectionId] - Knowledge base collection to retrieve sources from.
+   * @param {Function} [options.onToolCall] - Called with { id, name, arguments } when a tool starts.
+   * @param {Function} [options.onToolResult] - Called with the finished invocation
+   *   ({ id, name, arguments, result } or { ..., error }).
+   * @param {Function} [options.onSchemaRetry] - Called with { attempt, errors } when a reply
+   *   didn't match the requested JSON schema and the model is asked again; the
+   *   text streamed so far is replaced by what follows.
+   * @param {AbortSignal} [options.signal] - Aborts the request (and the upstream generation).
+   * @returns {Promise<Object>} The final event data ({ role, finish_reason, usage, cost, context,
+   *   model, failed_attempts, tool_calls?, parsed?, valid?, structured?, citations? });
+   *   `model` is the model that answered.
+   */
+  chatCompletionStream: async (
+    messages,
+    model,
+    {
+      onDelta,
+      onToolCall,
+      onToolResult,
+      onSchemaRetry,
+      params = {},
+      contextStrategy,
+      fallbackModels = [],
+      tools = [],
+      collectionId,
+      signal,
+    }
+  ) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/chat/completion`, {
+        method: "POST",
+        credentials: "include",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          ...params,
+          messages: toApiMessages(messages),
+          model,
+          context_strategy: contextStrategy,
+          fallback_models: fallbackModels.length ? fallbackModels : undefined,
+          tools: tools.length ? tools : undefined,
+          collection_id: collectionId || undefined,
+          stream: true,
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await responseError(response, "API request failed");
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let result = null;
+
+      // Events are separated by a blank line; keep any incomplete tail in the buffer
+      while (!result) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const rawEvents = buffer.split("\n\n");
+        buffer = rawEvents.pop();
+
+        for (const rawEvent of rawEvents) {
+          const { event, data } = parseSseEvent(rawEvent);
+          if (event === "delta") {
+            onDelta(data.content);
+          } else if (event === "tool_call") {
+            onToolCall?.(data);
+          } else if (event === "tool_result") {
+            onToolResult?.(data);
+          } else if (event === "schema_retry") {
+            onSchemaRetry?.(data);
+          } else if (event === "done") {
+            result = data;
+          } else if (event === "error") {
+            throw apiError(data, "Stream interrupted");
+          }
+        }
+      }
+
+      if (!result) {
+        throw new Error("The response stream ended unexpectedly.");
+      }
+      return result;
+    } catch (error) {
+      console.error("API Error (chatCompletionStream):", error);
+      throw error; // Re-throw to be caught by the calling component
+    }
+  },
+
+  /**
+   * Lists the server-side tools models can call during a chat.
+   * @returns {Promise<Object>} The API response data containing { name, description, parameters } per tool.
+   */
+  getTools: () => requestJson("/chat/tools"),
+
+  /**
+   * Sends the same messages to several models at once for side-by-side comparison.
+   * @param {Array<Object>} messages - The conversation messages.
+   * @param {Array<string>} models - 2-4 model IDs to query concurrently.
+   * @param {AbortSignal} [signal] - Aborts the request.
+   * @returns {Promise<Array<Object>>} One result per model ({ model, success, message, usage, latencyMs, error }).
+   */
+  compareModels: async (messages, models, signal) => {
+    const response = await requestJson("/chat/compare", {
+      method: "POST",
+      body: { messages: toApiMessages(messages), models },
+      signal,
+    });
+    return response.data.results;
+  },
+
+  /**
+   * Fetches the list of available models from your backend.
+   * @returns {Promise<Object>} The API response data containing models.
+   */
+  getModels: async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/models`, {
+        credentials: "include",
+      });
+      if (!response.ok) {
+        // If the response is not OK, throw an error
+        throw await responseError(response, "Failed to fetch models");
+      }
+      return await response.json();
+    } catch (error) {
+      console.error("API Error (getModels):", error);
+      throw error; // Re-throw to be caught by the calling component
+    }
+  },
+
+  /**
+   * Asks your backend to summarize a conversation with the given model.
+   * @param {Array<Object>} messages - The conversation messages.
+   * @param {string} model - The model ID to use.
+   * @param {AbortSignal} [signal] - Aborts the request.
+   * @returns {Promise<string>} The summarized text.
+   */
+  summarize: async (messages, model, signal) => {
+    const response = await requestJson("/tools/summarize", {
+      method: "POST",
+      body: { messages: toApiMessages(messages), model },
+      signal,
+    });
+    return response.data.text;
+  },
+
+  /**
+   * Asks your backend to suggest follow-up questions for a conversation.
+   * @param {Array<Object>} messages - The conversation messages.
+   * @param {string} model - The model ID to use.
+   * @param {AbortSignal} [signal] - Aborts the request.
+   * @returns {Promise<string>} A string containing suggested questions.
+   */
+  suggestFollowUps: async (messages, model, signal) => {
+    const response = await requestJson("/tools/follow-ups", {
+      method: "POST",
+      body: { messages: toApiMessages(messages), model },
+      signal,
+    });
+    return response.data.text;
+  },
+
+  /**
+   * Lists saved conversations, most recent first.
+   * @param {string} [query] - Optional search text matched against titles and messages.
+   * @returns {Promise<Object>} The API response data containing conversation summaries.
+   */
+  listConversations: (query = "") =>
+    requestJson(
+      `/conversations${query ? `?q=${encodeURIComponent(query)}` : ""}`
+    ),
+
+  /**
+   * Loads a conversation together with its messages.
+   * @param {string} id - The conversation ID.
+   * @returns {Promise<Object>} The API response data containing the conversation.
+   */
+  getConversation: (id) => requestJson(`/conversations/${id}`),
+
+  /**
+   * Creates a new conversation.
+   * @param {Object} conversation - Initial fields ({ title?, messages? }).
+   * @returns {Promise<Object>} The API response data containing the created conversation.
+   */
+  createConversation: (conversation) =>
+    requestJson("/conversations", { method: "POST", body: conversation }),
+
+  /**
+   * Updates a conversation's title and/or settings.
+   * @param {string} id - The conversation ID.
+   * @param {Object} changes - Fields to change ({ title?, params?, systemPrompt?, presetId? }).
+   * @returns {Promise<Object>} The API response data containing the updated summary.
+   */
+  updateConversation: (id, changes) =>
+    requestJson(`/conversations/${id}`, { method: "PATCH", body: changes }),
+
+  /**
+   * Deletes a conversation.
+   * @param {string} id - The conversation ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  deleteConversation: (id) =>
+    requestJson(`/conversations/${id}`, { method: "DELETE" }),
+
+  /**
+   * Appends messages to a saved conversation.
+   * @param {string} id - The conversation ID.
+   * @param {Array<Object>} messages - Messages to store ({ role, content, model, ... }).
+   * @returns {Promise<Object>} The API response data containing the stored messages.
+   */
+  appendMessages: (id, messages) =>
+    requestJson(`/conversations/${id}/messages`, {
+      method: "POST",
+      body: { messages },
+    }),
+
+  /**
+   * Downloads a conversation as a file.
+   * @param {string} id - The conversation ID.
+   * @param {string} format - 'markdown', 'json' (every branch, all metadata) or 'jsonl'
+   *   (OpenAI fine-tuning format).
+   * @returns {Promise<{blob: Blob, filename: string}>} The file and its suggested name.
+   */
+  exportConversation: async (id, format) => {
+    const response = await fetch(
+      `${API_BASE_URL}/conversations/${id}/export?format=${format}`,
+      { credentials: "include" }
+    );
+    if (!response.ok) {
+      throw await responseError(response, "Export failed");
+    }
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const filename = /filename="([^"]+)"/.exec(disposition)?.[1];
+    return {
+      blob: await response.blob(),
+      filename: filename || `conversation.${format}`,
+    };
+  },
+
+  /**
+   * Creates conversations from an exported file (Markdown, JSON, JSONL or
+   * ChatGPT's conversations.json).
+   * @param {string} data - The file content.
+   * @param {string} [format] - The file format; detected by the backend when omitted.
+   * @returns {Promise<Object>} The API response data ({ format, imported, skipped }).
+   */
+  importConversations: (data, format) =>
+    requestJson("/conversations/import", {
+      method: "POST",
+      body: { data, format },
+    }),
+
+  /**
+   * Lists system prompt presets, built-in ones first.
+   * @returns {Promise<Object>} The API response data containing the presets.
+   */
+  listPresets: () => requestJson("/presets"),
+
+  /**
+   * Saves a new preset.
+   * @param {Object} preset - The preset ({ name, systemPrompt, model?, params? }).
+   * @returns {Promise<Object>} The API response data containing the created preset.
+   */
+  createPreset: (preset) =>
+    requestJson("/presets", { method: "POST", body: preset }),
+
+  /**
+   * Updates a saved preset.
+   * @param {string} id - The preset ID.
+   * @param {Object} changes - Fields to change ({ name?, systemPrompt?, model?, params? }).
+   * @returns {Promise<Object>} The API response data containing the updated preset.
+   */
+  updatePreset: (id, changes) =>
+    requestJson(`/presets/${id}`, { method: "PATCH", body: changes }),
+
+  /**
+   * Deletes a saved preset.
+   * @param {string} id - The preset ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  deletePreset: (id) => requestJson(`/presets/${id}`, { method: "DELETE" }),
+
+  /**
+   * Lists the prompt templates the user may use, built-in ones first.
+   * @returns {Promise<Object>} The API response data containing the templates,
+   *   each with its `variables` and whether it is `editable`.
+   */
+  listTemplates: () => requestJson("/templates"),
+
+  /**
+   * Saves a new prompt template.
+   * @param {Object} template - { command, name, prompt, description?, model?, params?, shared? }.
+   * @returns {Promise<Object>} The API response data containing the created template.
+   */
+  createTemplate: (template) =>
+    requestJson("/templates", { method: "POST", body: template }),
+
+  /**
+   * Updates a template. For built-in templates, only the user's version changes.
+   * @param {string} id - The template ID.
+   * @param {Object} changes - Fields to change.
+   * @returns {Promise<Object>} The API response data containing the updated template.
+   */
+  updateTemplate: (id, changes) =>
+    requestJson(`/templates/${id}`, { method: "PATCH", body: changes }),
+
+  /**
+   * Deletes a saved template, or restores a built-in one to its default.
+   * @param {string} id - The template ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  deleteTemplate: (id) => requestJson(`/templates/${id}`, { method: "DELETE" }),
+
+  /**
+   * Lists the user's knowledge base collections.
+   * @returns {Promise<Object>} The API response data containing the collections
+   *   (each with its `documents`) and whether uploads are `embeddings`-indexed.
+   */
+  listCollections: () => requestJson("/collections"),
+
+  /**
+   * Creates an empty knowledge base collection.
+   * @param {Object} collection - The collection ({ name, description? }).
+   * @returns {Promise<Object>} The API response data containing the created collection.
+   */
+  createCollection: (collection) =>
+    requestJson("/collections", { method: "POST", body: collection }),
+
+  /**
+   * Deletes a collection and its documents.
+   * @param {string} id - The collection ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  deleteCollection: (id) =>
+    requestJson(`/collections/${id}`, { method: "DELETE" }),
+
+  /**
+   * Uploads a document into a collection, where it is chunked and indexed.
+   * @param {string} id - The collection ID.
+   * @param {Object} upload - { name, content } with the text, or a data URL for PDFs.
+   * @returns {Promise<Object>} The API response data containing the document entry.
+   */
+  uploadDocument: (id, upload) =>
+    requestJson(`/collections/${id}/documents`, {
+      method: "POST",
+      body: upload,
+    }),
+
+  /**
+   * Removes a document from a collection.
+   * @param {string} id - The collection ID.
+   * @param {string} documentId - The document ID.
+   * @returns {Promise<Object>} The API response data.
+   */
+  deleteDocument: (id, documentId) =>
+    requestJson(`/collections/${id}/documents/${documentId}`, {
+      method: "DELETE",
+    }),
+};
+
+export default ApiService;
@@ -0,0 +1,123 @@
+// utils/attachments.js
+
+// Turns files the user attaches (picked, pasted or dropped) into OpenAI-style
+// content parts. Images and PDFs are sent as base64 data URLs; plain-text
+// files are inlined as text, so they work with any model.
+
+// Mirrors MAX_ATTACHMENT_BYTES in the backend's utils/messages.js
+export const MAX_ATTACHMENT_BYTES = 4 * 1024 * 1024; // 4 MB
+// Text files are inlined into the prompt, so keep them reasonably small
+const MAX_TEXT_FILE_BYTES = 200 * 1024; // 200 KB
+
+const IMAGE_MIME_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const TEXT_FILE_PATTERN =
+  /\.(txt|md|markdown|csv|json|xml|ya?ml|html?|css|js|jsx|ts|tsx|py|java|c|cpp|h|go|rs|rb|sh|sql|log)$/i;
+
+// Value for the file picker's `accept` attribute
+export const ACCEPTED_FILE_TYPES = [
+  ...IMAGE_MIME_TYPES,
+  "application/pdf",
+  ".txt,.md,.csv,.json,.xml,.yaml,.yml,.html,.css,.js,.jsx,.ts,.tsx,.py,.java,.c,.cpp,.h,.go,.rs,.rb,.sh,.sql,.log",
+].join(",");
+
+const readFile = (file, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+
+/**
+ * Reads a file into an attachment the composer can show and send.
+ * @param {File} file - The file picked, pasted or dropped by the user.
+ * @returns {Promise<Object>} { id, kind: 'image'|'pdf'|'text', name, size, dataUrl?, text? }.
+ * @throws {Error} If the file type is unsupported or the file is too large.
+ */
+export const readAttachment = async (file) => {
+  const base = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    name: file.name || "pasted-image",
+    size: file.size,
+  };
+
+  if (IMAGE_MIME_TYPES.includes(file.type) || file.type === "application/pdf") {
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`"${base.name}" is larger than 4 MB.`);
+    }
+    return {
+      ...base,
+      kind: file.type === "application/pdf" ? "pdf" : "image",
+      dataUrl: await readFile(file, "readAsDataURL"),
+    };
+  }
+
+  if (file.type.startsWith("text/") || TEXT_FILE_PATTERN.test(file.name)) {
+    if (file.size > MAX_TEXT_FILE_BYTES) {
+      throw new Error(`"${base.name}" is larger than 200 KB.`);
+    }
+    return { ...base, kind: "text", text: await readFile(file, "readAsText") };
+  }
+
+  throw new Error(
+    `"${base.name}" is not a supported file type (images, PDFs and text files).`
+  );
+};
+
+/**
+ * Builds message content from the typed text and the attachments.
+ * Without attachments this is just the text, as before.
+ * @param {string} text - The typed message.
+ * @param {Array<Object>} attachments - Attachments from readAttachment.
+ * @returns {string|Array<Object>} A string, or an array of content parts.
+ */
+export const toMessageContent = (text, attachments) => {
+  if (attachments.length === 0) return text;
+
+  const parts = text ? [{ type: "text", text }] : [];
+  for (const attachment of attachments) {
+    if (attachment.kind === "image") {
+      parts.push({ type: "image_url", image_url: { url: attachment.dataUrl } });
+    } else if (attachment.kind === "pdf") {
+      parts.push({
+        type: "file",
+        file: { filename: attachment.name, file_data: attachment.dataUrl },
+      });
+    } else {
+      parts.push({
+        type: "text",
+        text: `Attached file "${attachment.name}":\n\`\`\`\n${attachment.text}\n\`\`\``,
+      });
+    }
+  }
+  return parts;
+};
+
+/**
+ * Lists the input modalities message content needs beyond text.
+ * @param {string|Array<Object>} content - Message content.
+ * @returns {Array<string>} e.g. ['image', 'file'].
+ */
+export const requiredModalities = (content) =>
+  Array.isArray(content)
+    ? [
+        ...new Set(
+          content
+            .filter((part) => part.type !== "text")
+            .map((part) => (part.type === "image_url" ? "image" : "file"))
+        ),
+      ]
+    : [];
+
+/**
+ * Extracts the typed text of message content, leaving attachments out.
+ * @param {string|Array<Object>} content - Message content.
+ * @returns {string} The text.
+ */
+export const contentText = (content) =>
+  typeof content === "string"
+    ? content
+    : content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
@@ -0,0 +1,42 @@
+// utils/contextWindow.js
+
+// Client-side estimate of how much of a model's context window a conversation
+// uses, for the context meter. Mirrors the heuristics of the backend's
+// utils/contextWindow.js, which does the actual trimming.
+
+import { contentText } from "./attachments.js";
+
+// Ways the backend can make long chats fit (the request's `context_strategy`)
+export const CONTEXT_STRATEGIES = [
+  { value: "pin_system", label: "Drop oldest turns, keep system prompt" },
+  { value: "sliding_window", label: "Drop oldest messages" },
+  { value: "summarize", label: "Summarize oldest turns" },
+];
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 1000;
+const FILE_TOKENS = 2000;
+
+/**
+ * Estimates the prompt tokens of a list of messages.
+ * @param {Array<Object>} messages - Messages ({ role, content }).
+ * @returns {number} The estimated token count.
+ */
+export const estimateTokens = (messages) =>
+  messages.reduce((total, msg) => {
+    const parts = Array.isArray(msg.content) ? msg.content : [];
+    const attachments = parts.reduce(
+      (sum, part) =>
+        sum +
+        (part.type === "image_url" ? IMAGE_TOKENS : 0) +
+        (part.type === "file" ? FILE_TOKENS : 0),
+      0
+    );
+    return (
+      total +
+      MESSAGE_OVERHEAD_TOKENS +
+      Math.ceil(contentText(msg.content).length / CHARS_PER_TOKEN) +
+      attachments
+    );
+  }, 0);
@@ -0,0 +1,55 @@
+// utils/messageTree.js
+
+// Helpers for conversations stored as a message tree (see the backend's
+// utils/messageTree.js). Every message has a `parentId`; editing a turn or
+// regenerating a reply adds a sibling, and `activeLeafId` picks the branch shown.
+
+/**
+ * Creates an ID for a new message. IDs are strings so they match what the
+ * backend returns when a conversation is reopened.
+ * @returns {string} A unique message ID.
+ */
+export const newMessageId = () => crypto.randomUUID();
+
+/**
+ * Returns the path of messages from the root down to a leaf.
+ * @param {Array<Object>} messages - All messages of the conversation.
+ * @param {string|null} leafId - The leaf of the branch.
+ * @returns {Array<Object>} The thread, oldest first.
+ */
+export const getThread = (messages, leafId) => {
+  const byId = new Map(messages.map((msg) => [msg.id, msg]));
+  const thread = [];
+  let node = byId.get(leafId);
+  while (node && thread.length < messages.length) {
+    thread.unshift(node);
+    node = node.parentId == null ? null : byId.get(node.parentId);
+  }
+  return thread;
+};
+
+/**
+ * Lists a message and its alternatives (messages with the same parent), oldest first.
+ * @param {Array<Object>} messages - All messages of the conversation.
+ * @param {Object} message - The message whose siblings to find.
+ * @returns {Array<Object>} The siblings, including `message` itself.
+ */
+export const getSiblings = (messages, message) =>
+  messages.filter(
+    (msg) => (msg.parentId ?? null) === (message.parentId ?? null)
+  );
+
+/**
+ * Follows the most recent child at every level, to find where a branch ends.
+ * @param {Array<Object>} messages - All messages of the conversation.
+ * @param {string} messageId - The message to start from.
+ * @returns {string} The ID of the deepest, most recently added descendant.
+ */
+export const findLatestLeaf = (messages, messageId) => {
+  let leafId = messageId;
+  for (;;) {
+    const lastChild = messages.findLast((msg) => msg.parentId === leafId);
+    if (!lastChild) return leafId;
+    leafId = lastChild.id;
+  }
+};
@@ -0,0 +1,83 @@
+// utils/pricing.js
+
+// Helpers for turning token usage into dollar amounts, using the per-token
+// prices that OpenRouter publishes in the model catalog (`pricing.prompt` and
+// `pricing.completion`, as decimal strings in USD per token).
+
+/**
+ * Estimates the cost of a completion from its token usage.
+ * @param {Object} [model] - Catalog entry of the model that answered.
+ * @param {Object} [usage] - Token usage ({ prompt_tokens, completion_tokens }).
+ * @returns {number|null} Cost in USD, or null if pricing or usage is unknown.
+ */
+export const estimateCost = (model, usage) => {
+  if (!model?.pricing || !usage) return null;
+  const promptPrice = Number(model.pricing.prompt);
+  const completionPrice = Number(model.pricing.completion);
+  if (Number.isNaN(promptPrice) || Number.isNaN(completionPrice)) return null;
+  return (
+    (usage.prompt_tokens || 0) * promptPrice +
+    (usage.completion_tokens || 0) * completionPrice
+  );
+};
+
+/**
+ * The cost of one message: the amount the backend recorded for it, or an
+ * estimate from the catalog for messages saved before costs were recorded.
+ * @param {Object} message - A chat message ({ model, usage, cost? }).
+ * @param {Array<Object>} models - The model catalog.
+ * @returns {number|null} Cost in USD, or null if unknown.
+ */
+export const messageCost = (message, models) =>
+  message.cost ??
+  estimateCost(
+    models.find((model) => model.id === message.model),
+    message.usage
+  );
+
+/**
+ * Formats a USD amount for display, keeping small amounts readable.
+ * @param {number|null} usd - The amount in USD.
+ * @returns {string} e.g. '$0.0012', '$1.25', or '—' when unknown.
+ */
+export const formatCost = (usd) => {
+  if (usd == null) return "—";
+  if (usd === 0) return "$0";
+  return usd < 0.01 ? `$${usd.toPrecision(2)}` : `$${usd.toFixed(2)}`;
+};
+
+/**
+ * Formats a per-token price as USD per million tokens, the unit model
+ * pickers conventionally show.
+ * @param {string|number} [pricePerToken] - Catalog price in USD per token.
+ * @returns {string} e.g. '$2.50', 'Free', or '—' when unknown.
+ */
+export const formatPricePerMillion = (pricePerToken) => {
+  const price = Number(pricePerToken);
+  if (pricePerToken == null || Number.isNaN(price) || price < 0) return "—";
+  if (price === 0) return "Free";
+  const perMillion = price * 1_000_000;
+  return perMillion < 0.01
+    ? `$${perMillion.toPrecision(2)}`
+    : `$${perMillion.toFixed(2)}`;
+};
+
+/**
+ * Formats a context window size compactly.
+ * @param {number} [tokens] - Context length in tokens.
+ * @returns {string} e.g. '8K', '128K', '1M', or '—' when unknown.
+ */
+export const formatContextLength = (tokens) => {
+  if (!tokens) return "—";
+  if (tokens >= 1_000_000) return `${+(tokens / 1_000_000).toFixed(1)}M`;
+  return `${Math.round(tokens / 1000)}K`;
+};
+
+/**
+ * Reports whether a catalog entry costs nothing for both prompt and completion.
+ * @param {Object} model - Catalog entry.
+ * @returns {boolean} True for free models.
+ */
+export const isFreeModel = (model) =>
+  Number(model.pricing?.prompt) === 0 &&
+  Number(model.pricing?.completion) === 0;
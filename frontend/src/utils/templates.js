@@ -0,0 +1,28 @@
+// utils/templates.js
+
+// Prompt template placeholders, following the same rules as the backend's
+// utils/templates.js: `{{name}}` is replaced by the value given for `name`.
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+/**
+ * Fills in a template's variables; placeholders without a value are kept.
+ * @param {string} text - The template text.
+ * @param {Object} values - Variable name -> value.
+ * @returns {string} The filled-in text.
+ */
+export const renderTemplate = (text, values) =>
+  text.replace(VARIABLE_PATTERN, (placeholder, name) =>
+    values[name] == null ? placeholder : String(values[name])
+  );
+
+/**
+ * Finds the slash command being typed, if the input is one: '/' followed by
+ * the start of a command, with nothing else typed yet.
+ * @param {string} input - The chat input.
+ * @returns {string|null} What was typed after the slash, or null.
+ */
+export const slashQuery = (input) => {
+  const match = /^\/([a-z0-9-]*)$/i.exec(input);
+  return match ? match[1].toLowerCase() : null;
+};